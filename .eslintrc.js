@@ -16,7 +16,7 @@ module.exports = {
     'no-console': 'warn',
     'camelcase': ['error', { 
       'properties': 'never', 
-      'allow': ['max_tokens', 'prompt_tokens', 'completion_tokens', 'total_tokens'] 
+      'allow': ['max_tokens', 'prompt_tokens', 'completion_tokens', 'total_tokens', '^handle_\\w+_task$'] 
     }],
     'no-restricted-syntax': ['error', 'WithStatement'],
   },
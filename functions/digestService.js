@@ -0,0 +1,138 @@
+/**
+ * 每日摘要 / 每週預覽推播（Functions 專用）
+ * 排程判斷與文字組成在 shared/digestFormatUtils（與 src 的訂閱流程共用預設設定）
+ */
+const admin = require('firebase-admin');
+const axios = require('axios');
+const { getTaipeiTodayString } = require('./shared/recurrenceUtils');
+const { getOccurrencesInRange } = require('./shared/reminderScheduleUtils');
+const {
+  getDueDigestTypes,
+  getDigestDateRange,
+  sortDigestCourses,
+  getDigestHomeworkLines,
+  getDigestPackageLines,
+  formatDigest,
+} = require('./shared/digestFormatUtils');
+
+const db = admin.firestore();
+
+const CONFIG = {
+  ENABLED: process.env.DIGEST_ENABLED === 'true',
+  LINE_TOKEN: process.env.LINE_CHANNEL_ACCESS_TOKEN || null,
+};
+
+// 推播後記錄的日期欄位（同一天不重複推播）
+const LAST_SENT_FIELDS = { daily: 'lastDailyDate', weekly: 'lastWeeklyDate' };
+
+// 區間內的課堂（重複課程展開並套用單次例外）
+async function getCourses(userId, dateRange) {
+  const snap = await db.collection('courses').where('userId', '==', userId).get();
+  const courses = snap.docs
+    .map((doc) => ({ courseId: doc.id, ...doc.data() }))
+    .filter((course) => !course.cancelled);
+  const nested = await Promise.all(courses.map(async (course) => {
+    const exSnap = course.isRecurring
+      ? await db.collection('courses').doc(course.courseId).collection('exceptions').get()
+      : { docs: [] };
+    return getOccurrencesInRange(course, exSnap.docs.map((doc) => doc.data()), dateRange);
+  }));
+  return sortDigestCourses(nested.flat());
+}
+
+async function getHomeworks(userId) {
+  const snap = await db.collection('homeworks')
+    .where('userId', '==', userId)
+    .where('status', '==', 'pending')
+    .get();
+  return snap.docs.map((doc) => doc.data());
+}
+
+async function getPackages(userId) {
+  const snap = await db.collection('packages').where('userId', '==', userId).get();
+  return snap.docs.map((doc) => doc.data());
+}
+
+async function buildDigest(settings, type, today) {
+  const dateRange = getDigestDateRange(type, today);
+  const [courses, homeworks, packages] = await Promise.all([
+    getCourses(settings.userId, dateRange),
+    settings.includeHomework !== false ? getHomeworks(settings.userId) : null,
+    settings.includePackages !== false ? getPackages(settings.userId) : null,
+  ]);
+  return formatDigest(type, {
+    dateRange,
+    courses,
+    homeworkLines: homeworks && getDigestHomeworkLines(type, homeworks, today),
+    packageLines: packages && getDigestPackageLines(packages),
+  });
+}
+
+async function sendDigest(settings, type, today) {
+  if (!CONFIG.LINE_TOKEN) throw new Error('LINE_CHANNEL_ACCESS_TOKEN not set');
+  const text = await buildDigest(settings, type, today);
+  // 同 lineService.pushMessage
+  await axios.post('https://api.line.me/v2/bot/message/push', {
+    to: settings.userId, messages: [{ type: 'text', text }],
+  }, {
+    headers: { Authorization: `Bearer ${CONFIG.LINE_TOKEN}`, 'Content-Type': 'application/json' },
+    timeout: 10000,
+  });
+  await db.collection('digest_settings').doc(settings.userId)
+    .set({ [LAST_SENT_FIELDS[type]]: today }, { merge: true });
+}
+
+class DigestExecutor {
+  constructor() {
+    this.isRunning = false;
+    this.enabled = CONFIG.ENABLED;
+  }
+
+  isEnabled() { return this.enabled; }
+
+  // 推播所有到時間的摘要；單一家長失敗不影響其他家長
+  async execute() {
+    if (!this.isEnabled()) return { enabled: false };
+    if (this.isRunning) return { skipped: true, reason: 'already_running' };
+    this.isRunning = true;
+    try {
+      const now = new Date();
+      const today = getTaipeiTodayString(now);
+      const snap = await db.collection('digest_settings').where('active', '==', true).get();
+      const jobs = [];
+      snap.docs.forEach((doc) => {
+        const settings = { userId: doc.id, ...doc.data() };
+        getDueDigestTypes(settings, now).forEach((type) => jobs.push({ settings, type }));
+      });
+      const results = await Promise.allSettled(jobs.map(({ settings, type }) => (
+        sendDigest(settings, type, today)
+      )));
+      const summary = {
+        subscribers: snap.size, sent: 0, failed: 0, errors: [],
+      };
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          summary.sent += 1;
+          return;
+        }
+        summary.failed += 1;
+        summary.errors.push({
+          userId: jobs[i].settings.userId,
+          type: jobs[i].type,
+          message: result.reason?.message || String(result.reason),
+        });
+      });
+      // eslint-disable-next-line no-console
+      console.log(JSON.stringify({ fn: 'sendDigests', ...summary, errors: summary.errors.slice(-5) }));
+      return { summary };
+    } catch (e) {
+      return { error: e?.message || String(e) };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+const digestExecutor = new DigestExecutor();
+
+module.exports = { DigestExecutor, digestExecutor, CONFIG };
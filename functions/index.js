@@ -1,7 +1,7 @@
 /* eslint-disable import/no-unresolved */
 /**
  * Firebase Cloud Functions for Course MVP（精簡版）
- * 保留：checkReminders / cleanupOldReminders / getReminderStats
+ * 保留：checkReminders / sendDigests / cleanupOldReminders / getReminderStats
  */
 
 const { setGlobalOptions } = require('firebase-functions/v2');
@@ -36,11 +36,33 @@ try {
   };
 }
 
+// 安全載入 digestExecutor（同上，載入失敗不影響提醒排程）
+let digestExecutor;
+try {
+  // eslint-disable-next-line global-require
+  ({ digestExecutor } = require('./digestService'));
+} catch (e) {
+  // eslint-disable-next-line no-console
+  console.warn(JSON.stringify({
+    fn: 'bootstrap',
+    msg: 'digestService require failed, using stub',
+    errorMessage: e?.message || String(e),
+  }));
+  digestExecutor = {
+    isRunning: false,
+    isEnabled: () => false,
+    execute: async () => ({ skipped: true, reason: 'digestExecutor_unavailable' }),
+  };
+}
+
 const db = admin.firestore();
 
 // 每 5 分鐘自動檢查並發送提醒
 exports.checkReminders = onSchedule({ schedule: 'every 5 minutes', timeZone: 'Asia/Taipei' }, () => reminderExecutor.execute());
 
+// 每 5 分鐘檢查並推播到時間的每日摘要 / 每週預覽（digest_settings）
+exports.sendDigests = onSchedule({ schedule: 'every 5 minutes', timeZone: 'Asia/Taipei' }, () => digestExecutor.execute());
+
 // 將清理邏輯抽成可重用函式（供排程與 HTTP 觸發）
 async function runCleanupOldReminders() {
   const startedAt = Date.now();
@@ -4,6 +4,25 @@
  */
 const admin = require('firebase-admin');
 const axios = require('axios');
+// 與 src 共用的提醒排程、推播決策（Functions 部署只包含 functions/，共用程式放在 functions/shared）
+const {
+  getTaipeiTodayString,
+  addDaysToDateString,
+  isWithinSeries,
+} = require('./shared/recurrenceUtils');
+const {
+  RULE_GRACE_MINUTES,
+  buildReminderSchedule,
+  findNextTrigger,
+  getReminderTimings,
+  getScheduleFields,
+  getLookaheadDays,
+  getOccurrenceReminderId,
+  getOccurrencesInRange,
+  getRuleEndReason,
+} = require('./shared/reminderScheduleUtils');
+const { getDeliveryDecision, formatMergedNotifications } = require('./shared/notificationDeliveryUtils');
+const { getSnoozeQuickReply } = require('./shared/postbackSigning');
 
 const db = admin.firestore();
 
@@ -16,6 +35,24 @@ const CONFIG = {
   LINE_TOKEN: process.env.LINE_CHANNEL_ACCESS_TOKEN || null,
 };
 
+// 「稍後再提醒」按鈕，與 src 執行器共用（未設定簽章金鑰時為空陣列，不附按鈕）
+const snoozeQuickReply = (reminderId) => {
+  const items = getSnoozeQuickReply(reminderId);
+  if (items.length === 0) return null;
+  return {
+    items: items.map(({ label, data, displayText }) => ({
+      type: 'action',
+      action: {
+        type: 'postback', label, data, displayText,
+      },
+    })),
+  };
+};
+
+// 課程方案通知（reminders.reminderType），沒有對應課堂
+const PACKAGE_REMINDER_TYPES = ['package_low_balance', 'package_payment_due'];
+// 作業繳交提醒（繳交日前一晚），沒有對應課堂
+const HOMEWORK_REMINDER_TYPE = 'homework_due';
 class ReminderExecutor {
   constructor() {
     this.isRunning = false;
@@ -28,10 +65,11 @@ class ReminderExecutor {
       expired: 0,
       cancelled: 0,
       skipped: 0,
+      deferred: 0,
       errors: [],
       reset() {
         this.start = Date.now();
-        this.scanned = 0; this.sent = 0; this.failed = 0; this.expired = 0; this.cancelled = 0; this.skipped = 0; this.errors = [];
+        this.scanned = 0; this.sent = 0; this.failed = 0; this.expired = 0; this.cancelled = 0; this.skipped = 0; this.deferred = 0; this.errors = [];
       },
       addError(e, id) { this.errors.push({ id, message: e?.message || String(e) }); },
       summary() {
@@ -43,6 +81,7 @@ class ReminderExecutor {
           expired: this.expired,
           cancelled: this.cancelled,
           skipped: this.skipped,
+          deferred: this.deferred,
           errorCount: this.errors.length,
           errors: this.errors.slice(-5),
         };
@@ -61,9 +100,13 @@ class ReminderExecutor {
     try {
       const now = new Date();
       const expireThreshold = new Date(now.getTime() - CONFIG.EXPIRE_WINDOW_MINUTES * 60 * 1000);
+      await this.materializeRules(now);
       const pending = await this.getPending(now);
       this.stats.scanned = pending.length;
-      await Promise.allSettled(pending.map((r) => this.processOne(r, now, expireThreshold)));
+      const prefsByUser = await this.getPreferences(pending);
+      const merged = new Map();
+      await Promise.allSettled(pending.map((r) => this.processOne(r, now, expireThreshold, prefsByUser.get(r.userId), merged)));
+      await Promise.allSettled([...merged.entries()].map(([userId, batch]) => this.sendMerged(userId, batch)));
       return { summary: this.getStats(), config: { enabled: this.isEnabled() } };
     } catch (e) {
       this.stats.addError(e);
@@ -71,6 +114,68 @@ class ReminderExecutor {
     } finally { this.isRunning = false; }
   }
 
+  // 固定提醒：把今明兩天的課堂展開成 reminders（ID 固定，重複掃描不會重複建立）
+  async materializeRules(now) {
+    try {
+      const snap = await db.collection('reminder_rules').where('active', '==', true).get();
+      await Promise.allSettled(snap.docs.map((doc) => this.materializeRule({ ruleId: doc.id, ...doc.data() }, now)));
+    } catch (e) { this.stats.addError(e); }
+  }
+
+  async materializeRule(rule, now) {
+    try {
+      const today = getTaipeiTodayString(now);
+      const courseDoc = await db.collection('courses').doc(rule.courseId).get();
+      const course = courseDoc.exists ? courseDoc.data() : null;
+      const endReason = getRuleEndReason(course, today);
+      if (endReason) {
+        await db.collection('reminder_rules').doc(rule.ruleId).update({
+          active: false, endReason, updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return;
+      }
+
+      const timings = getReminderTimings(rule);
+      const exSnap = course.isRecurring
+        ? await db.collection('courses').doc(rule.courseId).collection('exceptions').get()
+        : { docs: [] };
+      const occurrences = getOccurrencesInRange(course, exSnap.docs.map((doc) => doc.data()), {
+        startDate: today,
+        endDate: addDaysToDateString(today, getLookaheadDays(timings)),
+      });
+
+      const earliest = new Date(now.getTime() - RULE_GRACE_MINUTES * 60 * 1000);
+      await Promise.all(occurrences.map(async (occurrence) => {
+        const { courseDate, scheduleTime } = occurrence;
+        const schedule = buildReminderSchedule(courseDate, scheduleTime, timings, earliest);
+        if (schedule.triggers.length === 0) return;
+        const reminderId = getOccurrenceReminderId(rule.ruleId, occurrence);
+        try {
+          await db.collection('reminders').doc(reminderId).create({
+            reminderId,
+            ruleId: rule.ruleId,
+            courseId: rule.courseId,
+            userId: rule.userId,
+            studentName: rule.studentName,
+            courseName: rule.courseName,
+            ...getScheduleFields(courseDate, scheduleTime, schedule),
+            reminderNote: rule.reminderNote || null,
+            courseDate,
+            scheduleTime,
+            location: course.location || null,
+            locationId: course.locationId || null,
+            teacher: course.teacher || null,
+            teacherId: course.teacherId || null,
+            executed: false,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        } catch (e) {
+          if (e.code !== 6) throw e; // ALREADY_EXISTS：已展開過
+        }
+      }));
+    } catch (e) { this.stats.addError(e, rule.ruleId); }
+  }
+
   async getPending(now) {
     const snap = await db.collection('reminders')
       .where('executed', '==', false)
@@ -81,24 +186,59 @@ class ReminderExecutor {
     return out;
   }
 
-  async processOne(reminder, now, expireThreshold) {
+  // 本批提醒家長的通知偏好；讀取失敗時照常推播
+  async getPreferences(reminders) {
+    const map = new Map();
+    try {
+      const userIds = [...new Set(reminders.map((r) => r.userId).filter(Boolean))];
+      const docs = await Promise.all(userIds.map((userId) => db.collection('notification_preferences').doc(userId).get()));
+      docs.forEach((doc) => { if (doc.exists) map.set(doc.id, doc.data()); });
+    } catch (e) { this.stats.addError(e); }
+    return map;
+  }
+
+  async processOne(reminder, now, expireThreshold, prefs = null, merged = null) {
     try {
       const reminderId = reminder.reminderId || reminder.id;
       const trigger = reminder.triggerTime?.toDate?.() || new Date(reminder.triggerTime);
 
+      // 多時機的提醒（前一天晚上 + 課前）：過期或發送後改排下一個時機
+      const next = findNextTrigger(reminder, trigger);
       if (trigger < expireThreshold) {
+        if (next && next > now) {
+          await this.scheduleNext(reminderId, next);
+          this.stats.expired += 1; return;
+        }
         await this.mark(reminderId, { status: 'expired', reason: 'expired_window' });
         this.stats.expired += 1; return;
       }
 
-      if (await this.isCancelled(reminder.courseId)) {
+      if (await this.isCancelled(reminder.courseId, reminder.courseDate, reminder)) {
         await this.mark(reminderId, { status: 'cancelled', reason: 'course_cancelled' });
         this.stats.cancelled += 1; return;
       }
 
+      // 通知偏好：靜音學生或勿擾結束已開課則略過，勿擾時段內延到結束，合併模式稍後一起推播
+      const decision = getDeliveryDecision(reminder, prefs, now);
+      if (decision.action === 'skip') {
+        if (next) await this.scheduleNext(reminderId, next);
+        else await this.mark(reminderId, { status: 'skipped', reason: decision.reason });
+        this.stats.skipped += 1; return;
+      }
+      if (decision.action === 'defer') {
+        await this.defer(reminderId, decision.until);
+        this.stats.deferred += 1; return;
+      }
+      if (decision.action === 'merge' && merged) {
+        if (!merged.has(reminder.userId)) merged.set(reminder.userId, []);
+        merged.get(reminder.userId).push({ ...reminder, reminderId, next });
+        return;
+      }
+
       const ok = await this.pushLine(reminder);
       if (ok) {
-        await this.mark(reminderId, { status: 'sent' });
+        if (next) await this.scheduleNext(reminderId, next);
+        else await this.mark(reminderId, { status: 'sent' });
         this.stats.sent += 1; return;
       }
 
@@ -117,39 +257,172 @@ class ReminderExecutor {
     } catch (e) { this.stats.addError(e, reminder?.reminderId); this.stats.failed += 1; }
   }
 
-  async pushLine(reminder) {
+  // 合併推播（同 src ReminderExecutor.sendMergedReminders）：只有一則時照常附「稍後再提醒」
+  async sendMerged(userId, batch) {
     try {
       if (!CONFIG.LINE_TOKEN) throw new Error('LINE_CHANNEL_ACCESS_TOKEN not set');
-      const { userId, studentName, courseName, reminderNote, courseDate, scheduleTime } = reminder;
-
-      let text = '⏰ 課程提醒\n\n';
-      if (studentName) text += `👦 學生：${studentName}\n`;
-      if (courseName) text += `📚 課程：${courseName}\n`;
-      if (courseDate && scheduleTime) {
-        const dt = new Date(`${courseDate}T${scheduleTime}:00+08:00`);
-        const ts = dt.toLocaleString('zh-TW', { timeZone: CONFIG.TIMEZONE, month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
-        text += `🕐 時間：${ts}\n`;
+      if (batch.length === 1) {
+        await this.send(userId, await this.buildText(batch[0]), batch[0].reminderId);
+      } else {
+        const texts = await Promise.all(batch.map((r) => this.buildText(r)));
+        await this.send(userId, formatMergedNotifications(texts));
       }
-      if (reminderNote) text += `📌 備註：${reminderNote}\n`;
-      text += '\n祝上課愉快！ 😊';
+      await Promise.all(batch.map((r) => (r.next ? this.scheduleNext(r.reminderId, r.next) : this.mark(r.reminderId, { status: 'sent' }))));
+      this.stats.sent += batch.length;
+    } catch (e) {
+      this.stats.addError(e);
+      await Promise.allSettled(batch.map((r) => db.collection('reminders').doc(r.reminderId).update({
+        retryCount: (r.retryCount || 0) + 1,
+        lastError: 'send_failed',
+        nextRetryTime: new Date(Date.now() + CONFIG.RETRY_DELAY_MINUTES * 60 * 1000),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      })));
+      this.stats.failed += batch.length;
+    }
+  }
 
-      const payload = { to: userId, messages: [{ type: 'text', text }] };
-      await axios.post('https://api.line.me/v2/bot/message/push', payload, {
-        headers: { Authorization: `Bearer ${CONFIG.LINE_TOKEN}`, 'Content-Type': 'application/json' }, timeout: 10000,
-      });
-      return true;
+  async pushLine(reminder) {
+    try {
+      if (!CONFIG.LINE_TOKEN) throw new Error('LINE_CHANNEL_ACCESS_TOKEN not set');
+      return await this.send(reminder.userId, await this.buildText(reminder), reminder.reminderId);
     } catch (e) { this.stats.addError(e); return false; }
   }
 
-  async isCancelled(courseId) {
+  async buildText(reminder) {
+    const {
+      studentName, courseName, reminderNote, courseDate, scheduleTime, location, teacher,
+    } = reminder;
+
+    if (PACKAGE_REMINDER_TYPES.includes(reminder.reminderType)) return this.formatPackageNotice(reminder);
+    if (reminder.reminderType === HOMEWORK_REMINDER_TYPE) return this.formatHomeworkNotice(reminder);
+
+    const { teacherPhone, locationAddress } = await this.getContacts(reminder);
+
+    let text = '⏰ 課程提醒\n\n';
+    if (studentName) text += `👦 學生：${studentName}\n`;
+    if (courseName) text += `📚 課程：${courseName}\n`;
+    if (courseDate && scheduleTime) {
+      const dt = new Date(`${courseDate}T${scheduleTime}:00+08:00`);
+      const ts = dt.toLocaleString('zh-TW', { timeZone: CONFIG.TIMEZONE, month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      text += `🕐 時間：${ts}\n`;
+    }
+    if (location) text += `📍 地點：${location}${locationAddress ? `（${locationAddress}）` : ''}\n`;
+    if (teacher) text += `👨‍🏫 老師：${teacher}${teacherPhone ? ` 📞 ${teacherPhone}` : ''}\n`;
+    if (reminderNote) text += `📌 備註：${reminderNote}\n`;
+    text += '\n祝上課愉快！ 😊';
+    return text;
+  }
+
+  async send(userId, text, reminderId = null) {
+    const message = { type: 'text', text };
+    const quickReply = snoozeQuickReply(reminderId);
+    if (quickReply) message.quickReply = quickReply;
+    const payload = { to: userId, messages: [message] };
+    await axios.post('https://api.line.me/v2/bot/message/push', payload, {
+      headers: { Authorization: `Bearer ${CONFIG.LINE_TOKEN}`, 'Content-Type': 'application/json' }, timeout: 10000,
+    });
+    return true;
+  }
+
+  // 格式同 src/services/packageService.formatPackageNotice
+  formatPackageNotice(reminder) {
+    const isPaymentDue = reminder.reminderType === 'package_payment_due';
+    return [
+      isPaymentDue ? '💳 繳費提醒' : '🎫 方案餘額提醒',
+      '',
+      `👦 學生：${reminder.studentName}`,
+      `📚 課程：${reminder.courseName}`,
+      isPaymentDue
+        ? `🎫 方案已用完（共 ${reminder.totalLessons} 堂${reminder.amount ? `，${reminder.amount} 元` : ''}）`
+        : `🎫 剩餘 ${reminder.remainingLessons} 堂（共 ${reminder.totalLessons} 堂）`,
+      '',
+      isPaymentDue ? '下次上課前記得續約繳費喔！' : '方案快用完了，記得準備續約 😊',
+    ].join('\n');
+  }
+
+  // 格式同 src/services/homeworkService.formatHomeworkNotice
+  formatHomeworkNotice(reminder) {
+    const [, month, day] = String(reminder.dueDate).split('-');
+    return [
+      '📝 作業提醒',
+      '',
+      `👦 學生：${reminder.studentName}`,
+      `📚 課程：${reminder.courseName}`,
+      `📋 作業：${reminder.content}`,
+      `📅 明天（${parseInt(month, 10)}/${parseInt(day, 10)}）要交`,
+      '',
+      '寫完了跟我說「作業寫完了」就會幫你勾掉喔 😊',
+    ].join('\n');
+  }
+
+  // 名錄（parents/{userId}/teachers、locations）中的老師電話與地點地址：先以 ID，再以名稱對應
+  async getContacts(reminder) {
+    const contacts = { teacherPhone: null, locationAddress: null };
+    const lookup = async (collectionName, id, name) => {
+      if (!reminder.userId || (!id && !name)) return null;
+      const col = db.collection('parents').doc(reminder.userId).collection(collectionName);
+      if (id) {
+        const doc = await col.doc(id).get();
+        if (doc.exists) return doc.data();
+      }
+      if (!name) return null;
+      const snap = await col.where('name', '==', name).limit(1).get();
+      return snap.empty ? null : snap.docs[0].data();
+    };
+    try {
+      const [teacher, location] = await Promise.all([
+        lookup('teachers', reminder.teacherId, reminder.teacher),
+        lookup('locations', reminder.locationId, reminder.location),
+      ]);
+      contacts.teacherPhone = teacher?.phone || null;
+      contacts.locationAddress = location?.address || null;
+    } catch (e) { this.stats.addError(e, reminder?.reminderId); }
+    return contacts;
+  }
+
+  async isCancelled(courseId, courseDate, reminder = {}) {
     try {
       if (!courseId) return false;
       const doc = await db.collection('courses').doc(courseId).get();
       if (!doc.exists) return true;
-      return !!doc.data().cancelled;
+      const course = doc.data();
+      if (course.cancelled) return true;
+      // 重複課程系列已結束（超過 seriesEnd.until）
+      if (!isWithinSeries(course, courseDate)) return true;
+      // 重複課程單次略過的那一堂
+      if (course.isRecurring && courseDate) {
+        const exception = await db.collection('courses').doc(courseId)
+          .collection('exceptions').doc(courseDate).get();
+        if (exception.exists && exception.data().type === 'skip') return true;
+        // 固定提醒展開的那一堂已改期：改由改期後的課堂另外展開
+        if (exception.exists && exception.data().type === 'reschedule' && reminder.ruleId) {
+          const { newDate, newTime } = exception.data();
+          if (newDate !== courseDate || (newTime || course.scheduleTime) !== reminder.scheduleTime) return true;
+        }
+      }
+      return false;
     } catch (_) { return false; }
   }
 
+  // 勿擾時段內到期：延到勿擾結束（中間錯過的時機一併略過）
+  async defer(reminderId, until) {
+    return db.collection('reminders').doc(reminderId).update({
+      triggerTime: admin.firestore.Timestamp.fromDate(until),
+      status: 'deferred',
+      retryCount: 0,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  async scheduleNext(reminderId, next) {
+    return db.collection('reminders').doc(reminderId).update({
+      triggerTime: admin.firestore.Timestamp.fromDate(next),
+      status: 'scheduled',
+      retryCount: 0,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
   async mark(reminderId, extra) {
     return db.collection('reminders').doc(reminderId).update({
       executed: true,
@@ -162,4 +435,8 @@ class ReminderExecutor {
 
 const reminderExecutor = new ReminderExecutor();
 
-module.exports = { ReminderExecutor, reminderExecutor, CONFIG };
+module.exports = {
+  ReminderExecutor,
+  reminderExecutor,
+  CONFIG,
+};
@@ -0,0 +1,187 @@
+/**
+ * 每日摘要 / 每週預覽的排程判斷與文字組成（不含資料讀取）
+ * Functions 排程 sendDigests 推播時使用；預設設定與 src 的訂閱流程共用
+ */
+
+const {
+  getTaipeiTodayString,
+  getTaipeiTimeString,
+  getWeekdayOfDate,
+  addDaysToDateString,
+} = require('./recurrenceUtils');
+const { formatHomework } = require('./homeworkUtils');
+const { LOW_BALANCE_THRESHOLD } = require('./packageUtils');
+
+/**
+ * 預設設定：每日摘要早上 7 點、每週預覽週日晚上 8 點，皆附作業與方案餘額
+ */
+const DIGEST_DEFAULTS = {
+  dailyTime: '07:00',
+  weeklyTime: '20:00',
+  includeHomework: true,
+  includePackages: true,
+};
+
+// 每週預覽在星期幾推播（0 = 週日）
+const WEEKLY_DIGEST_WEEKDAY = 0;
+
+// 排程晚於設定時間多久仍補發，再晚就等下一次
+const DIGEST_WINDOW_MINUTES = 60;
+
+const WEEKDAY_LABELS = ['日', '一', '二', '三', '四', '五', '六'];
+
+/**
+ * HH:mm 轉為當日分鐘數
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * 目前該推播的摘要（設定時間已到、尚未超過補發時間、今天還沒推過）
+ * @param {object} settings - digest_settings 文件
+ * @param {Date} now
+ * @returns {Array<string>} daily / weekly
+ */
+function getDueDigestTypes(settings, now = new Date()) {
+  const today = getTaipeiTodayString(now);
+  const minutes = toMinutes(getTaipeiTimeString(now));
+  const isDue = (time, lastDate) => {
+    const elapsed = minutes - toMinutes(time);
+    return lastDate !== today && elapsed >= 0 && elapsed <= DIGEST_WINDOW_MINUTES;
+  };
+
+  const { dailyTime, weeklyTime } = { ...DIGEST_DEFAULTS, ...settings };
+  const types = [];
+  if (settings.daily && isDue(dailyTime, settings.lastDailyDate)) {
+    types.push('daily');
+  }
+  if (settings.weekly && getWeekdayOfDate(today) === WEEKLY_DIGEST_WEEKDAY
+    && isDue(weeklyTime, settings.lastWeeklyDate)) {
+    types.push('weekly');
+  }
+  return types;
+}
+
+/**
+ * 摘要涵蓋的日期：每日摘要為今天，每週預覽為下週一到週日
+ * @param {string} type - daily / weekly
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ startDate: string, endDate: string }}
+ */
+function getDigestDateRange(type, today) {
+  if (type === 'daily') return { startDate: today, endDate: today };
+  const startDate = addDaysToDateString(today, ((8 - getWeekdayOfDate(today)) % 7) || 7);
+  return { startDate, endDate: addDaysToDateString(startDate, 6) };
+}
+
+/**
+ * 日期顯示，例：「10/20（二）」
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatDigestDate(date) {
+  const [, month, day] = date.split('-');
+  return `${Number(month)}/${Number(day)}（${WEEKDAY_LABELS[getWeekdayOfDate(date)]}）`;
+}
+
+/**
+ * 一堂課的顯示，例：「小明 15:00 鋼琴」
+ * @param {object} course
+ * @returns {string}
+ */
+function formatDigestCourse(course) {
+  const courseName = String(course.courseName).replace(/課$/, '');
+  return [course.studentName, course.scheduleTime, courseName].filter(Boolean).join(' ');
+}
+
+/**
+ * 摘要推播文字
+ * @param {string} type - daily / weekly
+ * @param {object} content
+ * @param {{ startDate: string, endDate: string }} content.dateRange
+ * @param {Array<object>} content.courses - 依日期、時間排序
+ * @param {Array<string>|null} content.homeworkLines - 未附作業時為 null
+ * @param {Array<string>|null} content.packageLines - 未附方案餘額時為 null
+ * @returns {string}
+ */
+function formatDigest(type, {
+  dateRange, courses, homeworkLines = null, packageLines = null,
+}) {
+  const lines = [];
+  if (type === 'daily') {
+    lines.push(`☀️ 今天的課 ${formatDigestDate(dateRange.startDate)}`);
+    if (courses.length === 0) lines.push('今天沒有課 🎉');
+    courses.forEach((course) => lines.push(`• ${formatDigestCourse(course)}`));
+  } else {
+    lines.push(`📅 下週課程預覽 ${formatDigestDate(dateRange.startDate)} ~ ${formatDigestDate(dateRange.endDate)}`);
+    if (courses.length === 0) lines.push('下週沒有排課 🎉');
+    let currentDate = null;
+    courses.forEach((course) => {
+      if (course.courseDate !== currentDate) {
+        currentDate = course.courseDate;
+        lines.push('', `🗓️ ${formatDigestDate(currentDate)}`);
+      }
+      lines.push(`• ${formatDigestCourse(course)}`);
+    });
+  }
+
+  if (homeworkLines && homeworkLines.length > 0) {
+    lines.push('', type === 'daily' ? '📝 快要交的作業' : '📝 下週要交的作業', ...homeworkLines);
+  }
+  if (packageLines && packageLines.length > 0) {
+    lines.push('', '🎫 方案快用完了', ...packageLines);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 依日期、時間排序的課程
+ * @param {Array<object>} courses
+ * @returns {Array<object>}
+ */
+function sortDigestCourses(courses) {
+  return [...courses].sort((a, b) => `${a.courseDate} ${a.scheduleTime}`
+    .localeCompare(`${b.courseDate} ${b.scheduleTime}`));
+}
+
+/**
+ * 摘要附帶的作業：每日摘要為明天以前要交（含逾期），每週預覽為下週以前要交
+ * @param {string} type - daily / weekly
+ * @param {Array<object>} homeworks - 未完成的作業
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array<string>}
+ */
+function getDigestHomeworkLines(type, homeworks, today) {
+  const dueBy = type === 'daily'
+    ? addDaysToDateString(today, 1)
+    : getDigestDateRange(type, today).endDate;
+  return homeworks
+    .filter((homework) => homework.dueDate && homework.dueDate <= dueBy)
+    .sort((a, b) => String(a.dueDate).localeCompare(String(b.dueDate)))
+    .map((homework) => `• ${homework.studentName} ${formatHomework(homework, today)}`);
+}
+
+/**
+ * 摘要附帶的方案：剩餘堂數不超過續約提醒門檻
+ * @param {Array<object>} packages
+ * @returns {Array<string>}
+ */
+function getDigestPackageLines(packages) {
+  return packages
+    .filter((pkg) => pkg.remainingLessons <= LOW_BALANCE_THRESHOLD)
+    .map((pkg) => `• ${pkg.studentName} ${pkg.courseName}剩 ${pkg.remainingLessons} / ${pkg.totalLessons} 堂`);
+}
+
+module.exports = {
+  DIGEST_DEFAULTS,
+  getDueDigestTypes,
+  getDigestDateRange,
+  sortDigestCourses,
+  getDigestHomeworkLines,
+  getDigestPackageLines,
+  formatDigest,
+};
@@ -0,0 +1,118 @@
+/**
+ * 課程時長工具
+ * 統一處理上課時長（分鐘）與結束時間的換算，舊資料沒有 durationMinutes 時以 duration 或 60 分鐘為準
+ * 放在 functions/shared 供 Functions 與 src（src/utils/durationUtils）共用
+ */
+
+/**
+ * 預設上課時長（分鐘）
+ */
+const DEFAULT_DURATION_MINUTES = 60;
+
+/**
+ * 單堂課時長上限（分鐘），避免解析錯誤產生跨日事件
+ */
+const MAX_DURATION_MINUTES = 12 * 60;
+
+/**
+ * HH:MM 轉為當日分鐘數
+ * @param {string} time - HH:MM
+ * @returns {number|null}
+ */
+function timeToMinutes(time) {
+  const match = String(time || '').match(/^(\d{1,2}):(\d{2})/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * 當日分鐘數轉為 HH:MM（超過 24 小時取當日餘數）
+ * @param {number} minutes
+ * @returns {string} HH:MM
+ */
+function minutesToTime(minutes) {
+  const normalized = ((minutes % 1440) + 1440) % 1440;
+  const hour = String(Math.floor(normalized / 60)).padStart(2, '0');
+  const minute = String(normalized % 60).padStart(2, '0');
+  return `${hour}:${minute}`;
+}
+
+/**
+ * HH:MM 加上分鐘數
+ * @param {string} time - HH:MM
+ * @param {number} minutes
+ * @returns {string|null} HH:MM
+ */
+function addMinutesToTime(time, minutes) {
+  const start = timeToMinutes(time);
+  if (start === null) return null;
+  return minutesToTime(start + minutes);
+}
+
+/**
+ * 計算起訖時間相差分鐘數
+ * 結束時間未帶上午/下午而早於開始時間時（如 14:00 → 03:30），視為下午再計算
+ * @param {string} startTime - HH:MM
+ * @param {string} endTime - HH:MM
+ * @returns {number|null} 分鐘數；無法形成有效區間時回傳 null
+ */
+function getMinutesBetween(startTime, endTime) {
+  const start = timeToMinutes(startTime);
+  let end = timeToMinutes(endTime);
+  if (start === null || end === null) return null;
+  if (end <= start && end + 720 > start && end < 720) end += 720;
+  const diff = end - start;
+  return diff > 0 && diff <= MAX_DURATION_MINUTES ? diff : null;
+}
+
+/**
+ * 取得課程時長（分鐘）
+ * @param {object} course - 課程文件或 slots（durationMinutes / 舊欄位 duration / endTime）
+ * @returns {number}
+ */
+function getDurationMinutes(course) {
+  if (!course) return DEFAULT_DURATION_MINUTES;
+  if (course.durationMinutes > 0) return course.durationMinutes;
+  if (course.endTime && course.scheduleTime) {
+    const diff = getMinutesBetween(course.scheduleTime, course.endTime);
+    if (diff) return diff;
+  }
+  if (course.duration > 0) return course.duration;
+  return DEFAULT_DURATION_MINUTES;
+}
+
+/**
+ * 取得課程結束時間
+ * @param {object} course - 課程文件（scheduleTime / endTime / durationMinutes）
+ * @returns {string|null} HH:MM
+ */
+function getEndTime(course) {
+  if (!course || !course.scheduleTime) return null;
+  if (course.endTime) return course.endTime;
+  return addMinutesToTime(course.scheduleTime, getDurationMinutes(course));
+}
+
+/**
+ * 時長的中文顯示
+ * @param {number} minutes
+ * @returns {string} 例：「1小時30分鐘」「45分鐘」「2小時」
+ */
+function formatDuration(minutes) {
+  if (!(minutes > 0)) return '';
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}分鐘`;
+  return rest === 0 ? `${hours}小時` : `${hours}小時${rest}分鐘`;
+}
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  timeToMinutes,
+  minutesToTime,
+  addMinutesToTime,
+  getMinutesBetween,
+  getDurationMinutes,
+  getEndTime,
+  formatDuration,
+};
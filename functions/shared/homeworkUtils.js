@@ -0,0 +1,40 @@
+/**
+ * 作業顯示工具
+ * 作業清單、完成回覆與每日摘要共用的繳交日與作業文字（src 與 Functions 共用）
+ */
+
+const { getTaipeiTodayString, addDaysToDateString } = require('./recurrenceUtils');
+
+/**
+ * 繳交日顯示，例：10/28（三）要交、已逾期 2 天
+ * @param {string} dueDate - YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD，預設為台北時區今天
+ * @returns {string}
+ */
+function formatDueDate(dueDate, today = getTaipeiTodayString()) {
+  const [, month, day] = String(dueDate).split('-');
+  const label = `${parseInt(month, 10)}/${parseInt(day, 10)}`;
+  if (dueDate === today) return `${label} 今天要交`;
+  if (dueDate === addDaysToDateString(today, 1)) return `${label} 明天要交`;
+  if (dueDate < today) {
+    const overdueDays = Math.round((new Date(today) - new Date(dueDate)) / 86400000);
+    return `${label} 已逾期 ${overdueDays} 天`;
+  }
+  return `${label} 要交`;
+}
+
+/**
+ * 作業顯示，例：數學課：第10頁（10/28 要交）
+ * @param {object} homework
+ * @param {string} today - YYYY-MM-DD，預設為台北時區今天
+ * @returns {string}
+ */
+function formatHomework(homework, today = getTaipeiTodayString()) {
+  const due = homework.dueDate ? `（${formatDueDate(homework.dueDate, today)}）` : '';
+  return `${homework.courseName}：${homework.content}${due}`;
+}
+
+module.exports = {
+  formatDueDate,
+  formatHomework,
+};
@@ -0,0 +1,91 @@
+/**
+ * 通知推播決策工具
+ * 依家長的通知偏好（notification_preferences）決定提醒要推播、延後、合併或略過；
+ * src 與 Functions 的提醒執行器共用（不含資料讀取）
+ */
+
+const {
+  getTaipeiTodayString,
+  getTaipeiTimeString,
+  addDaysToDateString,
+} = require('./recurrenceUtils');
+
+/**
+ * HH:mm 轉為當日分鐘數
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * 目前在勿擾時段內時，勿擾結束的時間（可跨午夜，例：22:00 ~ 07:00）
+ * @param {{ start: string, end: string }|null} quietHours
+ * @param {Date} now
+ * @returns {Date|null} 不在勿擾時段內為 null
+ */
+function getQuietHoursEnd(quietHours, now = new Date()) {
+  if (!quietHours?.start || !quietHours?.end || quietHours.start === quietHours.end) return null;
+  const minutes = toMinutes(getTaipeiTimeString(now));
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const overnight = start > end;
+  const inside = overnight
+    ? minutes >= start || minutes < end
+    : minutes >= start && minutes < end;
+  if (!inside) return null;
+
+  const today = getTaipeiTodayString(now);
+  const endDate = overnight && minutes >= start ? addDaysToDateString(today, 1) : today;
+  return new Date(`${endDate}T${quietHours.end}:00+08:00`);
+}
+
+/**
+ * 提醒執行器的推播決策
+ * - skip：靜音的學生，或勿擾結束時課程已開始
+ * - defer：在勿擾時段內，延到勿擾結束
+ * - merge：合併推播模式，與同一批到期的通知合併成一則
+ * - send：照常推播
+ * @param {object} reminder
+ * @param {object|null} preferences - notification_preferences 文件
+ * @param {Date} now
+ * @returns {{ action: string, reason?: string, until?: Date }}
+ */
+function getDeliveryDecision(reminder, preferences, now = new Date()) {
+  if (!preferences) return { action: 'send' };
+  if (reminder.studentName && (preferences.mutedStudents || []).includes(reminder.studentName)) {
+    return { action: 'skip', reason: 'student_muted' };
+  }
+
+  const until = getQuietHoursEnd(preferences.quietHours, now);
+  if (until) {
+    // 課程提醒延到勿擾結束時已開課就不再推播；方案、作業通知沒有上課時間，一律延後
+    const { courseDate, scheduleTime } = reminder;
+    const courseStart = courseDate && scheduleTime && !reminder.reminderType
+      ? new Date(`${courseDate}T${scheduleTime}:00+08:00`)
+      : null;
+    if (courseStart && until >= courseStart) return { action: 'skip', reason: 'quiet_hours' };
+    return { action: 'defer', until };
+  }
+
+  if (preferences.deliveryMode === 'merged') return { action: 'merge' };
+  return { action: 'send' };
+}
+
+/**
+ * 合併推播的文字：各則通知依序排列
+ * @param {Array<string>} texts - 每則通知原本的推播文字
+ * @returns {string}
+ */
+function formatMergedNotifications(texts) {
+  const divider = '\n\n──────────\n\n';
+  return `📬 有 ${texts.length} 則通知\n\n${texts.join(divider)}`;
+}
+
+module.exports = {
+  getQuietHoursEnd,
+  getDeliveryDecision,
+  formatMergedNotifications,
+};
@@ -0,0 +1,10 @@
+/**
+ * 課程方案共用設定（src 與 Functions 共用）
+ */
+
+// 剩餘堂數到這個數字時推播續約提醒，每日摘要也列出不超過此數的方案
+const LOW_BALANCE_THRESHOLD = 2;
+
+module.exports = {
+  LOW_BALANCE_THRESHOLD,
+};
@@ -0,0 +1,71 @@
+/**
+ * Postback 簽章（src 與 Functions 共用）
+ * 未設定簽章金鑰時不產生按鈕，不以空金鑰簽章（否則任何人都能偽造按鈕資料）
+ */
+const crypto = require('crypto');
+
+// 簽章欄位名稱與長度（HMAC-SHA256 取前 16 個 hex 字元）
+const SIGNATURE_KEY = 'sig';
+const SIGNATURE_LENGTH = 16;
+
+// 推播提醒上的「稍後再提醒」按鈕（分鐘）
+const SNOOZE_OPTIONS = [10, 30];
+
+/**
+ * 取得簽章金鑰
+ * @returns {string|null} 未設定時為 null
+ */
+function getSigningSecret() {
+  return process.env.POSTBACK_SIGNING_SECRET || process.env.LINE_CHANNEL_SECRET || null;
+}
+
+/**
+ * 計算 payload 簽章
+ * @param {string} payload - 不含簽章的 query string
+ * @param {string} secret - 簽章金鑰
+ * @returns {string}
+ */
+function signPayload(payload, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex')
+    .slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * 附上簽章；未設定簽章金鑰時回傳 null（呼叫端不附按鈕）
+ * @param {string} payload - 不含簽章的 query string
+ * @returns {string|null} postback data（...&sig=...）
+ */
+function appendSignature(payload) {
+  const secret = getSigningSecret();
+  if (!secret) return null;
+  return `${payload}&${SIGNATURE_KEY}=${signPayload(payload, secret)}`;
+}
+
+/**
+ * 推播提醒附帶的「稍後再提醒」按鈕；未設定簽章金鑰時為空陣列
+ * @param {string} reminderId
+ * @returns {Array<{ label: string, data: string, displayText: string }>}
+ */
+function getSnoozeQuickReply(reminderId) {
+  if (!reminderId || !getSigningSecret()) return [];
+  return SNOOZE_OPTIONS.map((minutes) => ({
+    label: `⏰ ${minutes}分鐘後再提醒`,
+    data: appendSignature(new URLSearchParams({
+      action: 'snooze_reminder', reminderId, minutes: String(minutes),
+    }).toString()),
+    displayText: `${minutes}分鐘後再提醒`,
+  }));
+}
+
+module.exports = {
+  SIGNATURE_KEY,
+  SIGNATURE_LENGTH,
+  SNOOZE_OPTIONS,
+  getSigningSecret,
+  signPayload,
+  appendSignature,
+  getSnoozeQuickReply,
+};
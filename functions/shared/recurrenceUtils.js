@@ -0,0 +1,417 @@
+/**
+ * 重複課程工具
+ * 統一 dayOfWeek / nthWeek / seriesEnd 的正規化、顯示與「某日期是否有課」的判斷
+ * 供新增/查詢/取消/記錄等流程共用，避免各處各自解讀單天或多天格式
+ * 放在 functions/shared 供 Functions 與 src（src/utils/recurrenceUtils）共用，不可引用其他套件
+ */
+
+const { getDurationMinutes } = require('./durationUtils');
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_SHORT = ['日', '一', '二', '三', '四', '五', '六'];
+const ORDINAL_SHORT = ['', '一', '二', '三', '四', '五'];
+
+/**
+ * 將 dayOfWeek（數字、數字字串、MO/TU 代碼或其陣列）正規化為排序後的 0-6 陣列
+ * @param {number|string|Array<number|string>} dayOfWeek
+ * @returns {Array<number>} 例：[2, 4]；無效時回傳空陣列
+ */
+function normalizeDaysOfWeek(dayOfWeek) {
+  if (dayOfWeek === null || dayOfWeek === undefined) return [];
+  const values = Array.isArray(dayOfWeek) ? dayOfWeek : [dayOfWeek];
+
+  const days = values
+    .map((value) => {
+      if (typeof value === 'number') return value;
+      if (typeof value === 'string') {
+        const upper = value.trim().toUpperCase();
+        const codeIndex = WEEKDAY_CODES.indexOf(upper);
+        if (codeIndex !== -1) return codeIndex;
+        return upper === '' ? NaN : Number(upper);
+      }
+      return NaN;
+    })
+    .filter((n) => Number.isInteger(n) && n >= 0 && n <= 6);
+
+  return Array.from(new Set(days)).sort((a, b) => a - b);
+}
+
+/**
+ * 轉為 RRULE BYDAY 代碼
+ * @param {number|string|Array<number|string>} dayOfWeek
+ * @returns {Array<string>} 例：['TU', 'TH']
+ */
+function toByDayCodes(dayOfWeek) {
+  return normalizeDaysOfWeek(dayOfWeek).map((d) => WEEKDAY_CODES[d]);
+}
+
+/**
+ * 每週重複的中文顯示
+ * @param {number|string|Array<number|string>} dayOfWeek
+ * @returns {string} 例：「每週二四」「每週三」；無效時回傳「每週」
+ */
+function formatWeeklyDays(dayOfWeek) {
+  const days = normalizeDaysOfWeek(dayOfWeek);
+  return `每週${days.map((d) => WEEKDAY_SHORT[d]).join('')}`;
+}
+
+/**
+ * 取得台北時區今天的日期字串
+ * @param {Date} date - 預設為現在
+ * @returns {string} YYYY-MM-DD
+ */
+function getTaipeiTodayString(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Asia/Taipei',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * 取得台北時區的目前時間 HH:MM
+ * @param {Date} date - 預設為現在
+ * @returns {string}
+ */
+function getTaipeiTimeString(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Asia/Taipei',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return `${get('hour')}:${get('minute')}`;
+}
+
+/**
+ * 取得 YYYY-MM-DD 的星期（以日期本身計算，不受伺服器時區影響）
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {number} 0-6
+ */
+function getWeekdayOfDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * YYYY-MM-DD 加減天數
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+function addDaysToDateString(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * 取得與基準日同一週（週一為一週開始）的指定星期日期
+ * @param {string} baseDate - YYYY-MM-DD
+ * @param {number} weekday - 0(日)~6(六)
+ * @param {number} weekOffset - 週次位移（下週 1、上週 -1）
+ * @returns {string} YYYY-MM-DD
+ */
+function getWeekdayDateInWeek(baseDate, weekday, weekOffset = 0) {
+  const monday = addDaysToDateString(baseDate, -((getWeekdayOfDate(baseDate) + 6) % 7));
+  return addDaysToDateString(monday, weekOffset * 7 + ((weekday + 6) % 7));
+}
+
+/**
+ * 將 nthWeek（第幾個星期，-1 表示最後一個）正規化為陣列
+ * @param {number|string|Array<number|string>} nthWeek
+ * @returns {Array<number>} 例：[1, 3]、[-1]；1-5 依序排列，-1 排最後
+ */
+function normalizeNthWeeks(nthWeek) {
+  if (nthWeek === null || nthWeek === undefined) return [];
+  const values = Array.isArray(nthWeek) ? nthWeek : [nthWeek];
+  const nths = values
+    .map((value) => Number(value))
+    .filter((n) => Number.isInteger(n) && (n === -1 || (n >= 1 && n <= 5)));
+  return Array.from(new Set(nths)).sort((a, b) => {
+    if (a === -1) return 1;
+    if (b === -1) return -1;
+    return a - b;
+  });
+}
+
+/**
+ * 取得某月天數
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {number}
+ */
+function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * 取得某月的第一天與最後一天
+ * @param {string} month - YYYY-MM
+ * @returns {{ startDate: string, endDate: string }}
+ */
+function getMonthDateRange(month) {
+  const [year, mon] = month.split('-').map((n) => parseInt(n, 10));
+  return { startDate: `${month}-01`, endDate: `${month}-${String(getDaysInMonth(year, mon)).padStart(2, '0')}` };
+}
+
+/**
+ * 取得某月第 N 個（或最後一個）星期幾的日期
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} weekday - 0-6
+ * @param {number} nth - 1-5，或 -1 表示最後一個
+ * @returns {string|null} YYYY-MM-DD；該月沒有第 N 個時回傳 null
+ */
+function getNthWeekdayOfMonth(year, month, weekday, nth) {
+  const daysInMonth = getDaysInMonth(year, month);
+  let day;
+  if (nth === -1) {
+    const lastWeekday = new Date(Date.UTC(year, month - 1, daysInMonth)).getUTCDay();
+    day = daysInMonth - ((lastWeekday - weekday + 7) % 7);
+  } else {
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+    if (day > daysInMonth) return null;
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * 取得某月所有符合「第 N 個星期幾」規則的日期
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number|Array<number>} nthWeek
+ * @param {number|Array<number>} dayOfWeek
+ * @returns {Array<string>} 已排序、去重的 YYYY-MM-DD 陣列
+ */
+function getNthWeekdayDatesInMonth(year, month, nthWeek, dayOfWeek) {
+  const dates = new Set();
+  normalizeNthWeeks(nthWeek).forEach((nth) => {
+    normalizeDaysOfWeek(dayOfWeek).forEach((weekday) => {
+      const date = getNthWeekdayOfMonth(year, month, weekday, nth);
+      if (date) dates.add(date);
+    });
+  });
+  return Array.from(dates).sort();
+}
+
+/**
+ * 每月第 N 個星期幾的中文顯示
+ * @param {number|Array<number>} nthWeek
+ * @param {number|Array<number>} dayOfWeek
+ * @returns {string} 例：「每月第一個、第三個週六」「每月最後一個週五」
+ */
+function formatMonthlyNthWeekdays(nthWeek, dayOfWeek) {
+  const ordinals = normalizeNthWeeks(nthWeek)
+    .map((n) => (n === -1 ? '最後一個' : `第${ORDINAL_SHORT[n]}個`));
+  const days = normalizeDaysOfWeek(dayOfWeek).map((d) => WEEKDAY_SHORT[d]);
+  return `每月${ordinals.join('、')}週${days.join('、')}`;
+}
+
+/**
+ * 判斷日期是否符合「第 N 個星期幾」規則
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number|Array<number>} nthWeek
+ * @param {number|Array<number>} dayOfWeek
+ * @returns {boolean}
+ */
+function matchesNthWeekday(dateStr, nthWeek, dayOfWeek) {
+  if (!normalizeDaysOfWeek(dayOfWeek).includes(getWeekdayOfDate(dateStr))) return false;
+  const year = Number(dateStr.slice(0, 4));
+  const month = Number(dateStr.slice(5, 7));
+  const day = Number(dateStr.slice(8, 10));
+  const nths = normalizeNthWeeks(nthWeek);
+  if (nths.includes(Math.ceil(day / 7))) return true;
+  return nths.includes(-1) && day + 7 > getDaysInMonth(year, month);
+}
+
+/**
+ * 判斷課程在指定日期是否有上課（單次課程比對日期；重複課程依規則判斷且不早於首堂）
+ * @param {object} course - 課程文件（courseDate/isRecurring/recurrenceType/dayOfWeek/monthDay/nthWeek）
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function occursOnDate(course, dateStr) {
+  if (!course || !dateStr) return false;
+  const isRecurring = course.isRecurring || course.recurring;
+  if (!isRecurring) return course.courseDate === dateStr;
+  if (course.courseDate && dateStr < course.courseDate) return false;
+
+  const recurrenceType = course.recurrenceType || 'weekly';
+  if (recurrenceType === 'daily') return true;
+  if (recurrenceType === 'weekly') {
+    return normalizeDaysOfWeek(course.dayOfWeek).includes(getWeekdayOfDate(dateStr));
+  }
+  if (recurrenceType === 'monthly') {
+    if (normalizeNthWeeks(course.nthWeek).length > 0) {
+      return matchesNthWeekday(dateStr, course.nthWeek, course.dayOfWeek);
+    }
+    const baseDay = course.courseDate ? Number(course.courseDate.slice(8, 10)) : null;
+    const monthDay = course.monthDay || baseDay;
+    return Number(dateStr.slice(8, 10)) === monthDay;
+  }
+  return false;
+}
+
+/**
+ * 日期是否仍在系列結束條件之內（seriesEnd.until 為最後上課日，含當日）
+ * @param {object} course - 課程文件
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isWithinSeries(course, dateStr) {
+  const until = course && course.seriesEnd && course.seriesEnd.until;
+  return !until || !dateStr || dateStr <= until;
+}
+
+/**
+ * 從指定日期（含）起找出下一個上課日期
+ * @param {object} course - 重複規則（isRecurring/recurrenceType/dayOfWeek/monthDay/nthWeek/courseDate）
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {number} maxDays - 最多往後搜尋天數
+ * @returns {string|null} YYYY-MM-DD
+ */
+function findNextOccurrence(course, fromDate, maxDays = 400) {
+  for (let i = 0; i <= maxDays; i += 1) {
+    const date = addDaysToDateString(fromDate, i);
+    if (occursOnDate(course, date) && isWithinSeries(course, date)) return date;
+  }
+  return null;
+}
+
+/**
+ * 依堂數計算系列最後一堂的日期（自首堂 courseDate 起算）
+ * @param {object} course - 重複規則，需含 courseDate
+ * @param {number} count - 總堂數
+ * @param {number} maxDays - 最多往後搜尋天數（預設約五年）
+ * @returns {string|null} YYYY-MM-DD；搜尋範圍內湊不滿堂數時回傳 null
+ */
+function getLastOccurrenceByCount(course, count, maxDays = 1830) {
+  if (!course || !course.courseDate || !(count > 0)) return null;
+  let seen = 0;
+  for (let i = 0; i <= maxDays; i += 1) {
+    const date = addDaysToDateString(course.courseDate, i);
+    if (occursOnDate(course, date)) {
+      seen += 1;
+      if (seen === count) return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * 套用單次例外（courses/{courseId}/exceptions）到同一重複課程已展開的實例
+ * - skip：移除該次
+ * - reschedule：原日期的實例移除，新日期落在查詢範圍內時以新日期/時間補上
+ * @param {Array<object>} occurrences - 已展開的實例（courseDate 為實例日期）
+ * @param {object} course - 課程文件，exceptions 為例外陣列
+ *   （originalDate/type/newDate/newTime/newDurationMinutes）
+ * @param {{ startDate: string, endDate: string }} dateRange
+ * @returns {Array<object>}
+ */
+function applyCourseExceptions(occurrences, course, dateRange) {
+  const exceptions = (course && course.exceptions) || [];
+  if (exceptions.length === 0) return occurrences;
+
+  const originalDates = new Set(exceptions.map((e) => e.originalDate));
+  const results = occurrences.filter((o) => !originalDates.has(o.courseDate));
+
+  exceptions
+    .filter((e) => e.type === 'reschedule' && e.newDate >= dateRange.startDate && e.newDate <= dateRange.endDate)
+    .forEach((e) => {
+      results.push({
+        ...course,
+        courseDate: e.newDate,
+        scheduleTime: e.newTime || course.scheduleTime,
+        // 結束時間依新時段重新計算，避免沿用系列原本的 endTime
+        durationMinutes: e.newDurationMinutes || getDurationMinutes(course),
+        endTime: e.newEndTime || null,
+        originalDate: e.originalDate,
+        isRecurring: true,
+        isException: true,
+        source: 'exception',
+      });
+    });
+
+  return results;
+}
+
+/**
+ * 系列結束條件的中文顯示
+ * @param {{ count?: number, until?: string }} seriesEnd
+ * @returns {string} 例：「共10堂（最後一堂 2026-12-23）」「上到 2026-06-30」
+ */
+function formatSeriesEnd(seriesEnd) {
+  if (!seriesEnd) return '';
+  if (seriesEnd.count) {
+    return seriesEnd.until
+      ? `共${seriesEnd.count}堂（最後一堂 ${seriesEnd.until}）`
+      : `共${seriesEnd.count}堂`;
+  }
+  return seriesEnd.until ? `上到 ${seriesEnd.until}` : '';
+}
+
+/**
+ * 重複課程的中文顯示（不含時間）
+ * @param {object} course - isRecurring/recurrenceType/dayOfWeek/monthDay/nthWeek/courseDate
+ * @returns {string} 例：「每天」「每週二四」「每月15號」「每月第一個週六」；單次課程回傳日期
+ */
+function formatRecurrence(course) {
+  if (!course || !(course.isRecurring || course.recurring)) return (course && course.courseDate) || '';
+  const recurrenceType = course.recurrenceType || 'weekly';
+  if (recurrenceType === 'daily') return '每天';
+  if (recurrenceType === 'monthly') {
+    if (normalizeNthWeeks(course.nthWeek).length > 0) {
+      return formatMonthlyNthWeekdays(course.nthWeek, course.dayOfWeek);
+    }
+    const monthDay = course.monthDay || (course.courseDate ? Number(course.courseDate.slice(8, 10)) : '');
+    return `每月${monthDay}號`;
+  }
+  return formatWeeklyDays(course.dayOfWeek);
+}
+
+/**
+ * 每週多天課程：從首堂日期起，取得每個上課星期的第一個日期
+ * 用於衝突檢查等只需檢查「每種時段一次」的情境
+ * @param {string} startDate - 首堂日期 YYYY-MM-DD
+ * @param {number|string|Array<number|string>} dayOfWeek
+ * @returns {Array<string>} 已排序的日期陣列；無有效星期時回傳 [startDate]
+ */
+function getFirstWeeklyOccurrences(startDate, dayOfWeek) {
+  const days = normalizeDaysOfWeek(dayOfWeek);
+  if (days.length === 0) return [startDate];
+  const startWeekday = getWeekdayOfDate(startDate);
+  return days
+    .map((d) => addDaysToDateString(startDate, (d - startWeekday + 7) % 7))
+    .sort();
+}
+
+module.exports = {
+  WEEKDAY_CODES,
+  WEEKDAY_SHORT,
+  normalizeDaysOfWeek,
+  toByDayCodes,
+  formatWeeklyDays,
+  getTaipeiTodayString,
+  getTaipeiTimeString,
+  getWeekdayOfDate,
+  addDaysToDateString,
+  getWeekdayDateInWeek,
+  occursOnDate,
+  getFirstWeeklyOccurrences,
+  normalizeNthWeeks,
+  getDaysInMonth,
+  getMonthDateRange,
+  getNthWeekdayOfMonth,
+  getNthWeekdayDatesInMonth,
+  formatMonthlyNthWeekdays,
+  matchesNthWeekday,
+  isWithinSeries,
+  findNextOccurrence,
+  getLastOccurrenceByCount,
+  formatSeriesEnd,
+  formatRecurrence,
+  applyCourseExceptions,
+};
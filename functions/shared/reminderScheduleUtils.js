@@ -0,0 +1,172 @@
+/**
+ * 提醒排程工具
+ * 提醒時機換算觸發時間、多時機排序，以及固定提醒（reminder_rules）展開課堂的規則；
+ * src 的提醒服務與 Functions 的提醒執行器共用（不含資料讀寫）
+ */
+
+const {
+  addDaysToDateString,
+  occursOnDate,
+  isWithinSeries,
+  applyCourseExceptions,
+} = require('./recurrenceUtils');
+
+// 固定提醒往後展開幾天的課堂（0 = 只展開今天）
+const RULE_LOOKAHEAD_DAYS = 1;
+
+// 觸發時間已過多久仍補發（涵蓋掃描間隔），再早的視為錯過不展開
+const RULE_GRACE_MINUTES = 10;
+
+/**
+ * 依提醒時機計算觸發時間
+ * @param {string} courseDate - YYYY-MM-DD
+ * @param {string} scheduleTime - HH:mm
+ * @param {object} timing
+ * @param {number} [timing.reminderTime] - 課前幾分鐘
+ * @param {string} [timing.reminderClock] - 指定時刻 HH:mm（「前一天晚上8點」）
+ * @param {number} [timing.reminderDayOffset] - 指定時刻相對上課日的天數（前一天 = -1）
+ * @returns {Date}
+ */
+function getReminderTriggerTime(courseDate, scheduleTime, timing = {}) {
+  if (timing.reminderClock) {
+    const date = new Date(`${courseDate}T${timing.reminderClock}:00+08:00`);
+    return new Date(date.getTime() + (timing.reminderDayOffset || 0) * 24 * 60 * 60 * 1000);
+  }
+  const courseDateTime = new Date(`${courseDate}T${scheduleTime}:00+08:00`);
+  return new Date(courseDateTime.getTime() - (timing.reminderTime ?? 30) * 60 * 1000);
+}
+
+/**
+ * 一個提醒的多個觸發時機（「前一天晚上9點和課前30分鐘」）依時間排序，
+ * 略過已過或晚於上課的時機
+ * @param {string} courseDate - YYYY-MM-DD
+ * @param {string} scheduleTime - HH:mm
+ * @param {Array<object>} timings - 同 getReminderTriggerTime 的 timing
+ * @param {Date} now
+ * @returns {{ triggers: Array<object>, triggerTimes: Array<Date>, skipped: Array<object> }}
+ */
+function buildReminderSchedule(courseDate, scheduleTime, timings, now = new Date()) {
+  const courseStart = getReminderTriggerTime(courseDate, scheduleTime, { reminderTime: 0 });
+  const entries = timings
+    .map((timing) => ({
+      timing,
+      triggerTime: getReminderTriggerTime(courseDate, scheduleTime, timing),
+    }))
+    .sort((a, b) => a.triggerTime - b.triggerTime);
+  const valid = entries
+    .filter(({ triggerTime }) => triggerTime > now && triggerTime <= courseStart);
+  return {
+    triggers: valid.map(({ timing }) => timing),
+    triggerTimes: valid.map(({ triggerTime }) => triggerTime),
+    skipped: entries.filter((entry) => !valid.includes(entry)).map(({ timing }) => timing),
+  };
+}
+
+/**
+ * 提醒在某時間之後的下一個觸發時間（多時機提醒發送一次後往下排）
+ * @param {object} reminder - triggerTimes 為 Firestore Timestamp 或 Date
+ * @param {Date} after
+ * @returns {Date|null}
+ */
+function findNextTrigger(reminder, after) {
+  return (reminder.triggerTimes || [])
+    .map((value) => value?.toDate?.() || new Date(value))
+    .find((time) => time > after) || null;
+}
+
+/**
+ * 提醒的時機設定（舊資料只有 reminderTime）
+ * @param {object} reminder
+ * @returns {Array<object>}
+ */
+function getReminderTimings(reminder) {
+  if (Array.isArray(reminder.triggers) && reminder.triggers.length > 0) return reminder.triggers;
+  if (reminder.reminderClock) {
+    const { reminderClock, reminderDayOffset = 0 } = reminder;
+    return [{ reminderClock, reminderDayOffset: reminderDayOffset || 0 }];
+  }
+  return [{ reminderTime: reminder.reminderTime ?? 30 }];
+}
+
+/**
+ * 提醒寫入的時間欄位：triggers / triggerTimes 為全部時機，triggerTime 為下一個；
+ * reminderTime 保留第一個時機相當於課前幾分鐘（舊版欄位）
+ * @param {string} courseDate
+ * @param {string} scheduleTime
+ * @param {object} schedule - buildReminderSchedule 結果（triggers / triggerTimes）
+ * @returns {object}
+ */
+function getScheduleFields(courseDate, scheduleTime, { triggers, triggerTimes }) {
+  const courseStart = getReminderTriggerTime(courseDate, scheduleTime, { reminderTime: 0 });
+  return {
+    triggers,
+    triggerTimes,
+    triggerTime: triggerTimes[0],
+    reminderTime: Math.round((courseStart - triggerTimes[0]) / 60000),
+  };
+}
+
+/**
+ * 規則需往後展開的天數：前 N 天的指定時刻提醒，需在那一天之前就展開
+ * @param {Array<object>} timings
+ * @returns {number}
+ */
+function getLookaheadDays(timings) {
+  const offsets = timings.map((timing) => -(timing.reminderDayOffset || 0));
+  return Math.max(RULE_LOOKAHEAD_DAYS, ...offsets);
+}
+
+/**
+ * 展開的提醒 ID：同一規則同一堂只會建立一次；改期到同一天其他時段視為另一堂
+ * @param {string} ruleId
+ * @param {object} occurrence - courseDate / scheduleTime
+ * @returns {string}
+ */
+function getOccurrenceReminderId(ruleId, { courseDate, scheduleTime }) {
+  return `${ruleId}_${courseDate}_${String(scheduleTime).replace(':', '')}`;
+}
+
+/**
+ * 系列在日期區間內的課堂（已套用單次略過與改期）
+ * @param {object} course - 課程文件
+ * @param {Array<object>} exceptions - courses/{id}/exceptions
+ * @param {{ startDate: string, endDate: string }} dateRange
+ * @returns {Array<object>} 每堂的 courseDate / scheduleTime
+ */
+function getOccurrencesInRange(course, exceptions, dateRange) {
+  const occurrences = [];
+  const { startDate, endDate } = dateRange;
+  for (let date = startDate; date <= endDate; date = addDaysToDateString(date, 1)) {
+    if (occursOnDate(course, date) && isWithinSeries(course, date)) {
+      occurrences.push({ ...course, courseDate: date });
+    }
+  }
+  return applyCourseExceptions(occurrences, { ...course, exceptions }, dateRange);
+}
+
+/**
+ * 系列是否已結束（取消或超過 seriesEnd.until）
+ * @param {object|null} course
+ * @param {string} today - YYYY-MM-DD
+ * @returns {string|null} 結束原因
+ */
+function getRuleEndReason(course, today) {
+  if (!course) return 'course_deleted';
+  if (course.cancelled) return 'course_cancelled';
+  if (!isWithinSeries(course, today)) return 'series_ended';
+  return null;
+}
+
+module.exports = {
+  RULE_LOOKAHEAD_DAYS,
+  RULE_GRACE_MINUTES,
+  getReminderTriggerTime,
+  buildReminderSchedule,
+  findNextTrigger,
+  getReminderTimings,
+  getScheduleFields,
+  getLookaheadDays,
+  getOccurrenceReminderId,
+  getOccurrencesInRange,
+  getRuleEndReason,
+};
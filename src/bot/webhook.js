@@ -3,6 +3,15 @@ const { parseIntent } = require('../intent/parseIntent');
 const { extractSlots } = require('../intent/extractSlots');
 const { executeTask, getSupportedIntents } = require('../tasks');
 const { getConversationManager } = require('../conversation/ConversationManager');
+const albumService = require('../services/albumService');
+const homeworkService = require('../services/homeworkService');
+const speechToTextService = require('../services/speechToTextService');
+const familyGroupService = require('../services/familyGroupService');
+const firebaseService = require('../services/firebaseService');
+const { classifyReminderIntent } = require('../utils/reminderUtils');
+const { classifyNotificationIntent } = require('../utils/notificationPreferenceUtils');
+const { createPostbackQuickReply, parsePostbackData } = require('../utils/postbackUtils');
+const { render, toPlainText } = require('../nlu/ResponseRenderer');
 
 // 🛡️ 動態 LINE Service 選擇：根據用戶ID選擇服務
 const realLineService = require('../services/lineService');
@@ -43,17 +52,101 @@ async function executeTaskLegacy(intent, slots, userId, messageEvent) {
   return await executeTask(intent, slots, userId);
 }
 
+/**
+ * 回覆前先附上語音轉錄文字，讓家長確認聽到的內容
+ * @param {object} service - LINE Service
+ * @param {string} echo - 轉錄確認文字
+ * @returns {object} 覆寫 replyMessage 的 LINE Service
+ */
+function withTranscriptEcho(service, echo) {
+  const wrapped = Object.create(service);
+  wrapped.replyMessage = (replyToken, message, quickReply = null) => service.replyMessage(
+    replyToken,
+    [echo, ...(Array.isArray(message) ? message : [message])],
+    quickReply,
+  );
+  return wrapped;
+}
+
+// 群組中提及機器人並說這句話時，改用發言成員的個人課表作為家庭帳號
+const LINK_ACCOUNT_RE = /^(?:綁定|連結|使用)(?:我的)?(?:課表|帳號)$/;
+
+/**
+ * 解析資料擁有者（一對一為本人，群組為家庭帳號）並補齊群組成員名稱
+ * @param {object} event - LINE 事件
+ * @param {object} req
+ * @returns {Promise<object>} familyGroupService.resolveChat 的結果
+ */
+async function resolveChatContext(event, req = null) {
+  const chat = await familyGroupService.resolveChat(event.source);
+  if (!chat.isGroup || !chat.memberId || chat.memberName) return chat;
+
+  try {
+    const profile = await getLineService(chat.memberId, req)
+      .getGroupMemberProfile(event.source.type, chat.chatId, chat.memberId);
+    await familyGroupService.upsertMembers(chat.chatId, [
+      { userId: chat.memberId, displayName: profile.displayName },
+    ]);
+    return { ...chat, memberName: profile.displayName };
+  } catch (error) {
+    console.warn('⚠️ 取得群組成員名稱失敗:', error?.message || error);
+    return chat;
+  }
+}
+
+/**
+ * 群組中的操作記錄由哪位成員執行
+ * @param {object} chat - resolveChatContext 的結果
+ * @returns {object|null}
+ */
+function getChatActor(chat) {
+  if (!chat.isGroup || !chat.memberId) return null;
+  return { userId: chat.memberId, displayName: chat.memberName || null };
+}
+
+/**
+ * 照片、影音、檔案、位置訊息是否處理（一對一聊天一律處理，群組見 shouldHandleGroupContent）
+ * @param {object} event - LINE 事件
+ * @param {object} chat - resolveChatContext 的結果
+ * @returns {Promise<boolean>}
+ */
+async function shouldHandleContentMessage(event, chat) {
+  if (!chat.isGroup) return true;
+  const [context, students] = await Promise.all([
+    getConversationManager().getContext(chat.accountId),
+    firebaseService.getStudentsByUser(chat.accountId),
+  ]);
+  const album = context?.state?.activeAlbum || null;
+  const handled = familyGroupService.shouldHandleGroupContent(event.message, {
+    studentNames: students.map((student) => student.studentName),
+    hasPendingInput: (context?.state?.expectingInput || []).length > 0,
+    hasOpenAlbum: albumService.isAlbumOpen(album, event.message.imageSet || null, Date.now()),
+  });
+  if (!handled) console.log('🤫 群組中與課程無關的非文字訊息，不處理:', event.message.type);
+  return handled;
+}
+
 /**
  * 處理文字訊息（多輪對話版本）
+ * @param {object} event - LINE 事件（語音訊息轉錄後以文字事件傳入）
+ * @param {object} req
+ * @param {object} options
+ * @param {string} options.transcriptEcho - 語音轉錄的確認文字，附在回覆最前面
  */
-async function handleTextMessage(event, req = null) {
+async function handleTextMessage(event, req = null, { transcriptEcho = null } = {}) {
   try {
-    let userMessage = event.message.text;
-    const { userId } = event.source;
     const { replyToken } = event;
     const { info, error: logError, generateTraceId } = require('../utils/logger');
     const traceId = generateTraceId('line');
 
+    // 群組：課程資料屬於家庭帳號，由發言成員操作；提及機器人的文字不參與解析
+    const chat = await resolveChatContext(event, req);
+    const { accountId: userId } = chat;
+    const mentioned = chat.isGroup && familyGroupService.isBotMentioned(event.message);
+    let userMessage = chat.isGroup
+      ? familyGroupService.stripBotMention(event.message)
+      : event.message.text;
+
     // 🔘 QuickReply 消息處理
     const {
       processQuickReplyMessage,
@@ -79,12 +172,24 @@ async function handleTextMessage(event, req = null) {
     console.log('🔍 用戶ID類型:', typeof userId);
     console.log('🔍 是否測試用戶:', userId && userId.startsWith('U_test_'));
 
-    // 🔥 核心邏輯：動態選擇 LINE Service
-    const currentLineService = getLineService(userId, req);
+    // 🔥 核心邏輯：動態選擇 LINE Service（依發言成員判斷是否為測試用戶）
+    const currentLineService = transcriptEcho
+      ? withTranscriptEcho(getLineService(chat.memberId, req), transcriptEcho)
+      : getLineService(chat.memberId, req);
 
     // 初始化對話管理器
     const conversationManager = getConversationManager();
 
+    if (mentioned && LINK_ACCOUNT_RE.test(processingMessage)) {
+      await familyGroupService.linkMemberAccount(event.source);
+      const linkMessage = `🔗 已將這個群組連結到${chat.memberName ? ` ${chat.memberName} ` : '您'}的課表\n\n群組成員都可以一起查詢、安排課程`;
+      await currentLineService.replyMessage(replyToken, linkMessage);
+      info({
+        direction: 'outbound', channel: 'line', traceId, userId, textOut: linkMessage, quickReply: false,
+      });
+      return;
+    }
+
     // 里程碑1：若啟用 IntentRouter，改由 Router 決策
     // 🔘 使用純淨消息進行意圖解析，避免【】符號干擾
     let intent;
@@ -112,15 +217,45 @@ async function handleTextMessage(event, req = null) {
       });
     } catch (_) {}
 
+    // 群組中未提及機器人：只回應課程相關訊息，家人閒聊不插話
+    if (chat.isGroup && !mentioned) {
+      const context = await conversationManager.getContext(userId);
+      const students = await firebaseService.getStudentsByUser(userId);
+      const shouldRespond = familyGroupService.shouldRespondInGroup(intent, {
+        text: processingMessage,
+        studentNames: students.map((student) => student.studentName),
+        hasPendingInput: (context?.state?.expectingInput || []).length > 0,
+      });
+      if (!shouldRespond) {
+        console.log('🤫 群組訊息未提及機器人且與課程無關，不回應:', intent);
+        return;
+      }
+    }
+
     // 里程碑1保險絲：僅保留提醒覆寫，關閉查詢覆寫避免壓過 AI
     // 🔘 使用純淨消息進行意圖檢查
     try {
       const msg = String(processingMessage || '');
-      if (msg.includes('提醒')) {
-        intent = 'set_reminder';
+      // 提醒類意圖由 intent-rules 依優先級判斷；規則與 AI 都判斷不出時才以關鍵詞補判，
+      // 「小明週三鋼琴課，前一天提醒我」等已判斷為其他意圖的訊息不覆寫。
+      // 「暫停小明的提醒」「提醒合併成一則」是通知偏好，不是設定提醒
+      if (intent === 'unknown' && msg.includes('提醒')) {
+        intent = classifyNotificationIntent(msg) || classifyReminderIntent(msg);
       }
     } catch (_) {}
 
+    // 課堂相簿：照片後的第一段文字作為說明，「補充說明」編輯同一筆記錄
+    const albumResult = await albumService.handleAlbumText(userId, processingMessage, intent);
+    if (albumResult) {
+      await conversationManager.recordUserMessage(userId, userMessage, 'record_content');
+      await conversationManager.recordBotResponse(userId, albumResult.message);
+      await currentLineService.replyMessage(replyToken, albumResult.message);
+      info({
+        direction: 'outbound', channel: 'line', traceId, userId, textOut: albumResult.message, quickReply: false,
+      });
+      return;
+    }
+
     if (intent === 'unknown') {
       // unknown 意圖不需要 slots，直接處理
       await conversationManager.recordUserMessage(userId, userMessage, intent);
@@ -138,6 +273,8 @@ async function handleTextMessage(event, req = null) {
     // 第二步：實體提取 + 查詢會話鎖（若為查詢則固定學生/時間）
     // 🔘 使用純淨消息進行槽位提取，避免【】符號干擾
     const slots = await extractSlots(processingMessage, intent, userId);
+    const actor = getChatActor(chat);
+    if (actor) slots.actor = actor;
 
     // 記錄用戶訊息到對話歷史（包含完整的 slots 資訊）
     await conversationManager.recordUserMessage(userId, userMessage, intent, slots);
@@ -204,8 +341,8 @@ async function handleTextMessage(event, req = null) {
     await conversationManager.recordTaskResult(userId, intent, slots, result);
 
     // 第五步：處理回應和 Quick Reply（使用統一渲染器）
-    const { render } = require('../nlu/ResponseRenderer');
     const responseMessage = render(intent, slots, result);
+    const responseText = toPlainText(responseMessage);
     let quickReply = null;
 
     if (result.showQuickReply || result.success) {
@@ -219,18 +356,18 @@ async function handleTextMessage(event, req = null) {
     }
 
     // 記錄機器人回應到對話歷史
-    await conversationManager.recordBotResponse(userId, responseMessage, { quickReply });
+    await conversationManager.recordBotResponse(userId, responseText, { quickReply });
 
-    // 回應用戶
+    // 回應用戶（可能是文字或 Flex 等結構化訊息）
     await currentLineService.replyMessage(replyToken, responseMessage, quickReply);
     try {
       const { recordDecision } = require('../utils/decisionLogger');
       recordDecision(traceId, {
-        stage: 'render', userId, intent, responseMessage, quickReply,
+        stage: 'render', userId, intent, responseMessage: responseText, quickReply,
       });
     } catch (_) {}
     info({
-      direction: 'outbound', channel: 'line', traceId, userId, textOut: responseMessage, quickReply: !!quickReply,
+      direction: 'outbound', channel: 'line', traceId, userId, textOut: responseText, quickReply: !!quickReply,
     });
   } catch (error) {
     const { error: logError, generateTraceId } = require('../utils/logger');
@@ -259,11 +396,15 @@ async function handleTextMessage(event, req = null) {
 
 /**
  * 處理圖片訊息
+ * 連續傳送的照片歸入同一本課堂相簿（同一筆內容記錄），對應今天剛下課的課程
  */
 async function handleImageMessage(event, req = null) {
   try {
     const messageId = event.message.id;
-    const { userId } = event.source;
+    // 群組：照片存入家庭帳號的課堂相簿
+    const chat = await resolveChatContext(event, req);
+    if (!(await shouldHandleContentMessage(event, chat))) return;
+    const { accountId: userId } = chat;
     const { replyToken } = event;
     const { info } = require('../utils/logger');
     const traceId = require('../utils/logger').generateTraceId('line');
@@ -273,28 +414,27 @@ async function handleImageMessage(event, req = null) {
     });
 
     // 動態選擇 LINE Service
-    const currentLineService = getLineService(userId, req);
+    const currentLineService = getLineService(chat.memberId, req);
 
     // 下載圖片內容
     const imageBuffer = await currentLineService.getMessageContent(messageId);
 
-    // 處理圖片上傳（記錄到課程內容）
-    const handle_record_content_task = require('../tasks/handle_record_content_task');
-
-    const slots = {
-      imageBuffer,
-      messageId,
-      content: '課堂照片', // 預設內容
-      timeReference: 'today', // 預設為今天
-    };
-
+    const imageSet = event.message.imageSet || null;
     const t0 = Date.now();
-    const result = await handle_record_content_task(slots, userId, event);
+    const result = await albumService.addPhotos(
+      userId,
+      [{ buffer: imageBuffer, fileName: `${messageId}.jpg` }],
+      imageSet,
+    );
     const latencyMs = Date.now() - t0;
     info({
-      stage: 'task', traceId, userId, intent: 'record_content', success: !!result?.success, code: result?.code || null, latencyMs,
+      stage: 'task', traceId, userId, intent: 'record_content', success: true, code: result.created ? 'ALBUM_CREATED' : 'ALBUM_APPENDED', latencyMs,
     });
 
+    // 同一批照片只在建立相簿與收齊時回覆
+    const replyText = albumService.formatAlbumReply(result, !!imageSet);
+    if (!replyText) return;
+
     // 提供圖片相關的快捷回覆按鈕
     const quickReply = [
       { label: '📝 補充說明', text: '補充課程內容' },
@@ -302,9 +442,9 @@ async function handleImageMessage(event, req = null) {
       { label: '📅 查詢記錄', text: '查詢課程記錄' },
     ];
 
-    await currentLineService.replyMessage(replyToken, result.message, quickReply);
+    await currentLineService.replyMessage(replyToken, replyText, quickReply);
     info({
-      direction: 'outbound', channel: 'line', traceId, userId, textOut: result.message, quickReply: !!quickReply,
+      direction: 'outbound', channel: 'line', traceId, userId, textOut: replyText, quickReply: !!quickReply,
     });
   } catch (error) {
     console.error('❌ 處理圖片訊息失敗:', error);
@@ -349,27 +489,38 @@ function getQuickReplyForIntent(intent, result = null) {
     { label: '📝 記錄內容', text: '記錄課程內容' },
   ];
 
+  // 確認/取消按鈕改為 postback，攜帶目標意圖與資料 ID
+  const buildConfirmCancel = (targetIntent, targetId, confirmLabel = '✅ 確認') => [
+    createPostbackQuickReply(confirmLabel, 'confirm_action', { targetIntent, targetId }, '確認'),
+    createPostbackQuickReply('❌ 取消操作', 'cancel_action', { targetIntent, targetId }, '取消操作'),
+  ];
+  const data = (result && result.data) || {};
+
   switch (intent) {
     // 核心功能意圖 - 提供確認/修改/取消操作
     case 'add_course':
     case 'create_recurring_course':
-      return [
-        { label: '✅ 確認', text: '確認' },
-        { label: '❌ 取消操作', text: '取消操作' },
-      ];
+      // 時間衝突：提供「仍要安排」與全家空檔的建議時段
+      if (result && result.code === 'CONFLICT_ERROR') {
+        return [
+          createPostbackQuickReply('✅ 仍要安排', 'confirm_action', { targetIntent: intent }, '仍要安排'),
+          ...(data.suggestedTimes || []).map((time) => createPostbackQuickReply(
+            `🕐 改到 ${time}`,
+            'confirm_action',
+            { targetIntent: intent, scheduleTime: time },
+            `改到 ${time}`,
+          )),
+          createPostbackQuickReply('❌ 取消操作', 'cancel_action', { targetIntent: intent }, '取消操作'),
+        ];
+      }
+      return buildConfirmCancel('add_course', data.courseId);
 
     case 'set_reminder':
-      return [
-        { label: '✅ 確認', text: '確認' },
-        { label: '❌ 取消操作', text: '取消操作' },
-      ];
+      return buildConfirmCancel('set_reminder', data.reminderId || data.ruleId);
 
     case 'record_content':
     case 'add_course_content':
-      return [
-        { label: '✅ 確認', text: '確認' },
-        { label: '❌ 取消操作', text: '取消操作' },
-      ];
+      return buildConfirmCancel('record_content', data.recordId);
 
     case 'cancel_course':
     case 'stop_recurring_course':
@@ -378,10 +529,7 @@ function getQuickReplyForIntent(intent, result = null) {
       if (result && result.success) {
         return null;
       }
-      return [
-        { label: '✅ 確認刪除', text: '確認' },
-        { label: '❌ 取消操作', text: '取消操作' },
-      ];
+      return buildConfirmCancel('cancel_course', data.courseId, '✅ 確認刪除');
 
     // 查詢類意圖 - 提供後續操作選項
     case 'query_schedule':
@@ -408,13 +556,184 @@ function getQuickReplyForIntent(intent, result = null) {
   }
 }
 
+// 檔案訊息大小上限（下載後需暫存於記憶體再上傳）
+const MAX_FILE_BYTES = 25 * 1024 * 1024;
+
+const MEDIA_LABELS = {
+  video: { label: '影片', extension: 'mp4' },
+  audio: { label: '錄音', extension: 'm4a' },
+};
+
+/**
+ * 檔案內容下載失敗時回覆；LINE 只保留使用者傳送的內容一段時間（404）
+ * @param {object} event
+ * @param {object} req
+ * @param {Error} error
+ * @param {string} label - 影片 / 錄音 / 檔案
+ */
+async function replyContentError(event, req, error, label) {
+  const currentLineService = getLineService(event.source.userId, req);
+  const message = error.response && error.response.status === 404
+    ? `📎 這個${label}無法下載，可能已超過 LINE 的保存時間，請重新傳送一次`
+    : `處理${label}時發生錯誤，請稍後再試。`;
+  await currentLineService.replyMessage(event.replyToken, message);
+}
+
+/**
+ * 處理影片與錄音訊息（發表會錄影等）：加入課堂相簿
+ */
+async function handleMediaMessage(event, req = null) {
+  const { label, extension } = MEDIA_LABELS[event.message.type];
+  try {
+    const messageId = event.message.id;
+    const chat = await resolveChatContext(event, req);
+    if (!(await shouldHandleContentMessage(event, chat))) return;
+    const { accountId: userId } = chat;
+    const { info } = require('../utils/logger');
+    const traceId = require('../utils/logger').generateTraceId('line');
+
+    info({
+      direction: 'inbound',
+      channel: 'line',
+      traceId,
+      userId,
+      mediaMessageId: messageId,
+      mediaType: event.message.type,
+    });
+
+    const currentLineService = getLineService(chat.memberId, req);
+    const buffer = await currentLineService.getMessageContent(messageId);
+
+    const result = await albumService.addMedia(userId, {
+      type: event.message.type,
+      buffer,
+      fileName: `${messageId}.${extension}`,
+      durationMs: event.message.duration || null,
+    });
+    const replyText = albumService.formatAlbumReply(result);
+
+    const quickReply = [
+      { label: '📝 補充說明', text: '補充課程內容' },
+      { label: '📅 查詢記錄', text: '查詢課程記錄' },
+    ];
+    await currentLineService.replyMessage(event.replyToken, replyText, quickReply);
+    info({
+      direction: 'outbound', channel: 'line', traceId, userId, textOut: replyText, quickReply: true,
+    });
+  } catch (error) {
+    console.error(`❌ 處理${label}訊息失敗:`, error);
+    await replyContentError(event, req, error, label);
+  }
+}
+
+/**
+ * 處理語音訊息：轉成文字後走文字訊息流程（意圖 → slots → 任務），回覆附上轉錄文字
+ */
+async function handleVoiceMessage(event, req = null) {
+  try {
+    const { id: messageId } = event.message;
+    const { userId } = event.source;
+    const currentLineService = getLineService(userId, req);
+
+    const buffer = await currentLineService.getMessageContent(messageId);
+    const transcript = await speechToTextService.transcribe(buffer, { fileName: `${messageId}.m4a` });
+    if (!transcript) {
+      await currentLineService.replyMessage(event.replyToken, '🎤 沒有聽清楚，請再說一次，或改用文字輸入');
+      return;
+    }
+
+    const textEvent = {
+      ...event,
+      message: { type: 'text', id: messageId, text: transcript },
+    };
+    await handleTextMessage(textEvent, req, { transcriptEcho: `🎤 聽到：「${transcript}」` });
+  } catch (error) {
+    console.error('❌ 處理語音訊息失敗:', error);
+    await replyContentError(event, req, error, '語音');
+  }
+}
+
+/**
+ * 處理檔案訊息（學習單 PDF 等）：附加到最近新增的未完成作業
+ */
+async function handleFileMessage(event, req = null) {
+  try {
+    const { id: messageId, fileName, fileSize } = event.message;
+    const chat = await resolveChatContext(event, req);
+    if (!(await shouldHandleContentMessage(event, chat))) return;
+    const { accountId: userId } = chat;
+    const currentLineService = getLineService(chat.memberId, req);
+
+    if (fileSize > MAX_FILE_BYTES) {
+      await currentLineService.replyMessage(
+        event.replyToken,
+        `❌ 檔案超過 ${MAX_FILE_BYTES / 1024 / 1024}MB，請壓縮後再傳送`,
+      );
+      return;
+    }
+
+    // 先確認有作業可附加，再下載檔案
+    const homework = await homeworkService.findAttachmentTarget(userId);
+    if (!homework) {
+      await currentLineService.replyMessage(
+        event.replyToken,
+        '❓ 目前沒有未完成的作業可以附加檔案\n\n請先新增作業，例如「小明數學作業是學習單 週五前要交」，再傳送檔案',
+      );
+      return;
+    }
+
+    const buffer = await currentLineService.getMessageContent(messageId);
+    await homeworkService.attachFile(homework, { buffer, fileName, fileSize });
+
+    const replyText = `📎 已附加到 ${homework.studentName} 的作業\n\n📝 ${homeworkService.formatHomework(homework)}\n📄 ${fileName}`;
+    await currentLineService.replyMessage(event.replyToken, replyText, [
+      { label: '📋 查詢作業', text: '還有哪些作業沒寫' },
+    ]);
+  } catch (error) {
+    console.error('❌ 處理檔案訊息失敗:', error);
+    await replyContentError(event, req, error, '檔案');
+  }
+}
+
+/**
+ * 處理位置訊息：存入地點名錄並選擇要套用的課程
+ */
+async function handleLocationMessage(event, req = null) {
+  try {
+    const chat = await resolveChatContext(event, req);
+    if (!(await shouldHandleContentMessage(event, chat))) return;
+    const { accountId: userId } = chat;
+    const {
+      title, address, latitude, longitude,
+    } = event.message;
+    const currentLineService = getLineService(chat.memberId, req);
+
+    const slots = {
+      name: title || null,
+      address: address || null,
+      latitude,
+      longitude,
+    };
+    const actor = getChatActor(chat);
+    if (actor) slots.actor = actor;
+    const result = await executeTask('set_course_venue', slots, userId, event);
+    const quickReply = result.quickReply || null;
+    await currentLineService.replyMessage(event.replyToken, result.message, quickReply);
+  } catch (error) {
+    console.error('❌ 處理位置訊息失敗:', error);
+    const currentLineService = getLineService(event.source.userId, req);
+    await currentLineService.replyMessage(event.replyToken, '處理位置時發生錯誤，請稍後再試。');
+  }
+}
+
 /**
  * 處理 Postback 事件（按鈕點擊）
  */
 async function handlePostbackEvent(event, req = null) {
   try {
     const { data } = event.postback;
-    const { userId } = event.source;
+    const chat = await resolveChatContext(event, req);
+    const { accountId: userId } = chat;
     const { replyToken } = event;
     const { info } = require('../utils/logger');
     const traceId = require('../utils/logger').generateTraceId('line');
@@ -424,31 +743,43 @@ async function handlePostbackEvent(event, req = null) {
     });
 
     // 動態選擇 LINE Service
-    const currentLineService = getLineService(userId, req);
+    const currentLineService = getLineService(chat.memberId, req);
+
+    // 解析並驗證已簽章的 postback 資料
+    const parsed = parsePostbackData(data);
+
+    if (!parsed.valid) {
+      console.warn('⚠️ 無效的 Postback 資料:', { error: parsed.error, action: parsed.action });
+      const invalidMessage = '⌛ 這個按鈕已失效，請重新輸入您的需求。';
+      await currentLineService.replyMessage(replyToken, invalidMessage);
+      info({
+        direction: 'outbound', channel: 'line', traceId, userId, textOut: invalidMessage,
+      });
+      return;
+    }
+
+    const { intent, slots } = parsed;
+    const actor = getChatActor(chat);
+    if (actor) slots.actor = actor;
+    console.log('🔘 Postback 派送:', { action: parsed.action, intent, slots });
+
+    // 與文字訊息共用任務執行、上下文記錄與渲染流程
+    const conversationManager = getConversationManager();
+    const result = await executeTask(intent, slots, userId, event);
+    await conversationManager.recordTaskResult(userId, intent, slots, result);
 
-    // 解析 postback 資料
-    const params = new URLSearchParams(data);
-    const action = params.get('action');
-
-    let responseMessage = '操作已處理';
-
-    switch (action) {
-      case 'confirm_course':
-        responseMessage = '✅ 課程已確認並儲存';
-        break;
-      case 'modify_course':
-        responseMessage = '📝 請告訴我要修改什麼內容';
-        break;
-      case 'cancel_operation':
-        responseMessage = '❌ 操作已取消';
-        break;
-      default:
-        responseMessage = '未知的操作';
+    const responseMessage = render(intent, slots, result);
+    const responseText = toPlainText(responseMessage);
+    let quickReply = null;
+
+    if (result.showQuickReply || result.success) {
+      quickReply = result.quickReply || getQuickReplyForIntent(intent, result);
     }
 
-    await currentLineService.replyMessage(replyToken, responseMessage);
+    await conversationManager.recordBotResponse(userId, responseText, { quickReply });
+    await currentLineService.replyMessage(replyToken, responseMessage, quickReply);
     info({
-      direction: 'outbound', channel: 'line', traceId, userId, textOut: responseMessage,
+      direction: 'outbound', channel: 'line', traceId, userId, textOut: responseText, quickReply: !!quickReply,
     });
   } catch (error) {
     console.error('❌ 處理 Postback 事件失敗:', error);
@@ -483,7 +814,6 @@ async function handleFollowEvent(event) {
     console.log('👤 用戶資料:', userProfile);
 
     // 建立或更新家長資料
-    const firebaseService = require('../services/firebaseService');
     await firebaseService.getOrCreateParent(userId, userProfile.displayName);
 
     const welcomeMessage = '👋 歡迎使用課程管理機器人！\n\n我可以幫您：\n📚 安排和管理課程\n📅 查詢課程時間表\n📝 記錄課程內容和照片\n⏰ 設定課程提醒\n\n試試對我說：「小明每週三下午3點數學課」';
@@ -503,6 +833,60 @@ async function handleFollowEvent(event) {
   }
 }
 
+const GROUP_WELCOME_MESSAGE = '👋 大家好！我是課程管理機器人\n\n全家可以在這個群組一起安排和查詢孩子的課程：\n📚 「小明每週三下午3點數學課」\n📅 「小明明天有什麼課」\n⏰ 「提醒我小明鋼琴課」\n\n聊天時我不會插話；要找我請 @我\n想沿用您原本的課表，請 @我 說「綁定我的課表」';
+
+/**
+ * 處理機器人被加入群組/多人聊天室
+ */
+async function handleJoinEvent(event) {
+  const chatId = familyGroupService.getChatId(event.source);
+  const currentLineService = getLineService(chatId);
+  try {
+    await familyGroupService.activateFamilyGroup(event.source);
+    await currentLineService.replyMessage(event.replyToken, GROUP_WELCOME_MESSAGE);
+  } catch (error) {
+    console.error('❌ 處理加入群組事件失敗:', error);
+  }
+}
+
+/**
+ * 處理機器人被移出群組（無法回覆，只停用群組紀錄）
+ */
+async function handleLeaveEvent(event) {
+  try {
+    await familyGroupService.deactivateFamilyGroup(event.source);
+  } catch (error) {
+    console.error('❌ 處理離開群組事件失敗:', error);
+  }
+}
+
+/**
+ * 處理新成員加入群組：記錄成員並簡短說明用法
+ */
+async function handleMemberJoinedEvent(event, req = null) {
+  const chatId = familyGroupService.getChatId(event.source);
+  const members = (event.joined?.members || []).filter((member) => member.type === 'user');
+  const currentLineService = getLineService(members[0]?.userId || chatId, req);
+  try {
+    const profiles = await Promise.all(members.map(async (member) => {
+      try {
+        const profile = await currentLineService
+          .getGroupMemberProfile(event.source.type, chatId, member.userId);
+        return { userId: member.userId, displayName: profile.displayName };
+      } catch (_) {
+        return { userId: member.userId };
+      }
+    }));
+    await familyGroupService.upsertMembers(chatId, profiles);
+
+    const names = profiles.map((profile) => profile.displayName).filter(Boolean);
+    const welcomeMessage = `👋 歡迎${names.length > 0 ? ` ${names.join('、')} ` : ''}加入！\n\n這個群組的課表全家共用，直接說「小明明天有什麼課」就能查詢`;
+    await currentLineService.replyMessage(event.replyToken, welcomeMessage);
+  } catch (error) {
+    console.error('❌ 處理成員加入事件失敗:', error);
+  }
+}
+
 /**
  * 驗證 Webhook 簽名
  */
@@ -521,6 +905,60 @@ function verifySignature(body, signature) {
   return hash === signature;
 }
 
+/**
+ * 依事件類型分派處理（同一批事件依序處理，維持對話上下文順序）
+ */
+async function handleEvent(event, req) {
+  switch (event.type) {
+    case 'message':
+      // 群組中的非文字訊息由各處理函式判斷是否與課程相關（語音轉文字後同文字訊息）
+      if (event.message.type === 'text') {
+        await handleTextMessage(event, req);
+      } else if (event.message.type === 'image') {
+        console.log('📸 圖片訊息完整資料:', JSON.stringify(event.message, null, 2));
+        await handleImageMessage(event, req);
+      } else if (event.message.type === 'audio' && speechToTextService.isVoiceCommand(event.message)) {
+        await handleVoiceMessage(event, req);
+      } else if (event.message.type === 'video' || event.message.type === 'audio') {
+        await handleMediaMessage(event, req);
+      } else if (event.message.type === 'file') {
+        await handleFileMessage(event, req);
+      } else if (event.message.type === 'location') {
+        await handleLocationMessage(event, req);
+      } else {
+        console.log('❓ 不支援的訊息類型:', event.message.type);
+      }
+      break;
+
+    case 'postback':
+      await handlePostbackEvent(event, req);
+      break;
+
+    case 'follow':
+      await handleFollowEvent(event);
+      break;
+
+    case 'unfollow':
+      console.log('👋 用戶取消關注:', event.source.userId);
+      break;
+
+    case 'join':
+      await handleJoinEvent(event);
+      break;
+
+    case 'leave':
+      await handleLeaveEvent(event);
+      break;
+
+    case 'memberJoined':
+      await handleMemberJoinedEvent(event, req);
+      break;
+
+    default:
+      console.log('❓ 不支援的事件類型:', event.type);
+  }
+}
+
 /**
  * 主要 Webhook 處理函式
  */
@@ -560,33 +998,7 @@ async function handleWebhook(req, res) {
         console.warn('⚠️ 重置上下文處理失敗:', e?.message || e);
       }
 
-      switch (event.type) {
-        case 'message':
-          if (event.message.type === 'text') {
-            await handleTextMessage(event, req);
-          } else if (event.message.type === 'image') {
-            console.log('📸 圖片訊息完整資料:', JSON.stringify(event.message, null, 2));
-            await handleImageMessage(event, req);
-          } else {
-            console.log('❓ 不支援的訊息類型:', event.message.type);
-          }
-          break;
-
-        case 'postback':
-          await handlePostbackEvent(event, req);
-          break;
-
-        case 'follow':
-          await handleFollowEvent(event);
-          break;
-
-        case 'unfollow':
-          console.log('👋 用戶取消關注:', event.source.userId);
-          break;
-
-        default:
-          console.log('❓ 不支援的事件類型:', event.type);
-      }
+      await handleEvent(event, req);
     }
 
     res.status(200).json({ status: 'ok' });
@@ -600,8 +1012,15 @@ module.exports = {
   handleWebhook,
   handleTextMessage,
   handleImageMessage,
+  handleMediaMessage,
+  handleVoiceMessage,
+  handleFileMessage,
+  handleLocationMessage,
   handlePostbackEvent,
   handleFollowEvent,
+  handleJoinEvent,
+  handleLeaveEvent,
+  handleMemberJoinedEvent,
   verifySignature,
   getLineService,
 };
@@ -164,6 +164,8 @@ class ConversationManager {
         },
         // 查詢會話鎖：避免不同學生的查詢互相串台
         activeQuerySession: null, // { studentName, timeReference, startedAt }
+        // 課堂相簿：連續傳送的照片歸入同一筆內容記錄
+        activeAlbum: null, // { recordId, folderId, photoCount, lastPhotoAt, captioned, ... }
       },
     };
   }
@@ -451,6 +453,23 @@ class ConversationManager {
     return this.saveContext(userId, context);
   }
 
+  /**
+   * 讀取目前的課堂相簿狀態
+   */
+  async getActiveAlbum(userId) {
+    const context = await this.getContext(userId);
+    return context.state.activeAlbum || null;
+  }
+
+  /**
+   * 設定/清除課堂相簿狀態（傳入 null 清除）
+   */
+  async setActiveAlbum(userId, album) {
+    const context = await this.getContext(userId);
+    context.state.activeAlbum = album;
+    return this.saveContext(userId, context);
+  }
+
   /**
    * 取得健康狀態
    * @returns {Promise<object>} 健康狀態資訊
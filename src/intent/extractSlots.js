@@ -3,6 +3,23 @@
  * 根據不同意圖類型提取對應的實體欄位
  */
 
+const { ChineseNumberConverter } = require('./timeParser');
+const {
+  normalizeNthWeeks,
+  getTaipeiTodayString,
+  getDaysInMonth,
+  getMonthDateRange,
+  getWeekdayOfDate,
+  addDaysToDateString,
+  getWeekdayDateInWeek,
+} = require('../utils/recurrenceUtils');
+const { getMinutesBetween, MAX_DURATION_MINUTES } = require('../utils/durationUtils');
+const { TEACHER_CANCELLED_RE } = require('../utils/attendanceUtils');
+const { STANDING_REMINDER_RE } = require('../utils/reminderUtils');
+const { detectPreferenceSettings } = require('../utils/notificationPreferenceUtils');
+
+const chineseNumberConverter = new ChineseNumberConverter();
+
 /**
  * 時間相關的輔助函式
  */
@@ -192,6 +209,841 @@ function parseMonthDay(message) {
   return null;
 }
 
+/**
+ * 相對日期詞（timeReference）與今天的天數差
+ */
+const DAY_REFERENCE_OFFSETS = {
+  today: 0,
+  tomorrow: 1,
+  day_after_tomorrow: 2,
+  yesterday: -1,
+  day_before_yesterday: -2,
+};
+
+/**
+ * 解析「這週三 / 下週四 / 上星期五」為具體日期（週一為一週開始）
+ * 未指明週次（如「週四」）時取基準日所在的那一週；「每週三」不視為單一日期
+ * @param {string} text
+ * @param {string|null} baseDate - 基準日 YYYY-MM-DD（預設今天）
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseWeekdayDate(text, baseDate = null) {
+  const match = String(text || '').match(/(?<!每)(這|本|下下|下|上)?個?(?:週|周|星期|禮拜)([一二三四五六日天])/);
+  if (!match) return null;
+
+  const weekOffsets = {
+    這: 0, 本: 0, 下下: 2, 下: 1, 上: -1,
+  };
+  const weekdays = {
+    日: 0, 天: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6,
+  };
+  const base = match[1] || !baseDate ? getTaipeiTodayString() : baseDate;
+  return getWeekdayDateInWeek(base, weekdays[match[2]], weekOffsets[match[1]] || 0);
+}
+
+/**
+ * 從訊息中提取「每月第 N 個星期幾」規則
+ * 例：「每月第一個和第三個星期六」→ { nthWeek: [1, 3], dayOfWeek: [6] }
+ *     「每月最後一個週五」→ { nthWeek: [-1], dayOfWeek: [5] }
+ * @param {string} message
+ * @returns {{ nthWeek: Array<number>, dayOfWeek: Array<number> }|null}
+ */
+function parseNthWeekdays(message) {
+  try {
+    if (!message) return null;
+    const nthRe = /((?:第[一二三四五1-5]|最後一?)(?:個|週|周)?(?:[、，,和與及]+(?:第?[一二三四五1-5]|最後一?)(?:個|週|周)?)*)的?(星期|週|周|禮拜)([一二三四五六日天])/;
+    const m = message.match(nthRe);
+    if (!m) return null;
+
+    const ordinalMap = {
+      一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 1: 1, 2: 2, 3: 3, 4: 4, 5: 5,
+    };
+    const dayMap = {
+      日: 0, 天: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6,
+    };
+
+    const ordinalText = m[1];
+    // 先處理「最後一個」，避免其中的「一」被當成第一個
+    const rawNths = /最後/.test(ordinalText) ? [-1] : [];
+    const rest = ordinalText.replace(/最後一?/g, '');
+    (rest.match(/[一二三四五1-5]/g) || []).forEach((ch) => rawNths.push(ordinalMap[ch]));
+
+    const nthWeek = normalizeNthWeeks(rawNths);
+    if (nthWeek.length === 0) return null;
+    return { nthWeek, dayOfWeek: [dayMap[m[3]]] };
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * 系列起訖語句（共10堂 / 上到6月底 / 上到年底 / 從下週開始）
+ */
+/**
+ * 上課時段（起訖）與時長的句型
+ * 例：「下午2點到3點半」「14:00-15:30」「兩小時」「一個半小時」「90分鐘」
+ */
+const CLOCK_TIME_PATTERN = '(?:上午|早上|中午|下午|晚上)?\\s*'
+  + '(?:\\d{1,2}[:：]\\d{2}|[\\d一二兩三四五六七八九十]{1,3}[點時](?:半|\\d{1,2}分?)?)';
+const TIME_RANGE_RE = new RegExp(`${CLOCK_TIME_PATTERN}\\s*(?:到|至|-|~|～)\\s*(${CLOCK_TIME_PATTERN})`);
+const DURATION_HOURS_RE = /(\d+(?:\.\d+)?|[一二兩三四五六七八九十]+)\s*個?\s*(半)?\s*(?:小時|鐘頭)(半)?/;
+const DURATION_HALF_HOUR_RE = /半\s*個?\s*(?:小時|鐘頭)/;
+const DURATION_MINUTES_RE = /(\d+|[一二兩三四五六七八九十]+)\s*分鐘/;
+
+/**
+ * 解析上課時段的結束時間（「下午2點到3點半」→ 15:30）
+ * 結束時間未標示上午/下午時，沿用開始時間的時段
+ * @param {string} message
+ * @param {string|null} startTime - 已解析的開始時間 HH:MM
+ * @returns {string|null} HH:MM
+ */
+function parseEndTime(message, startTime) {
+  if (!startTime) return null;
+  const match = String(message || '').match(TIME_RANGE_RE);
+  if (!match) return null;
+
+  const endTime = parseScheduleTime(match[1]);
+  const minutes = getMinutesBetween(startTime, endTime);
+  if (!minutes) return null;
+
+  const [hour, minute] = startTime.split(':').map((n) => parseInt(n, 10));
+  const total = hour * 60 + minute + minutes;
+  return `${String(Math.floor(total / 60) % 24).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 解析上課時長（分鐘）：「兩小時」→ 120、「一個半小時」→ 90、「半小時」→ 30、「1小時30分鐘」→ 90
+ * @param {string} message
+ * @returns {number|null}
+ */
+function parseDurationMinutes(message) {
+  const text = String(message || '');
+  const toNumber = (raw) => (/^\d+(\.\d+)?$/.test(raw)
+    ? parseFloat(raw)
+    : chineseNumberConverter.convertChineseNumber(raw));
+
+  let minutes = 0;
+  const hourMatch = text.match(DURATION_HOURS_RE);
+  if (hourMatch) {
+    minutes += Math.round((toNumber(hourMatch[1]) || 0) * 60);
+    if (hourMatch[2] || hourMatch[3]) minutes += 30;
+  } else if (DURATION_HALF_HOUR_RE.test(text)) {
+    minutes += 30;
+  }
+
+  const minuteMatch = text.match(DURATION_MINUTES_RE);
+  if (minuteMatch) minutes += toNumber(minuteMatch[1]) || 0;
+
+  return minutes > 0 && minutes <= MAX_DURATION_MINUTES ? minutes : null;
+}
+
+/**
+ * 解析查詢的時段範圍：上午/早上 → morning、下午 → afternoon、晚上 → evening
+ * @param {string} message
+ * @returns {string|null}
+ */
+function parsePartOfDay(message) {
+  const text = String(message || '');
+  if (/上午|早上/.test(text)) return 'morning';
+  if (/下午/.test(text)) return 'afternoon';
+  if (/晚上|傍晚/.test(text)) return 'evening';
+  return null;
+}
+
+const LOCATION_SUFFIXES = '中心|教室|學校|國小|國中|高中|大學|補習班|會館|館|校區|分校|社區|公園|家裡|家|室|場|樓|店|院';
+// 「在大安運動中心」「在古亭教室上」：以場所字尾截斷，避免吃入後面的課名
+const LOCATION_AT_RE = new RegExp(`(?<![現正存實所])在([一-龥A-Za-z0-9]{0,14}?(?:${LOCATION_SUFFIXES}))(?:上課|上)?`);
+// 「地點：大安運動中心」「上課地點是古亭教室」
+const LOCATION_LABEL_RE = /(?:上課)?地點\s*[是為在:：]?\s*([^\s，,。、]{2,30})/;
+const TEACHER_TITLES = '老師|教練|教授|講師|導師';
+// 「，王教練」「Amy老師」：前方有分隔時可取 1-3 字全名；否則只取緊鄰的姓氏
+const TEACHER_DELIMITED_RE = new RegExp(
+  `(?:^|[\\s，,、:：(（]|跟|和|與|由|是)([一-龥]{1,3}|[A-Za-z]{2,12})\\s*(${TEACHER_TITLES})`,
+);
+const TEACHER_SURNAME_RE = new RegExp(`([一-龥])(${TEACHER_TITLES})`);
+
+/**
+ * 解析上課地點：「在大安運動中心游泳課」→ 大安運動中心、「地點：古亭教室」→ 古亭教室
+ * @param {string} message
+ * @returns {{ location: string, matched: string }|null} matched 為原句中對應片段，供清除用
+ */
+function parseLocation(message) {
+  const text = String(message || '');
+  const match = text.match(LOCATION_LABEL_RE) || text.match(LOCATION_AT_RE);
+  if (!match || !match[1]) return null;
+  return { location: match[1], matched: match[0] };
+}
+
+/**
+ * 解析授課老師：「王老師」「，王教練」「Amy老師」→ 保留稱謂，例：王教練
+ * @param {string} message
+ * @returns {{ teacher: string, matched: string }|null} matched 為原句中對應片段，供清除用
+ */
+function parseTeacher(message) {
+  const text = String(message || '');
+  if (/老師說/.test(text)) return null; // 「老師說小光表現很好」為課程記錄語句
+  const delimited = text.match(TEACHER_DELIMITED_RE);
+  if (delimited) {
+    return {
+      teacher: `${delimited[1]}${delimited[2]}`,
+      matched: delimited[0].slice(delimited[0].indexOf(delimited[1])),
+    };
+  }
+  const surname = text.match(TEACHER_SURNAME_RE);
+  if (!surname || /[的位個跟和與]/.test(surname[1])) return null;
+  return { teacher: surname[0], matched: surname[0] };
+}
+
+/**
+ * 移除地點與老師片段，避免被誤判為學生或課程名稱
+ * @param {string} message
+ * @returns {string}
+ */
+function stripLocationAndTeacher(message) {
+  if (!message) return message;
+  let text = message;
+  const location = parseLocation(text);
+  if (location) text = text.replace(location.matched, ' ');
+  const teacher = parseTeacher(text);
+  if (teacher) text = text.replace(teacher.matched, ' ');
+  return text.replace(/[，,、\s]+$/, '').trim();
+}
+
+const MAKEUP_RE = /補課|補[一-龥A-Za-z]{1,6}課/;
+
+/**
+ * 整理補課語句供姓名/課名擷取：「安排鋼琴課的補課」「補鋼琴課」→「鋼琴課」
+ * 「X補課」的 X 可能是學生或科目，保留「補課」由呼叫端先擷取學生再判斷
+ * @param {string} message
+ * @returns {string}
+ */
+function stripMakeupPhrases(message) {
+  return String(message || '')
+    .replace(/幫我|幫|安排|新增/g, ' ')
+    .replace(/的補課/g, '')
+    .replace(/補([一-龥A-Za-z]{1,6}課)/g, '$1');
+}
+
+// 順序有意義：「老師請假」需先於一般「請假」判斷
+const ATTENDANCE_STATUS_PATTERNS = [
+  ['teacher_cancelled', TEACHER_CANCELLED_RE],
+  ['leave', /請假/],
+  ['absent', /缺席|缺課|曠課|翹課|沒去|沒上/],
+  ['attended', /有上|有去|出席|上完|到課/],
+];
+const RELATIVE_DAY_OFFSETS = {
+  today: 0, yesterday: -1, day_before_yesterday: -2, tomorrow: 1, day_after_tomorrow: 2,
+};
+
+/**
+ * 解析出缺席狀態：「請假」→ leave、「有上」→ attended、「缺席」→ absent、「老師請假」→ teacher_cancelled
+ * @param {string} message
+ * @returns {string|null}
+ */
+function parseAttendanceStatus(message) {
+  const text = String(message || '');
+  const hit = ATTENDANCE_STATUS_PATTERNS.find(([, re]) => re.test(text));
+  return hit ? hit[0] : null;
+}
+
+/**
+ * 解析出缺席所指的上課日期：具體日期 > 週幾 > 今天/昨天/前天
+ * 未指明週次的「週三」指最近一次（今天以前），因為出缺席多為事後記錄
+ * @param {string} message
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseAttendanceDate(message) {
+  const specific = parseSpecificDate(message);
+  if (specific) return specific;
+  const today = getTaipeiTodayString();
+  const weekdayDate = parseWeekdayDate(message);
+  if (weekdayDate) {
+    const hasWeekPrefix = /(這|本|上|下)個?(週|周|星期|禮拜)[一二三四五六日天]/.test(message);
+    return !hasWeekPrefix && weekdayDate > today ? addDaysToDateString(weekdayDate, -7) : weekdayDate;
+  }
+  const offset = RELATIVE_DAY_OFFSETS[parseTimeReference(message)];
+  return offset === undefined ? null : addDaysToDateString(today, offset);
+}
+
+/**
+ * 解析統計月份：「這個月/本月」→ 本月、「上個月」→ 上月、「9月」→ 今年9月
+ * @param {string} message
+ * @returns {string} YYYY-MM（未指定時為本月）
+ */
+function parseMonthReference(message) {
+  const text = String(message || '');
+  const [year, month] = getTaipeiTodayString().split('-').map((n) => parseInt(n, 10));
+  const monthMatch = text.match(/(?:(\d{4})年)?(\d{1,2}|[一二三四五六七八九十]{1,3})月(?!底|末)/);
+  let targetYear = year;
+  let targetMonth = month;
+  if (/上個?月/.test(text)) {
+    targetMonth -= 1;
+  } else if (monthMatch && !/[這本下]個?月/.test(text)) {
+    const parsed = /^\d+$/.test(monthMatch[2])
+      ? parseInt(monthMatch[2], 10)
+      : chineseNumberConverter.convertChineseNumber(monthMatch[2]);
+    if (parsed >= 1 && parsed <= 12) {
+      targetMonth = parsed;
+      if (monthMatch[1]) targetYear = parseInt(monthMatch[1], 10);
+    }
+  }
+  if (targetMonth < 1) {
+    targetMonth += 12;
+    targetYear -= 1;
+  }
+  return `${targetYear}-${String(targetMonth).padStart(2, '0')}`;
+}
+
+/**
+ * 移除時間詞與出缺席用語，供課名擷取（「小明今天鋼琴課請假」→「小明 鋼琴課」）
+ * @param {string} message
+ * @returns {string}
+ */
+function stripAttendancePhrases(message) {
+  return ATTENDANCE_STATUS_PATTERNS
+    .reduce((text, [, re]) => text.replace(new RegExp(re.source, 'g'), ' '), String(message || ''))
+    .replace(/(這|本|上|下)?個?(週|周|星期|禮拜)[一二三四五六日天]|今天|昨天|前天|明天|後天/g, ' ')
+    .replace(/(這|本|上)個?月|\d{1,2}月/g, ' ')
+    .replace(/的(?=\s|$)/g, ' ');
+}
+
+const PACKAGE_LESSONS_RE = /(\d+|[一二三四五六七八九十]+)\s*堂/;
+const PACKAGE_AMOUNT_RE = /(?:繳了?|付了?|花了?|共|學費)\s*(?:NT\$?|\$)?\s*(\d[\d,]*)\s*(?:元|塊)?|(\d[\d,]*)\s*(?:元|塊)/;
+const PACKAGE_PHRASES_RE = /買了?|購買|續約|續購|繳了?|付了?|花了?|共|學費|NT\$?|\$|(\d+|[一二三四五六七八九十]+)\s*堂|\d[\d,]*\s*(元|塊)?/g;
+
+/**
+ * 解析課程方案：「鋼琴課買了12堂 繳了9600」→ { lessonCount: 12, amount: 9600 }
+ * @param {string} message
+ * @returns {{ lessonCount: number|null, amount: number|null }}
+ */
+function parsePackage(message) {
+  const text = String(message || '');
+  const lessonMatch = text.match(PACKAGE_LESSONS_RE);
+  const amountMatch = text.replace(PACKAGE_LESSONS_RE, ' ').match(PACKAGE_AMOUNT_RE);
+  let lessonCount = null;
+  if (lessonMatch) {
+    lessonCount = /^\d+$/.test(lessonMatch[1])
+      ? parseInt(lessonMatch[1], 10)
+      : chineseNumberConverter.convertChineseNumber(lessonMatch[1]);
+  }
+  const rawAmount = amountMatch ? (amountMatch[1] || amountMatch[2]) : null;
+  return {
+    lessonCount: lessonCount > 0 ? lessonCount : null,
+    amount: rawAmount ? parseInt(rawAmount.replace(/,/g, ''), 10) : null,
+  };
+}
+
+const HOMEWORK_KEYWORD_RE = /作業|功課|練習|習題/;
+const HOMEWORK_DUE_RE = /[，,\s]*(今天|明天|後天|(?:這|本|下下|下)?個?(?:週|周|星期|禮拜)[一二三四五六日天]|\d{1,2}(?:[/／]|月)\d{1,2}[日號]?)\s*(?:之?前)?\s*(?:要|得|需要|必須)?\s*(?:交|繳交|完成|寫完|截止)/;
+const HOMEWORK_FILLER_RE = /幫我|幫|記錄|紀錄|新增|登記|寫完|做完|已?完成|還沒|沒寫|沒做|還有|有哪些|哪些|什麼|幾[份個項]|查詢|查|看看|今天|明天|後天|(?:這|本|下)?個?(?:週|周|星期|禮拜)[一二三四五六日天]?/g;
+
+/**
+ * 解析作業繳交日：「下週三前要交」「明天要交」「週五前完成」「10/23交」
+ * 未指明週次的「週三」指下一次（今天以後），因為繳交日多在記錄之後；
+ * 同理，已過的月/日指明年（10 月說「5/20前交」→ 明年 5/20）
+ * @param {string} message
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseHomeworkDueDate(message) {
+  const match = String(message || '').match(HOMEWORK_DUE_RE);
+  if (!match) return null;
+  const token = match[1].replace(/(\d{1,2})月(\d{1,2})[日號]?/, '$1/$2').replace('／', '/');
+  const today = getTaipeiTodayString();
+  const specific = parseSpecificDate(token);
+  if (specific) {
+    return specific < today ? `${Number(specific.slice(0, 4)) + 1}${specific.slice(4)}` : specific;
+  }
+  const weekdayDate = parseWeekdayDate(token);
+  if (weekdayDate) {
+    const hasWeekPrefix = /^(這|本|下)/.test(token);
+    return !hasWeekPrefix && weekdayDate < today ? addDaysToDateString(weekdayDate, 7) : weekdayDate;
+  }
+  const offset = RELATIVE_DAY_OFFSETS[parseTimeReference(token)];
+  return offset === undefined ? null : addDaysToDateString(today, offset);
+}
+
+/**
+ * 由「作業/功課/練習」前的詞拆出學生與科目
+ * 「小明數學作業」「小明的數學作業」→ 小明 / 數學課；「數學作業」→ 數學課；「小明還有哪些作業」→ 小明
+ * 姓名與科目相連時科目視為兩字（數學、英文、鋼琴）
+ * @param {string} message
+ * @returns {{ studentName: string|null, courseName: string|null }}
+ */
+function parseHomeworkOwner(message) {
+  const text = String(message || '').replace(HOMEWORK_DUE_RE, ' ');
+  const index = text.search(HOMEWORK_KEYWORD_RE);
+  if (index < 0) return { studentName: null, courseName: null };
+  const segments = text.slice(0, index).replace(HOMEWORK_FILLER_RE, ' ').trim().split(/[\s，,。]+/);
+  const prefix = segments.pop().replace(/課?的?$/, '');
+
+  let studentName = null;
+  let subject = prefix;
+  const latinName = prefix.match(/^([A-Za-z]+)([一-龥]+)$/);
+  if (prefix.includes('的')) {
+    [studentName, subject] = prefix.split('的');
+  } else if (latinName) {
+    [, studentName, subject] = latinName;
+  } else if (/^[小大][一-龥]$/.test(prefix)) {
+    studentName = prefix;
+    subject = '';
+  } else if (prefix.length >= 4) {
+    studentName = prefix.slice(0, -2);
+    subject = prefix.slice(-2);
+  }
+  if (!studentName && segments.length > 0) studentName = extractLeadingStudentName(segments[0]);
+
+  subject = subject.replace(/課$/, '');
+  return {
+    studentName: studentName || null,
+    courseName: subject.length >= 2 ? `${subject}課` : null,
+  };
+}
+
+const CONTENT_KEYWORD_RE = /(?:有沒有|是否|哪[一幾]?次|什麼時候)(?:提到|講到|說到|提過|講過|說過|教過|學過|教到|學到)(?:過)?([^，,。?？\s]+?)(?:嗎|呢|[?？]|$)/;
+const CONTENT_QUERY_PHRASES_RE = /(?:這|本|上)個?(?:週|周|星期|禮拜)|學了什麼|教了什麼|學到什麼|老師說了?什麼|說了?什麼|的?內容|紀錄|記錄|上次|最近|查詢|查|看看/g;
+
+/**
+ * 解析內容查詢的日期區間
+ * 「這週/上週」→ 整週、「這個月/上個月/9月」→ 整月、「昨天/週三/10/15」→ 單日；未指定為 null（不限日期）
+ * @param {string} message
+ * @returns {{ startDate: string, endDate: string }|null}
+ */
+function parseContentDateRange(message) {
+  const text = String(message || '');
+  const weekMatch = text.match(/(這|本|上)個?(?:週|周|星期|禮拜)(?![一二三四五六日天])/);
+  if (weekMatch) {
+    const startDate = getWeekdayDateInWeek(getTaipeiTodayString(), 1, weekMatch[1] === '上' ? -1 : 0);
+    return { startDate, endDate: addDaysToDateString(startDate, 6) };
+  }
+  if (/(這|本|上)個?月|\d{1,2}月(?!\d|底|末)|[一二三四五六七八九十]{1,3}月/.test(text)) {
+    return getMonthDateRange(parseMonthReference(text));
+  }
+  const day = parseAttendanceDate(text);
+  return day ? { startDate: day, endDate: day } : null;
+}
+
+/**
+ * 解析內容查詢的關鍵字：「有沒有提到分數」→ 分數
+ * @param {string} message
+ * @returns {string|null}
+ */
+function parseContentKeyword(message) {
+  const match = String(message || '').match(CONTENT_KEYWORD_RE);
+  return match ? match[1] : null;
+}
+
+/**
+ * 查詢類短句清除時間與查詢用語後，開頭詞即為姓名（「小明這個月出席統計」→「小明」）
+ * 開頭詞帶有科目時一併去除（「小明鋼琴課」→「小明」）
+ * @param {string} source - 已清除查詢用語的語句
+ * @returns {string|null}
+ */
+function extractLeadingStudentName(source) {
+  const [leading = ''] = String(source || '').trim().split(/\s+/);
+  const name = leading.replace(/(?<=.{2})[一-龥]{2}課$/, '');
+  return /^[小大]?[一-龥A-Za-z]{1,5}[^課]$/.test(name) ? name : null;
+}
+
+// 提醒時機的相對日：「前一天晚上8點」「當天早上7點」
+const REMINDER_DAY_OFFSETS = [
+  [/前兩天/, -2],
+  [/前一?天|前一?晚/, -1],
+  [/當天|當日|上課那天/, 0],
+];
+// 提醒所指課堂的日期與星期用語（課名、姓名提取前先清除）
+const REMINDER_DATE_WORDS_RE = /今天|明天|後天|(?:這|本|下)?個?(?:週|周|星期|禮拜)[一二三四五六日天]|\d{1,2}[/-]\d{1,2}/g;
+
+/**
+ * 解析提醒提前多久：「前30分鐘」「前一小時」「半小時前」
+ * @param {string} message
+ * @returns {number|null} 分鐘數
+ */
+function parseReminderLead(message) {
+  const text = String(message || '');
+  // 支援中文數字（「前一小時」「前十五分鐘」）
+  const toLeadNumber = (value) => (/^\d+$/.test(value)
+    ? parseInt(value, 10)
+    : chineseNumberConverter.convertChineseNumber(value));
+  const minuteMatch = text.match(/([\d一二兩三四五六七八九十]+)\s*分鐘/);
+  const hourMatch = text.match(/([\d一二兩三四五六七八九十]+)\s*個?(?:小時|鐘頭)/);
+  let reminderTime = null;
+  if (minuteMatch) {
+    reminderTime = toLeadNumber(minuteMatch[1]);
+  } else if (hourMatch) {
+    reminderTime = toLeadNumber(hourMatch[1]) * 60;
+  } else if (/半(?:個)?(?:小時|鐘頭)/.test(text)) {
+    reminderTime = 30;
+  }
+  return reminderTime === null || Number.isNaN(reminderTime) ? null : reminderTime;
+}
+
+// 時刻片段：「晚上9點」「早上7點半」「20:30」
+const REMINDER_CLOCK_SOURCE = '(?:早上|上午|中午|下午|晚上)?\\s*[\\d一二兩三四五六七八九十]+\\s*[點:：時](?:半|[\\d一二三四五六七八九十]+分?)?';
+// 「前一天晚上9點」「當天早上7點」：相對日 + 時刻
+const REMINDER_DAY_CLOCK_RE = new RegExp(`(前兩天|前一?天|前一?晚|當天|當日)\\s*的?\\s*(${REMINDER_CLOCK_SOURCE})`, 'g');
+// 「早上7點提醒我」：時刻直接接提醒用語（上課時間後面接的是課名，不會是「提醒」）
+const REMINDER_CLOCK_RE = new RegExp(`(${REMINDER_CLOCK_SOURCE})(?=\\s*(?:都|也)?(?:提醒|通知|叫我))`, 'g');
+// 只說「前一天」「前一晚」沒有時刻（「前一天和30分鐘前提醒我」）：前一天晚上 8 點
+const REMINDER_DAY_RE = /(?:前兩天|前一天|前一?晚)(?![\s的]*(?:早上|上午|中午|下午|晚上|[\d一二兩三四五六七八九十]+\s*[點:：時]))/g;
+const DEFAULT_DAY_BEFORE_CLOCK = '20:00';
+// 「課前30分鐘」「前一小時」「半小時前」
+const REMINDER_LEAD_RE = /[\d一二兩三四五六七八九十]+\s*分鐘|[\d一二兩三四五六七八九十]+\s*個?(?:小時|鐘頭)|半個?(?:小時|鐘頭)/g;
+
+/**
+ * 解析設定提醒的所有時機：「前一天晚上9點和課前30分鐘都提醒我」→ 兩個時機；
+ * 每種時機都先全部取出再去除重複（「前一天和30分鐘前提醒我」也是兩個）
+ * @param {string} message
+ * @returns {Array<object>} 每個為 { reminderTime } 或 { reminderClock, reminderDayOffset }，依出現順序
+ */
+function parseReminderTimings(message) {
+  let rest = String(message || '');
+  const found = [];
+  const take = (re, toTiming) => {
+    rest = rest.replace(re, (...args) => {
+      const timing = toTiming(...args);
+      if (timing) found.push({ index: args[args.length - 2], timing });
+      return ' '.repeat(args[0].length);
+    });
+  };
+
+  take(REMINDER_DAY_CLOCK_RE, (match, day, clock) => {
+    // 「前一晚8點半」未寫時段時視為晚上
+    const reminderClock = parseScheduleTime(/晚$/.test(day) && !/^[早上中下晚]/.test(clock) ? `晚上${clock}` : clock);
+    const [, reminderDayOffset] = REMINDER_DAY_OFFSETS.find(([re]) => re.test(day));
+    return reminderClock ? { reminderClock, reminderDayOffset } : null;
+  });
+  take(REMINDER_DAY_RE, (day) => {
+    const [, reminderDayOffset] = REMINDER_DAY_OFFSETS.find(([re]) => re.test(day));
+    return { reminderClock: DEFAULT_DAY_BEFORE_CLOCK, reminderDayOffset };
+  });
+  take(REMINDER_CLOCK_RE, (match, clock) => {
+    const reminderClock = parseScheduleTime(clock);
+    return reminderClock ? { reminderClock, reminderDayOffset: 0 } : null;
+  });
+  take(REMINDER_LEAD_RE, (match) => {
+    const reminderTime = parseReminderLead(match);
+    return reminderTime === null ? null : { reminderTime };
+  });
+
+  const seen = new Set();
+  return found
+    .sort((a, b) => a.index - b.index)
+    .map(({ timing }) => timing)
+    .filter((timing) => {
+      const key = JSON.stringify(timing);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * 解析修改後的提醒時機：同 parseReminderTimings 取第一個；
+ * 只有時刻時（「改成晚上8點」）視為上課當天
+ * @param {string} message - 只含提醒時機的片段（不含上課時間）
+ * @returns {object} { reminderTime } 或 { reminderClock, reminderDayOffset }；無法解析時為空物件
+ */
+function parseReminderTiming(message) {
+  const [timing] = parseReminderTimings(message);
+  if (timing) return timing;
+  const text = String(message || '');
+  const clock = /[點:：]/.test(text) ? parseScheduleTime(text) : null;
+  if (!clock) return {};
+  const day = REMINDER_DAY_OFFSETS.find(([re]) => re.test(text));
+  return { reminderClock: clock, reminderDayOffset: day ? day[1] : 0 };
+}
+
+/**
+ * 解析提醒所指課堂的日期：具體日期 > 週幾（今天以後）> 今天/明天/後天
+ * @param {string} message
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseReminderCourseDate(message) {
+  const specific = parseSpecificDate(message);
+  if (specific) return specific;
+  const today = getTaipeiTodayString();
+  const weekdayDate = parseWeekdayDate(message);
+  if (weekdayDate) {
+    const hasWeekPrefix = /(這|本|下)個?(週|周|星期|禮拜)/.test(message);
+    return !hasWeekPrefix && weekdayDate < today ? addDaysToDateString(weekdayDate, 7) : weekdayDate;
+  }
+  const offset = RELATIVE_DAY_OFFSETS[parseTimeReference(message)];
+  return offset === undefined ? null : addDaysToDateString(today, offset);
+}
+
+/**
+ * 提醒查詢/修改/刪除語句中所指的學生與課程：
+ * 去掉動作詞、「每次…提醒」與日期後只保留「小明的鋼琴課」
+ * @param {string} message
+ * @returns {{ studentName: string|null, courseName: string|null }}
+ */
+function parseReminderSubject(message) {
+  const subject = String(message || '')
+    .replace(/^(?:請|幫我)?(?:取消|刪除|刪掉|停止|關掉|查詢|查看|查一下|修改|調整|更改|把)/, '')
+    .replace(/^我們?|每一?[次堂](?:上課)?|固定的?|設了|(?:有)?哪些|(?:不用|不要)再?|的?提醒.*$/g, '')
+    .replace(REMINDER_DATE_WORDS_RE, '')
+    .replace(/^的/, '')
+    .trim();
+  const studentName = extractStudentName(subject);
+  const courseName = extractCourseName(subject);
+  // 只剩學生名（「小明的固定提醒有哪些」→「小明的」）
+  if (!studentName && !courseName && /^[小大]?[一-龥A-Za-z]{1,6}的?$/.test(subject)) {
+    return { studentName: subject.replace(/的$/, ''), courseName: null };
+  }
+  return { studentName, courseName };
+}
+
+// 摘要類型：「每日摘要」「每天早上傳今天的課」/「每週預覽」「週日晚上傳下週的課」
+const DIGEST_DAILY_RE = /每日|每天|今天的課/;
+const DIGEST_WEEKLY_RE = /每週|每周|週日|周日|禮拜天|星期天|下週|下周|預覽|週報/;
+// 附帶內容：「不要附作業」「不用列方案」為關閉，其餘提到即開啟
+const DIGEST_EXCLUDE_RE = '(?:不要|不用|不需要|不必|別|拿掉|去掉|移除)再?(?:附|含|包含|加|放|列|顯示)?上?';
+const DIGEST_CONTENT_KEYWORDS = {
+  includeHomework: '作業|功課',
+  includePackages: '方案|堂數|餘額|續約',
+};
+
+/**
+ * 解析摘要訂閱設定：「訂閱每日摘要 早上6點半 不要附作業」
+ * @param {string} message
+ * @returns {object} digestType（daily / weekly / both）/ digestTime / digestTimeFor /
+ *   includeHomework / includePackages；未提到的欄位不回傳
+ */
+function parseDigestSettings(message) {
+  const text = String(message || '');
+  const result = {};
+  const daily = DIGEST_DAILY_RE.test(text);
+  const weekly = DIGEST_WEEKLY_RE.test(text);
+  if (daily && weekly) result.digestType = 'both';
+  else if (daily) result.digestType = 'daily';
+  else if (weekly) result.digestType = 'weekly';
+
+  const clock = text.match(new RegExp(REMINDER_CLOCK_SOURCE));
+  const digestTime = clock ? parseScheduleTime(clock[0]) : null;
+  if (digestTime) {
+    result.digestTime = digestTime;
+    // 兩種都訂閱時，時間屬於時刻前最近提到的那一種（「每日摘要和每週預覽，週日晚上9點」→ 每週）
+    if (result.digestType === 'both') {
+      const before = text.slice(0, clock.index);
+      const lastIndex = (re) => Math.max(-1, ...[...before.matchAll(new RegExp(re.source, 'g'))]
+        .map((match) => match.index));
+      result.digestTimeFor = lastIndex(DIGEST_WEEKLY_RE) > lastIndex(DIGEST_DAILY_RE) ? 'weekly' : 'daily';
+    }
+  }
+
+  Object.entries(DIGEST_CONTENT_KEYWORDS).forEach(([field, keywords]) => {
+    if (!new RegExp(keywords).test(text)) return;
+    const excluded = new RegExp(`${DIGEST_EXCLUDE_RE}(?:${keywords})|(?:${keywords})(?:不用|不要)`).test(text);
+    result[field] = !excluded;
+  });
+  return result;
+}
+
+// 勿擾時段的時刻與後面的連接詞：「晚上10點後」「早上7點前」「晚上10點到早上7點」
+const QUIET_CLOCK_RE = new RegExp(`(${REMINDER_CLOCK_SOURCE})\\s*(以後|之後|後|以前|之前|前)?`, 'g');
+// 靜音對象前的動作詞（「暫停小明的提醒」「取消靜音小明」）
+const MUTE_VERB_PREFIX_RE = /^(?:請|幫我)?先?(?:暫停|靜音|恢復|取消靜音|解除靜音|重新開啟|打開|把)/;
+
+/**
+ * 解析勿擾時段；未寫時段時開始視為晚上、結束視為早上（「10點後」→ 22:00）
+ * @param {string} text
+ * @returns {object} quietStart / quietEnd；只指定一端時只回傳該端
+ */
+function parseQuietHours(text) {
+  const clocks = [...text.matchAll(QUIET_CLOCK_RE)];
+  const toTime = (clock, period) => {
+    const withPeriod = /^[早上中下晚]/.test(clock) ? clock : `${period}${clock}`;
+    const time = parseScheduleTime(withPeriod);
+    // 「晚上12點」是午夜
+    return time && /^晚上/.test(withPeriod) ? time.replace(/^12:/, '00:') : time;
+  };
+  if (clocks.length >= 2) {
+    return { quietStart: toTime(clocks[0][1], '晚上'), quietEnd: toTime(clocks[1][1], '早上') };
+  }
+  if (clocks.length === 1) {
+    const [, clock, connector] = clocks[0];
+    return /前/.test(connector || '')
+      ? { quietEnd: toTime(clock, '早上') }
+      : { quietStart: toTime(clock, '晚上') };
+  }
+  return {};
+}
+
+/**
+ * 解析通知偏好設定：「晚上10點後不要通知我」「以後提醒都提前1小時」「暫停小明的提醒」「提醒合併成一則」
+ * @param {string} message
+ * @returns {object} quietHours / quietStart / quietEnd / clearQuietHours / leadTime /
+ *   muteAction（mute / unmute）/ studentName / deliveryMode；未提到的欄位不回傳
+ */
+function parseNotificationPreferences(message) {
+  const text = String(message || '');
+  const detected = detectPreferenceSettings(text);
+  const result = {};
+  if (detected.clearQuietHours) result.clearQuietHours = true;
+  // 「開啟勿擾」未指定時間時沿用原時段或預設時段
+  if (detected.quietHours) Object.assign(result, { quietHours: true }, parseQuietHours(text));
+  if (detected.leadTime) {
+    const leadTime = parseReminderLead(text);
+    if (leadTime) result.leadTime = leadTime;
+  }
+  if (detected.mute || detected.unmute) {
+    result.muteAction = detected.mute ? 'mute' : 'unmute';
+    // 只取動作詞與「的課/的提醒」之間的學生名（「小明的課先不要通知我」→ 小明）
+    const subject = text
+      .replace(MUTE_VERB_PREFIX_RE, '')
+      .replace(/的?(?:課程?|提醒|通知).*$/, '')
+      .replace(/的$/, '')
+      .trim();
+    result.studentName = /^[小大]?[一-龥A-Za-z]{1,6}$/.test(subject) ? subject : null;
+  }
+  if (detected.deliveryMode) result.deliveryMode = detected.deliveryMode;
+  return result;
+}
+
+const DIRECTORY_NAME_RES = {
+  teacher: /(?:新增|登記|加入)(?:老師|教練)\s*[:：]?\s*([^\s，,。0-9]+)/,
+  location: /(?:新增|登記|加入)(?:上課)?(?:地點|場地)\s*[:：]?\s*([^\s，,。0-9]+)/,
+};
+const PHONE_RE = /(09\d{2}-?\d{3}-?\d{3}|0\d{1,2}-?\d{3,4}-?\d{4})/;
+const ADDRESS_RE = /(?:地址\s*[:：是]?\s*([^\s，,。]+))|([一-龥]{2,3}[市縣][^\s，,。]+)/;
+const ALIAS_RE = /(?:簡稱|別名|又稱|也叫)\s*[:：是]?\s*([^\s，,。]+)/;
+
+/**
+ * 解析名錄登記語句：「新增老師 王教練 0912345678」「新增地點 大安運動中心 台北市大安區辛亥路三段55號 簡稱大安 預設90分鐘」
+ * @param {string} message
+ * @param {string} type - teacher / location
+ * @returns {{ name: string|null, phone: string|null, address: string|null, aliases: Array<string>, defaultDurationMinutes: number|null }}
+ */
+function parseDirectoryEntry(message, type) {
+  const text = String(message || '');
+  const nameMatch = text.match(DIRECTORY_NAME_RES[type]);
+  // 名稱與後續欄位未以空白分隔時（王教練電話0912…），截去欄位標籤
+  const name = nameMatch
+    ? nameMatch[1].replace(/(電話|手機|地址|簡稱|別名|又稱|也叫|預設|每堂).*$/, '') || null
+    : null;
+  const addressMatch = type === 'location' ? text.match(ADDRESS_RE) : null;
+  const aliasMatch = text.match(ALIAS_RE);
+
+  return {
+    name,
+    phone: text.match(PHONE_RE)?.[1] || null,
+    address: addressMatch ? (addressMatch[1] || addressMatch[2]) : null,
+    aliases: aliasMatch ? aliasMatch[1].split(/[、/]/).filter(Boolean) : [],
+    defaultDurationMinutes: parseDurationMinutes(text),
+  };
+}
+
+const SERIES_COUNT_RE = /(?:共|總共|一共|上)\s*(\d{1,3}|[一二兩三四五六七八九十]{1,3})\s*(?:堂|次|節)課?/;
+const SERIES_UNTIL_RE = /(?:上到|直到|到)\s*(?:(\d{4})年)?(\d{1,2})月(底|末|(\d{1,2})[日號])/;
+const SERIES_UNTIL_YEAR_END_RE = /(?:上到|直到|到)年底/;
+const SERIES_START_RE = /從(.{1,12}?)開始/;
+
+/**
+ * 移除系列起訖語句，避免干擾學生與課程名稱的擷取
+ * @param {string} message
+ * @returns {string}
+ */
+function stripSeriesPhrases(message) {
+  if (!message) return message;
+  return [SERIES_COUNT_RE, SERIES_UNTIL_RE, SERIES_UNTIL_YEAR_END_RE, SERIES_START_RE]
+    .reduce((text, re) => text.replace(re, ''), message);
+}
+
+/**
+ * 從訊息中提取系列課程的結束條件
+ * 例：「共10堂」→ { seriesCount: 10 }；「上到6月底」→ { seriesUntil: '2026-06-30' }
+ * @param {string} message
+ * @returns {{ seriesCount: number|null, seriesUntil: string|null }}
+ */
+function parseSeriesEnd(message) {
+  const result = { seriesCount: null, seriesUntil: null };
+  if (!message) return result;
+
+  try {
+    // 堂數：共10堂、一共十二堂課、上8次
+    const countMatch = message.match(SERIES_COUNT_RE);
+    if (countMatch) {
+      const raw = countMatch[1];
+      const count = /^\d+$/.test(raw) ? parseInt(raw, 10) : chineseNumberConverter.convertChineseNumber(raw);
+      if (Number.isInteger(count) && count > 0) result.seriesCount = count;
+    }
+
+    // 結束日期：上到6月底、到12月20號、直到2026年1月底、上到年底
+    const today = getTaipeiTodayString();
+    const currentYear = Number(today.slice(0, 4));
+    if (SERIES_UNTIL_YEAR_END_RE.test(message)) {
+      result.seriesUntil = `${currentYear}-12-31`;
+    } else {
+      const untilMatch = message.match(SERIES_UNTIL_RE);
+      if (untilMatch) {
+        const month = parseInt(untilMatch[2], 10);
+        const buildUntil = (year) => {
+          const day = untilMatch[4] ? parseInt(untilMatch[4], 10) : getDaysInMonth(year, month);
+          if (day < 1 || day > getDaysInMonth(year, month)) return null;
+          return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        };
+        if (month >= 1 && month <= 12) {
+          // 未寫年份且已過（10 月說「上到5月底」「到10月5日」）指明年，避免寫入沒有任何一堂的 UNTIL；
+          // 指定年份仍早於第一堂課時由新增課程流程拒絕
+          const until = buildUntil(untilMatch[1] ? parseInt(untilMatch[1], 10) : currentYear);
+          result.seriesUntil = !untilMatch[1] && until && until < today ? buildUntil(currentYear + 1) : until;
+        }
+      }
+    }
+  } catch (_) {}
+
+  return result;
+}
+
+/**
+ * 從訊息中提取系列課程的開始日期（「從下週開始」「從11月開始」「從10/25開始」）
+ * @param {string} message
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseSeriesStart(message) {
+  try {
+    const m = message && message.match(SERIES_START_RE);
+    if (!m) return null;
+    const phrase = m[1];
+    const today = getTaipeiTodayString();
+
+    const specific = parseSpecificDate(phrase);
+    if (specific) return specific;
+
+    const monthMatch = phrase.match(/^(?:(\d{4})年)?(\d{1,2})月(?:(\d{1,2})[日號])?$/);
+    if (monthMatch) {
+      const month = parseInt(monthMatch[2], 10);
+      let year = monthMatch[1] ? parseInt(monthMatch[1], 10) : Number(today.slice(0, 4));
+      if (!monthMatch[1] && month < Number(today.slice(5, 7))) year += 1;
+      const day = monthMatch[3] ? parseInt(monthMatch[3], 10) : 1;
+      return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    if (/下個?月/.test(phrase)) {
+      const year = Number(today.slice(0, 4));
+      const month = Number(today.slice(5, 7));
+      return month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+    }
+
+    switch (parseTimeReference(phrase)) {
+      case 'today':
+      case 'this_week':
+        return today;
+      case 'tomorrow':
+        return addDaysToDateString(today, 1);
+      case 'day_after_tomorrow':
+        return addDaysToDateString(today, 2);
+      case 'next_week': {
+        // 下週一
+        const weekday = getWeekdayOfDate(today);
+        return addDaysToDateString(today, ((8 - weekday) % 7) || 7);
+      }
+      default:
+        return null;
+    }
+  } catch (_) {}
+  return null;
+}
+
 function parseDayOfWeek(message) {
   const dayMapping = {
     週一: 1,
@@ -371,7 +1223,7 @@ function extractStudentName(message) {
     /查詢([A-Za-z]{3,8})(?=這週|下週|上週|的|今天|明天|昨天)/, // 查詢Lumi這週
     /查詢([小大]?[一-龥]{2,6})(?=這週|下週|上週|的|今天|明天|昨天)/, // 查詢小明這週
     /看.{0,3}([小大]?[一-龥A-Za-z]{2,6})(?=明天|今天|昨天)/, // 看一下小明明天
-    /取消([小大]?[一-龥A-Za-z]{2,6})(?=明天|今天|昨天)/, // 取消小明明天
+    /取消([小大]?[一-龥A-Za-z]{2,6})(?=明天|今天|昨天|這週|這周|本週|本周|下週|下周|上週|上周)/, // 取消小明明天、取消小明這週三
     /(?:今天|昨天|明天)([小大]?[一-龥A-Za-z]{2,6})的/, // 今天小明的
     /提醒.*我.*?([小大]?[一-龥]{2,6})(?=明天)/, // 提醒我小明明天的（中文 2-6）
     /提醒.*我.*?([小大]?[一-龥A-Za-z]{2,12})的/, // 提醒我Lumi的（英文放寬 2-12）
@@ -556,38 +1408,73 @@ async function extractSlotsByIntent(message, intent) {
   const slots = {};
 
   switch (intent) {
-    case 'add_homework':
-      slots.studentName = extractStudentName(message);
-      slots.courseName = extractCourseName(message);
+    case 'add_homework': {
+      // 「小明數學作業是第10頁」這類語句一般課名規則會整段誤判，改由作業關鍵字前的詞拆出學生與科目
+      const owner = parseHomeworkOwner(message);
+      slots.studentName = owner.studentName || extractStudentName(message);
+      slots.courseName = owner.courseName || extractCourseName(message);
       slots.timeReference = parseTimeReference(message);
-      slots.courseDate = parseSpecificDate(message);
-      // 作業/練習內容提取（與 record_content 相同規則）
+      slots.dueDate = parseHomeworkDueDate(message);
+      // 作業/練習內容提取（與 record_content 相同規則），繳交日另存於 dueDate
       {
+        const contentSource = message.replace(HOMEWORK_DUE_RE, ' ');
         const contentPatternsHw = [
           /練習了(.+)/,
           /作業[是為要:：](.+)/,
           /複習了(.+)/,
           /題目是(.+)/,
           /內容[是:：](.+)/,
+          /(?:作業|功課|練習|習題)\s*(.+)/,
         ];
         for (const pattern of contentPatternsHw) {
-          const m = message.match(pattern);
-          if (m) { slots.content = m[1].trim(); break; }
+          const m = contentSource.match(pattern);
+          if (m) {
+            slots.content = m[1].replace(/[，,。\s]+$/, '').trim() || null;
+            break;
+          }
         }
       }
       break;
+    }
 
-    case 'query_course_content':
-      slots.studentName = extractStudentName(message);
-      slots.courseName = extractCourseName(message);
+    case 'query_homework':
+    case 'complete_homework':
+      Object.assign(slots, parseHomeworkOwner(message));
+      if (intent === 'query_homework' && /寫完|做完|完成|交了/.test(message) && !/沒|未/.test(message)) {
+        slots.homeworkStatus = 'completed';
+      }
+      break;
+
+    case 'query_course_content': {
+      const keyword = parseContentKeyword(message);
+      const contentSource = stripAttendancePhrases(keyword ? message.replace(CONTENT_KEYWORD_RE, ' ') : message)
+        .replace(CONTENT_QUERY_PHRASES_RE, ' ');
+      slots.studentName = extractStudentName(contentSource.trim())
+        || extractLeadingStudentName(contentSource);
+      slots.courseName = extractCourseName(
+        slots.studentName ? contentSource.replace(slots.studentName, ' ') : contentSource,
+      );
       slots.timeReference = parseTimeReference(message);
-      slots.courseDate = parseSpecificDate(message);
+      Object.assign(slots, parseContentDateRange(message));
+      slots.keyword = keyword;
+      // 「上次鋼琴課老師說什麼」只取最近一筆
+      slots.latestOnly = /上次|上一次|最近一次/.test(message) || null;
       break;
+    }
     case 'add_course':
-    case 'create_recurring_course':
-      slots.studentName = extractStudentName(message);
-      slots.courseName = extractCourseName(message);
+    case 'create_recurring_course': {
+      // 地點/老師先行擷取並自句中移除，避免「在大安運動中心游泳課」整段被當成課名
+      const nameSource = stripLocationAndTeacher(stripSeriesPhrases(message));
+      slots.studentName = extractStudentName(nameSource);
+      slots.courseName = extractCourseName(nameSource);
+      slots.location = parseLocation(message)?.location || null;
+      slots.teacher = parseTeacher(message)?.teacher || null;
       slots.scheduleTime = parseScheduleTime(message);
+      // 上課時長：「下午2點到3點半」取結束時間；「兩小時」「90分鐘」取時長
+      slots.endTime = parseEndTime(message, slots.scheduleTime);
+      slots.durationMinutes = slots.endTime
+        ? getMinutesBetween(slots.scheduleTime, slots.endTime)
+        : parseDurationMinutes(message);
       slots.courseDate = parseSpecificDate(message);
       // 先嘗試多天解析；若無則回落單一天
       const daysMulti = parseDaysOfWeekMulti(message);
@@ -598,11 +1485,13 @@ async function extractSlotsByIntent(message, intent) {
       // 提取每月重複日號（如「每月15號」→ 15）
       if (recurrenceResult === 'monthly') {
         slots.monthDay = parseMonthDay(message);
-      }
-      
-      // 提取每月重複的日期（如「每月15號」）
-      if (recurrenceResult === 'monthly') {
-        slots.monthDay = parseMonthDay(message);
+        // 每月第 N 個星期幾（如「每月第一個和第三個星期六」）優先於日號
+        const nth = parseNthWeekdays(message);
+        if (nth) {
+          slots.nthWeek = nth.nthWeek;
+          slots.dayOfWeek = nth.dayOfWeek;
+          slots.monthDay = null;
+        }
       }
 
       // 處理功能關閉但偵測到重複關鍵詞的情況
@@ -617,6 +1506,36 @@ async function extractSlotsByIntent(message, intent) {
       }
       slots.timeReference = parseTimeReference(message);
 
+      // 補課：「安排補課 週六10點」學生與課名可省略，由待補紀錄帶入
+      if (MAKEUP_RE.test(message) && !slots.recurring) {
+        slots.isMakeup = true;
+        const makeupSource = stripMakeupPhrases(nameSource);
+        slots.studentName = extractStudentName(makeupSource.replace(/補課/g, ' ').trim());
+        slots.courseName = extractCourseName((slots.studentName
+          ? makeupSource.replace(slots.studentName, ' ')
+          : makeupSource).replace(/補課/g, '課'));
+        // 未指明週次的「週六」指下一個週六
+        const weekdayDate = parseWeekdayDate(message);
+        const hasWeekPrefix = /(這|本|上)個?(週|周|星期|禮拜)[一二三四五六日天]/.test(message);
+        if (!slots.courseDate && weekdayDate) {
+          slots.courseDate = !hasWeekPrefix && weekdayDate < getTaipeiTodayString()
+            ? addDaysToDateString(weekdayDate, 7)
+            : weekdayDate;
+        }
+      }
+
+      // 系列起訖：從下週開始 / 共10堂 / 上到6月底
+      if (slots.recurring) {
+        const seriesStartDate = parseSeriesStart(message);
+        const { seriesCount, seriesUntil } = parseSeriesEnd(message);
+        if (seriesStartDate) {
+          slots.seriesStartDate = seriesStartDate;
+          slots.timeReference = null; // 起始日已轉為具體日期，避免被當成單次課程日期
+        }
+        if (seriesCount) slots.seriesCount = seriesCount;
+        if (seriesUntil) slots.seriesUntil = seriesUntil;
+      }
+
       // 額外偵測：若訊息中包含「看似時間」但數值超界（如 25點、13:99），標記為 invalidTime
       // 目的：優先回覆「時間格式錯誤」而非要求其它缺失欄位，提升真實用戶體驗
       try {
@@ -632,25 +1551,46 @@ async function extractSlotsByIntent(message, intent) {
         // 忽略偵測異常，保持穩定
       }
       break;
+    }
 
-    case 'query_schedule':
-      slots.studentName = extractStudentName(message);
+    case 'query_schedule': {
+      // 「王老師的課是哪幾堂」：依老師篩選，老師名稱不當作學生
+      const nameSource = stripLocationAndTeacher(message);
+      slots.studentName = extractStudentName(nameSource);
       slots.timeReference = parseTimeReference(message);
       slots.specificDate = parseSpecificDate(message);
-      slots.courseName = extractCourseName(message);
+      slots.courseName = extractCourseName(nameSource);
+      slots.teacher = parseTeacher(message)?.teacher || null;
       // 解析多位候選學生：多候選時不猜，由上層流程引導使用者確認
       try {
-        const candidates = findAllStudentCandidates(message);
+        const candidates = findAllStudentCandidates(nameSource);
         if (candidates.length > 1) {
           slots.studentCandidates = candidates;
         }
       } catch (_) {}
       // 最小回退：若學生缺失，嘗試從語句直接抓取可能的人名（含「測試」前綴）
       if (!slots.studentName) {
-        const m = message.match(/(測試?[A-Za-z一-龥]{1,12})(?=的|今天|明天|這週|本週|下週|這周|本周|下周|課表)/);
+        const m = nameSource.match(/(測試?[A-Za-z一-龥]{1,12})(?=的|今天|明天|這週|本週|下週|這周|本周|下周|課表)/);
         if (m && m[1]) slots.studentName = stripTimeSuffixFromName(m[1]);
       }
       break;
+    }
+
+    case 'query_free_slots': {
+      slots.studentName = extractStudentName(message);
+      slots.timeReference = parseTimeReference(message);
+      // 「週六」未指明週次且已過時，改查下一個週六
+      const weekdayDate = parseWeekdayDate(message);
+      const hasWeekPrefix = /(這|本|上)個?(週|周|星期|禮拜)[一二三四五六日天]/.test(message);
+      slots.specificDate = parseSpecificDate(message)
+        || (weekdayDate && !hasWeekPrefix && weekdayDate < getTaipeiTodayString()
+          ? addDaysToDateString(weekdayDate, 7)
+          : weekdayDate);
+      slots.partOfDay = parsePartOfDay(message);
+      const freeDuration = parseDurationMinutes(message);
+      if (freeDuration) slots.durationMinutes = freeDuration;
+      break;
+    }
 
     case 'stop_recurring_course':
       slots.studentName = extractStudentName(message);
@@ -670,29 +1610,63 @@ async function extractSlotsByIntent(message, intent) {
       }
       break;
 
-    case 'set_reminder':
-      slots.studentName = extractStudentName(message);
-      slots.courseName = extractCourseName(message);
+    case 'set_reminder': {
+      // 「每次」「固定」不屬於課名（「每次鋼琴課」→ 鋼琴課）
+      const reminderSubject = message.replace(/每一?[次堂](?:上課)?|固定的?/g, '');
+      slots.studentName = extractStudentName(reminderSubject);
+      slots.courseName = extractCourseName(reminderSubject);
       slots.specificDate = parseSpecificDate(message);
       slots.timeReference = parseTimeReference(message);
-      // 提取提醒時間（提前多久）
-      let reminderTime = null;
-      const minuteMatch = message.match(/(\d+)\s*分鐘/);
-      const hourMatch = message.match(/(\d+)\s*小時/);
-      if (minuteMatch) {
-        reminderTime = parseInt(minuteMatch[1], 10);
-      } else if (hourMatch) {
-        reminderTime = parseInt(hourMatch[1], 10) * 60;
+      // 提取提醒時機：單一「課前多久」沿用 reminderTime；
+      // 指定時刻（「前一天晚上9點」）或多個時機存為 reminderTriggers
+      const timings = parseReminderTimings(message);
+      if (timings.length > 1 || timings.some((timing) => timing.reminderClock)) {
+        slots.reminderTriggers = timings;
+      } else if (timings.length === 1) {
+        slots.reminderTime = timings[0].reminderTime;
       }
-      if (reminderTime !== null && !Number.isNaN(reminderTime)) {
-        slots.reminderTime = reminderTime;
-      }
-      // 提取提醒內容
+      // 提取提醒內容：「記得帶泳衣」「提醒我帶泳衣」（提醒我之後不是課名時）
       const noteMatch = message.match(/記得(.+)/);
+      const afterRemind = message.split(/提醒我?|通知我/).pop().trim();
       if (noteMatch) {
         slots.reminderNote = noteMatch[1].trim();
+      } else if (afterRemind && !/課/.test(afterRemind)
+        && !(slots.studentName && afterRemind.includes(slots.studentName))) {
+        slots.reminderNote = afterRemind;
+      }
+      // 「每次鋼琴課前一小時提醒我」：綁定整個重複課程系列
+      if (STANDING_REMINDER_RE.test(message)) {
+        slots.standing = true;
       }
       break;
+    }
+
+    case 'subscribe_digest':
+    case 'unsubscribe_digest':
+      Object.assign(slots, parseDigestSettings(message));
+      break;
+
+    case 'set_notification_preferences':
+      Object.assign(slots, parseNotificationPreferences(message));
+      break;
+
+    case 'query_reminder_rules':
+    case 'delete_reminder_rule':
+      Object.assign(slots, parseReminderSubject(message));
+      break;
+
+    case 'query_reminders':
+    case 'delete_reminder':
+    case 'modify_reminder': {
+      // 「把明天數學課提醒改成前一天晚上8點」：改動詞前為對象、後為新的提醒時機
+      const [subjectPart, timingPart = ''] = message.split(/改成|改到|改為|換成/);
+      Object.assign(slots, parseReminderSubject(subjectPart));
+      slots.courseDate = parseReminderCourseDate(subjectPart);
+      if (intent === 'modify_reminder') {
+        Object.assign(slots, parseReminderTiming(timingPart));
+      }
+      break;
+    }
 
     case 'cancel_course':
       slots.studentName = extractStudentName(message);
@@ -701,15 +1675,15 @@ async function extractSlotsByIntent(message, intent) {
       slots.timeReference = parseTimeReference(message);
       // 判斷取消範圍（不預設 single，避免錯過重複課交互）
       // 第一性原則：若含具體日期詞且未提及「全部/重複」，預設單次取消
-      const mentionsConcreteDay = /(今天|明天|昨天|後天|前天|\d{1,2}[\/\-]\d{1,2}|\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/.test(message);
+      const weekdayDate = parseWeekdayDate(message);
+      const mentionsConcreteDay = Boolean(weekdayDate)
+        || /(今天|明天|昨天|後天|前天|\d{1,2}[\/\-]\d{1,2}|\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/.test(message);
       const mentionsBulk = /(全部|所有|整個|重複|每週|每天|每月)/.test(message);
       if (mentionsConcreteDay && !mentionsBulk) {
         if (!slots.specificDate) {
-          const today = new Date();
-          const y = today.getFullYear();
-          const m = String(today.getMonth() + 1).padStart(2, '0');
-          const d = String(today.getDate()).padStart(2, '0');
-          slots.specificDate = slots.timeReference ? parseSpecificDate(message) || `${y}-${m}-${d}` : `${y}-${m}-${d}`;
+          // 「這週三」→ 當週日期；「明天」等相對日期換算成實際日期，其餘預設今天
+          const dayOffset = DAY_REFERENCE_OFFSETS[slots.timeReference] || 0;
+          slots.specificDate = weekdayDate || addDaysToDateString(getTaipeiTodayString(), dayOffset);
         }
         slots.scope = 'single';
       }
@@ -771,11 +1745,13 @@ async function extractSlotsByIntent(message, intent) {
       }
 
       // 修復課程名稱提取 - 從"改"字之前提取
-      const courseBeforeChangeMatch = message.match(/([^改]+課)改/);
+      const courseBeforeChangeMatch = message.match(/([^改]+?課)(?:改|延長|加長|縮短|減少)/);
       if (courseBeforeChangeMatch) {
         const fullMatch = courseBeforeChangeMatch[1];
-        // 進一步提取純課程名稱
-        const pureCourseName = fullMatch.match(/([一-龥A-Za-z]+課)$/);
+        // 進一步提取純課程名稱（「小明這週三的鋼琴課」取「的」之後，「把游泳課」去掉「把」）
+        const pureCourseName = fullMatch.split('的').pop()
+          .replace(/^(?:把|將)/, '')
+          .match(/([一-龥A-Za-z]+課)$/);
         if (pureCourseName) {
           slots.courseName = pureCourseName[1];
         }
@@ -796,6 +1772,96 @@ async function extractSlotsByIntent(message, intent) {
           slots.courseDateNew = parseSpecificDate(newDateMatch[1]);
         }
       }
+
+      // 「這週三的鋼琴課改到週四」：改字前是原定的那一堂，改字後為新日期（未指明週次時與原定同一週）
+      const [beforeChange, afterChange = ''] = message.split(/改[到成]|換[到成]/);
+      if (!slots.courseDate) {
+        slots.courseDate = parseWeekdayDate(beforeChange);
+      }
+      if (!slots.courseDateNew) {
+        slots.courseDateNew = parseWeekdayDate(afterChange, slots.courseDate);
+      }
+
+      // 時長調整：「延長半小時」「縮短20分鐘」「延長到5點」「改成兩小時」
+      const lengthMatch = message.match(/(延長|加長|縮短|減少)(到|至)?(.*)$/);
+      if (lengthMatch && lengthMatch[2]) {
+        slots.endTimeNew = parseScheduleTime(lengthMatch[3]);
+      } else if (lengthMatch) {
+        const delta = parseDurationMinutes(lengthMatch[3]);
+        if (delta) slots.durationDelta = /縮短|減少/.test(lengthMatch[1]) ? -delta : delta;
+      } else if (!slots.scheduleTimeNew) {
+        slots.durationMinutesNew = parseDurationMinutes(afterChange);
+      }
+      break;
+
+    case 'add_teacher':
+    case 'add_location': {
+      const directoryType = intent === 'add_teacher' ? 'teacher' : 'location';
+      Object.assign(slots, parseDirectoryEntry(message, directoryType), { directoryType });
+      break;
+    }
+
+    case 'mark_attendance': {
+      const attendanceSource = stripAttendancePhrases(message);
+      slots.studentName = extractStudentName(message);
+      slots.courseName = extractCourseName(
+        slots.studentName ? attendanceSource.replace(slots.studentName, ' ') : attendanceSource,
+      );
+      slots.courseDate = parseAttendanceDate(message);
+      slots.attendanceStatus = parseAttendanceStatus(message);
+      break;
+    }
+
+    case 'query_attendance': {
+      const attendanceSource = stripAttendancePhrases(message)
+        .replace(/出缺席|統計|紀錄|記錄|出席率|上了|幾堂|幾次|查詢|查/g, ' ');
+      slots.studentName = extractStudentName(attendanceSource.trim())
+        || extractLeadingStudentName(attendanceSource);
+      slots.courseName = extractCourseName(
+        slots.studentName ? attendanceSource.replace(slots.studentName, ' ') : attendanceSource,
+      );
+      slots.month = parseMonthReference(message);
+      break;
+    }
+
+    case 'add_package': {
+      const packageSource = message.replace(PACKAGE_PHRASES_RE, ' ').replace(/幫我|幫|的(?=\s|$)/g, ' ');
+      slots.studentName = extractStudentName(packageSource.trim())
+        || extractLeadingStudentName(packageSource);
+      slots.courseName = extractCourseName(
+        slots.studentName ? packageSource.replace(slots.studentName, ' ') : packageSource,
+      );
+      Object.assign(slots, parsePackage(message));
+      break;
+    }
+
+    case 'query_tuition': {
+      const tuitionSource = stripAttendancePhrases(message)
+        .replace(/學費|費用|花了|繳了|付了|多少錢?|總共|一共|查詢|查|[?？]/g, ' ');
+      slots.studentName = extractStudentName(tuitionSource.trim())
+        || extractLeadingStudentName(tuitionSource);
+      slots.courseName = extractCourseName(
+        slots.studentName ? tuitionSource.replace(slots.studentName, ' ') : tuitionSource,
+      );
+      slots.month = parseMonthReference(message);
+      break;
+    }
+
+    case 'query_makeup': {
+      const makeupSource = message
+        .replace(/還有|還欠|欠|幾堂|幾次|需要補|要補|待補|補課|紀錄|記錄|查詢|查|[?？]/g, ' ')
+        .replace(/的(?=\s|$)/g, ' ');
+      slots.studentName = extractStudentName(makeupSource.trim())
+        || extractLeadingStudentName(makeupSource);
+      slots.courseName = extractCourseName(
+        slots.studentName ? makeupSource.replace(slots.studentName, ' ') : makeupSource,
+      );
+      break;
+    }
+
+    case 'query_directory':
+      if (/老師|教練/.test(message)) slots.directoryType = 'teacher';
+      else if (/地點|場地/.test(message)) slots.directoryType = 'location';
       break;
 
     default:
@@ -859,7 +1925,7 @@ async function extractSlotsByAI(message, intent, existingSlots) {
   "reminderNote": "提醒備註或null",
   "courseDate": "課程日期或null",
   "recurring": "是否重複或null",
-  "dayOfWeek": "星期幾或null",
+  "dayOfWeek": "星期幾（0-6）、多天陣列（如 [2, 4]）或null",
   "courseNameNew": "新課程名或null",
   "courseDateNew": "新課程日期或null", 
   "scheduleTimeNew": "新時間或null"
@@ -1078,6 +2144,9 @@ async function extractSlots(message, intent, userId = null) {
 
   // 第二階段：上下文感知增強（如果提供用戶 ID）
   if (userId) {
+    // 老師/地點對照家長名錄（王老師 → 王教練、大安 → 大安運動中心）
+    const { resolveDirectorySlots } = require('../services/directoryService');
+    slots = await resolveDirectorySlots(slots, message, intent, userId);
     slots = await enhanceSlotsWithContext(slots, message, intent, userId);
   }
 
@@ -1157,6 +2226,26 @@ module.exports = {
   parseDayOfWeek,
   parseDaysOfWeekMulti,
   parseMonthDay,
+  parseNthWeekdays,
+  parseWeekdayDate,
+  parseEndTime,
+  parseDurationMinutes,
+  parsePartOfDay,
+  parseLocation,
+  parseTeacher,
+  parseDirectoryEntry,
+  parseAttendanceStatus,
+  parseAttendanceDate,
+  parseMonthReference,
+  parsePackage,
+  parseHomeworkDueDate,
+  parseHomeworkOwner,
+  parseContentDateRange,
+  parseContentKeyword,
+  parseDigestSettings,
+  parseNotificationPreferences,
+  parseSeriesEnd,
+  parseSeriesStart,
   identifyRecurrenceType,
   parseMonthDay,
   extractStudentName,
@@ -1176,6 +2265,11 @@ module.exports = {
  * @returns {Promise<object>} 增強後的 slots
  */
 async function enhanceSlotsWithContext(slots, message, intent, userId) {
+  // 空檔查詢：未指定學生即代表查全家，不以上下文補學生/時間
+  if (intent === 'query_free_slots') {
+    return slots;
+  }
+
   try {
     const { getConversationManager } = require('../conversation/ConversationManager');
     const conversationManager = getConversationManager();
@@ -1196,7 +2290,8 @@ async function enhanceSlotsWithContext(slots, message, intent, userId) {
 
     // 查詢會話鎖：若存在有效查詢會話，固定學生/時間，不跨學生自動補
     try {
-      if (intent === 'query_schedule') {
+      // 依老師查詢橫跨所有學生，不套用查詢會話鎖
+      if (intent === 'query_schedule' && !slots.teacher) {
         const session = await conversationManager.getActiveQuerySession(userId);
         const ttl = conversationManager.getQuerySessionTtlMs(userId);
         if (session && ttl > 0) {
@@ -2,6 +2,10 @@ const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
 const { getConversationManager } = require('../conversation/ConversationManager');
+const { TEACHER_CANCELLED_RE } = require('../utils/attendanceUtils');
+const { classifyReminderIntent } = require('../utils/reminderUtils');
+const { classifyDigestIntent } = require('../utils/digestUtils');
+const { classifyNotificationIntent } = require('../utils/notificationPreferenceUtils');
 
 /**
  * 解析使用者意圖
@@ -174,9 +178,31 @@ async function parseIntentByAI(message) {
 - add_course: 新增單次課程（包含明確時間安排）
 - create_recurring_course: 創建重複課程（包含重複頻率）
 - query_schedule: 查詢課程安排（明確詢問課表或課程）
-- set_reminder: 設定課程提醒
+- query_free_slots: 查詢空檔（哪天/哪些時段有空、沒課）
+- add_teacher: 登記常用老師（姓名、電話、預設時長）
+- add_location: 登記常用上課地點（名稱、地址、簡稱）
+- query_directory: 查詢已登記的老師/地點名單
+- mark_attendance: 記錄某堂課的出缺席（有上、缺席、請假、老師停課）
+- query_attendance: 查詢出缺席統計（每月各科次數）
+- query_makeup: 查詢請假後尚未安排的待補課（安排補課屬於 add_course）
+- add_package: 記錄預繳的課程方案（堂數、金額）
+- query_tuition: 查詢學費支出（每月各學生、各科目）
+- add_homework: 記錄作業或練習內容（可含繳交日）
+- query_homework: 查詢未完成或已完成的作業
+- complete_homework: 標記作業已完成
+- set_reminder: 設定課程提醒（「每次…提醒我」為綁定重複課程的固定提醒）
+- query_reminders: 查詢已設定、尚未發送的提醒（「我設了哪些提醒」）
+- modify_reminder: 修改提醒時間（「把數學課提醒改成前一天晚上8點」）
+- delete_reminder: 刪除單次提醒（「取消明天數學課的提醒」）
+- query_reminder_rules: 查詢已設定的固定提醒
+- delete_reminder_rule: 刪除固定提醒
+- subscribe_digest: 訂閱或調整每日摘要、每週預覽（「訂閱每日摘要」「每天早上7點傳今天的課給我」）
+- unsubscribe_digest: 取消每日摘要或每週預覽
+- set_notification_preferences: 調整通知偏好（「晚上10點後不要通知我」「以後提醒都提前1小時」「暫停小明的提醒」）
+- query_notification_preferences: 查看目前的通知設定
 - cancel_course: 取消課程
 - record_content: 記錄課程內容或學習成果
+- query_course_content: 查詢過去的課程內容記錄（可依日期區間、關鍵字）
 - modify_course: 修改課程資訊
 - unknown: 無關課程或無法識別
 
@@ -187,7 +213,22 @@ async function parseIntentByAI(message) {
 
 ✅ 課程相關語句範例：
 "今天有什麼課" → query_schedule
+"王老師的課是哪幾堂" → query_schedule
+"小明這週哪天下午有空" → query_free_slots
+"新增老師 王教練 0912345678" → add_teacher
+"新增地點 大安運動中心 台北市大安區辛亥路三段55號" → add_location
+"小明今天鋼琴課請假" → mark_attendance
+"小明這個月出席統計" → query_attendance
+"小明還有幾堂要補" → query_makeup
+"安排補課 週六10點" → add_course
+"鋼琴課買了12堂 繳了9600" → add_package
+"這個月學費花了多少" → query_tuition
+"小明數學作業是第10頁 下週三前要交" → add_homework
+"小明還有哪些作業沒寫" → query_homework
+"小明數學作業寫完了" → complete_homework
 "小明數學課表現如何" → record_content
+"上次鋼琴課老師說什麼" → query_course_content
+"有沒有提到分數" → query_course_content
 "安排明天英文課" → add_course
 
 回傳格式（僅JSON）：
@@ -249,12 +290,36 @@ async function parseIntent(message, userId = null) {
       const text = String(msg || '');
       const has = (kw) => text.includes(kw);
       if (safeHasAny(['確認', '好的', '是的', '對', 'OK', 'ok'], text)) return 'confirm_action';
+      if (TEACHER_CANCELLED_RE.test(text)) return 'mark_attendance';
+      // 「暫停小明的提醒」「晚上10點後不要通知我」是通知偏好，不是設定提醒
+      const notificationIntent = classifyNotificationIntent(text);
+      if (notificationIntent) return notificationIntent;
+      // 「取消每次鋼琴課的提醒」是刪除固定提醒，不是取消課程
+      if (has('提醒')) return classifyReminderIntent(text);
+      // 「取消每週預覽」是取消摘要，不是取消課程
+      const digestIntent = classifyDigestIntent(text);
+      if (digestIntent) return digestIntent;
       if (safeHasAny(['取消', '刪除', '刪掉'], text)) return 'cancel_course';
-      if (has('提醒')) return 'set_reminder';
-      if (safeHasAny(['改到', '改成', '修改', '更改', '換到', '換成', '改'], text)) return 'modify_course';
+      if (safeHasAny(['改到', '改成', '修改', '更改', '換到', '換成', '改', '延長', '縮短'], text)) return 'modify_course';
+      if (safeHasAny(['有空', '空檔', '空閒', '沒課', '沒有課'], text)) return 'query_free_slots';
+      if (/(新增|登記|加入)(老師|教練)/.test(text)) return 'add_teacher';
+      if (/(新增|登記|加入)(上課)?(地點|場地)/.test(text)) return 'add_location';
+      if (/(老師|教練|地點|場地)(名單|列表|清單)|有哪些(上課)?(老師|教練|地點|場地)/.test(text)) return 'query_directory';
+      if (/出缺席|出席(統計|率|紀錄|記錄)|上了幾堂/.test(text)) return 'query_attendance';
+      if (/待補|要補|補幾堂|還欠幾堂|補課(紀錄|記錄)/.test(text) && !has('安排')) return 'query_makeup';
+      if (/學費|(花了|繳了)多少/.test(text)) return 'query_tuition';
+      if (/(買了?|續約|續購).*堂|堂.*繳了?\s*\d/.test(text)) return 'add_package';
+      if (/作業|功課|習題/.test(text)) {
+        if (/哪些|清單|列表|沒寫|沒做|未完成/.test(text)) return 'query_homework';
+        if (/寫完|做完|完成了|交了/.test(text)) return 'complete_homework';
+        return 'add_homework';
+      }
+      if (/課.*(請假|缺席|有上|沒去|沒上|停課)/.test(text)) return 'mark_attendance';
+      if (/學了什麼|教了什麼|老師說了?什麼|有沒有(提到|講到|說到)/.test(text)) return 'query_course_content';
       const timeHints = ['點', ':', '上午', '中午', '下午', '晚上', '每週', '每周', '每天', '每月'];
-      if (safeHasAny(['新增', '安排', '要上', '幫我安排'], text) && safeHasAny(timeHints, text)) return 'add_course';
-      if (safeHasAny(['課表', '查詢', '看一下', '有什麼課', '今天', '明天', '這週', '下週', '本週'], text)) return 'query_schedule';
+      const hasAddCue = safeHasAny(['新增', '安排', '要上', '幫我安排'], text) || /補課|補[一-龥]{1,6}課/.test(text);
+      if (hasAddCue && safeHasAny(timeHints, text)) return 'add_course';
+      if (safeHasAny(['課表', '查詢', '看一下', '有什麼課', '今天', '明天', '這週', '下週', '本週', '哪幾堂', '哪些課'], text)) return 'query_schedule';
       if (safeHasAny(['學了', '內容', '記錄', '老師說', '表現', '評價'], text)) return 'record_content';
       return 'unknown';
     } catch (_) {
@@ -280,9 +345,30 @@ async function parseIntent(message, userId = null) {
       return 'cancel_action';
     }
 
-    // A2: 一般取消課程的強匹配（含「取消/刪除」且帶有課程語境）
+    // A2a: 通知偏好（「暫停小明的提醒」「提醒合併成一則」含「提醒」，不可被設定提醒蓋過）
+    const notificationIntent = classifyNotificationIntent(msg);
+    if (notificationIntent) {
+      if (enableDiag) { diagMod.pushPath(diag, 'safety-notification-preferences'); diag.finalIntent = notificationIntent; await diagMod.logDiagnostics(diag); }
+      return notificationIntent;
+    }
+
+    // A2: 固定提醒的查詢/刪除（「取消每次鋼琴課的提醒」不可被一般取消課程蓋過）
+    const reminderIntent = has('提醒') ? classifyReminderIntent(msg) : null;
+    if (reminderIntent && reminderIntent !== 'set_reminder') {
+      if (enableDiag) { diagMod.pushPath(diag, 'safety-reminder-rule'); diag.finalIntent = reminderIntent; await diagMod.logDiagnostics(diag); }
+      return reminderIntent;
+    }
+
+    // A2b: 摘要訂閱（「取消每週預覽」含「週」，不可被一般取消課程蓋過）
+    const digestIntent = classifyDigestIntent(msg);
+    if (digestIntent) {
+      if (enableDiag) { diagMod.pushPath(diag, 'safety-digest'); diag.finalIntent = digestIntent; await diagMod.logDiagnostics(diag); }
+      return digestIntent;
+    }
+
+    // A3: 一般取消課程的強匹配（含「取消/刪除」且帶有課程語境）
     const mentionsCourseContext = /課|課程|學生|星期|週|周|時間|今天|明天|昨天|\d/.test(msg);
-    if (hasAny(['取消', '刪除', '刪掉']) && mentionsCourseContext) {
+    if (hasAny(['取消', '刪除', '刪掉']) && mentionsCourseContext && !TEACHER_CANCELLED_RE.test(msg)) {
       if (enableDiag) { diagMod.pushPath(diag, 'safety-cancel-course'); diag.finalIntent = 'cancel_course'; await diagMod.logDiagnostics(diag); }
       return 'cancel_course';
     }
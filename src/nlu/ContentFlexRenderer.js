@@ -0,0 +1,116 @@
+/**
+ * ContentFlexRenderer
+ * 將課程內容記錄渲染為 LINE Flex Message（每筆記錄一張 bubble，多筆組成 carousel）
+ * 第一張照片作為封面，其餘照片與影音以按鈕開啟
+ */
+
+const {
+  formatDayTitle, truncate, isFlexScheduleEnabled, FLEX_LIMITS,
+} = require('./ScheduleFlexRenderer');
+
+// 封面以外的照片/影音按鈕數（避免 bubble 過長）
+const MAX_FOOTER_BUTTONS = 3;
+
+const MAX_CONTENT_LENGTH = 300;
+
+/**
+ * LINE 圖片與 uri 動作僅接受 https 網址
+ * @param {object} record
+ * @returns {Array<string>}
+ */
+function getHttpsPhotos(record) {
+  return (record.photos || []).filter((url) => /^https:\/\//.test(url));
+}
+
+/**
+ * 單筆記錄 bubble
+ * @param {object} record - recordDate / studentName / courseName / content / photos / media
+ * @returns {object} Flex bubble
+ */
+function buildRecordBubble(record) {
+  const [cover, ...others] = getHttpsPhotos(record);
+  const bubble = {
+    type: 'bubble',
+    size: 'kilo',
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: [
+        {
+          type: 'text', text: `📅 ${formatDayTitle(record.recordDate)}`, size: 'xs', color: '#888888',
+        },
+        {
+          type: 'text',
+          text: truncate(`${record.studentName || ''}・${record.courseName || ''}`, 40),
+          weight: 'bold',
+          wrap: true,
+        },
+        {
+          type: 'text',
+          text: truncate(record.content || '(無文字內容)', MAX_CONTENT_LENGTH),
+          size: 'sm',
+          color: '#555555',
+          wrap: true,
+        },
+      ],
+    },
+  };
+
+  if (cover) {
+    bubble.hero = {
+      type: 'image',
+      url: cover,
+      size: 'full',
+      aspectRatio: '20:13',
+      aspectMode: 'cover',
+      action: { type: 'uri', uri: cover },
+    };
+  }
+
+  // 影音優先（發表會錄影），其餘名額給照片
+  const buttons = [
+    ...(record.media || []).filter((item) => /^https:\/\//.test(item.url))
+      .map((item) => ({ label: item.type === 'video' ? '🎬 影片' : '🎧 錄音', uri: item.url })),
+    ...others.map((url, index) => ({ label: `照片 ${index + 2}`, uri: url })),
+  ].slice(0, MAX_FOOTER_BUTTONS);
+  if (buttons.length > 0) {
+    bubble.footer = {
+      type: 'box',
+      layout: 'horizontal',
+      contents: buttons.map((action) => ({
+        type: 'button',
+        style: 'link',
+        height: 'sm',
+        flex: 1,
+        action: { type: 'uri', ...action },
+      })),
+    };
+  }
+
+  return bubble;
+}
+
+/**
+ * 渲染課程內容 Flex Message；沒有任何照片時回傳 null（沿用純文字）
+ * @param {Array<object>} records - 當頁記錄
+ * @param {object} options
+ * @param {string} options.title - 標題（用於 altText）
+ * @param {string} options.fallbackText - 純文字版（用於 altText）
+ * @returns {object|null} LINE flex message
+ */
+function renderContentFlex(records, { title = '📘 內容記錄', fallbackText = '' } = {}) {
+  if (!isFlexScheduleEnabled() || !Array.isArray(records) || records.length === 0) return null;
+  if (!records.some((record) => getHttpsPhotos(record).length > 0)) return null;
+
+  const bubbles = records.slice(0, FLEX_LIMITS.MAX_BUBBLES).map(buildRecordBubble);
+  return {
+    type: 'flex',
+    altText: truncate(fallbackText || title, FLEX_LIMITS.MAX_ALT_TEXT),
+    contents: bubbles.length === 1 ? bubbles[0] : { type: 'carousel', contents: bubbles },
+  };
+}
+
+module.exports = {
+  renderContentFlex,
+};
@@ -6,14 +6,20 @@
 
 const { loadIntentRules, parseIntentByRules, parseIntentByAI } = require('../intent/parseIntent');
 const { getConversationManager } = require('../conversation/ConversationManager');
+const { classifyReminderIntent } = require('../utils/reminderUtils');
+const { classifyNotificationIntent } = require('../utils/notificationPreferenceUtils');
+const { classifyDigestIntent } = require('../utils/digestUtils');
 
 function chooseQueryOrAdd(text) {
   const msg = String(text || '');
+  // 新增老師/地點交由規則判斷（「新增地點」含「點」，不可視為新增課程）
+  if (/(新增|登記|加入)(上課)?(老師|教練|地點|場地)/.test(msg)) return null;
   const hasAny = (kws) => kws.some((k) => msg.includes(k));
   const addCues = ['要上', '安排', '新增'];
   const timeHints = ['點', ':', '上午', '中午', '下午', '晚上', '每週', '每周', '每天', '每月'];
   const queryCues = ['課表', '查詢', '看一下', '有什麼課', '今天', '明天', '後天', '這週', '下週', '本週', '課程安排', '幾點'];
-  const looksLikeAdd = hasAny(addCues) && hasAny(timeHints);
+  // 補課（「週六10點補鋼琴課」）視同新增
+  const looksLikeAdd = (hasAny(addCues) || /補課|補[一-龥]{1,6}課/.test(msg)) && hasAny(timeHints);
   const looksLikeQuery = hasAny(queryCues);
   if (looksLikeAdd) return 'add_course';
   if (looksLikeQuery) return 'query_schedule';
@@ -23,9 +29,14 @@ function chooseQueryOrAdd(text) {
 async function routeIntent(ctx) {
   const { text } = ctx;
 
-  // 1) Safety（不可覆蓋）
-  if (ctx.cues.hasReminder) return { intent: 'set_reminder', source: 'safety' };
-  if (ctx.cues.hasCancel) return { intent: 'cancel_course', source: 'safety' };
+  // 1) Safety（不可覆蓋）；通知偏好（「暫停小明的提醒」）優先於提醒
+  const notificationIntent = classifyNotificationIntent(text);
+  if (notificationIntent) return { intent: notificationIntent, source: 'safety' };
+  if (ctx.cues.hasReminder) return { intent: classifyReminderIntent(text), source: 'safety' };
+  // 「取消每週預覽」是取消摘要，不是取消課程
+  const digestIntent = classifyDigestIntent(text);
+  if (digestIntent) return { intent: digestIntent, source: 'safety' };
+  if (ctx.cues.hasCancel && !ctx.cues.hasTeacherCancel) return { intent: 'cancel_course', source: 'safety' };
 
   // 2) AI 主判（若啟用）
   if (process.env.ENABLE_AI_FALLBACK === 'true') {
@@ -38,8 +49,8 @@ async function routeIntent(ctx) {
   }
 
   // 3) 簡單可確定規則（僅處理明顯情形）
-  // 明確的修改詞
-  if (/[修改更改改到改成換到換成]/.test(text)) {
+  // 明確的修改詞（含時長調整）；不單獨比對「到/成」，避免「下午2點到3點半」被誤判為修改
+  if (/改|換到|換成|延長|縮短/.test(text)) {
     return { intent: 'modify_course', source: 'simple' };
   }
   // 明確的新增（新增詞 + 時間詞）
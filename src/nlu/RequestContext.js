@@ -4,6 +4,7 @@
  */
 
 const { getConversationManager } = require('../conversation/ConversationManager');
+const { TEACHER_CANCELLED_RE } = require('../utils/attendanceUtils');
 
 function detectCues(text) {
   const clean = String(text || '').trim();
@@ -13,6 +14,8 @@ function detectCues(text) {
     isQuestion: /[?？]$/.test(clean) || hasAny(['請問', '嗎', '呢']),
     hasReminder: has('提醒'),
     hasCancel: hasAny(['取消', '刪除', '刪掉']),
+    // 「老師臨時取消」是記錄停課（出缺席），不是刪除課程
+    hasTeacherCancel: TEACHER_CANCELLED_RE.test(clean),
   };
 }
 
@@ -1,8 +1,12 @@
 /**
  * ResponseRenderer
  * 統一回覆模板（里程碑1：先提供 Query 與錯誤碼模板）
+ * render 可能回傳字串或 LINE 訊息物件（如課表 Flex Message）
  */
 
+const { renderScheduleFlex, isFlexScheduleEnabled } = require('./ScheduleFlexRenderer');
+const { renderContentFlex } = require('./ContentFlexRenderer');
+
 function mapTimeReference(timeRef) {
   switch (timeRef) {
     case 'today':
@@ -76,14 +80,44 @@ function render(intent, slots, taskResult) {
       const desc = mapTimeReference(slots.timeReference) || (taskResult?.data?.dateRange?.description || '本週');
       return renderQuery(student, desc, [], true);
     }
+
+    // 非空課表：優先輸出 Flex Message，純文字版保留為 altText
+    if (isFlexScheduleEnabled()) {
+      const desc = mapTimeReference(slots.timeReference) || taskResult?.data?.dateRange?.description || '本週';
+      const flex = renderScheduleFlex(courses, {
+        title: `📅 ${slots.studentName || '所有學生'}${desc}的課表`,
+        fallbackText: taskResult.message,
+      });
+      if (flex) return flex;
+    }
+  }
+
+  // 內容記錄含照片時以 carousel 呈現
+  if (intent === 'query_course_content') {
+    const flex = renderContentFlex(taskResult?.data?.records, {
+      title: taskResult?.data?.title,
+      fallbackText: taskResult?.message,
+    });
+    if (flex) return flex;
   }
 
   // 預設：沿用處理器訊息
   return taskResult?.message || '😊 不太理解您的意思，試試這些功能：';
 }
 
+/**
+ * 取得回覆的純文字版本（結構化訊息取 altText），供對話歷史與日誌使用
+ * @param {string|object} message - render 的輸出
+ * @returns {string}
+ */
+function toPlainText(message) {
+  if (!message || typeof message === 'string') return message || '';
+  return message.altText || message.text || '';
+}
+
 module.exports = {
   render,
+  toPlainText,
   renderQuery,
   renderError,
   mapTimeReference,
@@ -0,0 +1,294 @@
+/**
+ * ScheduleFlexRenderer
+ * 將課表查詢結果渲染為 LINE Flex Message（每天一張 bubble，多天組成 carousel）
+ * 每位學生固定一種顏色，每堂課附上 取消/修改/記錄 操作按鈕
+ */
+
+const { buildPostbackData } = require('../utils/postbackUtils');
+const { getEndTime } = require('../utils/durationUtils');
+const { formatAttendanceStatus } = require('../utils/attendanceUtils');
+
+/**
+ * LINE 平台限制
+ */
+const FLEX_LIMITS = {
+  MAX_BUBBLES: 12, // carousel 最多 12 張 bubble
+  MAX_COURSES_PER_BUBBLE: 8, // 避免單張 bubble 超過大小上限
+  MAX_ALT_TEXT: 400,
+};
+
+/**
+ * 學生顏色盤（依學生姓名排序後依序指派）
+ */
+const STUDENT_COLORS = ['#1E88E5', '#E53935', '#43A047', '#FB8C00', '#8E24AA', '#00897B'];
+
+const WEEKDAYS = ['週日', '週一', '週二', '週三', '週四', '週五', '週六'];
+
+/**
+ * 是否啟用 Flex 課表（預設啟用，可用 ENABLE_FLEX_SCHEDULE=false 關閉）
+ * @returns {boolean}
+ */
+function isFlexScheduleEnabled() {
+  return process.env.ENABLE_FLEX_SCHEDULE !== 'false';
+}
+
+/**
+ * 日期標題，例如 9/3 (週三)
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatDayTitle(dateString) {
+  const [year, month, day] = String(dateString).split('-').map((n) => parseInt(n, 10));
+  if (!year || !month || !day) return '日期未定';
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  return `${month}/${day} (${weekday})`;
+}
+
+/**
+ * 時間顯示，例如 下午4:00
+ * @param {string} timeString - HH:MM
+ * @returns {string}
+ */
+function formatTimeLabel(timeString) {
+  if (!timeString) return '時間未定';
+  const [hour, minute] = timeString.split(':');
+  const h = parseInt(hour, 10);
+  const m = `:${minute}`;
+  if (h === 0) return `午夜12${m}`;
+  if (h < 12) return `上午${h}${m}`;
+  if (h === 12) return `中午12${m}`;
+  return `下午${h - 12}${m}`;
+}
+
+/**
+ * 起訖時間顯示，例如 下午2:00-3:30（同一時段省略第二個上午/下午）
+ * @param {object} course
+ * @returns {string}
+ */
+function formatTimeRange(course) {
+  const start = formatTimeLabel(course.scheduleTime);
+  const endTime = getEndTime(course);
+  if (!endTime) return start;
+  const end = formatTimeLabel(endTime);
+  const period = start.slice(0, 2);
+  return `${start}-${end.startsWith(period) ? end.slice(2) : end}`;
+}
+
+/**
+ * 截斷文字以符合 LINE 欄位長度限制
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function truncate(text, max) {
+  const str = String(text || '');
+  return str.length > max ? `${str.slice(0, max - 1)}…` : str;
+}
+
+/**
+ * 依學生姓名指派顏色
+ * @param {Array<object>} courses
+ * @returns {Map<string, string>}
+ */
+function buildStudentColorMap(courses) {
+  const names = Array.from(new Set(courses.map((c) => c.studentName || ''))).sort();
+  const map = new Map();
+  names.forEach((name, index) => {
+    map.set(name, STUDENT_COLORS[index % STUDENT_COLORS.length]);
+  });
+  return map;
+}
+
+/**
+ * 單堂課的操作按鈕（取消走 postback，修改/記錄沿用自然語言流程）
+ * @param {object} course
+ * @returns {Array<object>}
+ */
+function buildCourseActions(course) {
+  const label = `${course.studentName || ''}的${course.courseName || '課程'}`;
+  const courseId = course.courseId || course.id;
+  const actions = [];
+
+  // 重複課程不指定範圍，帶上這一堂的日期，交由取消流程詢問「只取消這堂 / 之後全部 / 整個重複」
+  const cancelParams = course.isRecurring
+    ? { courseId, specificDate: course.originalDate || course.courseDate }
+    : { courseId, scope: 'single' };
+  // 未設定簽章金鑰時不附取消按鈕
+  const cancelData = courseId ? buildPostbackData('cancel_course', cancelParams) : null;
+  if (cancelData) {
+    actions.push({
+      type: 'postback',
+      label: '取消',
+      data: cancelData,
+      displayText: truncate(`取消${label}`, 300),
+    });
+  }
+
+  actions.push(
+    { type: 'message', label: '修改', text: truncate(`修改${label}`, 300) },
+    { type: 'message', label: '記錄', text: truncate(`記錄${label}的內容`, 300) },
+  );
+
+  return actions.map((action) => ({
+    type: 'button',
+    style: 'link',
+    height: 'sm',
+    flex: 1,
+    action,
+  }));
+}
+
+/**
+ * 單堂課的內容區塊
+ * @param {object} course
+ * @param {string} color - 學生顏色
+ * @returns {object} Flex box
+ */
+function buildCourseBox(course, color) {
+  const title = `${course.studentName || ''}・${course.courseName || ''}${course.isRecurring ? ' 🔄' : ''}`;
+  const detailRows = [
+    {
+      type: 'box',
+      layout: 'horizontal',
+      spacing: 'sm',
+      contents: [
+        {
+          type: 'text', text: formatTimeRange(course), size: 'sm', color: '#555555', flex: 0,
+        },
+        {
+          type: 'text', text: truncate(title, 40), size: 'sm', weight: 'bold', color, wrap: true, flex: 1,
+        },
+      ],
+    },
+  ];
+
+  const details = [
+    course.location ? `📍 ${course.location}` : null,
+    course.teacher ? `👨‍🏫 ${course.teacher}` : null,
+    course.attendanceStatus ? formatAttendanceStatus(course.attendanceStatus) : null,
+  ].filter(Boolean);
+  if (details.length > 0) {
+    detailRows.push({
+      type: 'text', text: truncate(details.join('  '), 60), size: 'xs', color: '#888888', wrap: true,
+    });
+  }
+
+  return {
+    type: 'box',
+    layout: 'vertical',
+    spacing: 'xs',
+    contents: [
+      {
+        type: 'box',
+        layout: 'horizontal',
+        spacing: 'md',
+        contents: [
+          {
+            type: 'box', layout: 'vertical', width: '4px', backgroundColor: color, contents: [],
+          },
+          {
+            type: 'box', layout: 'vertical', spacing: 'xs', flex: 1, contents: detailRows,
+          },
+        ],
+      },
+      {
+        type: 'box',
+        layout: 'horizontal',
+        contents: buildCourseActions(course),
+      },
+    ],
+  };
+}
+
+/**
+ * 單日 bubble
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array<object>} courses - 當日課程（已排序）
+ * @param {Map<string, string>} colorMap
+ * @returns {object} Flex bubble
+ */
+function buildDayBubble(date, courses, colorMap) {
+  const bodyContents = [];
+  courses.slice(0, FLEX_LIMITS.MAX_COURSES_PER_BUBBLE).forEach((course, index) => {
+    if (index > 0) bodyContents.push({ type: 'separator', margin: 'md' });
+    bodyContents.push(buildCourseBox(course, colorMap.get(course.studentName || '') || STUDENT_COLORS[0]));
+  });
+
+  const hidden = courses.length - FLEX_LIMITS.MAX_COURSES_PER_BUBBLE;
+  if (hidden > 0) {
+    bodyContents.push({
+      type: 'text', text: `…還有 ${hidden} 堂課`, size: 'xs', color: '#888888', margin: 'md',
+    });
+  }
+
+  return {
+    type: 'bubble',
+    size: 'mega',
+    header: {
+      type: 'box',
+      layout: 'vertical',
+      backgroundColor: '#37474F',
+      paddingAll: 'md',
+      contents: [
+        {
+          type: 'text', text: `📆 ${formatDayTitle(date)}`, weight: 'bold', color: '#FFFFFF',
+        },
+        {
+          type: 'text', text: `${courses.length} 堂課`, size: 'xs', color: '#CFD8DC',
+        },
+      ],
+    },
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'md',
+      contents: bodyContents,
+    },
+  };
+}
+
+/**
+ * 渲染課表 Flex Message
+ * @param {Array<object>} courses - 課程列表
+ * @param {object} options
+ * @param {string} options.title - 標題（用於 altText）
+ * @param {string} options.fallbackText - 純文字版課表（用於 altText 與降級）
+ * @returns {object|null} LINE flex message；無法以 Flex 呈現時回傳 null
+ */
+function renderScheduleFlex(courses, { title = '📅 課表', fallbackText = '' } = {}) {
+  if (!Array.isArray(courses) || courses.length === 0) return null;
+
+  const sorted = [...courses].sort((a, b) => {
+    const dateCompare = String(a.courseDate || '').localeCompare(String(b.courseDate || ''));
+    if (dateCompare !== 0) return dateCompare;
+    return String(a.scheduleTime || '').localeCompare(String(b.scheduleTime || ''));
+  });
+
+  const byDate = new Map();
+  sorted.forEach((course) => {
+    const key = course.courseDate || '';
+    if (!byDate.has(key)) byDate.set(key, []);
+    byDate.get(key).push(course);
+  });
+
+  // 天數超過 carousel 上限時改用純文字
+  if (byDate.size > FLEX_LIMITS.MAX_BUBBLES) return null;
+
+  const colorMap = buildStudentColorMap(sorted);
+  const bubbles = Array.from(byDate.entries())
+    .map(([date, dayCourses]) => buildDayBubble(date, dayCourses, colorMap));
+
+  return {
+    type: 'flex',
+    altText: truncate(fallbackText || title, FLEX_LIMITS.MAX_ALT_TEXT),
+    contents: bubbles.length === 1 ? bubbles[0] : { type: 'carousel', contents: bubbles },
+  };
+}
+
+module.exports = {
+  renderScheduleFlex,
+  isFlexScheduleEnabled,
+  formatDayTitle,
+  truncate,
+  FLEX_LIMITS,
+};
@@ -0,0 +1,370 @@
+/**
+ * 課堂相簿服務
+ * 家長連續傳送的照片、影片與錄音（同一批 imageSet，或與上一個檔案間隔在視窗內）歸入同一筆課程內容記錄，
+ * 自動對應今天剛下課（或正在上）的課程；照片後的第一段文字作為說明，「補充說明」則編輯同一筆記錄
+ */
+
+const firebaseService = require('./firebaseService');
+const { getConversationManager } = require('../conversation/ConversationManager');
+const { collectCoursesInRange } = require('./courseQueryService');
+const { timeToMinutes, getEndTime } = require('../utils/durationUtils');
+const { getTaipeiTodayString, getTaipeiTimeString } = require('../utils/recurrenceUtils');
+const { toMillis } = require('../utils/timestampUtils');
+
+/**
+ * 相簿設定（可由環境變數覆寫）
+ */
+const ALBUM_CONFIG = {
+  // 與上一個檔案間隔在此秒數內視為同一批
+  WINDOW_SECONDS: parseInt(process.env.ALBUM_WINDOW_SECONDS || '90', 10),
+  // 最後一個檔案後多久內的文字可作為說明（相簿狀態存於對話上下文，受 CONVERSATION_TTL_SECONDS 限制）
+  CAPTION_MINUTES: parseInt(process.env.ALBUM_CAPTION_MINUTES || '5', 10),
+  // 下課多久內的課程視為「剛下課」
+  RECENT_COURSE_MINUTES: 180,
+};
+
+const SUPPLEMENT_RE = /^補充(?:說明|課程內容|內容)?\s*[:：]?\s*/;
+
+// 可作為說明的文字意圖（其餘意圖照常執行，不吃掉指令）
+const CAPTION_INTENTS = ['unknown', 'record_content', 'add_course_content'];
+
+// 各用戶處理中的上傳（依序執行）
+const userQueues = new Map();
+
+/**
+ * 找出今天剛下課或正在上的課程（多堂時取最近結束的一堂）
+ * @param {string} userId
+ * @param {Date} now
+ * @returns {Promise<object|null>}
+ */
+async function findRecentlyEndedCourse(userId, now = new Date()) {
+  const today = getTaipeiTodayString();
+  const nowMinutes = timeToMinutes(getTaipeiTimeString(now));
+  const courses = await collectCoursesInRange(userId, null, { startDate: today, endDate: today });
+
+  const candidates = courses
+    .map((course) => ({
+      course,
+      start: timeToMinutes(course.scheduleTime),
+      end: timeToMinutes(getEndTime(course)),
+    }))
+    .filter(({ start, end }) => start !== null && end !== null
+      && start <= nowMinutes && nowMinutes - end <= ALBUM_CONFIG.RECENT_COURSE_MINUTES)
+    .sort((a, b) => b.end - a.end);
+  return candidates.length > 0 ? candidates[0].course : null;
+}
+
+/**
+ * 相簿是否仍收照片：同一批 imageSet，或與上一個檔案間隔在視窗內
+ * @param {object|null} album
+ * @param {object|null} imageSet - LINE message.imageSet（id / index / total）
+ * @param {number} now - 毫秒時間戳
+ * @returns {boolean}
+ */
+function isAlbumOpen(album, imageSet, now) {
+  if (!album) return false;
+  if (imageSet && album.imageSetId === imageSet.id) return true;
+  return now - album.lastAddedAt <= ALBUM_CONFIG.WINDOW_SECONDS * 1000;
+}
+
+/**
+ * 相簿內容摘要，例：3 張照片、1 段影片
+ * @param {object} album
+ * @returns {string}
+ */
+function describeAlbum(album) {
+  return [
+    album.photoCount ? `${album.photoCount} 張照片` : null,
+    album.videoCount ? `${album.videoCount} 段影片` : null,
+    album.audioCount ? `${album.audioCount} 段錄音` : null,
+  ].filter(Boolean).join('、');
+}
+
+/**
+ * 取得進行中的相簿；沒有時建立新的內容記錄（對應今天剛下課的課程）
+ * @param {string} userId
+ * @param {object|null} imageSet
+ * @param {number} now - 毫秒時間戳
+ * @returns {Promise<{ album: object, created: boolean }>}
+ */
+async function openAlbum(userId, imageSet, now) {
+  const current = await getConversationManager().getActiveAlbum(userId);
+  if (isAlbumOpen(current, imageSet, now)) return { album: current, created: false };
+
+  const course = await findRecentlyEndedCourse(userId);
+  const courseId = course ? (course.courseId || course.id) : null;
+  const record = {
+    content: '',
+    imageUrl: null,
+    photos: [],
+    media: [],
+    isAlbum: true,
+    recordDate: getTaipeiTodayString(),
+    createdAt: new Date(now).toISOString(),
+    userId,
+    courseId,
+    studentName: course?.studentName || '未指定學生',
+    courseName: course?.courseName || '未指定課程',
+    scheduleTime: course?.scheduleTime || null,
+  };
+  const docRef = await firebaseService.addDocument('course_contents', record);
+  if (courseId) {
+    await firebaseService.updateDocument('courses', courseId, {
+      lastContentUpdate: record.createdAt,
+      hasContent: true,
+    });
+  }
+
+  const album = {
+    recordId: docRef.id,
+    folderId: courseId || docRef.id,
+    courseId,
+    studentName: record.studentName,
+    courseName: record.courseName,
+    recordDate: record.recordDate,
+    content: '',
+    photoCount: 0,
+    videoCount: 0,
+    audioCount: 0,
+    lastAddedAt: now,
+    captioned: false,
+    awaitingSupplement: false,
+    imageSetId: null,
+    imageSetTotal: null,
+  };
+  return { album, created: true };
+}
+
+/**
+ * 同一用戶的檔案依序處理，避免同批照片並行到達時各自建立記錄
+ * @param {string} userId
+ * @param {Function} fn
+ * @returns {Promise<any>}
+ */
+function enqueue(userId, fn) {
+  const previous = userQueues.get(userId) || Promise.resolve();
+  const task = previous.catch(() => {}).then(fn);
+  userQueues.set(userId, task);
+  return task.finally(() => {
+    if (userQueues.get(userId) === task) userQueues.delete(userId);
+  });
+}
+
+/**
+ * 將一批照片加入相簿；沒有進行中的相簿時建立新的內容記錄
+ * @param {string} userId
+ * @param {Array<{buffer: Buffer, fileName: string}>} images
+ * @param {object|null} imageSet - LINE message.imageSet
+ * @returns {Promise<{ album: object, created: boolean, added: number }>}
+ */
+function addPhotos(userId, images, imageSet = null) {
+  return enqueue(userId, async () => {
+    const now = Date.now();
+    const { album, created } = await openAlbum(userId, imageSet, now);
+    const urls = await firebaseService.uploadMultipleImages(images, album.folderId);
+    await firebaseService.appendContentItems(album.recordId, 'photos', urls);
+
+    const updated = {
+      ...album,
+      photoCount: album.photoCount + urls.length,
+      lastAddedAt: now,
+      imageSetId: imageSet?.id || album.imageSetId,
+      imageSetTotal: imageSet?.total || album.imageSetTotal,
+    };
+    await getConversationManager().setActiveAlbum(userId, updated);
+    return { album: updated, created, added: urls.length };
+  });
+}
+
+/**
+ * 將影片或錄音（發表會錄影等）加入相簿
+ * @param {string} userId
+ * @param {object} media
+ * @param {string} media.type - video / audio
+ * @param {Buffer} media.buffer
+ * @param {string} media.fileName
+ * @param {number} media.durationMs - LINE 提供的長度（毫秒）
+ * @returns {Promise<{ album: object, created: boolean, added: number }>}
+ */
+function addMedia(userId, {
+  type, buffer, fileName, durationMs = null,
+}) {
+  return enqueue(userId, async () => {
+    const now = Date.now();
+    const { album, created } = await openAlbum(userId, null, now);
+    const url = await firebaseService.uploadMedia(buffer, album.folderId, fileName);
+    await firebaseService.appendContentItems(album.recordId, 'media', [{
+      type,
+      url,
+      contentType: firebaseService.getContentType(fileName),
+      durationMs,
+      uploadedAt: new Date(now).toISOString(),
+    }]);
+
+    const countKey = type === 'video' ? 'videoCount' : 'audioCount';
+    const updated = {
+      ...album,
+      [countKey]: (album[countKey] || 0) + 1,
+      lastAddedAt: now,
+    };
+    await getConversationManager().setActiveAlbum(userId, updated);
+    return { album: updated, created, added: 1 };
+  });
+}
+
+/**
+ * 對話上下文過期後，「補充說明」回退到今天最近一本相簿
+ * @param {string} userId
+ * @returns {Promise<object|null>} 相簿狀態
+ */
+async function findLatestAlbum(userId) {
+  const snapshot = await firebaseService.getCollection('course_contents')
+    .where('userId', '==', userId)
+    .where('isAlbum', '==', true)
+    .get();
+  const today = getTaipeiTodayString();
+  const latest = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((record) => record.recordDate === today)
+    .sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt))[0];
+  if (!latest) return null;
+  return {
+    recordId: latest.id,
+    folderId: latest.courseId || latest.id,
+    courseId: latest.courseId || null,
+    studentName: latest.studentName,
+    courseName: latest.courseName,
+    recordDate: latest.recordDate,
+    content: latest.content || '',
+    photoCount: (latest.photos || []).length,
+    videoCount: (latest.media || []).filter((item) => item.type === 'video').length,
+    audioCount: (latest.media || []).filter((item) => item.type === 'audio').length,
+    lastAddedAt: toMillis(latest.updatedAt || latest.createdAt),
+    captioned: Boolean(latest.content),
+    awaitingSupplement: false,
+  };
+}
+
+/**
+ * 從說明文字比對用戶已有的學生與課程（相簿未對應到剛下課的課程時使用）
+ * 只有一位學生時可省略姓名
+ * @param {string} userId
+ * @param {string} text
+ * @returns {Promise<{ studentName?: string, courseName?: string }>}
+ */
+async function matchMentionedCourse(userId, text) {
+  const students = await firebaseService.getStudentsByUser(userId);
+  const student = students.find((item) => text.includes(item.studentName))
+    || (students.length === 1 ? students[0] : null);
+  if (!student) return {};
+
+  const courses = await firebaseService.getCoursesByStudent(userId, student.studentName);
+  const course = courses.find((item) => text.includes(String(item.courseName).replace(/課$/, '')));
+  return course
+    ? { studentName: student.studentName, courseName: course.courseName }
+    : { studentName: student.studentName };
+}
+
+/**
+ * 更新相簿記錄的文字內容；相簿未對應課程時，由說明中的學生/課名補上
+ * @param {string} userId
+ * @param {object} album
+ * @param {string} content - 新的完整內容
+ * @param {string} text - 本次訊息（用於比對學生/課名）
+ * @returns {Promise<object>} 更新後的相簿狀態
+ */
+async function saveAlbumContent(userId, album, content, text) {
+  const updates = { content };
+  if (!album.courseId) {
+    const mentioned = await matchMentionedCourse(userId, text);
+    if (mentioned.studentName) updates.studentName = mentioned.studentName;
+    if (mentioned.courseName) updates.courseName = mentioned.courseName;
+  }
+  await firebaseService.updateDocument('course_contents', album.recordId, updates);
+
+  const updated = {
+    ...album,
+    ...updates,
+    captioned: true,
+    awaitingSupplement: false,
+  };
+  await getConversationManager().setActiveAlbum(userId, updated);
+  return updated;
+}
+
+/**
+ * 相簿的文字處理：照片後的第一段文字作為說明；「補充說明 ...」附加到同一筆記錄
+ * @param {string} userId
+ * @param {string} text - 用戶訊息
+ * @param {string} intent - 已識別的意圖（非內容類意圖不作為說明）
+ * @returns {Promise<object|null>} 處理結果；與相簿無關時為 null
+ */
+async function handleAlbumText(userId, text, intent) {
+  const message = String(text || '').trim();
+  const isSupplement = SUPPLEMENT_RE.test(message);
+  const album = await getConversationManager().getActiveAlbum(userId)
+    || (isSupplement ? await findLatestAlbum(userId) : null);
+  if (!album) return null;
+
+  if (isSupplement || album.awaitingSupplement) {
+    const supplement = message.replace(SUPPLEMENT_RE, '').trim();
+    if (!supplement) {
+      await getConversationManager().setActiveAlbum(userId, { ...album, awaitingSupplement: true });
+      return {
+        success: true,
+        code: 'ALBUM_AWAITING_SUPPLEMENT',
+        message: `📝 請輸入要補充的說明，會加到 ${album.studentName} ${album.courseName}（${describeAlbum(album)}）的記錄`,
+      };
+    }
+    const content = album.content ? `${album.content}\n${supplement}` : supplement;
+    const updated = await saveAlbumContent(userId, album, content, supplement);
+    return {
+      success: true,
+      code: 'ALBUM_SUPPLEMENTED',
+      message: `✅ 已補充說明\n📚 ${updated.studentName} ${updated.courseName}\n💬 ${content}`,
+      data: { recordId: album.recordId },
+    };
+  }
+
+  const withinCaptionWindow = Date.now() - album.lastAddedAt
+    <= ALBUM_CONFIG.CAPTION_MINUTES * 60 * 1000;
+  if (album.captioned || !withinCaptionWindow || !CAPTION_INTENTS.includes(intent)) return null;
+
+  const updated = await saveAlbumContent(userId, album, message, message);
+  return {
+    success: true,
+    code: 'ALBUM_CAPTIONED',
+    message: `✅ 已加上照片說明\n📚 ${updated.studentName} ${updated.courseName}（${describeAlbum(updated)}）\n💬 ${message}`,
+    data: { recordId: album.recordId },
+  };
+}
+
+/**
+ * 收到照片或影音後的回覆文字；同一批照片只在第一張與收齊時回覆，避免洗版
+ * @param {{ album: object, created: boolean, added: number }} result - addPhotos / addMedia 的結果
+ * @param {boolean} isImageSet - 是否為 LINE 一次傳送的多張照片
+ * @returns {string|null} 不需回覆時為 null
+ */
+function formatAlbumReply({ album, created }, isImageSet = false) {
+  const target = album.courseId ? ` ${album.studentName} ${album.courseName}` : '今天';
+  if (created) {
+    return [
+      `📸 已建立${target}的課堂相簿（${describeAlbum(album)}）`,
+      album.courseId ? `📅 ${album.recordDate}` : '❓ 找不到剛下課的課程，說明中可註明學生與課程',
+      '',
+      '💬 接著傳一段文字作為說明，例如「今天學了新曲子」',
+    ].join('\n');
+  }
+  if (isImageSet && album.photoCount < album.imageSetTotal) return null;
+  return `📸 已加入相簿，共 ${describeAlbum(album)}`;
+}
+
+module.exports = {
+  ALBUM_CONFIG,
+  findRecentlyEndedCourse,
+  isAlbumOpen,
+  addPhotos,
+  addMedia,
+  handleAlbumText,
+  formatAlbumReply,
+};
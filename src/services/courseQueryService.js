@@ -0,0 +1,154 @@
+/**
+ * 課程查詢服務
+ * 取得日期範圍內實際上課的課堂：單次課程 + 重複課程展開（含單次略過/改期），
+ * 供課表、空檔、出缺席、相簿與摘要等流程共用
+ */
+
+const firebaseService = require('./firebaseService');
+const {
+  normalizeDaysOfWeek, occursOnDate, isWithinSeries, applyCourseExceptions,
+} = require('../utils/recurrenceUtils');
+
+/**
+ * 將重複課程在給定日期範圍內展開為單日實例
+ * 規則：
+ * - weekly: 依據 dayOfWeek 與 scheduleTime，每週生成一次
+ * - daily: 每天生成一次
+ * - monthly: 每月固定日號（monthDay，缺省取首堂日期）或第 N 個星期幾（nthWeek + dayOfWeek）
+ * - 有 seriesEnd.until 時，之後的日期不展開
+ * - 套用 exceptions（單次略過/改期）
+ */
+function expandRecurringCourses(recurringCourses, dateRange) {
+  if (!recurringCourses || recurringCourses.length === 0) return [];
+
+  const start = new Date(`${dateRange.startDate}T00:00:00+08:00`);
+  const end = new Date(`${dateRange.endDate}T23:59:59+08:00`);
+
+  const results = [];
+  for (const c of recurringCourses) {
+    const occurrences = [];
+    const recurrenceType = c.recurrenceType || 'weekly';
+    if (recurrenceType === 'daily') {
+      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+        // 修復：使用本地日期避免 UTC 時區轉換問題
+        const year = d.getFullYear();
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        const dateStr = `${year}-${month}-${day}`;
+        occurrences.push({
+          ...c,
+          courseDate: dateStr,
+          isRecurring: true,
+          source: 'recurrence',
+        });
+      }
+    } else if (recurrenceType === 'weekly') {
+      // 支援數字或陣列格式的 dayOfWeek（每週多天，例：[2, 4]）
+      // 沒有有效的週幾值時不展開
+      const daysSet = new Set(normalizeDaysOfWeek(c.dayOfWeek));
+
+      for (let d = new Date(start); daysSet.size > 0 && d <= end; d.setDate(d.getDate() + 1)) {
+        if (daysSet.has(d.getDay())) {
+          // 修復：使用本地日期避免 UTC 時區轉換問題
+          const year = d.getFullYear();
+          const month = String(d.getMonth() + 1).padStart(2, '0');
+          const day = String(d.getDate()).padStart(2, '0');
+          const dateStr = `${year}-${month}-${day}`;
+          occurrences.push({
+            ...c,
+            courseDate: dateStr,
+            isRecurring: true,
+            source: 'recurrence',
+          });
+        }
+      }
+    } else if (recurrenceType === 'monthly') {
+      // 每月固定日號（BYMONTHDAY）或第 N 個星期幾（BYDAY=1SA,3SA / -1FR）
+      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+        const year = d.getFullYear();
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        const dateStr = `${year}-${month}-${day}`;
+        if (occursOnDate(c, dateStr)) {
+          occurrences.push({
+            ...c, courseDate: dateStr, isRecurring: true, source: 'recurrence',
+          });
+        }
+      }
+    }
+    results.push(...applyCourseExceptions(occurrences, c, dateRange));
+  }
+  // 有結束條件（共N堂 / 上到某日）的系列，超過最後上課日不再展開
+  return results.filter((r) => r.isException || isWithinSeries(r, r.courseDate));
+}
+
+function dedupeCourses(list) {
+  if (!list || list.length === 0) return [];
+  const map = new Map();
+  for (const c of list) {
+    const k = `${c.studentName}|${c.courseDate}|${c.scheduleTime || '00:00'}|${c.courseName}`;
+    if (!map.has(k)) map.set(k, c);
+  }
+  return Array.from(map.values());
+}
+
+/**
+ * 取得學生未取消的重複課程，並附上單次例外（courses/{courseId}/exceptions）
+ */
+async function getRecurringCoursesWithExceptions(userId, studentName) {
+  const allCoursesRaw = await firebaseService.getCoursesByStudent(userId, studentName);
+  const recurring = allCoursesRaw.filter((course) => !course.cancelled && course.isRecurring);
+  return Promise.all(recurring.map(async (course) => {
+    const exceptions = await firebaseService.getCourseExceptions(course.courseId || course.id)
+      .catch(() => []);
+    return { ...course, exceptions };
+  }));
+}
+
+/**
+ * 取得單一學生日期範圍內的課程：單次課程 + 重複課展開
+ * 重複課查詢或展開失敗時僅回傳單次課程
+ */
+async function collectStudentCourses(userId, studentName, dateRange) {
+  const singleAll = await firebaseService.getCoursesByStudent(
+    userId,
+    studentName,
+    { startDate: dateRange.startDate, endDate: dateRange.endDate },
+  );
+  // 重複課程的首堂交由展開處理，才能套用單次例外
+  const single = singleAll.filter((course) => !course.cancelled && !course.isRecurring);
+  let expanded = [];
+  try {
+    // 從所有課程中篩選重複課程並展開（含單次略過/改期）
+    const recurring = await getRecurringCoursesWithExceptions(userId, studentName);
+    expanded = expandRecurringCourses(recurring, dateRange);
+  } catch (e) {
+    console.warn('⚠️ 重複課查詢或展開失敗，採用單次課程降級:', e?.message || e);
+  }
+  return [...single, ...expanded];
+}
+
+/**
+ * 取得日期範圍內的課程：單次課程 + 重複課展開（含單次略過/改期）
+ * 未指定學生時彙總所有學生
+ * @param {string} userId
+ * @param {string|null} studentName
+ * @param {{ startDate: string, endDate: string }} dateRange
+ * @returns {Promise<Array<object>>} 去重後的課程
+ */
+async function collectCoursesInRange(userId, studentName, dateRange) {
+  if (studentName) {
+    return dedupeCourses(await collectStudentCourses(userId, studentName, dateRange));
+  }
+
+  // 多學生：每位學生單次 + 重複展開彙總
+  const parent = await firebaseService.getOrCreateParent(userId);
+  const perStudent = await Promise.all((parent.students || []).map((s) => (
+    collectStudentCourses(userId, s.studentName, dateRange)
+  )));
+  return dedupeCourses(perStudent.flat());
+}
+
+module.exports = {
+  collectCoursesInRange,
+};
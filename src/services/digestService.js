@@ -0,0 +1,54 @@
+/**
+ * 每日摘要 / 每週預覽服務
+ * 家長訂閱後，每天早上推播今天的課、週日晚上推播下週課程（可附快要交的作業與快用完的方案），
+ * 設定存於 digest_settings/{userId}；推播由 Functions 排程（functions/digestService，sendDigests）
+ * 每 5 分鐘檢查是否該推播，這裡只負責訂閱設定
+ */
+
+const firebaseService = require('./firebaseService');
+const { getActorFields } = require('./familyGroupService');
+const { DIGEST_DEFAULTS } = require('../utils/digestUtils');
+
+const COLLECTION = 'digest_settings';
+
+/**
+ * 讀取摘要設定
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+async function getDigestSettings(userId) {
+  const doc = await firebaseService.getCollection(COLLECTION).doc(userId).get();
+  return doc.exists ? { userId: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * 更新摘要設定（未指定的欄位沿用原設定或預設值）
+ * @param {string} userId
+ * @param {object} updates - daily / weekly / dailyTime / weeklyTime
+ *   / includeHomework / includePackages
+ * @param {object} slots - 群組訊息的 actor（記錄設定者）
+ * @returns {Promise<object>} 更新後的設定
+ */
+async function saveDigestSettings(userId, updates, slots = {}) {
+  const existing = await getDigestSettings(userId);
+  const settings = {
+    daily: false,
+    weekly: false,
+    ...DIGEST_DEFAULTS,
+    ...existing,
+    ...updates,
+    userId,
+  };
+  settings.active = Boolean(settings.daily || settings.weekly);
+  settings.updatedAt = new Date().toISOString();
+  if (!existing) Object.assign(settings, getActorFields(slots));
+
+  await firebaseService.getCollection(COLLECTION).doc(userId).set(settings, { merge: true });
+  console.log(`📰 摘要設定已更新: ${userId} (每日 ${settings.daily}, 每週 ${settings.weekly})`);
+  return settings;
+}
+
+module.exports = {
+  getDigestSettings,
+  saveDigestSettings,
+};
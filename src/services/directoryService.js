@@ -0,0 +1,232 @@
+/**
+ * 名錄服務
+ * 家長常用的老師與上課地點：模糊比對自由輸入（「王老師」「大安」）到名錄中的正式紀錄，
+ * 並提供提醒所需的老師電話與地點地址
+ */
+
+const firebaseService = require('./firebaseService');
+
+const TEACHER_TITLE_RE = /(老師|教練|教授|講師|導師)$/;
+
+/**
+ * 名錄對照適用的意圖（新增類意圖才套用預設時長）
+ */
+const DIRECTORY_SLOT_INTENTS = ['add_course', 'create_recurring_course', 'query_schedule'];
+const DEFAULT_DURATION_INTENTS = ['add_course', 'create_recurring_course'];
+
+/**
+ * 跳脫正規表示式特殊字元（名錄名稱來自使用者輸入）
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 正規化比對字串（去空白、英文小寫）
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeKey(text) {
+  return String(text || '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * 名錄項目的比對鍵：名稱 + 別名；老師另加去除稱謂的姓名（王教練 → 王）
+ * @param {object} entry
+ * @param {string} type - teacher / location
+ * @returns {Array<string>}
+ */
+function getEntryKeys(entry, type) {
+  const keys = [entry.name, ...(entry.aliases || [])].map(normalizeKey).filter(Boolean);
+  if (type === 'teacher') {
+    keys.push(...keys.map((key) => key.replace(TEACHER_TITLE_RE, '')).filter(Boolean));
+  }
+  return Array.from(new Set(keys));
+}
+
+/**
+ * 比對分數：完全相同 3、互相包含 2、其餘 0
+ * @param {string} query - 已正規化
+ * @param {Array<string>} keys
+ * @returns {number}
+ */
+function scoreKeys(query, keys) {
+  if (keys.includes(query)) return 3;
+  const partial = keys.some((key) => (key.length >= 2 && query.includes(key))
+    || (query.length >= 2 && key.includes(query)));
+  return partial ? 2 : 0;
+}
+
+/**
+ * 依自由輸入找出名錄中最相符的一筆；同分多筆時視為無法判斷
+ * @param {Array<object>} entries
+ * @param {string} text - 例：王老師、大安
+ * @param {string} type - teacher / location
+ * @returns {object|null}
+ */
+function matchEntry(entries, text, type) {
+  const raw = normalizeKey(text);
+  if (!raw || !Array.isArray(entries) || entries.length === 0) return null;
+  const queries = type === 'teacher'
+    ? Array.from(new Set([raw, raw.replace(TEACHER_TITLE_RE, '')])).filter(Boolean)
+    : [raw];
+
+  let best = null;
+  let bestScore = 0;
+  let tie = false;
+  entries.forEach((entry) => {
+    const keys = getEntryKeys(entry, type);
+    const score = Math.max(...queries.map((q) => scoreKeys(q, keys)));
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+      tie = false;
+    } else if (score > 0 && score === bestScore) {
+      tie = true;
+    }
+  });
+
+  return best && !tie ? best : null;
+}
+
+/**
+ * 在整句中找出提及的名錄項目（未被 parseLocation/parseTeacher 擷取時使用）
+ * 地點：句中含名稱/別名，或「在」後接名稱前綴（在大安 → 大安運動中心）
+ * 老師：句中含名稱/別名，或姓名 + 任一稱謂（王老師 → 王教練）
+ * @param {Array<object>} entries
+ * @param {string} message
+ * @param {string} type - teacher / location
+ * @returns {{ entry: object, matched: string }|null}
+ */
+function findMentionedEntry(entries, message, type) {
+  const text = normalizeKey(message);
+  const found = [];
+  (entries || []).forEach((entry) => {
+    const names = [entry.name, ...(entry.aliases || [])].map(normalizeKey).filter(Boolean);
+    let matched = names.find((name) => text.includes(name)) || null;
+
+    if (!matched && type === 'teacher') {
+      const bare = normalizeKey(entry.name).replace(TEACHER_TITLE_RE, '');
+      const titled = bare && text.match(new RegExp(`${escapeRegExp(bare)}(老師|教練|教授|講師|導師)`));
+      if (titled) [matched] = titled;
+    }
+    if (!matched && type === 'location') {
+      const name = normalizeKey(entry.name);
+      for (let len = name.length - 1; len >= 2 && !matched; len -= 1) {
+        const prefix = name.slice(0, len);
+        if (text.includes(`在${prefix}`)) matched = prefix;
+      }
+    }
+    if (matched) found.push({ entry, matched });
+  });
+
+  return found.length === 1 ? found[0] : null;
+}
+
+/**
+ * 自課名中移除地點片段（「在大安游泳課」→「游泳課」）
+ * @param {string} courseName
+ * @param {string} matched
+ * @returns {string}
+ */
+function stripMentionFromCourseName(courseName, matched) {
+  if (!courseName || !matched || !courseName.includes(matched)) return courseName;
+  const stripped = courseName.replace(new RegExp(`在?${escapeRegExp(matched)}(上)?`), '');
+  return stripped.replace(/課$/, '').length >= 2 ? stripped : courseName;
+}
+
+/**
+ * 以名錄校正 slots 中的老師與地點，並帶入預設上課時長
+ * 名錄讀取失敗時原樣回傳，不影響主流程
+ * @param {object} slots
+ * @param {string} message
+ * @param {string} intent
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+async function resolveDirectorySlots(slots, message, intent, userId) {
+  if (!userId || !DIRECTORY_SLOT_INTENTS.includes(intent)) return slots;
+
+  let teachers = [];
+  let locations = [];
+  try {
+    [teachers, locations] = await Promise.all([
+      firebaseService.getDirectoryEntries(userId, 'teacher'),
+      firebaseService.getDirectoryEntries(userId, 'location'),
+    ]);
+  } catch (error) {
+    console.warn('⚠️ 讀取老師/地點名錄失敗，沿用原始輸入:', error?.message || error);
+    return slots;
+  }
+  if (teachers.length === 0 && locations.length === 0) return slots;
+
+  const resolved = { ...slots };
+
+  const teacherEntry = slots.teacher ? matchEntry(teachers, slots.teacher, 'teacher') : null;
+  const teacherHit = teacherEntry
+    ? { entry: teacherEntry, matched: null }
+    : findMentionedEntry(teachers, message, 'teacher');
+  if (teacherHit) {
+    resolved.teacher = teacherHit.entry.name;
+    resolved.teacherId = teacherHit.entry.id;
+    console.log(`📇 老師對照名錄: ${slots.teacher || teacherHit.matched} → ${teacherHit.entry.name}`);
+  }
+
+  const locationEntry = slots.location ? matchEntry(locations, slots.location, 'location') : null;
+  const locationHit = locationEntry
+    ? { entry: locationEntry, matched: null }
+    : findMentionedEntry(locations, message, 'location');
+  if (locationHit) {
+    resolved.location = locationHit.entry.name;
+    resolved.locationId = locationHit.entry.id;
+    resolved.locationAddress = locationHit.entry.address || null;
+    resolved.courseName = stripMentionFromCourseName(resolved.courseName, locationHit.matched);
+    console.log(`📇 地點對照名錄: ${slots.location || locationHit.matched} → ${locationHit.entry.name}`);
+  }
+
+  // 未指定時長時，依老師、地點的預設時長帶入
+  if (DEFAULT_DURATION_INTENTS.includes(intent) && !resolved.durationMinutes && !resolved.endTime) {
+    const defaultDuration = teacherHit?.entry.defaultDurationMinutes
+      || locationHit?.entry.defaultDurationMinutes;
+    if (defaultDuration > 0) resolved.durationMinutes = defaultDuration;
+  }
+
+  return resolved;
+}
+
+/**
+ * 取得課程（或提醒）的老師電話與地點地址
+ * 優先以 teacherId / locationId 對應，舊資料以名稱模糊比對
+ * @param {string} userId
+ * @param {object} course - { teacher, teacherId, location, locationId }
+ * @returns {Promise<{ teacherPhone: string|null, locationAddress: string|null }>}
+ */
+async function getCourseContacts(userId, course = {}) {
+  const contacts = { teacherPhone: null, locationAddress: null };
+  if (!userId || (!course.teacher && !course.location)) return contacts;
+
+  try {
+    const [teachers, locations] = await Promise.all([
+      course.teacher ? firebaseService.getDirectoryEntries(userId, 'teacher') : [],
+      course.location ? firebaseService.getDirectoryEntries(userId, 'location') : [],
+    ]);
+    const teacher = teachers.find((t) => t.id === course.teacherId)
+      || matchEntry(teachers, course.teacher, 'teacher');
+    const location = locations.find((l) => l.id === course.locationId)
+      || matchEntry(locations, course.location, 'location');
+    contacts.teacherPhone = teacher?.phone || null;
+    contacts.locationAddress = location?.address || null;
+  } catch (error) {
+    console.warn('⚠️ 讀取老師/地點聯絡資訊失敗:', error?.message || error);
+  }
+  return contacts;
+}
+
+module.exports = {
+  matchEntry,
+  findMentionedEntry,
+  resolveDirectorySlots,
+  getCourseContacts,
+};
@@ -0,0 +1,243 @@
+/**
+ * 家庭群組服務
+ * 爸媽與阿嬤在同一個 LINE 群組/多人聊天室時，共用一個家庭帳號（課程資料的擁有者），
+ * 由發言的成員執行操作；群組紀錄存於 family_groups/{groupId|roomId}
+ */
+
+const firebaseService = require('./firebaseService');
+
+const COLLECTION = 'family_groups';
+
+// 群組中不需提及機器人也會處理的意圖以外：多輪對話的操作性意圖需有待確認的操作
+const OPERATIONAL_INTENTS = [
+  'confirm_action',
+  'modify_action',
+  'cancel_action',
+  'restart_input',
+  'supplement_student_name',
+  'supplement_course_name',
+  'supplement_schedule_time',
+  'supplement_course_date',
+  'supplement_day_of_week',
+];
+
+// 未提及機器人時，訊息需含課程用語（或提到孩子名字）才視為在跟機器人說話
+const COURSE_KEYWORD_RE = /課|堂|提醒|作業|練習|請假|出席|缺席|繳費|學費|行程|摘要|預覽|通知|勿擾/;
+
+// 非文字訊息對應的處理：照片/影音加入課堂相簿、檔案附加到作業、位置設為上課地點
+const CONTENT_MESSAGE_INTENTS = {
+  image: 'record_content',
+  video: 'record_content',
+  audio: 'record_content',
+  file: 'add_homework',
+  location: 'set_course_venue',
+};
+
+/**
+ * 群組或聊天室 ID
+ * @param {object} source - LINE event.source
+ * @returns {string|null} 一對一聊天時為 null
+ */
+function getChatId(source = {}) {
+  if (source.type === 'group') return source.groupId;
+  if (source.type === 'room') return source.roomId;
+  return null;
+}
+
+/**
+ * 讀取群組紀錄
+ * @param {string} chatId
+ * @returns {Promise<object|null>}
+ */
+async function getFamilyGroup(chatId) {
+  const doc = await firebaseService.getCollection(COLLECTION).doc(chatId).get();
+  return doc.exists ? { chatId: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * 建立或重新啟用群組紀錄；預設以群組 ID 作為家庭帳號
+ * @param {object} source - LINE event.source
+ * @returns {Promise<object>}
+ */
+async function activateFamilyGroup(source) {
+  const chatId = getChatId(source);
+  const existing = await getFamilyGroup(chatId);
+  const data = {
+    chatType: source.type,
+    accountId: existing?.accountId || chatId,
+    active: true,
+    joinedAt: existing?.joinedAt || new Date().toISOString(),
+    leftAt: null,
+  };
+  await firebaseService.getCollection(COLLECTION).doc(chatId).set(data, { merge: true });
+  console.log(`👨‍👩‍👧 家庭群組已啟用: ${chatId} → ${data.accountId}`);
+  return { chatId, members: existing?.members || {}, ...data };
+}
+
+/**
+ * 機器人被移出群組：保留資料，僅標記停用
+ * @param {object} source
+ * @returns {Promise<void>}
+ */
+async function deactivateFamilyGroup(source) {
+  const chatId = getChatId(source);
+  await firebaseService.getCollection(COLLECTION).doc(chatId).set({
+    active: false,
+    leftAt: new Date().toISOString(),
+  }, { merge: true });
+  console.log('👋 家庭群組已停用:', chatId);
+}
+
+/**
+ * 記錄群組成員（加入、發言時更新）
+ * @param {string} chatId
+ * @param {Array<{ userId: string, displayName?: string }>} members
+ * @returns {Promise<void>}
+ */
+async function upsertMembers(chatId, members) {
+  const now = new Date().toISOString();
+  const updates = {};
+  members.filter((member) => member.userId).forEach((member) => {
+    updates[member.userId] = {
+      displayName: member.displayName || null,
+      lastActiveAt: now,
+    };
+  });
+  if (Object.keys(updates).length === 0) return;
+  await firebaseService.getCollection(COLLECTION).doc(chatId)
+    .set({ members: updates }, { merge: true });
+}
+
+/**
+ * 將群組改用某位成員的個人帳號（「綁定我的課表」），沿用他一對一聊天建立的課程
+ * @param {object} source - LINE event.source（userId 為發言成員）
+ * @returns {Promise<string>} 新的家庭帳號
+ */
+async function linkMemberAccount(source) {
+  const chatId = getChatId(source);
+  await activateFamilyGroup(source);
+  await firebaseService.getCollection(COLLECTION).doc(chatId).set({
+    accountId: source.userId,
+    linkedBy: source.userId,
+    linkedAt: new Date().toISOString(),
+  }, { merge: true });
+  console.log(`🔗 家庭群組改用成員帳號: ${chatId} → ${source.userId}`);
+  return source.userId;
+}
+
+/**
+ * 解析事件的資料擁有者與發言成員
+ * 一對一聊天：兩者皆為 userId；群組/聊天室：資料擁有者為家庭帳號
+ * @param {object} source - LINE event.source
+ * @returns {Promise<object>} accountId / memberId / chatId / isGroup / memberName
+ */
+async function resolveChat(source = {}) {
+  const chatId = getChatId(source);
+  if (!chatId) {
+    return {
+      accountId: source.userId, memberId: source.userId, chatId: null, isGroup: false,
+    };
+  }
+
+  // 機器人加入前就存在的群組（或 join 事件遺失）在第一次發言時補建
+  const group = (await getFamilyGroup(chatId)) || (await activateFamilyGroup(source));
+  return {
+    accountId: group.accountId || chatId,
+    memberId: source.userId || null,
+    chatId,
+    isGroup: true,
+    memberName: group.members?.[source.userId]?.displayName || null,
+  };
+}
+
+/**
+ * 訊息中是否提及機器人（LINE mention.mentionees[].isSelf）
+ * @param {object} message - LINE text message
+ * @returns {boolean}
+ */
+function isBotMentioned(message = {}) {
+  return (message.mention?.mentionees || []).some((mentionee) => mentionee.isSelf);
+}
+
+/**
+ * 移除訊息中提及機器人的文字（「@課程小幫手 小明明天有課嗎」→「小明明天有課嗎」）
+ * @param {object} message - LINE text message
+ * @returns {string}
+ */
+function stripBotMention(message = {}) {
+  const text = String(message.text || '');
+  const mentions = (message.mention?.mentionees || [])
+    .filter((mentionee) => mentionee.isSelf)
+    .sort((a, b) => b.index - a.index);
+  return mentions
+    .reduce((result, { index, length }) => (
+      result.slice(0, index) + result.slice(index + length)
+    ), text)
+    .trim();
+}
+
+/**
+ * 群組中未提及機器人時是否回應：課程相關意圖且提到孩子或課程用語才回應，
+ * 避免意圖判斷把家人閒聊（「今天天氣真好」）當成查詢；
+ * 多輪對話的確認/補充只在有待處理的操作時回應
+ * @param {string} intent
+ * @param {object} options
+ * @param {string} options.text - 訊息文字
+ * @param {Array<string>} options.studentNames - 家庭帳號的學生名稱
+ * @param {boolean} options.hasPendingInput - 對話上下文是否正在等待輸入
+ * @returns {boolean}
+ */
+function shouldRespondInGroup(intent, { text = '', studentNames = [], hasPendingInput = false } = {}) {
+  if (!intent || intent === 'unknown') return false;
+  if (OPERATIONAL_INTENTS.includes(intent)) return hasPendingInput;
+  return COURSE_KEYWORD_RE.test(text) || studentNames.some((name) => name && text.includes(name));
+}
+
+/**
+ * 群組中的照片、影音、檔案、位置是否處理（無法提及機器人）：
+ * 有待處理的操作、相簿仍在收照片時處理；否則檔名/地點名稱需提到課程用語或孩子名字，
+ * 家人分享的生活照、所在位置不當成課程記錄
+ * @param {object} message - LINE message（image / video / audio / file / location）
+ * @param {object} options
+ * @param {Array<string>} options.studentNames - 家庭帳號的學生名稱
+ * @param {boolean} options.hasPendingInput - 對話上下文是否正在等待輸入
+ * @param {boolean} options.hasOpenAlbum - 課堂相簿是否仍在收照片
+ * @returns {boolean}
+ */
+function shouldHandleGroupContent(message = {}, {
+  studentNames = [], hasPendingInput = false, hasOpenAlbum = false,
+} = {}) {
+  const intent = CONTENT_MESSAGE_INTENTS[message.type];
+  if (!intent) return false;
+  if (hasPendingInput || (intent === 'record_content' && hasOpenAlbum)) return true;
+  const text = [message.fileName, message.title, message.address].filter(Boolean).join(' ');
+  return shouldRespondInGroup(intent, { text, studentNames });
+}
+
+/**
+ * 群組中由哪位成員操作（寫入記錄的 createdBy 欄位）
+ * @param {object} slots - webhook 在群組訊息加入 slots.actor = { userId, displayName }
+ * @returns {object} 一對一聊天時為空物件
+ */
+function getActorFields(slots = {}) {
+  if (!slots?.actor?.userId) return {};
+  return {
+    createdBy: slots.actor.userId,
+    createdByName: slots.actor.displayName || null,
+  };
+}
+
+module.exports = {
+  getChatId,
+  getFamilyGroup,
+  activateFamilyGroup,
+  deactivateFamilyGroup,
+  upsertMembers,
+  linkMemberAccount,
+  resolveChat,
+  isBotMentioned,
+  stripBotMention,
+  shouldRespondInGroup,
+  shouldHandleGroupContent,
+  getActorFields,
+};
@@ -0,0 +1,256 @@
+/**
+ * 家庭行程服務
+ * 彙整同一位家長底下所有學生的日曆，提供跨學生的衝突檢查（接送人無法同時出現在兩地）
+ * 以及依全家空檔建議可改排的時段
+ */
+
+const firebaseService = require('./firebaseService');
+const googleCalendarService = require('./googleCalendarService');
+const {
+  DEFAULT_DURATION_MINUTES,
+  timeToMinutes,
+  minutesToTime,
+} = require('../utils/durationUtils');
+
+/**
+ * 空檔搜尋範圍與間隔（每日可排課時段可由環境變數調整）
+ */
+const FREE_SLOT_CONFIG = {
+  DAY_START: process.env.FREE_SLOT_DAY_START || '08:00',
+  DAY_END: process.env.FREE_SLOT_DAY_END || '21:00',
+  STEP_MINUTES: 30,
+  MAX_SUGGESTIONS: 3,
+};
+
+/**
+ * 是否啟用家庭衝突模式（檢查同一家長所有學生的行程）
+ * @returns {boolean}
+ */
+function isFamilyConflictModeEnabled() {
+  return process.env.ENABLE_FAMILY_CONFLICT_CHECK === 'true';
+}
+
+/**
+ * 事件時間轉為台北時間的當日分鐘數
+ * @param {string} dateTime - RFC3339 時間
+ * @returns {number|null}
+ */
+function toTaipeiMinutes(dateTime) {
+  const date = new Date(dateTime);
+  if (Number.isNaN(date.getTime())) return null;
+  return (date.getUTCHours() * 60 + date.getUTCMinutes() + 480) % 1440;
+}
+
+/**
+ * 取得台北時間的今天日期與目前分鐘數
+ * @returns {{ date: string, minutes: number }}
+ */
+function getTaipeiNow() {
+  const taipei = new Date(Date.now() + 8 * 60 * 60 * 1000);
+  return {
+    date: taipei.toISOString().slice(0, 10),
+    minutes: taipei.getUTCHours() * 60 + taipei.getUTCMinutes(),
+  };
+}
+
+/**
+ * 取得全家所有學生在指定日期的忙碌時段（略過已取消與整天事件）
+ * 單一學生日曆讀取失敗時僅記錄警告，不影響其他學生
+ * @param {string} userId - 家長 LINE ID
+ * @param {string} courseDate - YYYY-MM-DD
+ * @returns {Promise<Array<object>>}
+ *   [{ studentName, summary, eventId, startTime, endTime, startMinutes, endMinutes }]
+ */
+async function getFamilyBusySlots(userId, courseDate) {
+  const students = (await firebaseService.getStudentsByUser(userId)) || [];
+  const dayStart = `${courseDate}T00:00:00+08:00`;
+  const dayEnd = `${courseDate}T23:59:59+08:00`;
+
+  const eventsByStudent = await Promise.all(students
+    .filter((student) => student.calendarId)
+    .map(async (student) => {
+      try {
+        const events = await googleCalendarService.getEvents(student.calendarId, dayStart, dayEnd);
+        return { student, events: events || [] };
+      } catch (error) {
+        console.warn('⚠️ 讀取學生日曆失敗，略過:', student.studentName, error?.message || error);
+        return { student, events: [] };
+      }
+    }));
+
+  const busy = [];
+  eventsByStudent.forEach(({ student, events }) => {
+    events
+      .filter((event) => event.start?.dateTime && !googleCalendarService.isCancelledEvent(event))
+      .forEach((event) => {
+        const startMinutes = toTaipeiMinutes(event.start.dateTime);
+        let endMinutes = toTaipeiMinutes(event.end?.dateTime);
+        if (startMinutes === null) return;
+        if (endMinutes === null) endMinutes = startMinutes + DEFAULT_DURATION_MINUTES;
+        if (endMinutes <= startMinutes) endMinutes = 1440; // 跨午夜的事件以當日結束計
+        busy.push({
+          studentName: student.studentName,
+          summary: event.summary || '',
+          eventId: event.id || null,
+          startTime: minutesToTime(startMinutes),
+          endTime: minutesToTime(endMinutes),
+          startMinutes,
+          endMinutes,
+        });
+      });
+  });
+
+  return busy.sort((a, b) => a.startMinutes - b.startMinutes);
+}
+
+/**
+ * 找出與指定時段重疊的忙碌時段
+ * @param {Array<object>} busy - getFamilyBusySlots 的結果
+ * @param {string} scheduleTime - HH:MM
+ * @param {number} durationMinutes
+ * @returns {Array<object>}
+ */
+function findOverlaps(busy, scheduleTime, durationMinutes = DEFAULT_DURATION_MINUTES) {
+  const start = timeToMinutes(scheduleTime);
+  if (start === null) return [];
+  const end = start + durationMinutes;
+  return busy.filter((slot) => start < slot.endMinutes && end > slot.startMinutes);
+}
+
+/**
+ * 依忙碌時段找出可排課的空檔，依與指定時間的接近程度排序
+ * @param {Array<object>} busy - 忙碌時段（含 startMinutes / endMinutes）
+ * @param {number} durationMinutes - 需要的時長
+ * @param {object} options
+ * @param {string} options.preferredTime - 偏好的開始時間 HH:MM，未提供時依時間先後
+ * @param {string} options.dayStart - 最早開始時間
+ * @param {string} options.dayEnd - 最晚結束時間
+ * @param {number} options.notBeforeMinutes - 不得早於此分鐘數（當天已過的時間）
+ * @param {number} options.limit - 最多回傳幾個
+ * @returns {Array<string>} 依時間排序的 HH:MM 開始時間
+ */
+function findFreeSlots(busy, durationMinutes = DEFAULT_DURATION_MINUTES, options = {}) {
+  const {
+    preferredTime = null,
+    dayStart = FREE_SLOT_CONFIG.DAY_START,
+    dayEnd = FREE_SLOT_CONFIG.DAY_END,
+    notBeforeMinutes = 0,
+    limit = FREE_SLOT_CONFIG.MAX_SUGGESTIONS,
+  } = options;
+  const step = FREE_SLOT_CONFIG.STEP_MINUTES;
+  const earliest = Math.ceil(Math.max(timeToMinutes(dayStart), notBeforeMinutes) / step) * step;
+  const latest = timeToMinutes(dayEnd) - durationMinutes;
+
+  const candidates = [];
+  for (let start = earliest; start <= latest; start += step) {
+    const end = start + durationMinutes;
+    const blocked = busy.some((slot) => start < slot.endMinutes && end > slot.startMinutes);
+    if (!blocked) candidates.push(start);
+  }
+
+  const preferred = timeToMinutes(preferredTime);
+  const ranked = preferred === null
+    ? candidates
+    : [...candidates].sort((a, b) => Math.abs(a - preferred) - Math.abs(b - preferred) || a - b);
+
+  return ranked
+    .slice(0, limit)
+    .sort((a, b) => a - b)
+    .map(minutesToTime);
+}
+
+/**
+ * 依忙碌時段計算連續空檔區間
+ * @param {Array<object>} busy - 忙碌時段（含 startMinutes / endMinutes）
+ * @param {object} options
+ * @param {string} options.dayStart - 區間起點 HH:MM
+ * @param {string} options.dayEnd - 區間終點 HH:MM
+ * @param {number} options.notBeforeMinutes - 不得早於此分鐘數（當天已過的時間）
+ * @param {number} options.minMinutes - 空檔最短長度
+ * @returns {Array<{ startTime: string, endTime: string, minutes: number }>}
+ */
+function findFreeWindows(busy, options = {}) {
+  const {
+    dayStart = FREE_SLOT_CONFIG.DAY_START,
+    dayEnd = FREE_SLOT_CONFIG.DAY_END,
+    notBeforeMinutes = 0,
+    minMinutes = DEFAULT_DURATION_MINUTES,
+  } = options;
+  const step = FREE_SLOT_CONFIG.STEP_MINUTES;
+  const windowEnd = timeToMinutes(dayEnd);
+  let cursor = Math.max(timeToMinutes(dayStart), Math.ceil(notBeforeMinutes / step) * step);
+
+  const windows = [];
+  const pushWindow = (start, end) => {
+    if (end - start >= minMinutes) {
+      windows.push({
+        startTime: minutesToTime(start),
+        endTime: minutesToTime(end),
+        minutes: end - start,
+      });
+    }
+  };
+
+  [...busy]
+    .sort((a, b) => a.startMinutes - b.startMinutes)
+    .forEach((slot) => {
+      if (slot.endMinutes <= cursor || slot.startMinutes >= windowEnd) return;
+      if (slot.startMinutes > cursor) pushWindow(cursor, slot.startMinutes);
+      cursor = Math.max(cursor, slot.endMinutes);
+    });
+  if (cursor < windowEnd) pushWindow(cursor, windowEnd);
+
+  return windows;
+}
+
+/**
+ * 家庭衝突檢查：同一家長的其他學生在同一時段是否已有課程
+ * @param {string} userId - 家長 LINE ID
+ * @param {string} studentName - 正在排課的學生（其本身的衝突由 checkConflict 處理）
+ * @param {string} courseDate - YYYY-MM-DD
+ * @param {string} scheduleTime - HH:MM
+ * @param {number} durationMinutes
+ * @returns {Promise<object>} { hasConflict, conflicts, suggestedTimes }
+ *   suggestedTimes 為全家都有空、最接近原時間的 HH:MM（任何學生有重疊時才計算）
+ */
+async function checkFamilyConflict(
+  userId,
+  studentName,
+  courseDate,
+  scheduleTime,
+  durationMinutes = DEFAULT_DURATION_MINUTES,
+) {
+  try {
+    const busy = await getFamilyBusySlots(userId, courseDate);
+    const overlaps = findOverlaps(busy, scheduleTime, durationMinutes);
+    const conflicts = overlaps.filter((slot) => slot.studentName !== studentName);
+
+    const now = getTaipeiNow();
+    const suggestedTimes = overlaps.length > 0
+      ? findFreeSlots(busy, durationMinutes, {
+        preferredTime: scheduleTime,
+        notBeforeMinutes: courseDate === now.date ? now.minutes : 0,
+      })
+      : [];
+
+    if (conflicts.length > 0) {
+      console.log('👨‍👩‍👧 發現家庭行程衝突:', conflicts.length, '個事件');
+    }
+
+    return { hasConflict: conflicts.length > 0, conflicts, suggestedTimes };
+  } catch (error) {
+    console.error('❌ 家庭衝突檢查失敗:', error);
+    return { hasConflict: false, conflicts: [], suggestedTimes: [] };
+  }
+}
+
+module.exports = {
+  FREE_SLOT_CONFIG,
+  isFamilyConflictModeEnabled,
+  getFamilyBusySlots,
+  findOverlaps,
+  findFreeSlots,
+  findFreeWindows,
+  checkFamilyConflict,
+  getTaipeiNow,
+};
@@ -395,6 +395,157 @@ async function markReminderExecuted(reminderId, executionData = {}) {
   }
 }
 
+/**
+ * 以指定 ID 建立提醒（固定提醒展開的每一堂），已存在時不覆寫
+ * @returns {Promise<boolean>} 是否為新建立
+ */
+async function createReminderOnce(reminderId, reminderData) {
+  try {
+    const firestore = initializeFirebase();
+    await firestore.collection('reminders').doc(reminderId).create({
+      ...reminderData,
+      reminderId,
+      executed: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      triggerTime: reminderData.triggerTime instanceof Date
+        ? admin.firestore.Timestamp.fromDate(reminderData.triggerTime)
+        : reminderData.triggerTime,
+    });
+    console.log('✅ 提醒記錄已創建:', reminderId);
+    return true;
+  } catch (error) {
+    // ALREADY_EXISTS：先前掃描已展開過這一堂
+    if (error.code === 6) return false;
+    console.error('❌ 創建提醒失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 查詢用戶尚未發送的提醒（依觸發時間排序）
+ */
+async function getUpcomingReminders(userId) {
+  try {
+    const firestore = initializeFirebase();
+    const snapshot = await firestore.collection('reminders')
+      .where('userId', '==', userId)
+      .where('executed', '==', false)
+      .get();
+
+    const reminders = [];
+    snapshot.forEach((doc) => {
+      reminders.push({ reminderId: doc.id, ...doc.data() });
+    });
+    const toMillis = (value) => value?.toMillis?.() ?? new Date(value).getTime();
+    return reminders.sort((a, b) => toMillis(a.triggerTime) - toMillis(b.triggerTime));
+  } catch (error) {
+    console.error('❌ 查詢用戶提醒失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 取得單一提醒
+ */
+async function getReminderById(reminderId) {
+  try {
+    const firestore = initializeFirebase();
+    const doc = await firestore.collection('reminders').doc(reminderId).get();
+    return doc.exists ? { reminderId: doc.id, ...doc.data() } : null;
+  } catch (error) {
+    console.error('❌ 取得提醒失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 更新提醒（修改觸發時間、稍後再提醒）
+ */
+async function updateReminder(reminderId, updates) {
+  try {
+    const firestore = initializeFirebase();
+    await firestore.collection('reminders').doc(reminderId).update({
+      ...updates,
+      ...(updates.triggerTime instanceof Date
+        ? { triggerTime: admin.firestore.Timestamp.fromDate(updates.triggerTime) }
+        : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log('✅ 提醒已更新:', reminderId);
+    return true;
+  } catch (error) {
+    console.error('❌ 更新提醒失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 固定提醒規則 (reminder_rules) 相關操作
+ * 綁定重複課程系列，由提醒執行器展開為每一堂的提醒；active=false 表示已刪除或系列已結束
+ */
+
+/**
+ * 新增固定提醒規則
+ */
+async function saveReminderRule(ruleData) {
+  try {
+    const firestore = initializeFirebase();
+    const ruleDoc = {
+      ...ruleData,
+      active: true,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    const docRef = await firestore.collection('reminder_rules').add(ruleDoc);
+    console.log('✅ 固定提醒規則已儲存:', docRef.id);
+    return { ruleId: docRef.id, ...ruleDoc };
+  } catch (error) {
+    console.error('❌ 儲存固定提醒規則失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 查詢固定提醒規則（userId 為空時查全部，供提醒執行器展開）
+ */
+async function getReminderRules({ userId = null, studentName = null, active = true } = {}) {
+  try {
+    const firestore = initializeFirebase();
+    let query = firestore.collection('reminder_rules');
+    if (userId) query = query.where('userId', '==', userId);
+    if (studentName) query = query.where('studentName', '==', studentName);
+    if (active !== null) query = query.where('active', '==', active);
+
+    const snapshot = await query.get();
+    const rules = [];
+    snapshot.forEach((doc) => {
+      rules.push({ ruleId: doc.id, ...doc.data() });
+    });
+    return rules;
+  } catch (error) {
+    console.error('❌ 查詢固定提醒規則失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 更新固定提醒規則（停用、記錄結束原因）
+ */
+async function updateReminderRule(ruleId, updates) {
+  try {
+    const firestore = initializeFirebase();
+    await firestore.collection('reminder_rules').doc(ruleId).update({
+      ...updates,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log('✅ 固定提醒規則已更新:', ruleId);
+  } catch (error) {
+    console.error('❌ 更新固定提醒規則失敗:', error);
+    throw error;
+  }
+}
+
 /**
  * 刪除課程
  */
@@ -417,6 +568,370 @@ async function deleteCourse(courseId) {
   }
 }
 
+/**
+ * 課程例外 (courses/{courseId}/exceptions) 相關操作
+ * 重複課程的單次略過/改期，以原定日期 YYYY-MM-DD 作為文件 ID，每個實例最多一筆
+ */
+
+/**
+ * 儲存單次例外（同一原定日期會覆寫）
+ */
+async function saveCourseException(courseId, originalDate, exceptionData) {
+  try {
+    const firestore = initializeFirebase();
+    const exceptionRef = firestore.collection('courses').doc(courseId)
+      .collection('exceptions').doc(originalDate);
+
+    const exceptionDoc = {
+      ...exceptionData,
+      courseId,
+      originalDate,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    await exceptionRef.set(exceptionDoc, { merge: true });
+    console.log(`✅ 課程例外已儲存: ${courseId}/${originalDate} (${exceptionData.type})`);
+    return exceptionDoc;
+  } catch (error) {
+    console.error('❌ 儲存課程例外失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 取得課程的所有單次例外
+ */
+async function getCourseExceptions(courseId) {
+  try {
+    const firestore = initializeFirebase();
+    const snapshot = await firestore.collection('courses').doc(courseId)
+      .collection('exceptions')
+      .get();
+
+    const exceptions = [];
+    snapshot.forEach((doc) => {
+      exceptions.push({ id: doc.id, ...doc.data() });
+    });
+    return exceptions;
+  } catch (error) {
+    console.error('❌ 查詢課程例外失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 取得課程在指定原定日期的單次例外
+ */
+async function getCourseException(courseId, originalDate) {
+  try {
+    const firestore = initializeFirebase();
+    const doc = await firestore.collection('courses').doc(courseId)
+      .collection('exceptions')
+      .doc(originalDate)
+      .get();
+
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  } catch (error) {
+    console.error('❌ 查詢課程例外失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 出缺席 (attendance) 相關操作
+ * 每堂課一筆，以「課程 ID_上課日期」作為文件 ID（重複課程的每個實例各自記錄）
+ */
+
+/**
+ * 儲存出缺席狀態（同一堂課會覆寫）
+ */
+async function saveAttendance(courseId, courseDate, attendanceData) {
+  try {
+    const firestore = initializeFirebase();
+    const attendanceId = `${courseId}_${courseDate}`;
+    const attendanceDoc = {
+      ...attendanceData,
+      courseId,
+      courseDate,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('attendance').doc(attendanceId).set(attendanceDoc, { merge: true });
+    console.log(`✅ 出缺席已儲存: ${attendanceId} (${attendanceData.status})`);
+    return { attendanceId, ...attendanceDoc };
+  } catch (error) {
+    console.error('❌ 儲存出缺席失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 查詢日期範圍內的出缺席紀錄（可指定學生）
+ */
+async function getAttendanceByUser(userId, { startDate, endDate, studentName = null } = {}) {
+  try {
+    const firestore = initializeFirebase();
+    let query = firestore.collection('attendance').where('userId', '==', userId);
+    if (studentName) query = query.where('studentName', '==', studentName);
+    if (startDate) query = query.where('courseDate', '>=', startDate);
+    if (endDate) query = query.where('courseDate', '<=', endDate);
+
+    const snapshot = await query.get();
+    const records = [];
+    snapshot.forEach((doc) => {
+      records.push({ id: doc.id, ...doc.data() });
+    });
+    return records;
+  } catch (error) {
+    console.error('❌ 查詢出缺席失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 補課 (makeup_credits) 相關操作
+ * 請假的課堂各記一筆待補，文件 ID 與出缺席相同（課程 ID_上課日期）
+ * status：outstanding 待補、scheduled 已安排補課、void 改為非請假而作廢
+ */
+
+/**
+ * 取得單筆補課紀錄
+ */
+async function getMakeupCredit(creditId) {
+  try {
+    const firestore = initializeFirebase();
+    const doc = await firestore.collection('makeup_credits').doc(creditId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  } catch (error) {
+    console.error('❌ 取得補課紀錄失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 新增或更新補課紀錄（merge）
+ */
+async function saveMakeupCredit(creditId, creditData) {
+  try {
+    const firestore = initializeFirebase();
+    const creditDoc = {
+      ...creditData,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('makeup_credits').doc(creditId).set(creditDoc, { merge: true });
+    console.log(`✅ 補課紀錄已儲存: ${creditId} (${creditData.status})`);
+    return { id: creditId, ...creditDoc };
+  } catch (error) {
+    console.error('❌ 儲存補課紀錄失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 查詢補課紀錄（可指定學生、狀態），依請假日期排序
+ */
+async function getMakeupCreditsByUser(userId, { studentName = null, status = 'outstanding' } = {}) {
+  try {
+    const firestore = initializeFirebase();
+    let query = firestore.collection('makeup_credits').where('userId', '==', userId);
+    if (studentName) query = query.where('studentName', '==', studentName);
+    if (status) query = query.where('status', '==', status);
+
+    const snapshot = await query.get();
+    const credits = [];
+    snapshot.forEach((doc) => {
+      credits.push({ id: doc.id, ...doc.data() });
+    });
+    // 僅用等值條件查詢，排序於記憶體處理以免額外建立複合索引
+    return credits.sort((a, b) => String(a.missedDate).localeCompare(String(b.missedDate)));
+  } catch (error) {
+    console.error('❌ 查詢補課紀錄失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 課程方案 (packages) 相關操作
+ * 預繳堂數的方案：每堂出席扣一堂，consumedOccurrences 記錄已扣的課堂（出缺席 ID）避免重複扣堂
+ */
+
+/**
+ * 新增課程方案
+ */
+async function savePackage(packageData) {
+  try {
+    const firestore = initializeFirebase();
+    const packageDoc = {
+      ...packageData,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    const docRef = await firestore.collection('packages').add(packageDoc);
+    console.log('✅ 課程方案已儲存:', docRef.id);
+    return { packageId: docRef.id, ...packageDoc };
+  } catch (error) {
+    console.error('❌ 儲存課程方案失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 查詢課程方案（可指定學生），依購買日期排序
+ */
+async function getPackagesByUser(userId, { studentName = null } = {}) {
+  try {
+    const firestore = initializeFirebase();
+    let query = firestore.collection('packages').where('userId', '==', userId);
+    if (studentName) query = query.where('studentName', '==', studentName);
+
+    const snapshot = await query.get();
+    const packages = [];
+    snapshot.forEach((doc) => {
+      packages.push({ packageId: doc.id, ...doc.data() });
+    });
+    return packages.sort((a, b) => String(a.purchasedDate).localeCompare(String(b.purchasedDate)));
+  } catch (error) {
+    console.error('❌ 查詢課程方案失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 更新課程方案（扣堂、退堂、通知狀態）
+ */
+async function updatePackage(packageId, updates) {
+  try {
+    const firestore = initializeFirebase();
+    await firestore.collection('packages').doc(packageId).update({
+      ...updates,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log('✅ 課程方案已更新:', packageId);
+  } catch (error) {
+    console.error('❌ 更新課程方案失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 作業 (homeworks) 相關操作
+ * status: pending（未完成）/ completed（已完成）；dueDate 為繳交日 YYYY-MM-DD（可為空）
+ */
+
+/**
+ * 查詢作業（可指定學生與狀態），依繳交日排序，未設繳交日排最後
+ */
+async function getHomeworksByUser(userId, { studentName = null, status = 'pending' } = {}) {
+  try {
+    const firestore = initializeFirebase();
+    let query = firestore.collection('homeworks').where('userId', '==', userId);
+    if (studentName) query = query.where('studentName', '==', studentName);
+    if (status) query = query.where('status', '==', status);
+
+    const snapshot = await query.get();
+    const homeworks = [];
+    snapshot.forEach((doc) => {
+      homeworks.push({ homeworkId: doc.id, ...doc.data() });
+    });
+    return homeworks.sort((a, b) => String(a.dueDate || '9999').localeCompare(String(b.dueDate || '9999')));
+  } catch (error) {
+    console.error('❌ 查詢作業失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 名錄 (parents/{userId}/teachers、parents/{userId}/locations) 相關操作
+ * 家長常用的老師與上課地點，同一名稱視為同一筆（重複新增即更新）
+ */
+
+const DIRECTORY_COLLECTIONS = {
+  teacher: 'teachers',
+  location: 'locations',
+};
+
+/**
+ * 取得名錄集合
+ * @param {string} userId
+ * @param {string} type - teacher / location
+ */
+function getDirectoryCollection(userId, type) {
+  const collectionName = DIRECTORY_COLLECTIONS[type];
+  if (!collectionName) throw new Error(`未知的名錄類型: ${type}`);
+  const firestore = initializeFirebase();
+  return firestore.collection('parents').doc(userId).collection(collectionName);
+}
+
+/**
+ * 取得家長的老師或地點名錄
+ * @param {string} userId
+ * @param {string} type - teacher / location
+ * @returns {Promise<Array<object>>}
+ */
+async function getDirectoryEntries(userId, type) {
+  try {
+    const snapshot = await getDirectoryCollection(userId, type).get();
+    const entries = [];
+    snapshot.forEach((doc) => {
+      entries.push({ id: doc.id, ...doc.data() });
+    });
+    return entries;
+  } catch (error) {
+    console.error('❌ 查詢名錄失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 新增或更新名錄項目（以名稱比對，未提供的欄位保留原值）
+ * @param {string} userId
+ * @param {string} type - teacher / location
+ * @param {object} entryData - { name, aliases, phone, address, defaultDurationMinutes }
+ * @returns {Promise<object>} { id, created, ...entry }
+ */
+async function saveDirectoryEntry(userId, type, entryData) {
+  try {
+    const collectionRef = getDirectoryCollection(userId, type);
+    const existing = await collectionRef.where('name', '==', entryData.name).limit(1).get();
+    const updates = Object.fromEntries(Object.entries(entryData)
+      .filter(([, value]) => value !== null && value !== undefined));
+
+    if (!existing.empty) {
+      const doc = existing.docs[0];
+      const previous = doc.data();
+      const aliases = Array.from(new Set([
+        ...(previous.aliases || []),
+        ...(updates.aliases || []),
+      ]));
+      await doc.ref.update({
+        ...updates,
+        aliases,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      console.log(`✅ 名錄已更新: ${type}/${doc.id}`);
+      return {
+        id: doc.id, created: false, ...previous, ...updates, aliases,
+      };
+    }
+
+    const newEntry = {
+      aliases: [],
+      ...updates,
+      userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const docRef = await collectionRef.add(newEntry);
+    console.log(`✅ 名錄已新增: ${type}/${docRef.id}`);
+    return { id: docRef.id, created: true, ...newEntry };
+  } catch (error) {
+    console.error('❌ 儲存名錄失敗:', error);
+    throw error;
+  }
+}
+
 /**
  * 測試 Firebase 連接
  */
@@ -505,9 +1020,82 @@ async function deleteDocument(collectionName, docId) {
 }
 
 /**
- * Firebase Storage 圖片上傳功能
+ * Firebase Storage 上傳功能
  */
 
+/**
+ * 依副檔名判斷的 Content-Type（LINE 影片為 mp4、語音為 m4a）
+ */
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  m4a: 'audio/mp4',
+  mp3: 'audio/mpeg',
+  aac: 'audio/aac',
+  wav: 'audio/wav',
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  txt: 'text/plain',
+};
+
+/**
+ * 依檔名取得 Content-Type
+ * @param {string} fileName
+ * @returns {string} 未知副檔名回傳 application/octet-stream
+ */
+function getContentType(fileName) {
+  const ext = String(fileName || '').split('.').pop().toLowerCase();
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+/**
+ * 上傳檔案到 Firebase Storage 並公開
+ * @param {Buffer} buffer - 檔案二進位資料
+ * @param {string} folder - Storage 目錄，例：courses-media/{courseId}
+ * @param {string} fileName - 檔案名稱
+ * @param {object} options
+ * @param {string} options.contentType - 未提供時依副檔名判斷
+ * @param {object} options.metadata - 自訂 metadata
+ * @returns {Promise<string>} 公開網址
+ */
+async function uploadFile(buffer, folder, fileName, { contentType = null, metadata = {} } = {}) {
+  // 初始化 Firebase (確保 Storage 可用)
+  initializeFirebase();
+
+  // 保留中文檔名（PDF 學習單多為中文），僅替換路徑與空白等特殊字元
+  const timestamp = Date.now();
+  const safeFileName = fileName.replace(/[^\p{L}\p{N}.-]/gu, '_');
+  const storagePath = `${folder}/${timestamp}_${safeFileName}`;
+
+  const bucket = admin.storage().bucket();
+  const file = bucket.file(storagePath);
+
+  await file.save(buffer, {
+    metadata: {
+      contentType: contentType || getContentType(fileName),
+      cacheControl: 'public, max-age=31536000',
+      metadata: {
+        ...metadata,
+        uploadedAt: new Date().toISOString(),
+      },
+    },
+  });
+
+  // 設定公開存取權限
+  await file.makePublic();
+
+  return `https://storage.googleapis.com/${bucket.name}/${encodeURI(storagePath)}`;
+}
+
 /**
  * 上傳圖片到 Firebase Storage
  * @param {Buffer} imageBuffer - 圖片二進位資料
@@ -519,35 +1107,12 @@ async function uploadImage(imageBuffer, courseId, fileName) {
   try {
     console.log(`🖼️ 開始上傳圖片: ${fileName} 到課程 ${courseId}`);
 
-    // 初始化 Firebase (確保 Storage 可用)
-    initializeFirebase();
-
-    // 建立 Storage 參考路徑
-    const timestamp = Date.now();
     const safeFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
-    const storagePath = `courses-images/${courseId}/${timestamp}_${safeFileName}`;
-
-    const bucket = admin.storage().bucket();
-    const file = bucket.file(storagePath);
-
-    // 上傳圖片
-    await file.save(imageBuffer, {
-      metadata: {
-        contentType: 'image/jpeg',
-        cacheControl: 'public, max-age=31536000',
-        metadata: {
-          courseId,
-          uploadedAt: new Date().toISOString(),
-        },
-      },
+    const publicUrl = await uploadFile(imageBuffer, `courses-images/${courseId}`, safeFileName, {
+      contentType: 'image/jpeg',
+      metadata: { courseId },
     });
 
-    // 設定公開存取權限
-    await file.makePublic();
-
-    // 建立公開網址
-    const publicUrl = `https://storage.googleapis.com/${bucket.name}/${storagePath}`;
-
     console.log(`✅ 圖片上傳成功: ${publicUrl}`);
     return publicUrl;
   } catch (error) {
@@ -556,6 +1121,48 @@ async function uploadImage(imageBuffer, courseId, fileName) {
   }
 }
 
+/**
+ * 上傳課堂影音（錄影、錄音）到 Firebase Storage
+ * @param {Buffer} buffer - 影音二進位資料
+ * @param {string} courseId - 課程ID（未對應課程時為相簿 ID）
+ * @param {string} fileName - 檔案名稱（副檔名決定 Content-Type）
+ * @returns {Promise<string>} 公開網址
+ */
+async function uploadMedia(buffer, courseId, fileName) {
+  try {
+    console.log(`🎬 開始上傳影音: ${fileName} 到課程 ${courseId}`);
+    const publicUrl = await uploadFile(buffer, `courses-media/${courseId}`, fileName, {
+      metadata: { courseId },
+    });
+    console.log(`✅ 影音上傳成功: ${publicUrl}`);
+    return publicUrl;
+  } catch (error) {
+    console.error('❌ 影音上傳失敗:', error);
+    throw new Error(`影音上傳失敗: ${error.message}`);
+  }
+}
+
+/**
+ * 上傳作業附件（學習單 PDF 等）到 Firebase Storage
+ * @param {Buffer} buffer - 檔案二進位資料
+ * @param {string} homeworkId - 作業 ID
+ * @param {string} fileName - 原始檔名
+ * @returns {Promise<string>} 公開網址
+ */
+async function uploadHomeworkFile(buffer, homeworkId, fileName) {
+  try {
+    console.log(`📎 開始上傳作業附件: ${fileName} 到作業 ${homeworkId}`);
+    const publicUrl = await uploadFile(buffer, `homework-files/${homeworkId}`, fileName, {
+      metadata: { homeworkId },
+    });
+    console.log(`✅ 作業附件上傳成功: ${publicUrl}`);
+    return publicUrl;
+  } catch (error) {
+    console.error('❌ 作業附件上傳失敗:', error);
+    throw new Error(`作業附件上傳失敗: ${error.message}`);
+  }
+}
+
 /**
  * 批量上傳多張圖片
  * @param {Array<{buffer: Buffer, fileName: string}>} images - 圖片陣列
@@ -581,6 +1188,47 @@ async function uploadMultipleImages(images, courseId) {
   }
 }
 
+/**
+ * 將照片或影音加入課程內容記錄（arrayUnion，同批檔案並行寫入不互相覆蓋）
+ * @param {string} recordId - course_contents 文件 ID
+ * @param {string} field - photos（網址）/ media（{ type, url, ... }）
+ * @param {Array<string|object>} items
+ * @returns {Promise<void>}
+ */
+async function appendContentItems(recordId, field, items) {
+  try {
+    const firestore = initializeFirebase();
+    await firestore.collection('course_contents').doc(recordId).update({
+      [field]: admin.firestore.FieldValue.arrayUnion(...items),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log(`✅ 已加入 ${items.length} 筆 ${field} 到記錄:`, recordId);
+  } catch (error) {
+    console.error('❌ 加入記錄附件失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 將附件加入作業（arrayUnion）
+ * @param {string} homeworkId
+ * @param {object} attachment - { fileName, url, contentType, fileSize, uploadedAt }
+ * @returns {Promise<void>}
+ */
+async function appendHomeworkAttachment(homeworkId, attachment) {
+  try {
+    const firestore = initializeFirebase();
+    await firestore.collection('homeworks').doc(homeworkId).update({
+      attachments: admin.firestore.FieldValue.arrayUnion(attachment),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log('✅ 已加入作業附件:', homeworkId);
+  } catch (error) {
+    console.error('❌ 加入作業附件失敗:', error);
+    throw error;
+  }
+}
+
 /**
  * 刪除 Storage 中的圖片
  * @param {string} imageUrl - 圖片公開網址
@@ -689,16 +1337,55 @@ module.exports = {
   findCourse,
   updateCourseRecord,
   deleteCourse,
+  saveCourseException,
+  getCourseExceptions,
+  getCourseException,
+
+  // 出缺席操作
+  saveAttendance,
+  getAttendanceByUser,
+
+  // 補課操作
+  getMakeupCredit,
+  saveMakeupCredit,
+  getMakeupCreditsByUser,
+
+  // 課程方案操作
+  savePackage,
+  getPackagesByUser,
+  updatePackage,
+
+  // 作業操作
+  getHomeworksByUser,
+
+  // 名錄操作（老師/地點）
+  getDirectoryEntries,
+  saveDirectoryEntry,
 
   // 提醒操作
   createReminder,
+  createReminderOnce,
   getPendingReminders,
+  getUpcomingReminders,
+  getReminderById,
+  updateReminder,
   markReminderExecuted,
   updateReminderRetry,
   getCourseById,
 
+  // 固定提醒規則操作
+  saveReminderRule,
+  getReminderRules,
+  updateReminderRule,
+
   // 圖片上傳操作
+  getContentType,
+  uploadFile,
   uploadImage,
   uploadMultipleImages,
+  uploadMedia,
+  uploadHomeworkFile,
+  appendContentItems,
+  appendHomeworkAttachment,
   deleteImage,
 };
@@ -1,4 +1,6 @@
 const { google } = require('googleapis');
+const { toByDayCodes, normalizeNthWeeks } = require('../utils/recurrenceUtils');
+const { DEFAULT_DURATION_MINUTES } = require('../utils/durationUtils');
 
 /**
  * Google Calendar API 服務封裝
@@ -157,12 +159,37 @@ function addHours(dateTimeString, hours = 1) {
   return `${date}T${newHourStr}:${minute}:${second}${timezone}`;
 }
 
+/**
+ * 加上指定分鐘數（課程時長），結果固定輸出台北時區格式
+ * @param {string} dateTimeString - 例：2025-08-06T10:00:00+08:00
+ * @param {number} minutes - 分鐘數
+ * @returns {string}
+ */
+function addMinutes(dateTimeString, minutes = DEFAULT_DURATION_MINUTES) {
+  const dateObj = new Date(dateTimeString);
+  if (Number.isNaN(dateObj.getTime())) {
+    throw new Error(`無效的日期時間格式: ${dateTimeString}`);
+  }
+
+  const taiwanTime = new Date(dateObj.getTime() + (minutes + 8 * 60) * 60 * 1000);
+  const year = taiwanTime.getUTCFullYear();
+  const month = String(taiwanTime.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(taiwanTime.getUTCDate()).padStart(2, '0');
+  const h = String(taiwanTime.getUTCHours()).padStart(2, '0');
+  const m = String(taiwanTime.getUTCMinutes()).padStart(2, '0');
+  const sec = String(taiwanTime.getUTCSeconds()).padStart(2, '0');
+
+  return `${year}-${month}-${day}T${h}:${m}:${sec}+08:00`;
+}
+
 /**
  * 建立重複規則
  * 支援兩種呼叫形式（向下相容）：
  * 1) 舊：buildRecurrenceRule(recurring, recurrenceType, dayOfWeek)
  * 2) 新：buildRecurrenceRule(recurring, { recurrenceType, dayOfWeek, monthDay, nthWeek })
- *    - P0 僅接受 `nthWeek` 參數但不使用（預留至 P1）
+ *    - monthly 搭配 `nthWeek`（例：[1, 3] 或 [-1]）與 `dayOfWeek` 輸出 BYDAY=1SA,3SA / BYDAY=-1FR
+ *    - `dayOfWeek` 可為單一星期或多天陣列（例：[2, 4] → BYDAY=TU,TH）
+ *    - `seriesCount` / `seriesUntil` 產生 COUNT / UNTIL 結束條件
  *
  * @param {boolean} recurring - 是否重複
  * @param {string|object|null} recurrenceTypeOrOptions - 重複類型或包含參數的物件
@@ -191,88 +218,61 @@ function buildRecurrenceRule(recurring, recurrenceTypeOrOptions = null, dayOfWee
   let recurrenceType = null;
   let dayOfWeek = null;
   let monthDay = null;
-  let nthWeek = null; // P0 預留不使用
+  let nthWeek = null; // 每月第 N 個星期幾（-1 表示最後一個）
+  let seriesCount = null; // 系列總堂數（COUNT）
+  let seriesUntil = null; // 系列最後上課日 YYYY-MM-DD（UNTIL）
 
   if (recurrenceTypeOrOptions && typeof recurrenceTypeOrOptions === 'object') {
     recurrenceType = recurrenceTypeOrOptions.recurrenceType || null;
-    // 允許 weekly 多天情境：此處仍僅接受單一（P0），多天支援在後續擴充
-    dayOfWeek = Array.isArray(recurrenceTypeOrOptions.dayOfWeek)
-      ? recurrenceTypeOrOptions.dayOfWeek[0]
-      : recurrenceTypeOrOptions.dayOfWeek ?? null;
+    // 每週可為單天或多天（陣列），統一在下方正規化
+    dayOfWeek = recurrenceTypeOrOptions.dayOfWeek ?? null;
     monthDay = recurrenceTypeOrOptions.monthDay ?? null;
-    nthWeek = recurrenceTypeOrOptions.nthWeek ?? null; // 預留，不使用
+    nthWeek = recurrenceTypeOrOptions.nthWeek ?? null;
+    seriesCount = recurrenceTypeOrOptions.seriesCount ?? null;
+    seriesUntil = recurrenceTypeOrOptions.seriesUntil ?? null;
   } else {
     recurrenceType = recurrenceTypeOrOptions;
     dayOfWeek = dayOfWeekLegacy;
   }
 
+  let rule;
   if (recurrenceType === 'daily') {
-    return ['RRULE:FREQ=DAILY'];
-  }
-
-  if (recurrenceType === 'weekly' || !recurrenceType) {
-    // 每週重複（原有邏輯，預設行為）
-    const dayMapping = {
-      0: 'SU',
-      1: 'MO',
-      2: 'TU',
-      3: 'WE',
-      4: 'TH',
-      5: 'FR',
-      6: 'SA',
-    };
-
-    // 支援多天：若 options.dayOfWeek 是陣列，輸出逗號分隔的 BYDAY
-    const normalizeToCode = (value) => {
-      if (value === null || value === undefined) return null;
-      if (typeof value === 'number') {
-        return dayMapping.hasOwnProperty(value) ? dayMapping[value] : null;
-      }
-      if (typeof value === 'string') {
-        const upper = value.trim().toUpperCase();
-        // 允許傳 MO/TU/... 或中文數字轉換已在上游完成
-        if (['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'].includes(upper)) return upper;
-        const asNum = Number(upper);
-        return Number.isFinite(asNum) && dayMapping.hasOwnProperty(asNum) ? dayMapping[asNum] : null;
-      }
-      return null;
-    };
-
-    // 若為多天陣列
-    if (recurrenceTypeOrOptions && typeof recurrenceTypeOrOptions === 'object' && Array.isArray(recurrenceTypeOrOptions.dayOfWeek)) {
-      const codes = recurrenceTypeOrOptions.dayOfWeek
-        .map(normalizeToCode)
-        .filter(Boolean);
-      if (codes.length > 0) {
-        return [`RRULE:FREQ=WEEKLY;BYDAY=${codes.join(',')}`];
-      }
-    }
-
-    // 單一天（legacy 或物件中為單值）
-    const singleCode = normalizeToCode(dayOfWeek);
-    if (singleCode) {
-      return [`RRULE:FREQ=WEEKLY;BYDAY=${singleCode}`];
-    }
-
+    rule = 'RRULE:FREQ=DAILY';
+  } else if (recurrenceType === 'weekly' || !recurrenceType) {
+    // 每週重複：支援數字、MO/TU 代碼或多天陣列，輸出逗號分隔的 BYDAY（例：BYDAY=TU,TH）
     // 無指定週幾，僅回 FREQ=WEEKLY
-    return ['RRULE:FREQ=WEEKLY'];
-  }
-
-  if (recurrenceType === 'monthly') {
-    // P0 支援 BYMONTHDAY（固定日期）
-    if (monthDay !== null && monthDay !== undefined) {
-      // 明確指定的月日（1-31）
+    const codes = toByDayCodes(dayOfWeek);
+    rule = codes.length > 0 ? `RRULE:FREQ=WEEKLY;BYDAY=${codes.join(',')}` : 'RRULE:FREQ=WEEKLY';
+  } else if (recurrenceType === 'monthly') {
+    // 第 N 個星期幾：BYDAY=1SA,3SA；最後一個：BYDAY=-1FR
+    const nths = normalizeNthWeeks(nthWeek);
+    const dayCodes = toByDayCodes(dayOfWeek);
+    if (nths.length > 0 && dayCodes.length > 0) {
+      const byDay = nths.flatMap((n) => dayCodes.map((code) => `${n}${code}`));
+      rule = `RRULE:FREQ=MONTHLY;BYDAY=${byDay.join(',')}`;
+    } else if (monthDay !== null && monthDay !== undefined) {
+      // 固定日期：BYMONTHDAY（明確指定的月日 1-31）
       const validMonthDay = Math.max(1, Math.min(31, Number(monthDay)));
-      return [`RRULE:FREQ=MONTHLY;BYMONTHDAY=${validMonthDay}`];
+      rule = `RRULE:FREQ=MONTHLY;BYMONTHDAY=${validMonthDay}`;
+    } else {
+      // 預設：使用當前日期作為 BYMONTHDAY
+      // 在呼叫處應該傳入適當的 monthDay 值
+      rule = 'RRULE:FREQ=MONTHLY';
     }
+  } else {
+    // 向下兼容：預設為每週重複
+    rule = 'RRULE:FREQ=WEEKLY';
+  }
 
-    // 預設：使用當前日期作為 BYMONTHDAY
-    // 在呼叫處應該傳入適當的 monthDay 值
-    return ['RRULE:FREQ=MONTHLY'];
+  // 系列結束條件：COUNT 與 UNTIL 互斥（RFC 5545），指定堂數時優先使用 COUNT
+  if (Number.isInteger(seriesCount) && seriesCount > 0) {
+    rule += `;COUNT=${seriesCount}`;
+  } else if (seriesUntil && /^\d{4}-\d{2}-\d{2}$/.test(seriesUntil)) {
+    // 含最後一天：台北時間當日 23:59:59 = UTC 15:59:59
+    rule += `;UNTIL=${seriesUntil.replace(/-/g, '')}T155959Z`;
   }
 
-  // 向下兼容：預設為每週重複
-  return ['RRULE:FREQ=WEEKLY'];
+  return [rule];
 }
 
 /**
@@ -290,17 +290,28 @@ async function createEvent(calendarId, courseData) {
       recurrenceType = null,
       dayOfWeek = null,
       monthDay = null,
+      nthWeek = null,
+      seriesCount = null,
+      seriesUntil = null,
+      durationMinutes = DEFAULT_DURATION_MINUTES,
+      location = null,
+      teacher = null,
       studentName,
       userId,
       courseId,
     } = courseData;
 
     const startDateTime = buildDateTime(courseDate, scheduleTime);
-    const endDateTime = addHours(startDateTime, 1);
+    const endDateTime = addMinutes(startDateTime, durationMinutes);
 
     const eventResource = {
       summary: userId ? `[${userId}] ${studentName} - ${courseName}` : `${studentName} - ${courseName}`,
-      description: `${studentName}的課程\n由 LINE 課程管理機器人自動創建`,
+      description: [
+        `${studentName}的課程`,
+        teacher ? `老師：${teacher}` : null,
+        '由 LINE 課程管理機器人自動創建',
+      ].filter(Boolean).join('\n'),
+      ...(location ? { location } : {}),
       start: {
         dateTime: startDateTime,
         timeZone: 'Asia/Taipei',
@@ -313,7 +324,9 @@ async function createEvent(calendarId, courseData) {
         recurrenceType,
         dayOfWeek,
         monthDay,
-        nthWeek: null, // P0 預留，不使用
+        nthWeek,
+        seriesCount,
+        seriesUntil,
       }),
       extendedProperties: {
         private: {
@@ -408,13 +421,32 @@ async function getEvents(calendarId, timeMin, timeMax) {
   }
 }
 
+/**
+ * 是否為已標記取消的事件（不應參與衝突判斷）
+ */
+function isCancelledEvent(event) {
+  try {
+    const cancelledFlag = event?.extendedProperties?.private?.cancelled === 'true';
+    const cancelledTitle = typeof event?.summary === 'string' && event.summary.includes('【已取消】');
+    return cancelledFlag || cancelledTitle;
+  } catch (_) {
+    return false;
+  }
+}
+
 /**
  * 檢查時間衝突
+ * @param {number} durationMinutes - 新課程的時長（分鐘）
  */
-async function checkConflict(calendarId, courseDate, scheduleTime, duration = 1) {
+async function checkConflict(
+  calendarId,
+  courseDate,
+  scheduleTime,
+  durationMinutes = DEFAULT_DURATION_MINUTES,
+) {
   try {
     const startDateTime = buildDateTime(courseDate, scheduleTime);
-    const endDateTime = addHours(startDateTime, duration);
+    const endDateTime = addMinutes(startDateTime, durationMinutes);
 
     // 查詢當天的所有事件
     const dayStart = `${courseDate}T00:00:00+08:00`;
@@ -423,15 +455,7 @@ async function checkConflict(calendarId, courseDate, scheduleTime, duration = 1)
     let events = await getEvents(calendarId, dayStart, dayEnd);
 
     // 過濾「已取消」事件（不應參與衝突判斷）
-    events = (events || []).filter((event) => {
-      try {
-        const cancelledFlag = event?.extendedProperties?.private?.cancelled === 'true';
-        const cancelledTitle = typeof event?.summary === 'string' && event.summary.includes('【已取消】');
-        return !(cancelledFlag || cancelledTitle);
-      } catch (_) {
-        return true;
-      }
-    });
+    events = (events || []).filter((event) => !isCancelledEvent(event));
 
     // 檢查是否有時間重疊
     const newStart = new Date(startDateTime);
@@ -450,9 +474,15 @@ async function checkConflict(calendarId, courseDate, scheduleTime, duration = 1)
       return {
         hasConflict: true,
         conflicts: conflicts.map((event) => ({
+          id: event.id,
           summary: event.summary,
           start: event.start.dateTime || event.start.date,
           end: event.end.dateTime || event.end.date,
+          // 重複事件實例：供呼叫端排除「正在調整的那一堂」本身
+          recurringEventId: event.recurringEventId || null,
+          originalStart: event.originalStartTime
+            ? (event.originalStartTime.dateTime || event.originalStartTime.date)
+            : null,
         })),
       };
     }
@@ -562,6 +592,74 @@ async function deleteRecurringEvent(calendarId, eventId) {
   }
 }
 
+/**
+ * 取得重複事件在原定時間的單一實例
+ * @param {string} calendarId
+ * @param {string} eventId - 重複事件主事件 ID
+ * @param {string} originalDate - 實例原定日期 YYYY-MM-DD
+ * @param {string} scheduleTime - 系列的上課時間 HH:MM
+ * @returns {Promise<object|null>} 事件實例
+ */
+async function getRecurringInstance(calendarId, eventId, originalDate, scheduleTime) {
+  const calendarService = initializeGoogleCalendar();
+  const response = await calendarService.events.instances({
+    calendarId,
+    eventId,
+    originalStart: buildDateTime(originalDate, scheduleTime),
+  });
+  const items = (response.data && response.data.items) || [];
+  return items[0] || null;
+}
+
+/**
+ * 略過重複事件的單一實例（等同 EXDATE，系列其他日期不受影響）
+ * @returns {Promise<{ success: boolean, instanceId?: string, message?: string }>}
+ */
+async function skipRecurringInstance(calendarId, eventId, originalDate, scheduleTime) {
+  try {
+    const instance = await getRecurringInstance(calendarId, eventId, originalDate, scheduleTime);
+    if (!instance) {
+      return { success: false, message: `找不到 ${originalDate} 的重複事件實例` };
+    }
+
+    const calendarService = initializeGoogleCalendar();
+    await calendarService.events.delete({ calendarId, eventId: instance.id });
+    console.log('✅ 重複事件單次實例已略過:', instance.id);
+    return { success: true, instanceId: instance.id };
+  } catch (error) {
+    console.error('❌ 略過重複事件實例失敗:', error?.response?.data || error?.message || error);
+    return { success: false, message: error?.message };
+  }
+}
+
+/**
+ * 改期重複事件的單一實例（instance override，系列其他日期不受影響）
+ * @param {object} updateData - 例如 { start, end }
+ * @returns {Promise<{ success: boolean, instanceId?: string, message?: string }>}
+ */
+async function rescheduleRecurringInstance(
+  calendarId,
+  eventId,
+  originalDate,
+  scheduleTime,
+  updateData,
+) {
+  try {
+    const instance = await getRecurringInstance(calendarId, eventId, originalDate, scheduleTime);
+    if (!instance) {
+      return { success: false, message: `找不到 ${originalDate} 的重複事件實例` };
+    }
+
+    const calendarService = initializeGoogleCalendar();
+    await calendarService.events.patch({ calendarId, eventId: instance.id, resource: updateData });
+    console.log('✅ 重複事件單次實例已改期:', instance.id);
+    return { success: true, instanceId: instance.id };
+  } catch (error) {
+    console.error('❌ 改期重複事件實例失敗:', error?.response?.data || error?.message || error);
+    return { success: false, message: error?.message };
+  }
+}
+
 /**
  * 取得特定事件詳情
  */
@@ -693,9 +791,13 @@ module.exports = {
   getEvent,
   getEvents,
   markEventCancelled,
+  getRecurringInstance,
+  skipRecurringInstance,
+  rescheduleRecurringInstance,
 
   // 衝突檢查
   checkConflict,
+  isCancelledEvent,
 
   // 同步功能
   syncCalendarToFirebase,
@@ -703,6 +805,7 @@ module.exports = {
   // 輔助函式
   buildDateTime,
   addHours,
+  addMinutes,
   buildRecurrenceRule,
 
   // 驗證工具
@@ -0,0 +1,154 @@
+/**
+ * 作業服務
+ * 「小明數學作業是第10頁 下週三前要交」記錄繳交日，
+ * 繳交日前一晚 20:00 推播提醒（寫入 reminders 由提醒執行器發送），完成後取消提醒
+ */
+
+const firebaseService = require('./firebaseService');
+const { addDaysToDateString } = require('../utils/recurrenceUtils');
+const { formatDueDate, formatHomework } = require('../utils/homeworkUtils');
+const { toMillis } = require('../utils/timestampUtils');
+const { filterByCourseName } = require('../utils/courseNameUtils');
+
+/**
+ * 作業繳交提醒類型（reminders.reminderType）
+ */
+const HOMEWORK_REMINDER_TYPE = 'homework_due';
+
+// 前一晚提醒時間（台北時間）
+const HOMEWORK_REMINDER_TIME = '20:00';
+
+/**
+ * 繳交日前一晚的提醒時間
+ * @param {string} dueDate - YYYY-MM-DD
+ * @returns {Date}
+ */
+function getDueReminderTime(dueDate) {
+  return new Date(`${addDaysToDateString(dueDate, -1)}T${HOMEWORK_REMINDER_TIME}:00+08:00`);
+}
+
+/**
+ * 建立繳交日前一晚的提醒；提醒時間已過（如今晚九點才記錄明天要交的作業）則不建立
+ * @param {object} homework - homeworkId / userId / studentName / courseName / content / dueDate
+ * @returns {Promise<object|null>} 提醒紀錄
+ */
+async function scheduleDueReminder(homework) {
+  if (!homework.dueDate) return null;
+  const triggerTime = getDueReminderTime(homework.dueDate);
+  if (triggerTime <= new Date()) return null;
+
+  return firebaseService.createReminder({
+    reminderType: HOMEWORK_REMINDER_TYPE,
+    userId: homework.userId,
+    studentName: homework.studentName,
+    courseName: homework.courseName,
+    homeworkId: homework.homeworkId,
+    content: homework.content,
+    dueDate: homework.dueDate,
+    triggerTime,
+  });
+}
+
+/**
+ * 找出要標記完成的作業
+ * 同一學生同一科目有多筆時取最早要交的一筆；跨學生或科目無法判斷時回傳候選清單
+ * @param {string} userId
+ * @param {object} slots - studentName / courseName（皆可省略）
+ * @returns {Promise<{ homework: object|null, candidates: Array<object> }>}
+ */
+async function findPendingHomework(userId, { studentName = null, courseName = null } = {}) {
+  const homeworks = filterByCourseName(
+    await firebaseService.getHomeworksByUser(userId, { studentName }),
+    courseName,
+  );
+
+  const groups = new Set(homeworks.map((homework) => `${homework.studentName}|${homework.courseName}`));
+  if (groups.size === 1) return { homework: homeworks[0], candidates: homeworks };
+  return { homework: null, candidates: homeworks };
+}
+
+/**
+ * 標記作業完成，並取消尚未發送的繳交提醒
+ * @param {object} homework
+ * @returns {Promise<void>}
+ */
+async function completeHomework(homework) {
+  await firebaseService.updateDocument('homeworks', homework.homeworkId, {
+    status: 'completed',
+    completedAt: new Date().toISOString(),
+  });
+  if (!homework.reminderId) return;
+  try {
+    await firebaseService.markReminderExecuted(homework.reminderId, {
+      status: 'cancelled',
+      reason: 'homework_completed',
+    });
+  } catch (error) {
+    console.warn('⚠️ 取消作業提醒失敗:', error?.message || error);
+  }
+}
+
+/**
+ * 收到的檔案要附加到哪一份作業：最近新增的未完成作業
+ * 家長通常先說「小明數學作業是學習單」，再傳學習單 PDF
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+async function findAttachmentTarget(userId) {
+  const homeworks = await firebaseService.getHomeworksByUser(userId);
+  return homeworks
+    .slice()
+    .sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt))[0] || null;
+}
+
+/**
+ * 上傳檔案並附加到作業
+ * @param {object} homework
+ * @param {object} file - buffer / fileName / fileSize
+ * @returns {Promise<object>} 附件紀錄
+ */
+async function attachFile(homework, { buffer, fileName, fileSize = null }) {
+  const url = await firebaseService.uploadHomeworkFile(buffer, homework.homeworkId, fileName);
+  const attachment = {
+    fileName,
+    url,
+    contentType: firebaseService.getContentType(fileName),
+    fileSize,
+    uploadedAt: new Date().toISOString(),
+  };
+  await firebaseService.appendHomeworkAttachment(homework.homeworkId, attachment);
+  return attachment;
+}
+
+/**
+ * 作業繳交提醒推播文字（提醒執行器使用）
+ * @param {object} reminder - studentName / courseName / content / dueDate
+ * @returns {string}
+ */
+function formatHomeworkNotice(reminder) {
+  const [, month, day] = String(reminder.dueDate).split('-');
+  const lines = [
+    '📝 作業提醒',
+    '',
+    `👦 學生：${reminder.studentName}`,
+    `📚 課程：${reminder.courseName}`,
+    `📋 作業：${reminder.content}`,
+    `📅 明天（${parseInt(month, 10)}/${parseInt(day, 10)}）要交`,
+    '',
+    '寫完了跟我說「作業寫完了」就會幫你勾掉喔 😊',
+  ];
+  return lines.join('\n');
+}
+
+module.exports = {
+  HOMEWORK_REMINDER_TYPE,
+  getDueReminderTime,
+  scheduleDueReminder,
+  findPendingHomework,
+  completeHomework,
+  findAttachmentTarget,
+  attachFile,
+  formatDueDate,
+  formatHomework,
+  formatHomeworkNotice,
+};
@@ -21,40 +21,57 @@ function getLineHeaders() {
   };
 }
 
+/**
+ * 轉為 LINE 訊息物件（字串視為文字訊息；物件複製一份，避免 quickReply 寫回呼叫端）
+ */
+function toMessageObject(message) {
+  return typeof message === 'string' ? { type: 'text', text: message } : { ...message };
+}
+
+/**
+ * 轉為 LINE Quick Reply 物件（帶 data 的項目為 postback 按鈕，由 postbackUtils 產生）
+ * 未設定簽章金鑰時 postback 項目為 null，略過；沒有剩餘按鈕時回傳 null
+ */
+function toQuickReplyObject(quickReply) {
+  const items = (quickReply || []).filter(Boolean);
+  if (items.length === 0) return null;
+  return {
+    items: items.map((item) => ({
+      type: 'action',
+      action: item.data
+        ? {
+          type: 'postback',
+          label: item.label,
+          data: item.data,
+          displayText: item.displayText || item.label,
+        }
+        : {
+          type: 'message',
+          label: item.label,
+          text: item.text || item.label,
+        },
+    })),
+  };
+}
+
 /**
  * 回覆訊息
+ * message 可為陣列（一次回覆多則，最多 5 則），Quick Reply 掛在最後一則
  */
 async function replyMessage(replyToken, message, quickReply = null) {
   try {
     const headers = getLineHeaders();
 
-    let messageObject;
-    if (typeof message === 'string') {
-      messageObject = {
-        type: 'text',
-        text: message,
-      };
-    } else {
-      messageObject = message;
-    }
+    const messageObjects = (Array.isArray(message) ? message : [message]).map(toMessageObject);
+    const messageObject = messageObjects[messageObjects.length - 1];
 
     // 加入 Quick Reply 按鈕
-    if (quickReply && quickReply.length > 0) {
-      messageObject.quickReply = {
-        items: quickReply.map((item) => ({
-          type: 'action',
-          action: {
-            type: 'message',
-            label: item.label,
-            text: item.text || item.label,
-          },
-        })),
-      };
-    }
+    const quickReplyObject = toQuickReplyObject(quickReply);
+    if (quickReplyObject) messageObject.quickReply = quickReplyObject;
 
     const payload = {
       replyToken,
-      messages: [messageObject],
+      messages: messageObjects,
     };
 
     // 🧪 測試環境檢查：如果是測試 token，記錄實際回覆但跳過 API 調用
@@ -72,11 +89,30 @@ async function replyMessage(replyToken, message, quickReply = null) {
       };
     }
 
-    const response = await axios.post(
-      `${LINE_API_BASE}/message/reply`,
-      payload,
-      { headers },
-    );
+    let response;
+    try {
+      response = await axios.post(
+        `${LINE_API_BASE}/message/reply`,
+        payload,
+        { headers },
+      );
+    } catch (error) {
+      // Flex 結構被 LINE 拒絕（400）時，改以 altText 純文字重送；replyToken 尚未被消耗
+      const hasFlex = messageObjects.some((item) => item.type === 'flex');
+      if (!hasFlex || error.response?.status !== 400) throw error;
+      console.warn('⚠️ Flex 訊息被拒絕，改用純文字回覆:', error.response?.data || error.message);
+      const fallbackObjects = messageObjects.map((item) => {
+        if (item.type !== 'flex') return item;
+        const fallbackObject = { type: 'text', text: item.altText };
+        if (item.quickReply) fallbackObject.quickReply = item.quickReply;
+        return fallbackObject;
+      });
+      response = await axios.post(
+        `${LINE_API_BASE}/message/reply`,
+        { replyToken, messages: fallbackObjects },
+        { headers },
+      );
+    }
 
     console.log('✅ 訊息回覆成功');
     return response.data;
@@ -87,21 +123,15 @@ async function replyMessage(replyToken, message, quickReply = null) {
 }
 
 /**
- * 推播訊息
+ * 推播訊息（可附 Quick Reply，如提醒的「稍後再提醒」）
  */
-async function pushMessage(userId, message) {
+async function pushMessage(userId, message, quickReply = null) {
   try {
     const headers = getLineHeaders();
 
-    let messageObject;
-    if (typeof message === 'string') {
-      messageObject = {
-        type: 'text',
-        text: message,
-      };
-    } else {
-      messageObject = message;
-    }
+    const messageObject = toMessageObject(message);
+    const quickReplyObject = toQuickReplyObject(quickReply);
+    if (quickReplyObject) messageObject.quickReply = quickReplyObject;
 
     const payload = {
       to: userId,
@@ -142,6 +172,29 @@ async function getUserProfile(userId) {
   }
 }
 
+/**
+ * 取得群組/多人聊天室成員資料（成員不必加機器人好友）
+ * @param {string} chatType - group / room
+ * @param {string} chatId - groupId / roomId
+ * @param {string} userId
+ */
+async function getGroupMemberProfile(chatType, chatId, userId) {
+  try {
+    const headers = getLineHeaders();
+
+    const response = await axios.get(
+      `${LINE_API_BASE}/${chatType}/${chatId}/member/${userId}`,
+      { headers },
+    );
+
+    console.log('✅ 取得群組成員資料成功');
+    return response.data;
+  } catch (error) {
+    console.error('❌ 取得群組成員資料失敗:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
 /**
  * 下載圖片內容
  */
@@ -264,26 +317,35 @@ function createQueryActionButtons() {
 }
 
 /**
- * 發送提醒訊息（用於定時任務）
+ * 課程提醒的推播文字（單則推播與合併推播共用）
  */
-async function sendReminder(userId, reminderData) {
-  try {
-    const {
-      studentName, courseName, reminderNote, courseDateTime,
-    } = reminderData;
-
-    let reminderText = '⏰ 課程提醒\n\n';
-    reminderText += `👦 學生：${studentName}\n`;
-    reminderText += `📚 課程：${courseName}\n`;
-    reminderText += `🕐 時間：${courseDateTime}\n`;
-
-    if (reminderNote) {
-      reminderText += `📌 備註：${reminderNote}\n`;
-    }
+function formatReminderMessage(reminderData) {
+  const {
+    studentName, courseName, reminderNote, courseDateTime,
+    location, teacher, locationAddress, teacherPhone,
+  } = reminderData;
+
+  let reminderText = '⏰ 課程提醒\n\n';
+  reminderText += `👦 學生：${studentName}\n`;
+  reminderText += `📚 課程：${courseName}\n`;
+  reminderText += `🕐 時間：${courseDateTime}\n`;
+  if (location) reminderText += `📍 地點：${location}${locationAddress ? `（${locationAddress}）` : ''}\n`;
+  if (teacher) reminderText += `👨‍🏫 老師：${teacher}${teacherPhone ? ` 📞 ${teacherPhone}` : ''}\n`;
+
+  if (reminderNote) {
+    reminderText += `📌 備註：${reminderNote}\n`;
+  }
 
-    reminderText += '\n祝上課愉快！ 😊';
+  reminderText += '\n祝上課愉快！ 😊';
+  return reminderText;
+}
 
-    await pushMessage(userId, reminderText);
+/**
+ * 發送提醒訊息（用於定時任務）
+ */
+async function sendReminder(userId, reminderData, quickReply = null) {
+  try {
+    await pushMessage(userId, formatReminderMessage(reminderData), quickReply);
     console.log('✅ 提醒訊息發送成功');
     return true;
   } catch (error) {
@@ -346,6 +408,7 @@ module.exports = {
   replyMessage,
   pushMessage,
   getUserProfile,
+  getGroupMemberProfile,
   getMessageContent,
 
   // 安全驗證
@@ -359,6 +422,7 @@ module.exports = {
 
   // 業務專用
   sendReminder,
+  formatReminderMessage,
   formatCourseList,
 
   // 測試連接
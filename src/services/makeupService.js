@@ -0,0 +1,90 @@
+/**
+ * 補課服務
+ * 請假的課堂由教室欠一堂補課：出缺席記為請假時建立待補紀錄，
+ * 「安排補課 週六10點」建立課程時連結原本請假的課堂並沖銷待補
+ */
+
+const firebaseService = require('./firebaseService');
+const { filterByCourseName } = require('../utils/courseNameUtils');
+
+/**
+ * 依出缺席狀態同步待補紀錄
+ * 請假 → 建立待補（已安排補課者不重建）；改為其他狀態 → 作廢尚未安排的待補
+ * @param {string} creditId - 與出缺席相同的 ID（課程 ID_上課日期）
+ * @param {object} attendance - userId / studentName / courseName / courseId / courseDate
+ *   / scheduleTime / status
+ * @returns {Promise<object|null>} 新建立或既有的待補紀錄；無待補時為 null
+ */
+async function syncMakeupCredit(creditId, attendance) {
+  const existing = await firebaseService.getMakeupCredit(creditId);
+
+  if (attendance.status !== 'leave') {
+    if (existing?.status === 'outstanding') {
+      await firebaseService.saveMakeupCredit(creditId, { status: 'void' });
+    }
+    return null;
+  }
+
+  if (existing && existing.status !== 'void') return existing;
+  return firebaseService.saveMakeupCredit(creditId, {
+    userId: attendance.userId,
+    studentName: attendance.studentName,
+    courseName: attendance.courseName,
+    courseId: attendance.courseId,
+    missedDate: attendance.courseDate,
+    missedTime: attendance.scheduleTime || null,
+    status: 'outstanding',
+    makeupCourseId: null,
+  });
+}
+
+/**
+ * 找出要沖銷的待補紀錄
+ * 同一學生同一科目有多筆時取最早請假的一筆；跨學生或科目無法判斷時回傳候選清單
+ * @param {string} userId
+ * @param {object} slots - studentName / courseName（皆可省略）
+ * @returns {Promise<{ credit: object|null, candidates: Array<object> }>}
+ */
+async function findMakeupCredit(userId, { studentName = null, courseName = null } = {}) {
+  const credits = filterByCourseName(
+    await firebaseService.getMakeupCreditsByUser(userId, { studentName }),
+    courseName,
+  );
+
+  const groups = new Set(credits.map((credit) => `${credit.studentName}|${credit.courseName}`));
+  if (groups.size === 1) return { credit: credits[0], candidates: credits };
+  return { credit: null, candidates: credits };
+}
+
+/**
+ * 沖銷待補並連結補課課程
+ * @param {object} credit
+ * @param {object} makeupCourse - courseId / courseDate / scheduleTime
+ * @returns {Promise<object>}
+ */
+async function consumeMakeupCredit(credit, makeupCourse) {
+  return firebaseService.saveMakeupCredit(credit.id, {
+    status: 'scheduled',
+    makeupCourseId: makeupCourse.courseId,
+    makeupDate: makeupCourse.courseDate,
+    makeupTime: makeupCourse.scheduleTime || null,
+  });
+}
+
+/**
+ * 待補紀錄顯示，例：10/14 16:00 鋼琴課（請假）
+ * @param {object} credit
+ * @returns {string}
+ */
+function formatMakeupCredit(credit) {
+  const [, month, day] = String(credit.missedDate).split('-');
+  const missed = month && day ? `${parseInt(month, 10)}/${parseInt(day, 10)}` : credit.missedDate;
+  return `${missed}${credit.missedTime ? ` ${credit.missedTime}` : ''} ${credit.courseName}（請假）`;
+}
+
+module.exports = {
+  syncMakeupCredit,
+  findMakeupCredit,
+  consumeMakeupCredit,
+  formatMakeupCredit,
+};
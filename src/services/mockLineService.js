@@ -21,21 +21,28 @@ class MockLineService {
     console.log('📤 Mock LINE API - 回覆訊息');
     console.log('🎫 Reply Token:', replyToken);
 
-    // 🏷️ 為訊息添加MOCK標記
-    let markedMessage;
-    if (typeof message === 'string') {
-      markedMessage = `[MOCK測試回應] ${message}`;
-    } else {
-      markedMessage = {
-        ...message,
-        text: `[MOCK測試回應] ${message.text || JSON.stringify(message)}`,
+    // 🏷️ 為訊息添加MOCK標記（陣列為一次回覆多則）
+    const markMessage = (item) => {
+      if (typeof item === 'string') return `[MOCK測試回應] ${item}`;
+      if (item.type === 'flex') {
+        // Flex 訊息在測試環境降級為 altText 純文字，方便比對
+        const bubbleCount = item.contents?.type === 'carousel' ? item.contents.contents.length : 1;
+        console.log(`🧩 Flex 訊息（${bubbleCount} 張 bubble）以 altText 降級顯示`);
+        return `[MOCK測試回應] ${item.altText || ''}`;
+      }
+      return {
+        ...item,
+        text: `[MOCK測試回應] ${item.text || JSON.stringify(item)}`,
       };
-    }
+    };
+    const sentMessages = (Array.isArray(message) ? message : [message]).map(markMessage);
 
-    console.log('💬 訊息內容:', typeof markedMessage === 'string' ? markedMessage : JSON.stringify(markedMessage, null, 2));
+    sentMessages.forEach((markedMessage) => {
+      console.log('💬 訊息內容:', typeof markedMessage === 'string' ? markedMessage : JSON.stringify(markedMessage, null, 2));
+    });
 
     if (quickReply && quickReply.length > 0) {
-      console.log('🔘 Quick Reply 選項:', quickReply.map((item) => item.label || item.text).join(', '));
+      console.log('🔘 Quick Reply 選項:', quickReply.filter(Boolean).map((item) => item.label || item.text).join(', '));
     }
 
     // 模擬成功回應（包含標記後的訊息）
@@ -43,7 +50,7 @@ class MockLineService {
       success: true,
       mockResponse: true,
       data: {
-        sentMessages: [markedMessage],
+        sentMessages,
         quickReply: quickReply || null,
         timestamp: new Date().toISOString(),
       },
@@ -59,10 +66,13 @@ class MockLineService {
   /**
    * 模擬推播訊息
    */
-  async pushMessage(userId, message) {
+  async pushMessage(userId, message, quickReply = null) {
     console.log('📤 Mock LINE API - 推播訊息');
     console.log('👤 目標用戶:', userId);
     console.log('💬 推播內容:', typeof message === 'string' ? message : JSON.stringify(message, null, 2));
+    if (quickReply && quickReply.length > 0) {
+      console.log('🔘 Quick Reply 選項:', quickReply.filter(Boolean).map((item) => item.label || item.text).join(', '));
+    }
 
     // 模擬成功回應
     const response = {
@@ -71,6 +81,7 @@ class MockLineService {
       data: {
         userId,
         sentMessages: [message],
+        quickReply: quickReply || null,
         timestamp: new Date().toISOString(),
       },
     };
@@ -133,6 +144,17 @@ class MockLineService {
     return response;
   }
 
+  /**
+   * 模擬下載訊息內容（圖片/影音/檔案）
+   * 語音測試搭配 SPEECH_TO_TEXT_PROVIDER=stub：內容取自 MOCK_MESSAGE_CONTENT
+   */
+  async getMessageContent(messageId) {
+    console.log('📥 Mock LINE API - 下載訊息內容:', messageId);
+    // 供 getStats 回報最後一次下載
+    this.lastCall = { method: 'getMessageContent', messageId, timestamp: new Date().toISOString() };
+    return Buffer.from(process.env.MOCK_MESSAGE_CONTENT || '', 'utf8');
+  }
+
   /**
    * 模擬使用者資料獲取
    */
@@ -161,6 +183,19 @@ class MockLineService {
     return response;
   }
 
+  /**
+   * 模擬群組成員資料獲取
+   */
+  async getGroupMemberProfile(chatType, chatId, userId) {
+    console.log('👥 Mock LINE API - 獲取群組成員資料:', chatType, chatId, userId);
+    const { data } = await this.getUserProfile(userId);
+    return {
+      userId,
+      displayName: `測試成員_${userId.slice(-4)}`,
+      pictureUrl: data.pictureUrl,
+    };
+  }
+
   /**
    * 模擬統計資訊獲取
    */
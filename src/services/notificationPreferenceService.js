@@ -0,0 +1,80 @@
+/**
+ * 通知偏好服務
+ * 每位家長一份 notification_preferences/{userId}：勿擾時段、預設提前時間、靜音學生與推播方式，
+ * 提醒執行器依此延後、合併或略過通知，設定提醒時未指定時機則採用預設提前時間
+ */
+
+const firebaseService = require('./firebaseService');
+const { getActorFields } = require('./familyGroupService');
+const { PREFERENCE_DEFAULTS } = require('../utils/notificationPreferenceUtils');
+
+const COLLECTION = 'notification_preferences';
+
+/**
+ * 讀取通知偏好
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+async function getNotificationPreferences(userId) {
+  const doc = await firebaseService.getCollection(COLLECTION).doc(userId).get();
+  return doc.exists ? { userId: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * 更新通知偏好（未指定的欄位沿用原設定或預設值）
+ * @param {string} userId
+ * @param {object} updates - quietHours / leadTime / mutedStudents / deliveryMode
+ * @param {object} slots - 群組訊息的 actor（記錄設定者）
+ * @returns {Promise<object>} 更新後的偏好
+ */
+async function saveNotificationPreferences(userId, updates, slots = {}) {
+  const existing = await getNotificationPreferences(userId);
+  const preferences = {
+    ...PREFERENCE_DEFAULTS,
+    ...existing,
+    ...updates,
+    userId,
+    updatedAt: new Date().toISOString(),
+  };
+  if (!existing) Object.assign(preferences, getActorFields(slots));
+
+  await firebaseService.getCollection(COLLECTION).doc(userId).set(preferences, { merge: true });
+  console.log(`🔔 通知偏好已更新: ${userId}`);
+  return preferences;
+}
+
+/**
+ * 批次讀取多位家長的通知偏好（提醒執行器每次掃描使用）
+ * @param {Array<string>} userIds
+ * @returns {Promise<Map<string, object>>} 沒有設定的家長不在 Map 中
+ */
+async function getPreferencesByUser(userIds) {
+  const preferences = new Map();
+  await Promise.all([...new Set(userIds)].filter(Boolean).map(async (userId) => {
+    const doc = await getNotificationPreferences(userId);
+    if (doc) preferences.set(userId, doc);
+  }));
+  return preferences;
+}
+
+/**
+ * 預設提前時間（分鐘）；讀取失敗時用系統預設，不影響設定提醒
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+async function getPreferredLeadTime(userId) {
+  try {
+    const preferences = await getNotificationPreferences(userId);
+    return preferences?.leadTime || PREFERENCE_DEFAULTS.leadTime;
+  } catch (error) {
+    console.warn('⚠️ 讀取通知偏好失敗，採用預設提前時間:', error?.message || error);
+    return PREFERENCE_DEFAULTS.leadTime;
+  }
+}
+
+module.exports = {
+  getNotificationPreferences,
+  saveNotificationPreferences,
+  getPreferencesByUser,
+  getPreferredLeadTime,
+};
@@ -105,9 +105,31 @@ async function identifyIntent(message) {
 - add_course: 新增單次課程
 - create_recurring_course: 創建重複課程（每日、每週、每月）
 - query_schedule: 查詢課表或行程
-- set_reminder: 設定課程提醒
+- query_free_slots: 查詢空檔（哪天/哪些時段有空、沒課）
+- add_teacher: 登記常用老師（姓名、電話、預設時長）
+- add_location: 登記常用上課地點（名稱、地址、簡稱）
+- query_directory: 查詢已登記的老師/地點名單
+- mark_attendance: 記錄某堂課的出缺席（有上、缺席、請假、老師停課）
+- query_attendance: 查詢出缺席統計（每月各科次數）
+- query_makeup: 查詢請假後尚未安排的待補課（安排補課屬於 add_course）
+- add_package: 記錄預繳的課程方案（堂數、金額）
+- query_tuition: 查詢學費支出（每月各學生、各科目）
+- add_homework: 記錄作業或練習內容（可含繳交日）
+- query_homework: 查詢未完成或已完成的作業
+- complete_homework: 標記作業已完成
+- set_reminder: 設定課程提醒（「每次…提醒我」為綁定重複課程的固定提醒）
+- query_reminders: 查詢已設定、尚未發送的提醒（「我設了哪些提醒」）
+- modify_reminder: 修改提醒時間（「把數學課提醒改成前一天晚上8點」）
+- delete_reminder: 刪除單次提醒（「取消明天數學課的提醒」）
+- query_reminder_rules: 查詢已設定的固定提醒
+- delete_reminder_rule: 刪除固定提醒
+- subscribe_digest: 訂閱或調整每日摘要、每週預覽（「訂閱每日摘要」「每天早上7點傳今天的課給我」）
+- unsubscribe_digest: 取消每日摘要或每週預覽
+- set_notification_preferences: 調整通知偏好（「晚上10點後不要通知我」「以後提醒都提前1小時」「暫停小明的提醒」）
+- query_notification_preferences: 查看目前的通知設定
 - cancel_course: 取消或刪除課程
 - record_content: 記錄課程內容或表現
+- query_course_content: 查詢過去的課程內容記錄（可依日期區間、關鍵字）
 - modify_course: 修改課程時間或內容
 - confirm_action: 確認操作（確認、好的、是的）
 - unknown: 無法識別或不屬於課程管理相關
@@ -117,7 +139,22 @@ async function identifyIntent(message) {
 - "Lumi每月20號數學測驗" → create_recurring_course (每月重複)
 - "查本月課表" → query_schedule (查詢本月)
 - "看這個月課表" → query_schedule (查詢本月)
+- "王老師的課是哪幾堂" → query_schedule (依老師查詢)
+- "週六還有哪些時段沒課" → query_free_slots (查詢空檔)
+- "新增老師 王教練 0912345678" → add_teacher (登記老師)
+- "小明今天鋼琴課請假" → mark_attendance (記錄出缺席)
+- "老師臨時取消明天的游泳課" → mark_attendance (老師停課，不是刪除課程)
+- "小明還有幾堂要補" → query_makeup (查詢待補課)
+- "安排補課 週六10點" → add_course (安排補課)
+- "鋼琴課買了12堂 繳了9600" → add_package (記錄課程方案)
+- "這個月學費花了多少" → query_tuition (查詢學費)
+- "上次鋼琴課老師說什麼" → query_course_content (查詢內容記錄)
+- "有沒有提到分數" → query_course_content (依關鍵字搜尋內容記錄)
+- "小明數學作業是第10頁 下週三前要交" → add_homework (記錄作業與繳交日)
+- "小明還有哪些作業沒寫" → query_homework (查詢未完成作業)
+- "小明數學作業寫完了" → complete_homework (標記作業完成)
 - "小明明天英文課" → add_course (單次課程)
+- "把游泳課延長半小時" → modify_course (調整上課時長)
 
 回傳格式（純 JSON，不要額外文字）：
 {"intent": "意圖名稱", "confidence": 0.0~1.0}
@@ -154,7 +191,9 @@ async function extractEntities(message, intent) {
 - courseDate: 具體日期，轉換為 YYYY-MM-DD 格式
 - timeReference: 時間參考（today/tomorrow/yesterday/this_week 等）
 - recurring: 是否為重複課程（true/false），系統支援每日、每週、每月重複
-- dayOfWeek: 星期幾（0=週日，1=週一...6=週六）
+- dayOfWeek: 星期幾（0=週日，1=週一...6=週六）；每週多天時為陣列（如「每週二四」→ [2, 4]）
+- location: 上課地點（如：「在大安運動中心」→ "大安運動中心"）
+- teacher: 授課老師，保留稱謂（如：王老師、李教練）
 - content: 課程內容或描述
 - reminderTime: 提醒提前時間（分鐘數）
 - reminderNote: 提醒備註內容
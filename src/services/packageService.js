@@ -0,0 +1,140 @@
+/**
+ * 課程方案服務
+ * 預繳堂數（「鋼琴課買了12堂 繳了9600」）：每堂出席扣一堂，
+ * 剩 2 堂時推播續約提醒、用完時推播繳費提醒（寫入 reminders 由提醒執行器發送）
+ */
+
+const firebaseService = require('./firebaseService');
+const { isSameCourse } = require('../utils/courseNameUtils');
+const { LOW_BALANCE_THRESHOLD } = require('../utils/packageUtils');
+
+/**
+ * 方案通知類型（reminders.reminderType）；一般課程提醒沒有 reminderType
+ */
+const PACKAGE_REMINDER_TYPES = {
+  LOW_BALANCE: 'package_low_balance',
+  PAYMENT_DUE: 'package_payment_due',
+};
+
+/**
+ * 建立方案通知，交由提醒執行器立即推播
+ * @param {object} pkg
+ * @param {string} reminderType - PACKAGE_REMINDER_TYPES
+ * @returns {Promise<object>}
+ */
+async function createPackageNotice(pkg, reminderType) {
+  return firebaseService.createReminder({
+    reminderType,
+    userId: pkg.userId,
+    studentName: pkg.studentName,
+    courseName: pkg.courseName,
+    packageId: pkg.packageId,
+    remainingLessons: pkg.remainingLessons,
+    totalLessons: pkg.totalLessons,
+    amount: pkg.amount || null,
+    triggerTime: new Date(),
+  });
+}
+
+/**
+ * 依出缺席狀態扣堂或退堂
+ * 出席 → 由最早購買且仍有餘額的同科目方案扣一堂；改為其他狀態 → 退回先前扣的那一堂
+ * 扣到剩 2 堂、用完時各建立一次通知
+ * @param {string} userId
+ * @param {string} attendanceId - 課程 ID_上課日期
+ * @param {object} attendance - studentName / courseName / status
+ * @returns {Promise<object|null>} 異動後的方案；無相符方案或無異動時為 null
+ */
+async function recordPackageUsage(userId, attendanceId, attendance) {
+  const packages = await firebaseService.getPackagesByUser(userId, {
+    studentName: attendance.studentName,
+  });
+  const charged = packages.find((pkg) => (pkg.consumedOccurrences || []).includes(attendanceId));
+
+  if (attendance.status !== 'attended') {
+    if (!charged) return null;
+    const refunded = {
+      ...charged,
+      consumedOccurrences: charged.consumedOccurrences.filter((id) => id !== attendanceId),
+      remainingLessons: charged.remainingLessons + 1,
+      status: 'active',
+    };
+    await firebaseService.updatePackage(charged.packageId, {
+      consumedOccurrences: refunded.consumedOccurrences,
+      remainingLessons: refunded.remainingLessons,
+      status: refunded.status,
+    });
+    return refunded;
+  }
+
+  if (charged) return null;
+  const pkg = packages.find((p) => p.remainingLessons > 0
+    && isSameCourse(p.courseName, attendance.courseName));
+  if (!pkg) return null;
+
+  const updated = {
+    ...pkg,
+    consumedOccurrences: [...(pkg.consumedOccurrences || []), attendanceId],
+    remainingLessons: pkg.remainingLessons - 1,
+  };
+  updated.status = updated.remainingLessons > 0 ? 'active' : 'depleted';
+  const updates = {
+    consumedOccurrences: updated.consumedOccurrences,
+    remainingLessons: updated.remainingLessons,
+    status: updated.status,
+  };
+
+  try {
+    if (updated.remainingLessons === 0 && !pkg.paymentDueNotified) {
+      await createPackageNotice(updated, PACKAGE_REMINDER_TYPES.PAYMENT_DUE);
+      updates.paymentDueNotified = true;
+    } else if (updated.remainingLessons === LOW_BALANCE_THRESHOLD && !pkg.lowBalanceNotified) {
+      await createPackageNotice(updated, PACKAGE_REMINDER_TYPES.LOW_BALANCE);
+      updates.lowBalanceNotified = true;
+    }
+  } catch (error) {
+    console.warn('⚠️ 建立方案通知失敗:', error?.message || error);
+  }
+
+  await firebaseService.updatePackage(pkg.packageId, updates);
+  return updated;
+}
+
+/**
+ * 方案餘額顯示，例：🎫 鋼琴課方案剩 2 / 12 堂
+ * @param {object} pkg
+ * @returns {string}
+ */
+function formatPackageBalance(pkg) {
+  return `🎫 ${pkg.courseName}方案剩 ${pkg.remainingLessons} / ${pkg.totalLessons} 堂`;
+}
+
+/**
+ * 方案通知推播文字（提醒執行器使用）
+ * @param {object} reminder - reminderType / studentName / courseName
+ *   / remainingLessons / totalLessons / amount
+ * @returns {string}
+ */
+function formatPackageNotice(reminder) {
+  const isPaymentDue = reminder.reminderType === PACKAGE_REMINDER_TYPES.PAYMENT_DUE;
+  const lines = [
+    isPaymentDue ? '💳 繳費提醒' : '🎫 方案餘額提醒',
+    '',
+    `👦 學生：${reminder.studentName}`,
+    `📚 課程：${reminder.courseName}`,
+    isPaymentDue
+      ? `🎫 方案已用完（共 ${reminder.totalLessons} 堂${reminder.amount ? `，${reminder.amount} 元` : ''}）`
+      : `🎫 剩餘 ${reminder.remainingLessons} 堂（共 ${reminder.totalLessons} 堂）`,
+    '',
+    isPaymentDue ? '下次上課前記得續約繳費喔！' : '方案快用完了，記得準備續約 😊',
+  ];
+  return lines.join('\n');
+}
+
+module.exports = {
+  LOW_BALANCE_THRESHOLD,
+  PACKAGE_REMINDER_TYPES,
+  recordPackageUsage,
+  formatPackageBalance,
+  formatPackageNotice,
+};
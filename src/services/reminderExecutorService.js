@@ -5,6 +5,18 @@
 
 const firebaseService = require('./firebaseService');
 const lineService = require('./lineService');
+const directoryService = require('./directoryService');
+const packageService = require('./packageService');
+const homeworkService = require('./homeworkService');
+const reminderRuleService = require('./reminderRuleService');
+const reminderService = require('./reminderService');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const { isWithinSeries } = require('../utils/recurrenceUtils');
+const { findNextTrigger } = require('../utils/reminderUtils');
+const {
+  getDeliveryDecision,
+  formatMergedNotifications,
+} = require('../utils/notificationPreferenceUtils');
 const admin = require('firebase-admin');
 
 /**
@@ -29,6 +41,48 @@ const REMINDER_CONFIG = {
   TIMEZONE: 'Asia/Taipei',
 };
 
+/**
+ * 不綁定課堂的通知（課程方案、作業繳交）依 reminderType 對應的推播文字
+ */
+const NOTICE_FORMATTERS = {
+  [packageService.PACKAGE_REMINDER_TYPES.LOW_BALANCE]: packageService.formatPackageNotice,
+  [packageService.PACKAGE_REMINDER_TYPES.PAYMENT_DUE]: packageService.formatPackageNotice,
+  [homeworkService.HOMEWORK_REMINDER_TYPE]: homeworkService.formatHomeworkNotice,
+};
+
+/**
+ * 取得通知的推播文字格式；一般課程提醒回傳 null（需檢查課程是否取消）
+ */
+function getNoticeFormatter(reminder) {
+  return NOTICE_FORMATTERS[reminder.reminderType] || null;
+}
+
+/**
+ * 改排提醒的觸發時間（重試次數歸零）
+ */
+function rescheduleReminder(reminderId, triggerTime, status) {
+  return firebaseService.updateReminder(reminderId, {
+    triggerTime,
+    status,
+    retryCount: 0,
+  });
+}
+
+/**
+ * 依通知偏好略過這次推播；多時機的提醒仍排下一個時機
+ */
+async function skipReminder(reminder, reason) {
+  const reminderId = reminder.reminderId || reminder.id;
+  const triggerTime = reminder.triggerTime?.toDate?.() || new Date(reminder.triggerTime);
+  const nextTrigger = findNextTrigger(reminder, triggerTime);
+  if (nextTrigger) return rescheduleReminder(reminderId, nextTrigger, 'scheduled');
+  return firebaseService.markReminderExecuted(reminderId, {
+    status: 'skipped',
+    executedAt: admin.firestore.FieldValue.serverTimestamp(),
+    reason,
+  });
+}
+
 /**
  * 執行統計
  */
@@ -42,9 +96,11 @@ class ExecutionStats {
     this.scanned = 0;
     this.sent = 0;
     this.skipped = 0;
+    this.deferred = 0;
     this.failed = 0;
     this.expired = 0;
     this.cancelled = 0;
+    this.materialized = 0;
     this.errors = [];
   }
 
@@ -67,9 +123,11 @@ class ExecutionStats {
       scanned: this.scanned,
       sent: this.sent,
       skipped: this.skipped,
+      deferred: this.deferred,
       failed: this.failed,
       expired: this.expired,
       cancelled: this.cancelled,
+      materialized: this.materialized,
       errorCount: this.errors.length,
       errors: this.errors.slice(-5) // 只保留最近5個錯誤
     };
@@ -114,6 +172,9 @@ class ReminderExecutor {
       
       const now = new Date();
       const expireThreshold = new Date(now.getTime() - (REMINDER_CONFIG.EXPIRE_WINDOW * 60 * 1000));
+
+      // 固定提醒先展開成今明兩天的課堂提醒，再與一般提醒一起處理
+      await this.materializeRuleReminders(now);
       
       // 查詢需要處理的提醒
       const pendingReminders = await this.getPendingReminders(now, expireThreshold);
@@ -143,6 +204,20 @@ class ReminderExecutor {
     }
   }
 
+  /**
+   * 展開固定提醒規則（失敗不影響一般提醒）
+   */
+  async materializeRuleReminders(now) {
+    try {
+      const summary = await reminderRuleService.materializeRuleReminders(now);
+      this.stats.materialized = summary.created;
+      console.log(`🔁 固定提醒展開: ${summary.rules} 條規則，新增 ${summary.created} 筆提醒`);
+    } catch (error) {
+      console.error('❌ 展開固定提醒失敗:', error);
+      this.stats.addError(error);
+    }
+  }
+
   /**
    * 獲取待處理的提醒
    */
@@ -156,10 +231,18 @@ class ReminderExecutor {
       for (const reminder of reminders) {
         const triggerTime = reminder.triggerTime?.toDate?.() || new Date(reminder.triggerTime);
         
-        // 檢查是否過期
+        // 檢查是否過期（多時機的提醒還有下一個時機時改排下一個）
         if (triggerTime < expireThreshold) {
-          console.log(`⏰ 提醒已過期: ${reminder.reminderId} (觸發時間: ${triggerTime.toISOString()})`);
-          await this.markReminderExpired(reminder.reminderId);
+          const nextTrigger = findNextTrigger(reminder, triggerTime);
+          const hasNextTrigger = Boolean(nextTrigger && nextTrigger > now);
+          if (hasNextTrigger) {
+            console.log(`⏭️ 提醒時機已過期，改排下一個: ${reminder.reminderId}`);
+          } else {
+            console.log(`⏰ 提醒已過期: ${reminder.reminderId} (觸發時間: ${triggerTime.toISOString()})`);
+          }
+          await (hasNextTrigger
+            ? rescheduleReminder(reminder.reminderId, nextTrigger, 'scheduled')
+            : this.markReminderExpired(reminder.reminderId));
           this.stats.expired++;
           continue;
         }
@@ -189,17 +272,47 @@ class ReminderExecutor {
   }
 
   /**
-   * 批次處理提醒
+   * 批次處理提醒：依家長的通知偏好延後、略過，或把同一批到期的通知合併成一則
    */
   async processReminders(reminders, now, expireThreshold) {
-    const promises = reminders.map(reminder => this.processReminder(reminder));
+    const preferencesByUser = await this.getPreferencesByUser(reminders);
+    const merged = new Map();
+    const promises = reminders.map((reminder) => this.processReminder(
+      reminder,
+      preferencesByUser.get(reminder.userId) || null,
+      now,
+      merged,
+    ));
     await Promise.allSettled(promises);
+
+    const mergedPromises = [...merged.entries()]
+      .map(([userId, batch]) => this.sendMergedReminders(userId, batch));
+    await Promise.allSettled(mergedPromises);
+  }
+
+  /**
+   * 讀取本批提醒家長的通知偏好；讀取失敗時照常推播
+   */
+  async getPreferencesByUser(reminders) {
+    try {
+      return await notificationPreferenceService.getPreferencesByUser(
+        reminders.map((reminder) => reminder.userId),
+      );
+    } catch (error) {
+      console.error('❌ 讀取通知偏好失敗，照常推播:', error);
+      this.stats.addError(error);
+      return new Map();
+    }
   }
 
   /**
    * 處理單個提醒
+   * @param {object} reminder
+   * @param {object|null} preferences - 家長的通知偏好（notification_preferences）
+   * @param {Date} now
+   * @param {Map<string, Array<object>>|null} merged - 合併推播的通知（依家長收集，稍後一次推播）
    */
-  async processReminder(reminder) {
+  async processReminder(reminder, preferences = null, now = new Date(), merged = null) {
     try {
       const reminderId = reminder.reminderId || reminder.id;
       
@@ -213,12 +326,33 @@ class ReminderExecutor {
         this.stats.failed++;
         return;
       }
+
+      // 通知偏好：靜音學生或勿擾結束已開課則略過，勿擾時段內延到結束，合併模式稍後一起推播
+      const decision = getDeliveryDecision(reminder, preferences, now);
+      if (decision.action === 'skip') {
+        await skipReminder(reminder, decision.reason);
+        this.stats.skipped += 1;
+        console.log(`🔕 依通知偏好略過提醒: ${reminderId} (${decision.reason})`);
+        return;
+      }
+      if (decision.action === 'defer') {
+        // 延到勿擾結束（中間錯過的時機一併略過）
+        await rescheduleReminder(reminderId, decision.until, 'deferred');
+        this.stats.deferred += 1;
+        console.log(`🌙 勿擾時段，提醒延到 ${decision.until.toISOString()}: ${reminderId}`);
+        return;
+      }
+      if (decision.action === 'merge' && merged) {
+        if (!merged.has(reminder.userId)) merged.set(reminder.userId, []);
+        merged.get(reminder.userId).push(reminder);
+        return;
+      }
       
       // 發送提醒
       const sendResult = await this.sendReminder(reminder);
       
       if (sendResult.success) {
-        await this.markReminderSent(reminderId);
+        await this.completeReminder(reminder);
         this.stats.sent++;
         console.log(`✅ 提醒發送成功: ${reminderId}`);
       } else {
@@ -235,37 +369,99 @@ class ReminderExecutor {
     }
   }
 
+  /**
+   * 合併推播：同一家長同一批到期的通知合併成一則（只有一則時照常附「稍後再提醒」）
+   */
+  async sendMergedReminders(userId, reminders) {
+    if (reminders.length === 1) {
+      await this.processReminder(reminders[0]);
+      return;
+    }
+    try {
+      const texts = await Promise.all(reminders.map(
+        (reminder) => this.buildReminderText(reminder),
+      ));
+      await lineService.pushMessage(userId, formatMergedNotifications(texts));
+      await Promise.all(reminders.map((reminder) => this.completeReminder(reminder)));
+      this.stats.sent += reminders.length;
+      console.log(`✅ 合併推播成功: ${userId} (${reminders.length} 則)`);
+    } catch (error) {
+      console.error(`❌ 合併推播失敗: ${userId}`, error);
+      this.stats.addError(error);
+      await Promise.allSettled(reminders.map((reminder) => this.scheduleRetry(
+        reminder.reminderId || reminder.id,
+        (reminder.retryCount || 0) + 1,
+        error.message,
+      )));
+      this.stats.failed += reminders.length;
+    }
+  }
+
+  /**
+   * 發送成功後：多時機的提醒（前一天晚上 + 課前）排下一個時機，最後一個才標記已發送
+   */
+  async completeReminder(reminder) {
+    const reminderId = reminder.reminderId || reminder.id;
+    const triggerTime = reminder.triggerTime?.toDate?.() || new Date(reminder.triggerTime);
+    const nextTrigger = findNextTrigger(reminder, triggerTime);
+    if (nextTrigger) {
+      await rescheduleReminder(reminderId, nextTrigger, 'scheduled');
+    } else {
+      await this.markReminderSent(reminderId);
+    }
+  }
+
+  /**
+   * 推播文字：課程方案、作業繳交通知直接格式化；課程提醒附名錄中的老師電話與地點地址
+   */
+  async buildReminderText(reminder) {
+    const formatNotice = getNoticeFormatter(reminder);
+    if (formatNotice) return formatNotice(reminder);
+
+    const {
+      userId, studentName, courseName, reminderNote, courseDate, scheduleTime, location, teacher,
+    } = reminder;
+
+    // 格式化時間為字符串（符合 lineService.formatReminderMessage 期望格式）
+    let courseDateTime = '';
+    if (courseDate && scheduleTime) {
+      const courseTime = new Date(`${courseDate}T${scheduleTime}:00+08:00`);
+      courseDateTime = courseTime.toLocaleString('zh-TW', {
+        timeZone: REMINDER_CONFIG.TIMEZONE,
+        month: 'numeric',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+      });
+    }
+
+    // 名錄中的老師電話與地點地址（查不到時略過）
+    const {
+      teacherPhone, locationAddress,
+    } = await directoryService.getCourseContacts(userId, reminder);
+
+    return lineService.formatReminderMessage({
+      studentName,
+      courseName,
+      reminderNote,
+      courseDateTime,
+      location,
+      teacher,
+      locationAddress,
+      teacherPhone,
+    });
+  }
+
   /**
    * 發送提醒訊息
    */
   async sendReminder(reminder) {
     try {
-      const { userId, studentName, courseName, reminderNote, courseDate, scheduleTime } = reminder;
-      
-      // 格式化時間為字符串（符合 lineService.sendReminder 期望格式）
-      let courseDateTime = '';
-      if (courseDate && scheduleTime) {
-        const courseTime = new Date(`${courseDate}T${scheduleTime}:00+08:00`);
-        courseDateTime = courseTime.toLocaleString('zh-TW', {
-          timeZone: REMINDER_CONFIG.TIMEZONE,
-          month: 'numeric',
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-        });
-      }
-      
-      // 使用現有的 lineService.sendReminder 方法
-      const reminderData = {
-        studentName,
-        courseName,
-        reminderNote,
-        courseDateTime
-      };
-      
-      const result = await lineService.sendReminder(userId, reminderData);
-      
-      return { success: result, result };
+      // 附「稍後再提醒」按鈕
+      const quickReply = reminderService.getSnoozeQuickReply(reminder.reminderId || reminder.id);
+      const text = await this.buildReminderText(reminder);
+      await lineService.pushMessage(reminder.userId, text, quickReply);
+      return { success: true };
       
     } catch (error) {
       console.error('❌ 發送提醒訊息失敗:', error);
@@ -277,15 +473,32 @@ class ReminderExecutor {
    * 檢查課程是否已取消
    */
   async isCourseCancel(reminder) {
+    if (getNoticeFormatter(reminder)) return false;
+    // 檢查多種可能的課程ID字段名稱
+    const courseId = reminder.courseId || reminder.id;
+    if (!courseId) {
+      return false; // 沒有課程ID，無法檢查
+    }
+
     try {
-      // 檢查多種可能的課程ID字段名稱
-      const courseId = reminder.courseId || reminder.id;
-      if (!courseId) {
-        return false; // 沒有課程ID，無法檢查
-      }
-      
       const course = await firebaseService.getCourseById(courseId);
-      return !course || course.cancelled === true;
+      if (!course || course.cancelled === true) return true;
+
+      // 重複課程系列已結束（超過 seriesEnd.until）的提醒視同取消
+      if (!isWithinSeries(course, reminder.courseDate)) return true;
+
+      // 重複課程單次略過（exceptions 中 type=skip）的那一堂；
+      // 固定提醒展開的那一堂若已改期，改由改期後的課堂另外展開
+      if (course.isRecurring && reminder.courseDate) {
+        const exception = await firebaseService.getCourseException(courseId, reminder.courseDate);
+        if (exception && exception.type === 'skip') return true;
+        if (exception && exception.type === 'reschedule' && reminder.ruleId) {
+          const newTime = exception.newTime || course.scheduleTime;
+          const { courseDate, scheduleTime } = reminder;
+          if (exception.newDate !== courseDate || newTime !== scheduleTime) return true;
+        }
+      }
+      return false;
       
     } catch (error) {
       console.log(`⚠️ 檢查課程狀態失敗: ${courseId}`, error);
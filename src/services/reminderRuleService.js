@@ -0,0 +1,262 @@
+/**
+ * 固定提醒服務
+ * 「每次鋼琴課前一小時提醒我」建立綁定重複課程系列的規則（reminder_rules），
+ * 提醒執行器每次掃描時把今明兩天的課堂展開成一般提醒（reminders），
+ * 「前兩天晚上8點」這類時機會再往後多展開幾天，
+ * 依系列結束日與單次略過/改期決定要不要提醒
+ */
+
+const firebaseService = require('./firebaseService');
+const {
+  getTaipeiTodayString,
+  addDaysToDateString,
+  isWithinSeries,
+  findNextOccurrence,
+} = require('../utils/recurrenceUtils');
+const { getActorFields } = require('./familyGroupService');
+// 展開規則的純邏輯與 Functions 的提醒執行器共用
+const {
+  RULE_LOOKAHEAD_DAYS,
+  RULE_GRACE_MINUTES,
+  buildReminderSchedule,
+  getReminderTimings,
+  getScheduleFields,
+  getLookaheadDays,
+  getOccurrenceReminderId,
+  getOccurrencesInRange,
+  getRuleEndReason,
+} = require('../utils/reminderScheduleUtils');
+
+/**
+ * 展開單一規則，建立尚未建立的課堂提醒
+ * @param {object} rule
+ * @param {Date} now
+ * @returns {Promise<number>} 新建立的提醒數
+ */
+async function materializeRule(rule, now) {
+  const today = getTaipeiTodayString();
+  const course = await firebaseService.getCourseById(rule.courseId);
+  const endReason = getRuleEndReason(course, today);
+  if (endReason) {
+    await firebaseService.updateReminderRule(rule.ruleId, { active: false, endReason });
+    console.log(`🔕 固定提醒已結束: ${rule.ruleId} (${endReason})`);
+    return 0;
+  }
+
+  const exceptions = course.isRecurring
+    ? await firebaseService.getCourseExceptions(rule.courseId)
+    : [];
+  const timings = getReminderTimings(rule);
+  const occurrences = getOccurrencesInRange(course, exceptions, {
+    startDate: today,
+    endDate: addDaysToDateString(today, getLookaheadDays(timings)),
+  });
+  const earliest = new Date(now.getTime() - RULE_GRACE_MINUTES * 60 * 1000);
+
+  const created = await Promise.all(occurrences.map((occurrence) => {
+    const { courseDate, scheduleTime } = occurrence;
+    // 已錯過的時機不補發，只保留之後的（前一天的錯過了，課前的照常）
+    const schedule = buildReminderSchedule(courseDate, scheduleTime, timings, earliest);
+    if (schedule.triggers.length === 0) return false;
+    return firebaseService.createReminderOnce(getOccurrenceReminderId(rule.ruleId, occurrence), {
+      ruleId: rule.ruleId,
+      courseId: rule.courseId,
+      userId: rule.userId,
+      studentName: rule.studentName,
+      courseName: rule.courseName,
+      ...getScheduleFields(courseDate, scheduleTime, schedule),
+      reminderNote: rule.reminderNote,
+      courseDate,
+      scheduleTime,
+      location: course.location || null,
+      locationId: course.locationId || null,
+      teacher: course.teacher || null,
+      teacherId: course.teacherId || null,
+    });
+  }));
+  return created.filter(Boolean).length;
+}
+
+/**
+ * 展開所有啟用中的固定提醒（提醒執行器每次掃描前呼叫）
+ * 單一規則失敗不影響其他規則
+ * @param {Date} now
+ * @returns {Promise<{ rules: number, created: number, failed: number }>}
+ */
+async function materializeRuleReminders(now = new Date()) {
+  const rules = await firebaseService.getReminderRules();
+  const results = await Promise.allSettled(rules.map((rule) => materializeRule(rule, now)));
+
+  const summary = { rules: rules.length, created: 0, failed: 0 };
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      summary.created += result.value;
+    } else {
+      summary.failed += 1;
+      console.error(`❌ 展開固定提醒失敗: ${rules[index].ruleId}`, result.reason);
+    }
+  });
+  return summary;
+}
+
+/**
+ * 查詢用戶的固定提醒（可依學生、課名篩選）
+ * @param {string} userId
+ * @param {object} filters - studentName / courseName
+ * @returns {Promise<Array<object>>} 依學生、課名排序
+ */
+async function findReminderRules(userId, { studentName = null, courseName = null } = {}) {
+  const rules = await firebaseService.getReminderRules({ userId, studentName });
+  const name = String(courseName || '').replace(/課$/, '');
+  return rules
+    .filter((rule) => !name || String(rule.courseName).includes(name))
+    .sort((a, b) => `${a.studentName}${a.courseName}`.localeCompare(`${b.studentName}${b.courseName}`));
+}
+
+/**
+ * 找出學生該課名的重複課程系列（未取消、尚未結束）
+ * @param {string} userId
+ * @param {string} studentName
+ * @param {string} courseName
+ * @returns {Promise<object|null>}
+ */
+async function findRecurringSeries(userId, studentName, courseName) {
+  const today = getTaipeiTodayString();
+  const name = String(courseName || '').replace(/課$/, '');
+  const courses = await firebaseService.getCoursesByStudent(userId, studentName);
+  return courses.find((course) => course.isRecurring
+    && !course.cancelled
+    && isWithinSeries(course, today)
+    && String(course.courseName).replace(/課$/, '') === name) || null;
+}
+
+/**
+ * 規則已展開但尚未發送的提醒
+ * @param {string} ruleId
+ * @returns {Promise<Array<object>>} Firestore 文件
+ */
+async function getPendingOccurrenceDocs(ruleId) {
+  const snapshot = await firebaseService.getCollection('reminders')
+    .where('ruleId', '==', ruleId)
+    .where('executed', '==', false)
+    .get();
+  return snapshot.docs;
+}
+
+/**
+ * 刪除固定提醒時，取消已展開但尚未發送的提醒
+ * @param {string} ruleId
+ * @param {string} reason - rule_deleted
+ * @returns {Promise<void>}
+ */
+async function cancelPendingOccurrences(ruleId, reason) {
+  const docs = await getPendingOccurrenceDocs(ruleId);
+  await Promise.all(docs.map((doc) => firebaseService.markReminderExecuted(doc.id, {
+    status: 'cancelled',
+    reason,
+  })));
+}
+
+/**
+ * 提醒時機改變時，刪除已展開但尚未發送的提醒，下次掃描依新時機重新展開
+ * （展開的提醒 ID 固定，只標記取消會佔住 ID，新時機的提醒就建立不起來）
+ * @param {string} ruleId
+ * @returns {Promise<void>}
+ */
+async function resetPendingOccurrences(ruleId) {
+  const docs = await getPendingOccurrenceDocs(ruleId);
+  await Promise.all(docs.map((doc) => doc.ref.delete()));
+}
+
+/**
+ * 建立固定提醒；同一系列已有規則時改為更新提醒時機與備註
+ * @param {string} userId
+ * @param {object} course - 重複課程系列
+ * @param {object} slots - reminderTime / reminderTriggers / reminderNote / actor
+ * @returns {Promise<{ rule: object, updated: boolean, previous: object|null }>}
+ */
+async function upsertReminderRule(userId, course, slots) {
+  const fields = {
+    reminderTime: slots.reminderTime,
+    triggers: slots.reminderTriggers?.length > 0 ? slots.reminderTriggers : null,
+    reminderNote: slots.reminderNote || null,
+  };
+  const rules = await firebaseService.getReminderRules({ userId, studentName: course.studentName });
+  const existing = rules.find((rule) => rule.courseId === course.id);
+
+  if (existing) {
+    await firebaseService.updateReminderRule(existing.ruleId, fields);
+    await resetPendingOccurrences(existing.ruleId);
+    return {
+      rule: { ...existing, ...fields },
+      updated: true,
+      previous: {
+        reminderTime: existing.reminderTime,
+        triggers: existing.triggers || null,
+        reminderNote: existing.reminderNote || null,
+      },
+    };
+  }
+
+  const rule = await firebaseService.saveReminderRule({
+    userId,
+    courseId: course.id,
+    studentName: course.studentName,
+    courseName: course.courseName,
+    ...fields,
+    ...getActorFields(slots),
+  });
+  return { rule, updated: false, previous: null };
+}
+
+/**
+ * 下一次會發送的提醒（依系列規則推算，略過觸發時間已過的時機）
+ * @param {object} course
+ * @param {Array<object>} timings - 同 getReminderTriggerTime 的 timing
+ * @param {Date} now
+ * @returns {Date|null}
+ */
+function getNextTriggerTime(course, timings, now = new Date()) {
+  let date = findNextOccurrence(course, getTaipeiTodayString());
+  while (date) {
+    const { triggerTimes } = buildReminderSchedule(date, course.scheduleTime, timings, now);
+    if (triggerTimes.length > 0) return triggerTimes[0];
+    date = findNextOccurrence(course, addDaysToDateString(date, 1));
+  }
+  return null;
+}
+
+/**
+ * 刪除固定提醒：停用規則並取消已展開但尚未發送的提醒
+ * @param {object} rule
+ * @returns {Promise<void>}
+ */
+async function deleteReminderRule(rule) {
+  await firebaseService.updateReminderRule(rule.ruleId, { active: false, endReason: 'deleted' });
+  await cancelPendingOccurrences(rule.ruleId, 'rule_deleted');
+}
+
+/**
+ * 還原剛才更新的固定提醒（「取消操作」）：改回原本的提醒時機與備註，重新展開
+ * @param {string} ruleId
+ * @param {object} previous - reminderTime / triggers / reminderNote
+ * @returns {Promise<void>}
+ */
+async function restoreReminderRule(ruleId, previous) {
+  await firebaseService.updateReminderRule(ruleId, previous);
+  await resetPendingOccurrences(ruleId);
+}
+
+module.exports = {
+  RULE_LOOKAHEAD_DAYS,
+  getLookaheadDays,
+  getOccurrenceReminderId,
+  getOccurrencesInRange,
+  materializeRuleReminders,
+  findRecurringSeries,
+  upsertReminderRule,
+  getNextTriggerTime,
+  findReminderRules,
+  deleteReminderRule,
+  restoreReminderRule,
+};
@@ -0,0 +1,146 @@
+/**
+ * 提醒管理服務
+ * 已設定的單次提醒（reminders）可在聊天中查詢、修改觸發時間、刪除，
+ * 發送後的提醒可按「稍後再提醒」重新排入執行器
+ */
+
+const firebaseService = require('./firebaseService');
+// 「稍後再提醒」按鈕與 Functions 執行器共用（未設定簽章金鑰時不附按鈕）
+const { SNOOZE_OPTIONS, getSnoozeQuickReply } = require('../utils/postbackUtils');
+const { getReminderTriggerTime, buildReminderSchedule } = require('../utils/reminderUtils');
+const { getScheduleFields } = require('../utils/reminderScheduleUtils');
+
+// 稍後再提醒的範圍（分鐘）
+const MIN_SNOOZE_MINUTES = 5;
+const MAX_SNOOZE_MINUTES = 180;
+
+// 提醒時間顯示格式（台北時間）
+const REMINDER_TIME_FORMAT = {
+  timeZone: 'Asia/Taipei',
+  month: 'numeric',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+};
+
+/**
+ * Firestore Timestamp / Date / 字串轉為 Date
+ * @param {any} value
+ * @returns {Date}
+ */
+function toDate(value) {
+  return value?.toDate?.() || new Date(value);
+}
+
+/**
+ * 提醒時間的中文顯示
+ * @param {any} value - triggerTime
+ * @returns {string}
+ */
+function formatTriggerTime(value) {
+  return toDate(value).toLocaleString('zh-TW', REMINDER_TIME_FORMAT);
+}
+
+/**
+ * 查詢尚未發送的課程提醒（不含課程方案、作業繳交等系統通知）
+ * @param {string} userId
+ * @param {object} filters - studentName / courseName / courseDate
+ * @returns {Promise<Array<object>>} 依觸發時間排序
+ */
+async function findUpcomingReminders(userId, filters = {}) {
+  const { studentName = null, courseName = null, courseDate = null } = filters;
+  const name = String(courseName || '').replace(/課$/, '');
+  const reminders = await firebaseService.getUpcomingReminders(userId);
+  return reminders.filter((reminder) => !reminder.reminderType
+    && (!studentName || reminder.studentName === studentName)
+    && (!name || String(reminder.courseName).includes(name))
+    && (!courseDate || reminder.courseDate === courseDate));
+}
+
+/**
+ * 一筆提醒的顯示（清單與選項共用）
+ * @param {object} reminder
+ * @returns {string} 例：「小明 數學課 10/21 16:00」
+ */
+function formatReminderLabel(reminder) {
+  const [, month, day] = String(reminder.courseDate || '').split('-');
+  const date = month ? `${Number(month)}/${Number(day)}` : '';
+  return [reminder.studentName, reminder.courseName, date, reminder.scheduleTime]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * 修改提醒的觸發時間（多時機的提醒改為單一時機）
+ * @param {object} reminder
+ * @param {object} timing - reminderTime 或 reminderClock / reminderDayOffset
+ * @param {Date} now
+ * @returns {Promise<{ success: boolean, code?: string, triggerTime?: Date }>}
+ */
+async function rescheduleReminder(reminder, timing, now = new Date()) {
+  const { courseDate, scheduleTime } = reminder;
+  const triggerTime = getReminderTriggerTime(courseDate, scheduleTime, timing);
+  if (triggerTime <= now) return { success: false, code: 'PAST_REMINDER_TIME' };
+
+  const schedule = buildReminderSchedule(courseDate, scheduleTime, [timing], now);
+  if (schedule.triggers.length === 0) return { success: false, code: 'AFTER_COURSE_START' };
+
+  await firebaseService.updateReminder(reminder.reminderId, {
+    ...getScheduleFields(courseDate, scheduleTime, schedule),
+    reminderClock: null,
+    reminderDayOffset: null,
+    retryCount: 0,
+  });
+  return { success: true, triggerTime };
+}
+
+/**
+ * 刪除（取消）尚未發送的提醒
+ * @param {string} reminderId
+ * @returns {Promise<void>}
+ */
+async function cancelReminder(reminderId) {
+  await firebaseService.markReminderExecuted(reminderId, {
+    status: 'cancelled',
+    reason: 'deleted_by_user',
+  });
+}
+
+/**
+ * 稍後再提醒：已發送（或尚未發送）的提醒重新排入執行器
+ * @param {object} reminder
+ * @param {number} minutes
+ * @param {Date} now
+ * @returns {Promise<{ success: boolean, code?: string, triggerTime?: Date }>}
+ */
+async function snoozeReminder(reminder, minutes, now = new Date()) {
+  if (reminder.executed && reminder.status !== 'sent') {
+    return { success: false, code: 'REMINDER_CLOSED' };
+  }
+  if (minutes < MIN_SNOOZE_MINUTES || minutes > MAX_SNOOZE_MINUTES) {
+    return { success: false, code: 'INVALID_SNOOZE' };
+  }
+
+  const triggerTime = new Date(now.getTime() + minutes * 60 * 1000);
+  await firebaseService.updateReminder(reminder.reminderId, {
+    executed: false,
+    status: 'snoozed',
+    triggerTime,
+    retryCount: 0,
+    snoozeCount: (reminder.snoozeCount || 0) + 1,
+  });
+  return { success: true, triggerTime };
+}
+
+module.exports = {
+  SNOOZE_OPTIONS,
+  toDate,
+  formatTriggerTime,
+  findUpcomingReminders,
+  formatReminderLabel,
+  getScheduleFields,
+  rescheduleReminder,
+  cancelReminder,
+  snoozeReminder,
+  getSnoozeQuickReply,
+};
@@ -0,0 +1,127 @@
+/**
+ * 語音轉文字服務
+ * 家長開車時傳的語音訊息轉成文字後，走與文字訊息相同的意圖流程
+ *
+ * Provider 介面：{ name, transcribe(buffer, { fileName, language }) => Promise<string> }
+ * 以 SPEECH_TO_TEXT_PROVIDER 選擇（openai / stub / none），可用 registerProvider 擴充
+ */
+
+const OpenAI = require('openai');
+
+// 以下長度內的錄音視為語音指令；較長的（發表會錄音）加入課堂相簿
+const VOICE_COMMAND_MAX_SECONDS = parseInt(process.env.VOICE_COMMAND_MAX_SECONDS || '60', 10);
+
+// 提示模型輸出繁體中文並認得常用詞
+const TRANSCRIBE_PROMPT = '以下是家長用繁體中文安排孩子課程的語音，例如：小明明天下午三點鋼琴課、提醒我。';
+
+/**
+ * OpenAI 轉錄（whisper-1）
+ * @returns {object} provider
+ */
+function createOpenAIProvider() {
+  let client = null;
+  return {
+    name: 'openai',
+    async transcribe(buffer, { fileName = 'voice.m4a', language = 'zh' } = {}) {
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('❌ OPENAI_API_KEY 環境變數未設定');
+      }
+      client = client || new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      const response = await client.audio.transcriptions.create({
+        file: await OpenAI.toFile(buffer, fileName),
+        model: process.env.SPEECH_TO_TEXT_MODEL || 'whisper-1',
+        language,
+        prompt: TRANSCRIBE_PROMPT,
+      });
+      return response.text || '';
+    },
+  };
+}
+
+/**
+ * 本地測試用：音訊內容即為 UTF-8 文字（未提供時回傳 STUB_TRANSCRIPT）
+ * @returns {object} provider
+ */
+function createStubProvider() {
+  return {
+    name: 'stub',
+    async transcribe(buffer) {
+      return (buffer && buffer.length > 0 ? buffer.toString('utf8') : '')
+        || process.env.STUB_TRANSCRIPT
+        || '';
+    },
+  };
+}
+
+const providerFactories = {
+  openai: createOpenAIProvider,
+  stub: createStubProvider,
+};
+
+let activeProvider = null;
+
+/**
+ * 註冊自訂 provider（例：Google Speech-to-Text）
+ * @param {string} name - SPEECH_TO_TEXT_PROVIDER 的值
+ * @param {Function} factory - 回傳 provider 物件
+ */
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+  if (activeProvider && activeProvider.name === name) activeProvider = null;
+}
+
+/**
+ * 目前設定的 provider 名稱
+ * @returns {string}
+ */
+function getProviderName() {
+  return process.env.SPEECH_TO_TEXT_PROVIDER || 'openai';
+}
+
+/**
+ * 取得目前的 provider；停用或未註冊時回傳 null
+ * @returns {object|null}
+ */
+function getProvider() {
+  const name = getProviderName();
+  if (name === 'none' || !providerFactories[name]) return null;
+  if (!activeProvider || activeProvider.name !== name) {
+    activeProvider = { ...providerFactories[name](), name };
+  }
+  return activeProvider;
+}
+
+/**
+ * 這段錄音是否當作語音指令處理
+ * @param {object} message - LINE audio message（duration 為毫秒）
+ * @returns {boolean}
+ */
+function isVoiceCommand(message) {
+  if (!getProvider()) return false;
+  if (getProviderName() === 'openai' && !process.env.OPENAI_API_KEY) return false;
+  return !message.duration || message.duration <= VOICE_COMMAND_MAX_SECONDS * 1000;
+}
+
+/**
+ * 語音轉文字
+ * @param {Buffer} buffer - 音訊內容（LINE 語音為 m4a）
+ * @param {object} options - fileName / language
+ * @returns {Promise<string>} 轉錄文字（已去除前後空白）；無法辨識時為空字串
+ */
+async function transcribe(buffer, options = {}) {
+  const provider = getProvider();
+  if (!provider) throw new Error(`未支援的語音轉文字服務: ${getProviderName()}`);
+
+  const t0 = Date.now();
+  const text = String(await provider.transcribe(buffer, options) || '').trim();
+  console.log(`🎤 語音轉文字完成 (${provider.name}, ${Date.now() - t0}ms):`, text);
+  return text;
+}
+
+module.exports = {
+  VOICE_COMMAND_MAX_SECONDS,
+  registerProvider,
+  getProvider,
+  isVoiceCommand,
+  transcribe,
+};
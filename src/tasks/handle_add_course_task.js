@@ -6,6 +6,22 @@
 const firebaseService = require('../services/firebaseService');
 const googleCalendarService = require('../services/googleCalendarService');
 const { getConversationManager } = require('../conversation/ConversationManager');
+const { createPostbackQuickReply } = require('../utils/postbackUtils');
+const {
+  normalizeDaysOfWeek,
+  normalizeNthWeeks,
+  formatWeeklyDays,
+  formatMonthlyNthWeekdays,
+  getFirstWeeklyOccurrences,
+  getNthWeekdayDatesInMonth,
+  findNextOccurrence,
+  getLastOccurrenceByCount,
+  formatSeriesEnd,
+} = require('../utils/recurrenceUtils');
+const { getDurationMinutes, addMinutesToTime } = require('../utils/durationUtils');
+const familyScheduleService = require('../services/familyScheduleService');
+const makeupService = require('../services/makeupService');
+const { getActorFields } = require('../services/familyGroupService');
 
 /**
  * 驗證必要的 slots
@@ -103,9 +119,16 @@ function hasDateInMonth(year, month, day) {
  * @param {number|array} dayOfWeek - 星期幾（僅每週重複需要）
  * @param {string} scheduleTime - 課程時間（HH:MM格式），用於判斷是否已過
  * @param {number} monthDay - 每月重複的目標日期（1-31）
+ * @param {Array<number>} nthWeek - 每月第幾個星期幾（-1 表示最後一個），搭配 dayOfWeek 使用
  * @returns {string} 下次課程日期 YYYY-MM-DD
  */
-function calculateNextCourseDate(recurrenceType, dayOfWeek = null, scheduleTime = null, monthDay = null) {
+function calculateNextCourseDate(
+  recurrenceType,
+  dayOfWeek = null,
+  scheduleTime = null,
+  monthDay = null,
+  nthWeek = null,
+) {
   const today = getTaiwanDate();
   const todayStr = formatDateString(today);
 
@@ -132,11 +155,7 @@ function calculateNextCourseDate(recurrenceType, dayOfWeek = null, scheduleTime
     const currentDay = today.getDay();
 
     // 將 dayOfWeek 正規化為代碼集合（0~6）
-    const daySet = new Set(
-      Array.isArray(dayOfWeek)
-        ? dayOfWeek.map((d) => (typeof d === 'string' ? Number(d) : d)).filter((n) => Number.isInteger(n) && n >= 0 && n <= 6)
-        : [dayOfWeek],
-    );
+    const daySet = new Set(normalizeDaysOfWeek(dayOfWeek));
 
     // 如果今天就在集合內，且指定時間未過，直接使用今天
     if (daySet.has(currentDay) && scheduleTime) {
@@ -159,6 +178,29 @@ function calculateNextCourseDate(recurrenceType, dayOfWeek = null, scheduleTime
     return formatDateString(nextDate);
   }
 
+  const hasNthWeekday = normalizeNthWeeks(nthWeek).length > 0
+    && normalizeDaysOfWeek(dayOfWeek).length > 0;
+  if (recurrenceType === 'monthly' && hasNthWeekday) {
+    // 每月第 N 個星期幾（BYDAY=1SA,3SA / -1FR）：從本月起找最近且未過的日期
+    const nowTaiwan = getTaiwanDate();
+    const isUpcoming = (date) => {
+      if (date < todayStr) return false;
+      if (date > todayStr || !scheduleTime) return true;
+      return new Date(`${date}T${scheduleTime}:00+08:00`) > nowTaiwan;
+    };
+    for (let offset = 0; offset <= 12; offset += 1) {
+      const base = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+      const candidates = getNthWeekdayDatesInMonth(
+        base.getFullYear(),
+        base.getMonth() + 1,
+        nthWeek,
+        dayOfWeek,
+      );
+      const next = candidates.find(isUpcoming);
+      if (next) return next;
+    }
+  }
+
   if (recurrenceType === 'monthly') {
     // 每月重複（BYMONTHDAY）：本月有該日且未過→本月；否則→下月；小月無該日→跳過
     const currentDay = today.getDate();
@@ -327,6 +369,34 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
       };
     }
 
+    // 1.5 補課：帶入待補紀錄的學生與課程；跨學生/科目有多筆待補時請使用者指明
+    let makeupCredit = null;
+    if (slots.isMakeup) {
+      let makeup = { credit: null, candidates: [] };
+      try {
+        makeup = await makeupService.findMakeupCredit(userId, slots);
+      } catch (e) {
+        console.warn('⚠️ 查詢待補課失敗，視為一般課程:', e?.message || e);
+      }
+      if (!makeup.credit && makeup.candidates.length > 1) {
+        const options = makeup.candidates
+          .map((credit) => `• ${credit.studentName} ${makeupService.formatMakeupCredit(credit)}`)
+          .join('\n');
+        return {
+          success: false,
+          code: 'MAKEUP_AMBIGUOUS',
+          message: `❓ 有多筆待補課，請指明學生或課程：\n${options}\n\n範例：「小明安排鋼琴補課 週六10點」`,
+        };
+      }
+      makeupCredit = makeup.credit;
+      if (makeupCredit) {
+        Object.assign(slots, {
+          studentName: slots.studentName || makeupCredit.studentName,
+          courseName: slots.courseName || makeupCredit.courseName,
+        });
+      }
+    }
+
     // 2. 驗證必要參數
     const missingFields = validateSlots(slots);
     if (missingFields.length > 0) {
@@ -374,6 +444,23 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
     // 4. 處理時間和日期
     let { courseDate } = slots;
 
+    // 重複規則（供起始日推算與系列結束計算）
+    const recurrenceRule = {
+      isRecurring: true,
+      recurrenceType: slots.recurrenceType || 'weekly',
+      dayOfWeek: slots.dayOfWeek,
+      monthDay: slots.monthDay || null,
+      nthWeek: slots.nthWeek || null,
+    };
+
+    // 指定系列起始日（如「從下週開始」）：首堂為起始日當天或之後第一個符合規則的日期
+    if (!courseDate && slots.recurring && slots.seriesStartDate) {
+      courseDate = findNextOccurrence(
+        { ...recurrenceRule, courseDate: slots.seriesStartDate },
+        slots.seriesStartDate,
+      );
+    }
+
     if (!courseDate && slots.timeReference) {
       courseDate = resolveTimeReference(slots.timeReference);
     }
@@ -385,6 +472,7 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
         slots.dayOfWeek,
         slots.scheduleTime,
         slots.monthDay || (slots.courseDate ? new Date(slots.courseDate).getDate() : null),
+        slots.nthWeek,
       );
     }
 
@@ -401,6 +489,7 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
           slots.dayOfWeek,
           slots.scheduleTime,
           slots.monthDay || null,
+          slots.nthWeek,
         );
       }
     }
@@ -415,6 +504,30 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
       };
     }
 
+    // 4.1 系列結束條件（共N堂 / 上到某日），統一換算為最後上課日
+    let seriesEnd = null;
+    if (slots.recurring && (slots.seriesCount || slots.seriesUntil)) {
+      const seriesRule = { ...recurrenceRule, courseDate };
+      if (slots.seriesCount) {
+        seriesEnd = {
+          count: slots.seriesCount,
+          until: getLastOccurrenceByCount(seriesRule, slots.seriesCount),
+        };
+      } else if (slots.seriesUntil < courseDate) {
+        return {
+          success: false,
+          code: 'VALIDATION_ERROR',
+          message: `❌ 結束日期 ${slots.seriesUntil} 早於第一堂課（${courseDate}），請確認後重新輸入`,
+        };
+      } else {
+        seriesEnd = { count: null, until: slots.seriesUntil };
+      }
+    }
+
+    // 4.2 上課時長與結束時間（「下午2點到3點半」「兩小時」），未指定時預設 60 分鐘
+    const durationMinutes = getDurationMinutes(slots);
+    const endTime = addMinutesToTime(slots.scheduleTime, durationMinutes);
+
     // 3.1 非重複課：禁止建立過去時間
     if (!slots.recurring) {
       const dateTimeStr = `${courseDate}T${slots.scheduleTime || '00:00'}:00`;
@@ -438,30 +551,84 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
     }
     console.log('👤 學生日曆:', student.calendarId);
 
-    // 4. 檢查時間衝突（僅檢查首個實例，降低成本與假陽性）
-    const conflictCheck = await googleCalendarService.checkConflict(
-      student.calendarId,
-      courseDate,
-      slots.scheduleTime,
-    );
-
-    if (conflictCheck.hasConflict) {
-      const conflictInfo = conflictCheck.conflicts
-        .map((c) => `• ${c.summary} (${c.start.split('T')[1].substring(0, 5)})`)
+    // 4. 檢查時間衝突（僅檢查首個實例，降低成本與假陽性；每週多天則各星期檢查首個實例）
+    //    使用者已確認「仍要安排」時（forceOverride）略過
+    const conflictDates = slots.recurring && slots.recurrenceType === 'weekly'
+      ? getFirstWeeklyOccurrences(courseDate, slots.dayOfWeek)
+      : [courseDate];
+    const checkDates = slots.forceOverride ? [] : conflictDates;
+    const conflictChecks = await Promise.all(checkDates.map(
+      (date) => googleCalendarService.checkConflict(
+        student.calendarId,
+        date,
+        slots.scheduleTime,
+        durationMinutes,
+      ),
+    ));
+    const conflictResults = conflictChecks
+      .map((check, index) => ({ date: checkDates[index], ...check }))
+      .filter((check) => check.hasConflict);
+
+    // 4.3 家庭衝突模式：同一家長的其他學生同時段有課，接送人無法分身
+    const familyChecks = familyScheduleService.isFamilyConflictModeEnabled()
+      ? await Promise.all(checkDates.map((date) => familyScheduleService.checkFamilyConflict(
+        userId,
+        slots.studentName,
+        date,
+        slots.scheduleTime,
+        durationMinutes,
+      )))
+      : [];
+    const familyConflictResults = familyChecks
+      .map((family, index) => ({ date: checkDates[index], ...family }))
+      .filter((family) => family.hasConflict);
+    const { suggestedTimes } = familyChecks.find((family) => family.suggestedTimes.length > 0)
+      || { suggestedTimes: [] };
+
+    if (conflictResults.length > 0 || familyConflictResults.length > 0) {
+      const showDate = conflictDates.length > 1;
+      const conflictInfo = conflictResults
+        .map(({ date, conflicts }) => conflicts
+          .map((c) => `• ${showDate ? `${date} ` : ''}${c.summary} (${c.start.split('T')[1].substring(0, 5)})`)
+          .join('\n'))
+        .join('\n');
+      const familyInfo = familyConflictResults
+        .map(({ date, conflicts }) => conflicts
+          .map((c) => `• ${showDate ? `${date} ` : ''}${c.summary.replace(/^\[[^\]]*\]\s*/, '')} (${c.startTime}-${c.endTime})`)
+          .join('\n'))
         .join('\n');
+      const firstDate = (conflictResults[0] || familyConflictResults[0]).date;
 
-      const conflictMessage = slots.recurring
-        ? `⚠️ 首個時段衝突\n\n${courseDate} ${slots.scheduleTime} 已有以下課程：\n${conflictInfo}\n\n💡 註：僅檢查首個實例時段，後續時段請自行確認。\n\n請選擇其他時間或確認是否要覆蓋。`
-        : `⚠️ 時間衝突\n\n${courseDate} ${slots.scheduleTime} 已有以下課程：\n${conflictInfo}\n\n請選擇其他時間或確認是否要覆蓋。`;
+      const sections = [];
+      if (conflictInfo) {
+        sections.push(slots.recurring
+          ? `⚠️ 首個時段衝突\n\n${firstDate} ${slots.scheduleTime} 已有以下課程：\n${conflictInfo}\n\n💡 註：僅檢查首個實例時段，後續時段請自行確認。`
+          : `⚠️ 時間衝突\n\n${courseDate} ${slots.scheduleTime} 已有以下課程：\n${conflictInfo}`);
+      }
+      if (familyInfo) {
+        sections.push(`👨‍👩‍👧 家庭行程衝突\n\n${firstDate} ${slots.scheduleTime}-${endTime} 其他孩子也有課：\n${familyInfo}\n\n🚗 同一時間可能需要兩位接送人。`);
+      }
+      if (suggestedTimes.length > 0) {
+        sections.push(`💡 ${firstDate} 全家都有空的時段：${suggestedTimes.join('、')}`);
+      }
+      sections.push('請選擇其他時間或確認是否要覆蓋。');
 
       return {
         success: false,
         code: 'CONFLICT_ERROR',
-        message: conflictMessage,
+        message: sections.join('\n\n'),
+        showQuickReply: true,
+        data: {
+          conflictDates: [...conflictResults, ...familyConflictResults].map((r) => r.date),
+          familyConflict: familyConflictResults.length > 0,
+          suggestedTimes,
+        },
       };
     }
 
     // 5. 建立 Google Calendar 事件
+    const isNthWeekday = slots.recurring && slots.recurrenceType === 'monthly'
+      && normalizeNthWeeks(slots.nthWeek).length > 0;
     const eventData = {
       courseName: slots.courseName,
       courseDate,
@@ -472,9 +639,17 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
       studentName: slots.studentName,
       userId,
       // 為 monthly 重複類型提供 monthDay 參數（優先來自 slots.monthDay，其次 courseDate 派生）
-      monthDay: (slots.recurrenceType === 'monthly')
+      // 每月第 N 個星期幾改用 nthWeek + dayOfWeek，不使用 monthDay
+      monthDay: (slots.recurrenceType === 'monthly' && !isNthWeekday)
         ? (typeof slots.monthDay === 'number' ? slots.monthDay : new Date(courseDate).getDate())
         : null,
+      nthWeek: isNthWeekday ? normalizeNthWeeks(slots.nthWeek) : null,
+      seriesCount: seriesEnd ? seriesEnd.count : null,
+      seriesUntil: seriesEnd ? seriesEnd.until : null,
+      durationMinutes,
+      // 名錄中有地址時一併寫入日曆地點，方便導航
+      location: [slots.location, slots.locationAddress].filter(Boolean).join(' ') || null,
+      teacher: slots.teacher || null,
     };
 
     let calendarEvent = { eventId: null };
@@ -517,8 +692,14 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
       calendarId: student.calendarId,
       isRecurring: slots.recurring || false,
       recurrenceType: slots.recurrenceType || null,
-      duration: 60, // 預設1小時
+      durationMinutes,
+      endTime,
+      location: slots.location || null,
+      locationId: slots.locationId || null,
+      teacher: slots.teacher || null,
+      teacherId: slots.teacherId || null,
       createdFrom: 'line_bot',
+      ...getActorFields(slots),
     };
 
     // 只有當 dayOfWeek 不是 undefined 或 null 時才加入
@@ -526,9 +707,35 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
       courseData.dayOfWeek = slots.dayOfWeek;
     }
 
+    // 每月重複：保存日號或第 N 個星期幾，供查詢展開使用
+    if (eventData.monthDay) courseData.monthDay = eventData.monthDay;
+    if (eventData.nthWeek) courseData.nthWeek = eventData.nthWeek;
+    // 系列結束條件：until 為最後上課日，查詢展開與提醒據此停止
+    if (seriesEnd) courseData.seriesEnd = seriesEnd;
+    // 補課：連結原本請假的課堂（待補紀錄 ID 即該堂的出缺席 ID）
+    if (makeupCredit) {
+      courseData.makeupFor = {
+        creditId: makeupCredit.id,
+        courseId: makeupCredit.courseId,
+        missedDate: makeupCredit.missedDate,
+      };
+    }
+
     const savedCourse = await firebaseService.saveCourse(courseData);
     console.log('💾 Firebase 課程資料已儲存:', savedCourse.courseId);
 
+    if (makeupCredit) {
+      try {
+        await makeupService.consumeMakeupCredit(makeupCredit, {
+          courseId: savedCourse.courseId,
+          courseDate,
+          scheduleTime: slots.scheduleTime,
+        });
+      } catch (e) {
+        console.warn('⚠️ 沖銷待補課失敗:', e?.message || e);
+      }
+    }
+
     // 可觀測性：NDJSON 格式日誌（建立系列時）
     if (slots.recurring) {
       try {
@@ -549,7 +756,11 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
 
     // 6.5 檢查小月策略提示（29/30/31號的月重複）
     let smallMonthWarning = '';
-    if (slots.recurring && slots.recurrenceType === 'monthly') {
+    if (isNthWeekday) {
+      if (eventData.nthWeek.includes(5)) {
+        smallMonthWarning = '\n\n💡 提醒：部分月份沒有第五個同星期的日子，當月課程會自動跳過。';
+      }
+    } else if (slots.recurring && slots.recurrenceType === 'monthly') {
       const monthDay = new Date(courseDate).getDate();
       if (monthDay >= 29) {
         const today = getTaiwanDate();
@@ -578,7 +789,7 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
     }
 
     // 7. 格式化成功訊息
-    const timeDisplay = slots.scheduleTime.replace(/(\d{2}):(\d{2})/, (match, hour, minute) => {
+    const toZhTime = (time) => time.replace(/(\d{2}):(\d{2})/, (match, hour, minute) => {
       const h = parseInt(hour, 10);
       const mm = minute.padStart(2, '0');
       if (h === 0) return `上午12:${mm}`; // 00:xx → 上午12:xx
@@ -586,6 +797,8 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
       if (h === 12) return `中午12:${mm}`;
       return `下午${h - 12}:${mm}`;
     });
+    // 顯示起訖時間，例：下午2:00-下午3:30
+    const timeDisplay = `${toZhTime(slots.scheduleTime)}-${toZhTime(endTime)}`;
 
     let message = '✅ 課程已安排成功！\n\n';
     if (!calendarEvent.eventId) {
@@ -593,6 +806,8 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
     }
     message += `👦 學生：${slots.studentName}\n`;
     message += `📚 課程：${slots.courseName}\n`;
+    if (slots.location) message += `📍 地點：${slots.location}\n`;
+    if (slots.teacher) message += `👨‍🏫 老師：${slots.teacher}\n`;
 
     if (slots.recurring) {
       let recurringDisplay = '';
@@ -600,41 +815,10 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
       if (slots.recurrenceType === 'daily') {
         recurringDisplay = `🔄 重複：每天 ${timeDisplay}\n`;
       } else if (slots.recurrenceType === 'weekly' && slots.dayOfWeek !== null) {
-        // 週期：支援單天或多天顯示
-        const zhDaysFull = ['週日', '週一', '週二', '週三', '週四', '週五', '週六'];
-        const zhDaysShort = ['日', '一', '二', '三', '四', '五', '六'];
-        const normalizeIndex = (val) => {
-          if (typeof val === 'number') return val;
-          if (typeof val === 'string') {
-            const map = {
-              SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6,
-            };
-            const up = val.trim().toUpperCase();
-            if (map.hasOwnProperty(up)) return map[up];
-            const n = Number(up);
-            if (Number.isFinite(n)) return n;
-          }
-          return null;
-        };
-        if (Array.isArray(slots.dayOfWeek)) {
-          const short = slots.dayOfWeek
-            .map(normalizeIndex)
-            .filter((n) => n !== null && n >= 0 && n <= 6)
-            .map((n) => zhDaysShort[n]);
-          const joined = short.join(''); // 例：一三五
-          if (joined) {
-            recurringDisplay = `🔄 重複：每週${joined} ${timeDisplay}\n`;
-          } else {
-            // 後備：單天（若解析失敗）
-            const idx = normalizeIndex(slots.dayOfWeek[0]);
-            const label = (idx !== null && idx >= 0 && idx <= 6) ? zhDaysFull[idx] : '週';
-            recurringDisplay = `🔄 重複：每${label} ${timeDisplay}\n`;
-          }
-        } else {
-          const idx = normalizeIndex(slots.dayOfWeek);
-          const label = (idx !== null && idx >= 0 && idx <= 6) ? zhDaysFull[idx] : '週';
-          recurringDisplay = `🔄 重複：每${label} ${timeDisplay}\n`;
-        }
+        // 週期：支援單天或多天顯示（例：每週二四）
+        recurringDisplay = `🔄 重複：${formatWeeklyDays(slots.dayOfWeek)} ${timeDisplay}\n`;
+      } else if (isNthWeekday) {
+        recurringDisplay = `🔄 重複：${formatMonthlyNthWeekdays(eventData.nthWeek, slots.dayOfWeek)} ${timeDisplay}\n`;
       } else if (slots.recurrenceType === 'monthly') {
         const md = (typeof eventData.monthDay === 'number' && eventData.monthDay >= 1 && eventData.monthDay <= 31)
           ? `${eventData.monthDay}號`
@@ -642,23 +826,30 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
         recurringDisplay = `🔄 重複：每月${md ? ` ${md}` : ''} ${timeDisplay}\n`;
       } else {
         // 向下兼容：預設為每週
-        const days = ['週日', '週一', '週二', '週三', '週四', '週五', '週六'];
-        const dayName = slots.dayOfWeek !== null ? days[slots.dayOfWeek] : '不明';
-        recurringDisplay = `🔄 重複：每${dayName} ${timeDisplay}\n`;
+        recurringDisplay = `🔄 重複：${formatWeeklyDays(slots.dayOfWeek)} ${timeDisplay}\n`;
       }
 
       message += recurringDisplay;
       message += `📅 下次上課：${courseDate}`;
+      if (seriesEnd) {
+        message += `\n🏁 結束：${formatSeriesEnd(seriesEnd)}`;
+      }
     } else {
       message += `📅 日期：${courseDate}\n`;
       message += `🕐 時間：${timeDisplay}`;
     }
 
+    if (makeupCredit) {
+      message += `\n🔁 補課：${makeupService.formatMakeupCredit(makeupCredit)}`;
+    } else if (slots.isMakeup) {
+      message += '\n\n💡 沒有找到待補紀錄，已當作一般課程安排。';
+    }
+
     // 加入小月提醒
     message += smallMonthWarning;
 
     // 月重複未明確指定日號時給提示（已採用預設日號，可引導使用者之後明確指定）
-    if (slots.recurring && slots.recurrenceType === 'monthly' && !(typeof slots.monthDay === 'number' && Number.isFinite(slots.monthDay))) {
+    if (slots.recurring && slots.recurrenceType === 'monthly' && !isNthWeekday && !(typeof slots.monthDay === 'number' && Number.isFinite(slots.monthDay))) {
       try {
         const assumed = new Date(courseDate).getDate();
         message += `\n\n💡 提醒：已預設使用每月${assumed}號。若需更改，請直接說「每月X號」例如「每月15號」。`;
@@ -675,8 +866,8 @@ async function handle_add_course_task(slots, userId, messageEvent = null) {
         eventId: calendarEvent.eventId,
       },
       quickReply: [
-        { label: '✅ 確認', text: '確認' },
-        { label: '❌ 取消操作', text: '取消操作' },
+        createPostbackQuickReply('✅ 確認', 'confirm_action', { targetIntent: 'add_course', targetId: savedCourse.courseId }, '確認'),
+        createPostbackQuickReply('❌ 取消操作', 'cancel_action', { targetIntent: 'add_course', targetId: savedCourse.courseId }, '取消操作'),
       ],
     };
 
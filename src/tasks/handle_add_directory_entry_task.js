@@ -0,0 +1,89 @@
+/**
+ * 新增老師/地點任務處理器
+ * 「新增老師 王教練 0912345678」「新增地點 大安運動中心 台北市大安區辛亥路三段55號 簡稱大安」
+ * 同名項目視為更新，寫入 parents/{userId}/teachers 或 locations
+ */
+
+const firebaseService = require('../services/firebaseService');
+const { formatDuration } = require('../utils/durationUtils');
+
+const DIRECTORY_LABELS = {
+  teacher: {
+    label: '老師',
+    reference: '這位老師',
+    example: '新增老師 王教練 0912345678 預設90分鐘',
+  },
+  location: {
+    label: '地點',
+    reference: '這個地點',
+    example: '新增地點 大安運動中心 台北市大安區辛亥路三段55號 簡稱大安',
+  },
+};
+
+/**
+ * 名錄項目的顯示文字
+ * @param {object} entry
+ * @returns {Array<string>}
+ */
+function formatEntryDetails(entry) {
+  const lines = [];
+  if (entry.phone) lines.push(`📞 電話：${entry.phone}`);
+  if (entry.address) lines.push(`📍 地址：${entry.address}`);
+  if (entry.aliases && entry.aliases.length > 0) lines.push(`🏷️ 簡稱：${entry.aliases.join('、')}`);
+  if (entry.defaultDurationMinutes) lines.push(`⏱️ 預設時長：${formatDuration(entry.defaultDurationMinutes)}`);
+  return lines;
+}
+
+/**
+ * 處理新增老師/地點
+ * @param {object} slots - directoryType / name / phone / address / aliases / defaultDurationMinutes
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_add_directory_entry_task(slots, userId) {
+  const { directoryType = 'teacher' } = slots || {};
+  const labels = DIRECTORY_LABELS[directoryType] || DIRECTORY_LABELS.teacher;
+
+  try {
+    console.log('📇 開始處理新增名錄任務:', slots);
+
+    if (!slots?.name) {
+      return {
+        success: false,
+        code: 'MISSING_FIELDS',
+        message: `❓ 請提供${labels.label}名稱\n\n範例：「${labels.example}」`,
+      };
+    }
+
+    const entry = await firebaseService.saveDirectoryEntry(userId, directoryType, {
+      name: slots.name,
+      phone: slots.phone || null,
+      address: slots.address || null,
+      aliases: Array.isArray(slots.aliases) ? slots.aliases : [],
+      defaultDurationMinutes: slots.defaultDurationMinutes || null,
+    });
+
+    const title = entry.created
+      ? `✅ 已新增${labels.label}：${entry.name}`
+      : `✅ 已更新${labels.label}：${entry.name}`;
+    const details = formatEntryDetails(entry);
+    const hint = `💡 之後排課提到「${entry.aliases?.[0] || entry.name}」會自動帶入${labels.reference}的資料`;
+
+    return {
+      success: true,
+      code: directoryType === 'location' ? 'ADD_LOCATION_OK' : 'ADD_TEACHER_OK',
+      message: [title, ...details, '', hint].join('\n'),
+      data: { entryId: entry.id, directoryType },
+    };
+  } catch (error) {
+    console.error('❌ 新增名錄任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: `❌ 新增${labels.label}失敗，請稍後再試。`,
+    };
+  }
+}
+
+module.exports = handle_add_directory_entry_task;
+module.exports.formatEntryDetails = formatEntryDetails;
@@ -1,9 +1,12 @@
 /**
- * 最小版：新增作業/練習記錄
- * 先落存到 homework 集合；若未提供內容或學生/課程，可引導補充
+ * 新增作業/練習記錄
+ * 落存到 homeworks 集合（含繳交日與完成狀態）；有繳交日時於前一晚推播提醒
+ * 若未提供內容或學生/課程，可引導補充
  */
 
 const firebaseService = require('../services/firebaseService');
+const homeworkService = require('../services/homeworkService');
+const { getActorFields } = require('../services/familyGroupService');
 
 function validate(slots) {
   const missing = [];
@@ -30,15 +33,34 @@ async function handle_add_homework_task(slots, userId) {
     studentName: slots.studentName,
     courseName: slots.courseName,
     content: slots.content || slots.homework,
+    dueDate: slots.dueDate || null,
+    status: 'pending',
     createdAt: new Date().toISOString(),
+    ...getActorFields(slots),
   };
 
   const doc = await firebaseService.addDocument('homeworks', record);
+  const lines = [`✅ 已為 ${slots.studentName} 的 ${slots.courseName} 新增作業/練習內容`];
+  if (record.dueDate) lines.push(`📅 ${homeworkService.formatDueDate(record.dueDate)}`);
+
+  // 繳交日前一晚提醒；建立失敗不影響作業記錄
+  let reminderId = null;
+  try {
+    const reminder = await homeworkService.scheduleDueReminder({ ...record, homeworkId: doc.id });
+    if (reminder) {
+      reminderId = reminder.reminderId;
+      await firebaseService.updateDocument('homeworks', doc.id, { reminderId });
+      lines.push('⏰ 交作業前一晚 8 點會提醒你');
+    }
+  } catch (error) {
+    console.warn('⚠️ 建立作業提醒失敗:', error?.message || error);
+  }
+
   return {
     success: true,
     code: 'HOMEWORK_ADDED',
-    message: `✅ 已為 ${slots.studentName} 的 ${slots.courseName} 新增作業/練習內容`,
-    data: { homeworkId: doc.id },
+    message: lines.join('\n'),
+    data: { homeworkId: doc.id, dueDate: record.dueDate, reminderId },
   };
 }
 
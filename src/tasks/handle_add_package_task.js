@@ -0,0 +1,83 @@
+/**
+ * 新增課程方案任務處理器
+ * 「鋼琴課買了12堂 繳了9600」記錄預繳堂數與金額，之後每堂出席自動扣堂
+ */
+
+const firebaseService = require('../services/firebaseService');
+const { LOW_BALANCE_THRESHOLD, formatPackageBalance } = require('../services/packageService');
+const { getTaipeiTodayString } = require('../utils/recurrenceUtils');
+const { getActorFields } = require('../services/familyGroupService');
+
+/**
+ * 未指定學生時，家長只有一位學生則直接帶入
+ * @param {string} userId
+ * @returns {Promise<string|null>}
+ */
+async function getOnlyStudentName(userId) {
+  const students = await firebaseService.getStudentsByUser(userId);
+  return students.length === 1 ? students[0].studentName : null;
+}
+
+/**
+ * 處理新增課程方案
+ * @param {object} slots - studentName / courseName / lessonCount / amount
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_add_package_task(slots, userId) {
+  try {
+    console.log('🎫 開始處理新增課程方案任務:', slots);
+
+    const studentName = slots?.studentName || await getOnlyStudentName(userId);
+    const missingFields = [
+      studentName ? null : '學生姓名',
+      slots?.courseName ? null : '課程名稱',
+      slots?.lessonCount ? null : '堂數',
+    ].filter(Boolean);
+    if (missingFields.length > 0) {
+      return {
+        success: false,
+        code: 'MISSING_FIELDS',
+        message: `❓ 請提供以下資訊：${missingFields.join('、')}\n\n範例：「小明鋼琴課買了12堂 繳了9600」`,
+      };
+    }
+
+    const amount = slots.amount || null;
+    const pkg = await firebaseService.savePackage({
+      userId,
+      studentName,
+      courseName: slots.courseName,
+      totalLessons: slots.lessonCount,
+      remainingLessons: slots.lessonCount,
+      amount,
+      pricePerLesson: amount ? Math.round(amount / slots.lessonCount) : null,
+      purchasedDate: getTaipeiTodayString(),
+      status: 'active',
+      consumedOccurrences: [],
+      ...getActorFields(slots),
+    });
+
+    const lines = [
+      `👦 學生：${studentName}`,
+      `📚 課程：${slots.courseName}`,
+      formatPackageBalance(pkg),
+    ];
+    if (amount) lines.push(`💰 金額：${amount} 元（每堂約 ${pkg.pricePerLesson} 元）`);
+
+    return {
+      success: true,
+      code: 'ADD_PACKAGE_OK',
+      message: `✅ 已記錄課程方案\n\n${lines.join('\n')}\n\n💡 每堂記為出席會自動扣堂，剩 ${LOW_BALANCE_THRESHOLD} 堂時提醒續約`,
+      data: { packageId: pkg.packageId },
+    };
+  } catch (error) {
+    console.error('❌ 新增課程方案任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 記錄課程方案失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_add_package_task;
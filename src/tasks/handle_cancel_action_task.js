@@ -7,6 +7,8 @@
 const { getConversationManager } = require('../conversation/ConversationManager');
 const firebaseService = require('../services/firebaseService');
 const googleCalendarService = require('../services/googleCalendarService');
+const reminderRuleService = require('../services/reminderRuleService');
+const { resultMatchesTarget } = require('../utils/postbackUtils');
 
 /**
  * 處理取消操作
@@ -24,6 +26,9 @@ async function handle_cancel_action_task(slots, userId, event) {
     // 撤銷時限：2 分鐘（統一常數）
     const UNDO_WINDOW_MS = 2 * 60 * 1000;
 
+    // postback 按鈕會攜帶目標意圖與資料 ID
+    const { targetIntent, targetId } = slots || {};
+
     // 取得最近的操作上下文
     const context = await conversationManager.getContext(userId);
     if (!context || !context.state.lastActions) {
@@ -33,12 +38,30 @@ async function handle_cancel_action_task(slots, userId, event) {
       };
     }
 
-    // 取得最新的操作（按時間戳排序）
-    const lastAction = Object.values(context.state.lastActions)
-      .sort((a, b) => b.timestamp - a.timestamp)[0];
+    // 指定目標意圖時直接取用，否則取最新的操作（按時間戳排序）
+    const lastAction = targetIntent
+      ? context.state.lastActions[targetIntent]
+      : Object.values(context.state.lastActions)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
+
+    if (!lastAction) {
+      return {
+        success: false,
+        message: '❓ 沒有找到需要取消的操作。',
+      };
+    }
 
     const { intent, slots: originalSlots, result: originalResult } = lastAction;
 
+    // 按鈕所指的資料已不是該意圖最近一次操作時，不執行撤銷
+    if (targetId && !resultMatchesTarget(originalResult, targetId)) {
+      return {
+        success: false,
+        code: 'STALE_ACTION',
+        message: '⌛ 這個按鈕已過期，無法取消較早之前的操作。',
+      };
+    }
+
     // 檢查撤銷時限
     const timeSinceAction = Date.now() - lastAction.timestamp;
     if (timeSinceAction > UNDO_WINDOW_MS) {
@@ -119,6 +142,16 @@ async function handle_cancel_action_task(slots, userId, event) {
               await firebaseService.deleteDocument('reminders', originalResult.data.reminderId);
               console.log('✅ 已取消提醒設定:', originalResult.data.reminderId);
             }
+            // 固定提醒：新建的刪除，更新的改回原設定
+            if (originalResult.data?.ruleId) {
+              const { ruleId, previousRule } = originalResult.data;
+              if (previousRule) {
+                await reminderRuleService.restoreReminderRule(ruleId, previousRule);
+              } else {
+                await reminderRuleService.deleteReminderRule({ ruleId });
+              }
+              console.log('✅ 已取消固定提醒設定:', ruleId);
+            }
 
             await conversationManager.clearExpectedInput(userId);
             delete context.state.lastActions[intent];
@@ -6,6 +6,9 @@
 const { firebaseService } = require('../services');
 const { googleCalendarService } = require('../services');
 const { getConversationManager } = require('../conversation/ConversationManager');
+const { createPostbackQuickReply } = require('../utils/postbackUtils');
+const { occursOnDate, getTaipeiTodayString } = require('../utils/recurrenceUtils');
+const { normalizeCourseName } = require('../utils/courseNameUtils');
 
 /**
  * 根據時間參考計算具體日期
@@ -81,27 +84,24 @@ async function findCoursesToCancel(userId, studentName, courseName, specificDate
     } if (scope === 'future') {
       // 取消明天起所有課程
       const courses = await firebaseService.getCoursesByStudent(userId, studentName, { startDate: calculateDateFromReference('tomorrow') });
-      return courses.filter((course) => {
-        const dbName = String(course.courseName || '').replace(/課$/, '');
-        const queryName = String(courseName || '').replace(/課$/, '');
-        return dbName === queryName && !course.cancelled;
-      });
+      return courses.filter((course) => (
+        normalizeCourseName(course.courseName) === normalizeCourseName(courseName)
+        && !course.cancelled
+      ));
     } if (scope === 'recurring' || scope === 'all') {
       // 取消重複課程或所有課程 - 查找所有相關課程讓 Google Calendar 處理重複邏輯
       const courses = await firebaseService.getCoursesByStudent(userId, studentName);
-      return courses.filter((course) => {
-        const dbName = String(course.courseName || '').replace(/課$/, '');
-        const queryName = String(courseName || '').replace(/課$/, '');
-        return dbName === queryName && !course.cancelled;
-      });
+      return courses.filter((course) => (
+        normalizeCourseName(course.courseName) === normalizeCourseName(courseName)
+        && !course.cancelled
+      ));
     }
     // 預設情況：查找最近的課程（使用模糊匹配邏輯）
     const allCourses = await firebaseService.getCoursesByStudent(userId, studentName);
-    const filtered = allCourses.filter((course) => {
-      const dbName = String(course.courseName || '').replace(/課$/, '');
-      const queryName = String(courseName || '').replace(/課$/, '');
-      return dbName === queryName && !course.cancelled;
-    });
+    const filtered = allCourses.filter((course) => (
+      normalizeCourseName(course.courseName) === normalizeCourseName(courseName)
+      && !course.cancelled
+    ));
     return filtered.length > 0 ? [filtered[0]] : [];
   } catch (error) {
     console.error('❌ 查找課程失敗:', error);
@@ -156,6 +156,61 @@ async function deleteFromGoogleCalendar(course) {
   }
 }
 
+/**
+ * 取消重複課程的單一堂：寫入 skip 例外並略過 Google Calendar 實例，系列其餘日期保留
+ * @param {Object} course - 重複課程文件
+ * @param {string} occurrenceDate - 要取消的那一堂日期 (YYYY-MM-DD)
+ * @returns {Object} 處理結果
+ */
+async function cancelRecurringOccurrence(course, occurrenceDate) {
+  const courseId = course.courseId || course.id;
+  const label = `${course.studentName} 的 ${course.courseName}`;
+
+  const existing = await firebaseService.getCourseException(courseId, occurrenceDate);
+  if (existing && existing.type === 'skip') {
+    return {
+      success: false,
+      code: 'ALREADY_CANCELLED',
+      message: `ℹ️ ${occurrenceDate} ${label}已經取消過了`,
+    };
+  }
+
+  let calendarInstanceId = null;
+  if (course.calendarEventId) {
+    let { calendarId } = course;
+    if (!calendarId) {
+      const student = await firebaseService.getStudent(course.userId, course.studentName);
+      calendarId = student && student.calendarId;
+    }
+    if (calendarId) {
+      const result = await googleCalendarService.skipRecurringInstance(
+        calendarId,
+        course.calendarEventId,
+        occurrenceDate,
+        course.scheduleTime,
+      );
+      if (result.success) {
+        calendarInstanceId = result.instanceId;
+      } else {
+        console.warn('⚠️ Google Calendar 實例略過失敗，仍記錄 Firebase 例外:', result.message);
+      }
+    }
+  }
+
+  await firebaseService.saveCourseException(courseId, occurrenceDate, {
+    type: 'skip',
+    calendarInstanceId,
+  });
+
+  console.log(`✅ 重複課程單次取消: ${label} (${occurrenceDate})`);
+  return {
+    success: true,
+    code: 'COURSE_CANCEL_OK',
+    message: `✅ 已取消 ${occurrenceDate} ${label}\n🔄 其他日期的重複課程照常進行`,
+    data: { courseId, occurrenceDate },
+  };
+}
+
 /**
  * 取消課程任務處理器
  * @param {Object} slots - 提取的槽位資料
@@ -163,11 +218,28 @@ async function deleteFromGoogleCalendar(course) {
  * @returns {Object} 處理結果 { success: boolean, message: string }
  */
 async function handle_cancel_course_task(slots, userId) {
+  // 以副本補上課程資料，不改動呼叫端的 slots
+  const params = { ...slots };
   try {
     console.log('🗑️ 開始處理取消課程任務:', slots);
 
+    // 0. postback 按鈕直接指定課程 ID 時，以資料庫中的課程為準
+    let targetCourse = null;
+    if (params.courseId) {
+      targetCourse = await firebaseService.getCourseById(params.courseId);
+      if (!targetCourse || targetCourse.userId !== userId || targetCourse.cancelled) {
+        return {
+          success: false,
+          code: 'NOT_FOUND',
+          message: '❌ 找不到這堂課程，可能已被取消或刪除',
+        };
+      }
+      params.studentName = targetCourse.studentName;
+      params.courseName = targetCourse.courseName;
+    }
+
     // 1. 驗證必要參數
-    if (!slots.studentName) {
+    if (!params.studentName) {
       // 先進入期待輸入，保留已知的課名等欄位
       try {
         const conversationManager = getConversationManager();
@@ -177,7 +249,7 @@ async function handle_cancel_course_task(slots, userId) {
           ['student_name_input'],
           {
             intent: 'cancel_course',
-            existingSlots: slots,
+            existingSlots: params,
           },
         );
       } catch (_) {}
@@ -210,7 +282,7 @@ async function handle_cancel_course_task(slots, userId) {
       };
     }
 
-    if (!slots.courseName) {
+    if (!params.courseName) {
       // 先進入期待輸入，保留已知的學生等欄位
       try {
         const conversationManager = getConversationManager();
@@ -220,7 +292,7 @@ async function handle_cancel_course_task(slots, userId) {
           ['course_name_input'],
           {
             intent: 'cancel_course',
-            existingSlots: slots,
+            existingSlots: params,
           },
         );
       } catch (_) {}
@@ -233,21 +305,22 @@ async function handle_cancel_course_task(slots, userId) {
     }
 
     // 2. 若未指定範圍且疑似重複課，先提示選擇範圍
-    if (!slots.scope) {
+    if (!params.scope) {
       // 嘗試以多個候選學生名稱查詢，避免『測試』前綴不一致
-      const candidates = getAlternateStudentNames(slots.studentName);
-      let hasRecurring = false;
-      for (const candidate of candidates) {
+      const candidates = getAlternateStudentNames(params.studentName);
+      let recurringCourse = targetCourse && targetCourse.isRecurring ? targetCourse : null;
+      for (const candidate of recurringCourse ? [] : candidates) {
         const courses = await firebaseService.getCoursesByStudent(userId, candidate);
-        if (courses.some((c) => {
-          const dbName = String(c.courseName || '').replace(/課$/, '');
-          const queryName = String(slots.courseName || '').replace(/課$/, '');
-          return dbName === queryName && c.isRecurring;
-        })) {
-          hasRecurring = true; break;
-        }
+        recurringCourse = courses.find((c) => (
+          normalizeCourseName(c.courseName) === normalizeCourseName(params.courseName)
+          && c.isRecurring
+        )) || null;
+        if (recurringCourse) break;
       }
-      if (hasRecurring) {
+      if (recurringCourse) {
+        const recurringCourseId = recurringCourse.courseId || recurringCourse.id;
+        // 由課表按鈕進入時帶有該堂日期，否則預設取消今天
+        const singleLabel = params.specificDate ? `只取消 ${params.specificDate}` : '只取消今天';
         // 保存當前 slots 到對話狀態，供 QuickReply 使用
         try {
           const conversationManager = getConversationManager();
@@ -257,7 +330,7 @@ async function handle_cancel_course_task(slots, userId) {
             ['scope_input'],
             {
               intent: 'cancel_course',
-              existingSlots: slots,
+              existingSlots: params,
             },
           );
         } catch (_) {}
@@ -266,36 +339,71 @@ async function handle_cancel_course_task(slots, userId) {
           success: false,
           showQuickReply: true,
           code: 'RECURRING_CANCEL_OPTIONS',
-          message: '請問是要取消哪個範圍？\n\n🔘 只取消今天\n🔘 取消明天起所有課程\n🔘 刪除整個重複課程',
+          message: `請問是要取消哪個範圍？\n\n🔘 ${singleLabel}\n🔘 取消明天起所有課程\n🔘 刪除整個重複課程`,
           quickReply: [
-            { label: '只取消今天', text: '只取消今天' },
-            { label: '取消之後全部', text: '取消之後全部' },
-            { label: '刪除整個重複', text: '刪除整個重複' },
+            createPostbackQuickReply(singleLabel, 'cancel_course', {
+              courseId: recurringCourseId,
+              scope: 'single',
+              specificDate: params.specificDate,
+            }),
+            createPostbackQuickReply('取消之後全部', 'cancel_course', { courseId: recurringCourseId, scope: 'future' }),
+            createPostbackQuickReply('刪除整個重複', 'cancel_course', { courseId: recurringCourseId, scope: 'recurring' }),
           ],
         };
       }
     }
 
-    // 3. 查找要取消的課程
-    let coursesToCancel = await findCoursesToCancel(
-      userId,
-      slots.studentName,
-      slots.courseName,
-      slots.specificDate,
-      slots.timeReference,
-      slots.scope || 'single',
-    );
-    if ((!coursesToCancel || coursesToCancel.length === 0) && slots.studentName) {
+    // 3. 重複課程只取消單一堂：以例外處理，不動整個系列
+    if (params.scope === 'single') {
+      let seriesCourse = targetCourse && targetCourse.isRecurring ? targetCourse : null;
+      if (!targetCourse) {
+        const courses = await firebaseService.getCoursesByStudent(userId, params.studentName);
+        seriesCourse = courses.find((c) => (
+          normalizeCourseName(c.courseName) === normalizeCourseName(params.courseName)
+          && c.isRecurring && !c.cancelled
+        )) || null;
+      }
+      const occurrenceDate = params.specificDate
+        || calculateDateFromReference(params.timeReference)
+        || getTaipeiTodayString();
+      if (seriesCourse && occursOnDate(seriesCourse, occurrenceDate)) {
+        return cancelRecurringOccurrence(seriesCourse, occurrenceDate);
+      }
+      if (targetCourse && targetCourse.isRecurring) {
+        return {
+          success: false,
+          code: 'NOT_FOUND',
+          message: `❌ ${occurrenceDate} 沒有 ${params.studentName} 的 ${params.courseName}，不需要取消`,
+        };
+      }
+    }
+
+    // 4. 查找要取消的課程（指定 ID 的單次課程直接取消該筆）
+    let coursesToCancel;
+    if (targetCourse) {
+      // 按鈕已帶簽章的課程 ID（含重複課程的 future / recurring 範圍），不再依課名重新查找
+      coursesToCancel = [targetCourse];
+    } else {
+      coursesToCancel = await findCoursesToCancel(
+        userId,
+        params.studentName,
+        params.courseName,
+        params.specificDate,
+        params.timeReference,
+        params.scope || 'single',
+      );
+    }
+    if ((!coursesToCancel || coursesToCancel.length === 0) && params.studentName) {
       // 使用候選名稱再嘗試一次
-      const altNames = getAlternateStudentNames(slots.studentName).filter((n) => n !== slots.studentName);
+      const altNames = getAlternateStudentNames(params.studentName).filter((n) => n !== params.studentName);
       for (const alt of altNames) {
         coursesToCancel = await findCoursesToCancel(
           userId,
           alt,
-          slots.courseName,
-          slots.specificDate,
-          slots.timeReference,
-          slots.scope || 'single',
+          params.courseName,
+          params.specificDate,
+          params.timeReference,
+          params.scope || 'single',
         );
         if (coursesToCancel && coursesToCancel.length > 0) break;
       }
@@ -305,11 +413,11 @@ async function handle_cancel_course_task(slots, userId) {
       return {
         success: false,
         code: 'NOT_FOUND',
-        message: `❌ 找不到 ${slots.studentName} 的 ${slots.courseName}，請確認課程是否存在`,
+        message: `❌ 找不到 ${params.studentName} 的 ${params.courseName}，請確認課程是否存在`,
       };
     }
 
-    // 4. 執行取消操作
+    // 5. 執行取消操作
     const cancelResults = [];
     let successCount = 0;
     let failCount = 0;
@@ -317,7 +425,7 @@ async function handle_cancel_course_task(slots, userId) {
     for (const course of coursesToCancel) {
       try {
         // 設置取消範圍到課程物件
-        course.scope = slots.scope || 'single';
+        course.scope = params.scope || 'single';
 
         // 確保有 calendarId（避免二次查詢）
         if (!course.calendarId && course.studentName) {
@@ -360,34 +468,34 @@ async function handle_cancel_course_task(slots, userId) {
       }
     }
 
-    // 5. 生成回應訊息
+    // 6. 生成回應訊息
     let message = '';
 
     if (successCount > 0) {
-      const scope = slots.scope || 'single';
+      const scope = params.scope || 'single';
 
       if (scope === 'all' || scope === 'recurring') {
         // 刪除整個重複課程系列
         message += '✅ 已刪除整個重複課程\n';
-        message += `📚 課程：${slots.studentName} 的 ${slots.courseName}`;
+        message += `📚 課程：${params.studentName} 的 ${params.courseName}`;
         if (successCount > 1) {
           message += `\n📊 共影響 ${successCount} 堂課`;
         }
       } else if (scope === 'future') {
         // 取消明天起所有課程
         message += '✅ 已取消明天起所有課程\n';
-        message += `📚 課程：${slots.studentName} 的 ${slots.courseName}`;
+        message += `📚 課程：${params.studentName} 的 ${params.courseName}`;
         message += `\n📊 共取消 ${successCount} 堂課`;
       } else if (successCount === 1) {
         // 單次課程取消
         const successCourse = cancelResults.find((r) => r.success).course;
         const dateStr = successCourse.courseDate;
         const timeStr = successCourse.scheduleTime;
-        message += `✅ 已取消 ${slots.studentName} 的 ${slots.courseName}\n`;
+        message += `✅ 已取消 ${params.studentName} 的 ${params.courseName}\n`;
         message += `📅 原定時間：${dateStr} ${timeStr}`;
       } else {
         // 多堂單次課程
-        message += `✅ 已取消 ${successCount} 堂 ${slots.studentName} 的 ${slots.courseName}`;
+        message += `✅ 已取消 ${successCount} 堂 ${params.studentName} 的 ${params.courseName}`;
       }
     }
 
@@ -396,12 +504,12 @@ async function handle_cancel_course_task(slots, userId) {
       message += `⚠️ 有 ${failCount} 堂課程取消失敗，請稍後再試`;
     }
 
-    // 6. 如果有成功取消的課程，提供相關提示
+    // 7. 如果有成功取消的課程，提供相關提示
     if (successCount > 0) {
       message += '\n\n💡 提示：已取消的課程仍保留在記錄中，可隨時查看歷史資料';
     }
 
-    console.log(`📊 取消結果統計: scope=${slots.scope || 'single'}, 成功=${successCount}, 失敗=${failCount}, deleteRecurringEvent=${(slots.scope === 'all' || slots.scope === 'recurring') ? 'true' : 'false'}`);
+    console.log(`📊 取消結果統計: scope=${params.scope || 'single'}, 成功=${successCount}, 失敗=${failCount}, deleteRecurringEvent=${(params.scope === 'all' || params.scope === 'recurring') ? 'true' : 'false'}`);
 
     return {
       success: successCount > 0,
@@ -0,0 +1,62 @@
+/**
+ * 完成作業任務處理器
+ * 「小明數學作業寫完了」將最早要交的一份標記完成，並取消尚未發送的繳交提醒
+ */
+
+const homeworkService = require('../services/homeworkService');
+
+/**
+ * 處理作業完成
+ * @param {object} slots - studentName / courseName（皆可省略）
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_complete_homework_task(slots, userId) {
+  try {
+    console.log('✔️ 開始處理完成作業任務:', slots);
+
+    const { homework, candidates } = await homeworkService.findPendingHomework(userId, {
+      studentName: slots?.studentName || null,
+      courseName: slots?.courseName || null,
+    });
+    const scope = [slots?.studentName, slots?.courseName].filter(Boolean).join(' ');
+
+    if (candidates.length === 0) {
+      return {
+        success: false,
+        code: 'HOMEWORK_NOT_FOUND',
+        message: `❓ ${scope ? `${scope} ` : ''}目前沒有未完成的作業`,
+      };
+    }
+
+    if (!homework) {
+      const options = candidates
+        .map((item) => `• ${item.studentName} ${homeworkService.formatHomework(item)}`)
+        .join('\n');
+      return {
+        success: false,
+        code: 'HOMEWORK_AMBIGUOUS',
+        message: `❓ 有多份作業未完成，請指明學生或科目：\n${options}\n\n範例：「小明數學作業寫完了」`,
+      };
+    }
+
+    await homeworkService.completeHomework(homework);
+    const remaining = candidates.length - 1;
+
+    return {
+      success: true,
+      code: 'COMPLETE_HOMEWORK_OK',
+      message: `✅ 已完成 ${homework.studentName} 的作業\n\n📝 ${homeworkService.formatHomework(homework)}${remaining > 0 ? `\n\n📋 ${homework.courseName}還有 ${remaining} 份未完成` : ''}`,
+      data: { homeworkId: homework.homeworkId, remaining },
+    };
+  } catch (error) {
+    console.error('❌ 完成作業任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 更新作業狀態失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_complete_homework_task;
@@ -5,6 +5,8 @@
  */
 
 const { getConversationManager } = require('../conversation/ConversationManager');
+const { resultMatchesTarget } = require('../utils/postbackUtils');
+const { getSlotTimings, formatReminderTiming } = require('../utils/reminderUtils');
 
 /**
  * 處理確認操作
@@ -19,26 +21,39 @@ async function handle_confirm_action_task(slots, userId, event) {
   try {
     const conversationManager = getConversationManager();
 
+    // postback 按鈕會攜帶目標意圖與資料 ID，其餘 slots 才是從上下文繼承的實體
+    const { targetIntent, targetId, ...inheritedSlots } = slots || {};
+
     // 取得最近的操作上下文
     const context = await conversationManager.getContext(userId);
-    if (!context || !context.state.pendingData) {
+    const pendingOperation = context?.state?.pendingData?.lastOperation;
+    // 指定目標意圖時，優先使用該意圖的最近操作（避免被其他操作覆蓋）
+    // lastActions 也會記錄失敗的操作（如時間衝突），比 pendingData 更新
+    const targetOperation = targetIntent ? context?.state?.lastActions?.[targetIntent] : null;
+    const useTarget = targetIntent
+      && (targetOperation || pendingOperation?.intent !== targetIntent);
+    const lastOperation = useTarget
+      ? targetOperation
+      : pendingOperation;
+
+    if (!lastOperation) {
       return {
         success: false,
         message: '❓ 沒有找到需要確認的操作。請重新輸入您的需求。',
       };
     }
 
-    // 取得待確認的操作
-    const { lastOperation } = context.state.pendingData;
-    if (!lastOperation) {
+    const { intent, slots: originalSlots, result: originalResult } = lastOperation;
+
+    // 按鈕所指的資料已不是最近一次操作時，視為過期按鈕
+    if (targetId && !resultMatchesTarget(originalResult, targetId)) {
       return {
         success: false,
-        message: '❓ 沒有找到需要確認的操作。',
+        code: 'STALE_ACTION',
+        message: '⌛ 這個按鈕已過期，請針對最新的操作進行確認。',
       };
     }
 
-    const { intent, slots: originalSlots, result: originalResult } = lastOperation;
-
     console.log('📝 確認操作詳情:', {
       intent,
       originalSlots,
@@ -51,13 +66,15 @@ async function handle_confirm_action_task(slots, userId, event) {
 
       // 根據意圖類型重新執行（加上覆蓋標記）
       try {
-        const taskHandler = require(`.${intent === 'add_course' ? '/handle_add_course_task' : `/handle_${intent}_task`}`);
+        const { getTaskHandler } = require('./index');
+        const taskHandler = getTaskHandler(intent);
 
-        // 加上覆蓋標記
+        // 選擇建議時段時改用新時間重新檢查衝突；否則加上覆蓋標記
+        const rescheduled = Boolean(inheritedSlots.scheduleTime);
         const overrideSlots = {
           ...originalSlots,
-          ...slots, // 合併從上下文繼承的 slots
-          forceOverride: true, // 標記強制覆蓋
+          ...inheritedSlots, // 合併從上下文繼承的 slots
+          forceOverride: !rescheduled, // 標記強制覆蓋
         };
 
         const result = await taskHandler(overrideSlots, userId, event);
@@ -67,9 +84,13 @@ async function handle_confirm_action_task(slots, userId, event) {
 
         // 返回執行結果
         if (result.success) {
+          const isAdd = ['add_course', 'create_recurring_course'].includes(intent);
+          const prefix = rescheduled
+            ? `✅ 已改到 ${inheritedSlots.scheduleTime}！`
+            : `✅ 已成功覆蓋並${isAdd ? '新增' : '更新'}課程！`;
           return {
             success: true,
-            message: `✅ 已成功覆蓋並${intent === 'add_course' ? '新增' : '更新'}課程！\n\n${result.message}`,
+            message: `${prefix}\n\n${result.message}`,
           };
         }
         return result;
@@ -89,7 +110,7 @@ async function handle_confirm_action_task(slots, userId, event) {
     const confirmMessages = {
       add_course: `✅ 課程安排已確認！\n📚 ${originalSlots.studentName}的${originalSlots.courseName}`,
       record_content: `✅ 課程內容已確認記錄！\n📝 ${originalSlots.content || '內容已儲存'}`,
-      set_reminder: `✅ 提醒已確認設定！\n⏰ 將在課前${originalSlots.reminderTime || 30}分鐘提醒`,
+      set_reminder: `✅ 提醒已確認設定！\n⏰ 將在${getSlotTimings(originalSlots).map(formatReminderTiming).join('、')}提醒`,
       cancel_course: `✅ 課程已確認取消！\n🗑️ ${originalSlots.courseName || '課程'}已移除`,
       query_schedule: '✅ 查詢完成！',
     };
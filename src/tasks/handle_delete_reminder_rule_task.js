@@ -0,0 +1,74 @@
+/**
+ * 刪除固定提醒任務處理器
+ * 「取消每次鋼琴課的提醒」停用規則並取消已排定但尚未發送的提醒；
+ * 符合多條時以按鈕選擇（postback 帶 ruleId）
+ */
+
+const reminderRuleService = require('../services/reminderRuleService');
+const { createPostbackQuickReply } = require('../utils/postbackUtils');
+const { truncate } = require('../nlu/ScheduleFlexRenderer');
+
+// Quick Reply 最多 13 個，保留餘裕
+const MAX_RULE_OPTIONS = 10;
+
+/**
+ * 處理刪除固定提醒
+ * @param {object} slots - studentName / courseName；按鈕：ruleId
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_delete_reminder_rule_task(slots, userId) {
+  try {
+    console.log('🔕 開始處理刪除固定提醒任務:', slots);
+
+    let rules = await reminderRuleService.findReminderRules(userId, {
+      studentName: slots?.studentName || null,
+      courseName: slots?.courseName || null,
+    });
+    if (slots?.ruleId) rules = rules.filter((rule) => rule.ruleId === slots.ruleId);
+    const scope = [slots?.studentName, slots?.courseName].filter(Boolean).join(' ');
+
+    if (rules.length === 0) {
+      return {
+        success: false,
+        code: 'REMINDER_RULE_NOT_FOUND',
+        message: `❓ ${scope ? `${scope} ` : ''}沒有設定固定提醒\n\n說「有哪些固定提醒」可查看目前的設定`,
+      };
+    }
+
+    if (rules.length > 1) {
+      const quickReply = rules.slice(0, MAX_RULE_OPTIONS).map((rule) => createPostbackQuickReply(
+        truncate(`🔕 ${rule.studentName} ${rule.courseName}`, 20),
+        'delete_reminder_rule',
+        { ruleId: rule.ruleId },
+        `取消${rule.studentName}${rule.courseName}的每次提醒`,
+      ));
+      return {
+        success: false,
+        code: 'REMINDER_RULE_AMBIGUOUS',
+        message: `❓ 有 ${rules.length} 個固定提醒，要取消哪一個？`,
+        quickReply,
+        showQuickReply: true,
+      };
+    }
+
+    const [rule] = rules;
+    await reminderRuleService.deleteReminderRule(rule);
+
+    return {
+      success: true,
+      code: 'DELETE_REMINDER_RULE_OK',
+      message: `🔕 已取消 ${rule.studentName} ${rule.courseName} 的固定提醒\n\n之後的課堂不會再提醒，課程本身不受影響`,
+      data: { ruleId: rule.ruleId },
+    };
+  } catch (error) {
+    console.error('❌ 刪除固定提醒任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 取消固定提醒失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_delete_reminder_rule_task;
@@ -0,0 +1,78 @@
+/**
+ * 刪除提醒任務處理器
+ * 「取消明天數學課的提醒」取消尚未發送的提醒；符合多筆時以按鈕選擇（postback 帶 reminderId）
+ */
+
+const reminderService = require('../services/reminderService');
+const { createPostbackQuickReply } = require('../utils/postbackUtils');
+const { truncate } = require('../nlu/ScheduleFlexRenderer');
+
+// Quick Reply 最多 13 個，保留餘裕
+const MAX_REMINDER_OPTIONS = 10;
+
+/**
+ * 處理刪除提醒
+ * @param {object} slots - studentName / courseName / courseDate；按鈕：reminderId
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_delete_reminder_task(slots, userId) {
+  try {
+    console.log('🗑️ 開始處理刪除提醒任務:', slots);
+
+    let reminders = await reminderService.findUpcomingReminders(userId, {
+      studentName: slots?.studentName || null,
+      courseName: slots?.courseName || null,
+      courseDate: slots?.courseDate || null,
+    });
+    if (slots?.reminderId) {
+      reminders = reminders.filter((reminder) => reminder.reminderId === slots.reminderId);
+    }
+
+    if (reminders.length === 0) {
+      return {
+        success: false,
+        code: 'REMINDER_NOT_FOUND',
+        message: '❓ 找不到符合的提醒（可能已發送或已取消）\n\n說「我設了哪些提醒」可查看目前的提醒',
+      };
+    }
+
+    if (reminders.length > 1) {
+      const quickReply = reminders.slice(0, MAX_REMINDER_OPTIONS).map((reminder) => {
+        const label = reminderService.formatReminderLabel(reminder);
+        return createPostbackQuickReply(
+          truncate(`🗑️ ${label}`, 20),
+          'delete_reminder',
+          { reminderId: reminder.reminderId },
+          `取消 ${label} 的提醒`,
+        );
+      });
+      return {
+        success: false,
+        code: 'REMINDER_AMBIGUOUS',
+        message: `❓ 有 ${reminders.length} 個提醒，要取消哪一個？`,
+        quickReply,
+        showQuickReply: true,
+      };
+    }
+
+    const [reminder] = reminders;
+    await reminderService.cancelReminder(reminder.reminderId);
+
+    return {
+      success: true,
+      code: 'DELETE_REMINDER_OK',
+      message: `🗑️ 已取消 ${reminderService.formatReminderLabel(reminder)} 的提醒${reminder.ruleId ? '\n\n🔁 這是固定提醒的其中一堂，之後的課堂仍會提醒' : ''}`,
+      data: { reminderId: reminder.reminderId },
+    };
+  } catch (error) {
+    console.error('❌ 刪除提醒任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 取消提醒失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_delete_reminder_task;
@@ -0,0 +1,160 @@
+/**
+ * 出缺席記錄任務處理器
+ * 「小明今天鋼琴課請假」「昨天英文課有上」「小明週三數學課老師請假」
+ * 以「課程 ID + 上課日期」記錄單堂狀態，重複課程的每個實例各自一筆
+ */
+
+const firebaseService = require('../services/firebaseService');
+const makeupService = require('../services/makeupService');
+const packageService = require('../services/packageService');
+const { collectCoursesInRange } = require('../services/courseQueryService');
+const { getTaipeiTodayString, getMonthDateRange } = require('../utils/recurrenceUtils');
+const { filterByCourseName } = require('../utils/courseNameUtils');
+const { getActorFields } = require('../services/familyGroupService');
+const {
+  ATTENDANCE_STATUS,
+  getAttendanceKey,
+  formatAttendanceStatus,
+  summarizeAttendance,
+  formatAttendanceCounts,
+} = require('../utils/attendanceUtils');
+
+/**
+ * 當月同學生同科目的出缺席統計行
+ * 統計失敗不影響記錄結果
+ * @param {string} userId
+ * @param {object} course
+ * @returns {Promise<string|null>}
+ */
+async function getMonthlySummaryLine(userId, course) {
+  try {
+    const month = course.courseDate.slice(0, 7);
+    const records = await firebaseService.getAttendanceByUser(userId, {
+      ...getMonthDateRange(month),
+      studentName: course.studentName,
+    });
+    const counts = summarizeAttendance(records)[course.studentName]?.[course.courseName];
+    return counts ? `📊 ${parseInt(month.slice(5), 10)}月${course.courseName}：${formatAttendanceCounts(counts)}` : null;
+  } catch (error) {
+    console.warn('⚠️ 出缺席月統計失敗:', error?.message || error);
+    return null;
+  }
+}
+
+/**
+ * 處理出缺席記錄
+ * @param {object} slots - studentName / courseName / courseDate / attendanceStatus
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_mark_attendance_task(slots, userId) {
+  try {
+    console.log('📋 開始處理出缺席記錄任務:', slots);
+
+    const status = slots?.attendanceStatus;
+    if (!ATTENDANCE_STATUS[status]) {
+      return {
+        success: false,
+        code: 'MISSING_ATTENDANCE_STATUS',
+        message: '❓ 請說明這堂課的狀況：有上、缺席、請假或老師停課\n\n範例：「小明今天鋼琴課請假」',
+      };
+    }
+
+    const courseDate = slots.courseDate || getTaipeiTodayString();
+    const dayCourses = await collectCoursesInRange(
+      userId,
+      slots.studentName || null,
+      { startDate: courseDate, endDate: courseDate },
+    );
+    const candidates = filterByCourseName(dayCourses, slots.courseName);
+    const target = `${slots.studentName || ''}${slots.courseName || '課程'}`;
+
+    if (candidates.length === 0) {
+      return {
+        success: false,
+        code: 'ATTENDANCE_COURSE_NOT_FOUND',
+        message: `❓ ${courseDate} 找不到${target}，請確認日期或課程名稱\n\n範例：「小明昨天鋼琴課有上」`,
+      };
+    }
+
+    if (candidates.length > 1) {
+      const options = candidates
+        .map((course) => `• ${course.studentName} ${course.scheduleTime || ''} ${course.courseName}`)
+        .join('\n');
+      return {
+        success: false,
+        code: 'ATTENDANCE_AMBIGUOUS',
+        message: `❓ ${courseDate} 有多堂課符合，請指明學生或課程：\n${options}`,
+      };
+    }
+
+    const course = candidates[0];
+    const courseId = course.courseId || course.id;
+    const attendanceId = getAttendanceKey(courseId, course.courseDate);
+    await firebaseService.saveAttendance(courseId, course.courseDate, {
+      userId,
+      studentName: course.studentName,
+      courseName: course.courseName,
+      scheduleTime: course.scheduleTime || null,
+      status,
+      ...getActorFields(slots),
+    });
+
+    const lines = [
+      `${formatAttendanceStatus(status)}｜${course.studentName} ${course.courseName}`,
+      `📅 ${course.courseDate}${course.scheduleTime ? ` ${course.scheduleTime}` : ''}`,
+    ];
+
+    // 請假的課堂列入待補，改為其他狀態則作廢尚未安排的待補
+    try {
+      const credit = await makeupService.syncMakeupCredit(attendanceId, {
+        userId,
+        studentName: course.studentName,
+        courseName: course.courseName,
+        courseId,
+        courseDate: course.courseDate,
+        scheduleTime: course.scheduleTime || null,
+        status,
+      });
+      if (credit?.status === 'outstanding') {
+        lines.push('🔁 已列入待補課，安排時可說「安排補課 週六10點」');
+      }
+    } catch (error) {
+      console.warn('⚠️ 同步待補課失敗:', error?.message || error);
+    }
+
+    // 課程方案：出席扣一堂，改為其他狀態則退回
+    try {
+      const pkg = await packageService.recordPackageUsage(userId, attendanceId, {
+        studentName: course.studentName,
+        courseName: course.courseName,
+        status,
+      });
+      if (pkg) {
+        const lowBalance = pkg.remainingLessons <= packageService.LOW_BALANCE_THRESHOLD;
+        lines.push(`${packageService.formatPackageBalance(pkg)}${lowBalance ? '，記得續約' : ''}`);
+      }
+    } catch (error) {
+      console.warn('⚠️ 課程方案扣堂失敗:', error?.message || error);
+    }
+
+    const summaryLine = await getMonthlySummaryLine(userId, course);
+    if (summaryLine) lines.push('', summaryLine);
+
+    return {
+      success: true,
+      code: 'MARK_ATTENDANCE_OK',
+      message: `✅ 已記錄出缺席\n\n${lines.join('\n')}`,
+      data: { courseId, courseDate: course.courseDate, status },
+    };
+  } catch (error) {
+    console.error('❌ 出缺席記錄任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 記錄出缺席失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_mark_attendance_task;
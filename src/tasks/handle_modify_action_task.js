@@ -5,6 +5,8 @@
  */
 
 const { getConversationManager } = require('../conversation/ConversationManager');
+const { formatWeeklyDays } = require('../utils/recurrenceUtils');
+const { getSlotTimings, formatReminderTiming } = require('../utils/reminderUtils');
 
 /**
  * 處理修改操作
@@ -70,7 +72,7 @@ async function handle_modify_action_task(slots, userId, event) {
 • 學生：${originalSlots.studentName || '未指定'}
 • 課程：${originalSlots.courseName || '未指定'}
 • 時間：${originalSlots.scheduleTime || '未指定'}
-• 日期：${originalSlots.courseDate || originalSlots.dayOfWeek ? `每週${originalSlots.dayOfWeek}` : '未指定'}
+• 日期：${originalSlots.courseDate || (originalSlots.dayOfWeek !== null && originalSlots.dayOfWeek !== undefined ? formatWeeklyDays(originalSlots.dayOfWeek) : '未指定')}
 
 修改範例：
 • 「改成下午3點」
@@ -98,7 +100,7 @@ async function handle_modify_action_task(slots, userId, event) {
 目前提醒設定：
 • 學生：${originalSlots.studentName || '未指定'}
 • 課程：${originalSlots.courseName || '未指定'}
-• 提前時間：${originalSlots.reminderTime || 30} 分鐘
+• 提醒時機：${getSlotTimings(originalSlots).map(formatReminderTiming).join('、')}
 
 修改範例：
 • 「改成提前1小時」
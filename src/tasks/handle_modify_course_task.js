@@ -1,11 +1,19 @@
 /**
  * 修改課程任務處理器
- * 支援單次課程的時間/日期修改，維持 Google Calendar 與 Firebase 一致性
+ * 支援單次課程的時間/日期/時長修改，維持 Google Calendar 與 Firebase 一致性
  */
 
 const firebaseService = require('../services/firebaseService');
 const googleCalendarService = require('../services/googleCalendarService');
 const { getConversationManager } = require('../conversation/ConversationManager');
+const { occursOnDate } = require('../utils/recurrenceUtils');
+const {
+  MAX_DURATION_MINUTES,
+  addMinutesToTime,
+  formatDuration,
+  getDurationMinutes,
+  getMinutesBetween,
+} = require('../utils/durationUtils');
 
 /**
  * 處理時間參考轉換為具體日期
@@ -115,6 +123,35 @@ async function ensureStudentCalendarSafe(userId, studentName) {
   return student;
 }
 
+/**
+ * 計算修改後的上課時長（分鐘）
+ * 依序採用：指定新時長 → 延長/縮短增減 → 新結束時間；皆未提供時沿用原時長
+ * @returns {{ durationMinutes: number|null, changed: boolean }} durationMinutes 為 null 表示新時長無效
+ */
+function resolveNewDuration(course, slots, newScheduleTime) {
+  const current = getDurationMinutes(course);
+  let next = current;
+  if (slots.durationMinutesNew) {
+    next = slots.durationMinutesNew;
+  } else if (slots.durationDelta) {
+    next = current + slots.durationDelta;
+  } else if (slots.endTimeNew) {
+    next = getMinutesBetween(newScheduleTime, slots.endTimeNew);
+  }
+
+  if (!next || next <= 0 || next > MAX_DURATION_MINUTES) {
+    return { durationMinutes: null, changed: true };
+  }
+  return { durationMinutes: next, changed: next !== current };
+}
+
+/**
+ * 時間區間的中文顯示，例：下午2:00-下午3:30
+ */
+function toZhTimeRange(scheduleTime, durationMinutes) {
+  return `${toZhTime(scheduleTime)}-${toZhTime(addMinutesToTime(scheduleTime, durationMinutes))}`;
+}
+
 /**
  * 建立事件摘要
  */
@@ -122,6 +159,192 @@ function buildEventSummary(userId, studentName, courseName) {
   return `[${userId}] ${studentName} - ${courseName}`;
 }
 
+/**
+ * 以學生/課名查找未取消的重複課程系列（未指定學生時搜尋所有學生）
+ */
+async function findRecurringSeries(userId, studentName, courseName) {
+  const normalize = (name) => String(name || '').replace(/課$/, '');
+  let studentNames = studentName ? [studentName] : [];
+  if (!studentName) {
+    const students = await firebaseService.getStudentsByUser(userId);
+    studentNames = (students || []).map((s) => s.studentName);
+  }
+
+  const coursesByStudent = await Promise.all(
+    studentNames.map((name) => firebaseService.getCoursesByStudent(userId, name)),
+  );
+  return coursesByStudent.flat().find((c) => c.isRecurring && !c.cancelled
+    && normalize(c.courseName) === normalize(courseName)) || null;
+}
+
+/**
+ * 調整重複課程的單一堂：Google Calendar 改寫該實例，Firebase 寫入 reschedule 例外，系列其他日期不變
+ */
+async function modifyRecurringOccurrence(course, occurrenceDate, slots, userId) {
+  const courseId = course.courseId || course.id;
+  const existing = await firebaseService.getCourseException(courseId, occurrenceDate);
+  if (existing && existing.type === 'skip') {
+    return {
+      success: false,
+      code: 'VALIDATION_ERROR',
+      message: `❌ ${occurrenceDate} 的${course.courseName}已取消，無法調整`,
+    };
+  }
+
+  const newCourseDate = slots.courseDateNew || occurrenceDate;
+  const newScheduleTime = slots.scheduleTimeNew || course.scheduleTime;
+  const duration = resolveNewDuration(course, slots, newScheduleTime);
+  const { durationMinutes } = duration;
+  if (!durationMinutes) {
+    return {
+      success: false,
+      code: 'VALIDATION_ERROR',
+      message: `❌ 上課時長需介於 1 分鐘到 ${formatDuration(MAX_DURATION_MINUTES)}之間`,
+    };
+  }
+  const unchanged = newCourseDate === occurrenceDate && newScheduleTime === course.scheduleTime;
+  if (unchanged && !duration.changed) {
+    return {
+      success: false,
+      code: 'VALIDATION_ERROR',
+      message: '❓ 請說明要改到哪一天或幾點，例如「這週三的鋼琴課改到週四」',
+    };
+  }
+
+  if (isPastTime(newCourseDate, newScheduleTime)) {
+    return {
+      success: false,
+      code: 'VALIDATION_ERROR',
+      message: '❌ 新時間早於現在，請提供未來時間',
+    };
+  }
+
+  const student = await ensureStudentCalendarSafe(userId, course.studentName);
+  const calendarId = course.calendarId || student.calendarId;
+
+  // 衝突檢查：排除正在調整的這一堂本身
+  const conflict = await googleCalendarService.checkConflict(
+    student.calendarId,
+    newCourseDate,
+    newScheduleTime,
+    durationMinutes,
+  );
+  const conflicts = ((conflict && conflict.conflicts) || []).filter((c) => !(
+    c.recurringEventId === course.calendarEventId
+    && String(c.originalStart || '').startsWith(occurrenceDate)
+  ));
+  if (conflicts.length > 0) {
+    const list = conflicts.map((c) => `• ${c.summary} (${fmtHm(c.start)})`).join('\n');
+    return {
+      success: false,
+      code: 'CONFLICT_ERROR',
+      message: `⚠️ 時間衝突\n\n${newCourseDate} ${newScheduleTime} 已有：\n${list}\n\n請換一個時間再試。`,
+    };
+  }
+
+  let calendarInstanceId = null;
+  if (course.calendarEventId) {
+    const start = googleCalendarService.buildDateTime(newCourseDate, newScheduleTime);
+    const end = googleCalendarService.addMinutes(start, durationMinutes);
+    const result = await googleCalendarService.rescheduleRecurringInstance(
+      calendarId,
+      course.calendarEventId,
+      occurrenceDate,
+      course.scheduleTime,
+      {
+        start: { dateTime: start, timeZone: 'Asia/Taipei' },
+        end: { dateTime: end, timeZone: 'Asia/Taipei' },
+      },
+    );
+    if (!result.success) {
+      return {
+        success: false,
+        code: 'SYSTEM_ERROR',
+        message: '❌ 日曆更新失敗，請稍後再試',
+      };
+    }
+    calendarInstanceId = result.instanceId;
+  }
+
+  await firebaseService.saveCourseException(courseId, occurrenceDate, {
+    type: 'reschedule',
+    newDate: newCourseDate,
+    newTime: newScheduleTime,
+    newDurationMinutes: durationMinutes,
+    newEndTime: addMinutesToTime(newScheduleTime, durationMinutes),
+    calendarInstanceId,
+  });
+
+  const msgLines = [
+    '✅ 已調整這一堂課！',
+    `👦 學生：${course.studentName}`,
+    `📚 課程：${course.courseName}`,
+    `📅 原定：${occurrenceDate} ${toZhTimeRange(course.scheduleTime, getDurationMinutes(course))}`,
+    `➡️ 改為：${newCourseDate} ${toZhTimeRange(newScheduleTime, durationMinutes)}`,
+    '🔄 其他日期的重複課程不受影響',
+  ];
+
+  return {
+    success: true,
+    message: msgLines.join('\n'),
+    data: { courseId, occurrenceDate },
+  };
+}
+
+/**
+ * 調整整個重複課程系列的時長：改寫系列主事件的結束時間，已調整過的單堂例外維持原設定
+ */
+async function modifyRecurringSeriesDuration(course, slots, userId) {
+  const courseId = course.courseId || course.id;
+  const { durationMinutes } = resolveNewDuration(course, slots, course.scheduleTime);
+  if (!durationMinutes) {
+    return {
+      success: false,
+      code: 'VALIDATION_ERROR',
+      message: `❌ 上課時長需介於 1 分鐘到 ${formatDuration(MAX_DURATION_MINUTES)}之間`,
+    };
+  }
+
+  const student = await ensureStudentCalendarSafe(userId, course.studentName);
+  if (course.calendarEventId) {
+    const start = googleCalendarService.buildDateTime(course.courseDate, course.scheduleTime);
+    const end = googleCalendarService.addMinutes(start, durationMinutes);
+    try {
+      await googleCalendarService.updateEvent(
+        course.calendarId || student.calendarId,
+        course.calendarEventId,
+        {
+          start: { dateTime: start, timeZone: 'Asia/Taipei' },
+          end: { dateTime: end, timeZone: 'Asia/Taipei' },
+        },
+      );
+    } catch (e) {
+      return {
+        success: false,
+        code: 'SYSTEM_ERROR',
+        message: '❌ 日曆更新失敗，請稍後再試',
+      };
+    }
+  }
+
+  const endTime = addMinutesToTime(course.scheduleTime, durationMinutes);
+  await firebaseService.updateDocument('courses', courseId, { durationMinutes, endTime });
+
+  const msgLines = [
+    '✅ 重複課程時長已更新！',
+    `👦 學生：${course.studentName}`,
+    `📚 課程：${course.courseName}`,
+    `🕐 時間：${toZhTimeRange(course.scheduleTime, durationMinutes)}（${formatDuration(durationMinutes)}）`,
+    '🔄 之後每一堂都會套用新的時長',
+  ];
+
+  return {
+    success: true,
+    message: msgLines.join('\n'),
+    data: { courseId, durationMinutes, endTime },
+  };
+}
+
 async function handle_modify_course_task(slots, userId, event) {
   try {
     // 1) 目標課程定位（優先上下文，fallback DB）
@@ -156,6 +379,18 @@ async function handle_modify_course_task(slots, userId, event) {
       }
     }
 
+    // 重複課程的單一堂（「這週三的鋼琴課改到週四」）：指定日期查無單次課程時，改找重複課程系列
+    if (!course && slots && slots.courseName && slots.courseDate) {
+      course = await findRecurringSeries(userId, slots.studentName, slots.courseName);
+    }
+
+    // 只調整時長（「把游泳課延長半小時」）：未指定學生時同樣改找重複課程系列
+    const durationRequested = Boolean(slots
+      && (slots.durationMinutesNew || slots.durationDelta || slots.endTimeNew));
+    if (!course && durationRequested && slots.courseName) {
+      course = await findRecurringSeries(userId, slots.studentName, slots.courseName);
+    }
+
     if (!course) {
       return {
         success: false,
@@ -164,13 +399,21 @@ async function handle_modify_course_task(slots, userId, event) {
       };
     }
 
-    // 2) 驗證非重複課
+    // 2) 重複課程只調整指定的那一堂，整個系列仍需取消後重新新增
     if (course.isRecurring) {
-      return {
-        success: false,
-        code: 'VALIDATION_ERROR',
-        message: '🔄 重複課程請使用「取消 → 重新新增」進行修改',
-      };
+      const occurrenceDate = slots.courseDate || toYmdFromReference(slots.timeReference);
+      if (!occurrenceDate && durationRequested && !slots.courseDateNew && !slots.scheduleTimeNew) {
+        return modifyRecurringSeriesDuration(course, slots, userId);
+      }
+      if (!occurrenceDate || !occursOnDate(course, occurrenceDate)) {
+        return {
+          success: false,
+          code: 'VALIDATION_ERROR',
+          message: '🔄 重複課程請指定要調整的那一堂，例如「這週三的鋼琴課改到週四」\n'
+            + '整個系列請使用「取消 → 重新新增」',
+        };
+      }
+      return modifyRecurringOccurrence(course, occurrenceDate, slots, userId);
     }
 
     // 3) 自癒 calendarId / 存取
@@ -180,9 +423,20 @@ async function handle_modify_course_task(slots, userId, event) {
     const newCourseDate = slots.courseDateNew || course.courseDate;
     const newScheduleTime = slots.scheduleTimeNew || course.scheduleTime;
 
-    // 只有實際修改時間/日期時才檢查過去時間
+    const duration = resolveNewDuration(course, slots, newScheduleTime);
+    const { durationMinutes } = duration;
+    if (!durationMinutes) {
+      return {
+        success: false,
+        code: 'VALIDATION_ERROR',
+        message: `❌ 上課時長需介於 1 分鐘到 ${formatDuration(MAX_DURATION_MINUTES)}之間`,
+      };
+    }
+
+    // 只有實際修改時間/日期/時長時才檢查過去時間
     const timeOrDateChanged = (slots.courseDateNew && slots.courseDateNew !== course.courseDate)
-      || (slots.scheduleTimeNew && slots.scheduleTimeNew !== course.scheduleTime);
+      || (slots.scheduleTimeNew && slots.scheduleTimeNew !== course.scheduleTime)
+      || duration.changed;
     if (timeOrDateChanged && isPastTime(newCourseDate, newScheduleTime)) {
       return {
         success: false,
@@ -191,11 +445,18 @@ async function handle_modify_course_task(slots, userId, event) {
       };
     }
 
-    // 5) 衝突檢查（只在時間/日期實際變更時執行）
+    // 5) 衝突檢查（只在時間/日期/時長實際變更時執行；排除課程本身）
     if (timeOrDateChanged) {
-      const conflict = await googleCalendarService.checkConflict(student.calendarId, newCourseDate, newScheduleTime);
-      if (conflict && conflict.hasConflict) {
-        const list = (conflict.conflicts || []).map((c) => `• ${c.summary} (${fmtHm(c.start)})`).join('\n');
+      const conflict = await googleCalendarService.checkConflict(
+        student.calendarId,
+        newCourseDate,
+        newScheduleTime,
+        durationMinutes,
+      );
+      const conflicts = ((conflict && conflict.conflicts) || [])
+        .filter((c) => c.id !== course.calendarEventId);
+      if (conflicts.length > 0) {
+        const list = conflicts.map((c) => `• ${c.summary} (${fmtHm(c.start)})`).join('\n');
         return {
           success: false,
           code: 'CONFLICT_ERROR',
@@ -206,7 +467,7 @@ async function handle_modify_course_task(slots, userId, event) {
 
     // 6) 更新 Google Calendar（先 GCal, 後 Firebase）
     const start = googleCalendarService.buildDateTime(newCourseDate, newScheduleTime);
-    const end = googleCalendarService.addHours(start, 1);
+    const end = googleCalendarService.addMinutes(start, durationMinutes);
     const summary = buildEventSummary(userId, course.studentName, slots.courseNameNew || course.courseName);
 
     try {
@@ -231,13 +492,15 @@ async function handle_modify_course_task(slots, userId, event) {
     const updateData = {
       courseDate: newCourseDate,
       scheduleTime: newScheduleTime,
+      durationMinutes,
+      endTime: addMinutesToTime(newScheduleTime, durationMinutes),
     };
     if (slots.courseNameNew) updateData.courseName = slots.courseNameNew;
 
     await firebaseService.updateDocument('courses', course.courseId, updateData);
 
     // 8) 成功訊息（沿用新增課格式的中文時間）
-    const timeDisplay = toZhTime(newScheduleTime);
+    const timeDisplay = toZhTimeRange(newScheduleTime, durationMinutes);
     const msgLines = [
       '✅ 課程已更新！',
       `👦 學生：${course.studentName}`,
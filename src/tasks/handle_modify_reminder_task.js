@@ -0,0 +1,101 @@
+/**
+ * 修改提醒任務處理器
+ * 「把數學課提醒改成前一天晚上8點」「明天鋼琴課的提醒改成前30分鐘」更新尚未發送提醒的觸發時間；
+ * 符合多筆時以按鈕選擇（postback 帶 reminderId 與新的提醒時機）
+ */
+
+const reminderService = require('../services/reminderService');
+const { createPostbackQuickReply } = require('../utils/postbackUtils');
+const { formatReminderTiming } = require('../utils/reminderUtils');
+const { truncate } = require('../nlu/ScheduleFlexRenderer');
+
+// Quick Reply 最多 13 個，保留餘裕
+const MAX_REMINDER_OPTIONS = 10;
+
+// 無法修改時的說明
+const RESCHEDULE_ERRORS = {
+  PAST_REMINDER_TIME: '❌ 新的提醒時間已經過了，請改成之後的時間',
+  AFTER_COURSE_START: '❌ 新的提醒時間比上課時間還晚，請改成上課前的時間',
+};
+
+/**
+ * 處理修改提醒
+ * @param {object} slots - studentName / courseName / courseDate，
+ *   新時機 reminderTime 或 reminderClock / reminderDayOffset；按鈕另帶 reminderId
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_modify_reminder_task(slots, userId) {
+  try {
+    console.log('✏️ 開始處理修改提醒任務:', slots);
+
+    const timing = slots?.reminderClock
+      ? { reminderClock: slots.reminderClock, reminderDayOffset: slots.reminderDayOffset || 0 }
+      : { reminderTime: slots?.reminderTime };
+    if (!timing.reminderClock && !Number.isFinite(timing.reminderTime)) {
+      return {
+        success: false,
+        code: 'MISSING_REMINDER_TIME',
+        message: '❓ 要改成什麼時候提醒？\n\n例如：「把數學課提醒改成前一天晚上8點」「改成課前30分鐘」',
+      };
+    }
+
+    let reminders = await reminderService.findUpcomingReminders(userId, {
+      studentName: slots?.studentName || null,
+      courseName: slots?.courseName || null,
+      courseDate: slots?.courseDate || null,
+    });
+    if (slots?.reminderId) {
+      reminders = reminders.filter((reminder) => reminder.reminderId === slots.reminderId);
+    }
+
+    if (reminders.length === 0) {
+      return {
+        success: false,
+        code: 'REMINDER_NOT_FOUND',
+        message: '❓ 找不到符合的提醒（可能已發送或已取消）\n\n說「我設了哪些提醒」可查看目前的提醒',
+      };
+    }
+
+    if (reminders.length > 1) {
+      const quickReply = reminders.slice(0, MAX_REMINDER_OPTIONS).map((reminder) => {
+        const label = reminderService.formatReminderLabel(reminder);
+        return createPostbackQuickReply(
+          truncate(`✏️ ${label}`, 20),
+          'modify_reminder',
+          { reminderId: reminder.reminderId, ...timing },
+          `${label} 的提醒改成${formatReminderTiming(timing)}`,
+        );
+      });
+      return {
+        success: false,
+        code: 'REMINDER_AMBIGUOUS',
+        message: `❓ 有 ${reminders.length} 個提醒，要修改哪一個？`,
+        quickReply,
+        showQuickReply: true,
+      };
+    }
+
+    const [reminder] = reminders;
+    const result = await reminderService.rescheduleReminder(reminder, timing);
+    if (!result.success) {
+      return { success: false, code: result.code, message: RESCHEDULE_ERRORS[result.code] };
+    }
+
+    return {
+      success: true,
+      code: 'MODIFY_REMINDER_OK',
+      message: `✅ 已修改 ${reminderService.formatReminderLabel(reminder)} 的提醒\n⏰ 提醒時間：${reminderService.formatTriggerTime(result.triggerTime)}（${formatReminderTiming(timing)}）`,
+      data: { reminderId: reminder.reminderId },
+    };
+  } catch (error) {
+    console.error('❌ 修改提醒任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 修改提醒失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_modify_reminder_task;
@@ -0,0 +1,63 @@
+/**
+ * 查詢出缺席統計任務處理器
+ * 「小明這個月出席統計」「上個月鋼琴課出缺席」依學生、科目列出當月各狀態次數
+ */
+
+const firebaseService = require('../services/firebaseService');
+const { getTaipeiTodayString, getMonthDateRange } = require('../utils/recurrenceUtils');
+const { filterByCourseName } = require('../utils/courseNameUtils');
+const { summarizeAttendance, formatAttendanceCounts } = require('../utils/attendanceUtils');
+
+/**
+ * 處理出缺席統計查詢
+ * @param {object} slots - studentName / courseName / month（YYYY-MM，未指定為本月）
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_query_attendance_task(slots, userId) {
+  try {
+    console.log('📊 開始處理出缺席統計任務:', slots);
+
+    const month = slots?.month || getTaipeiTodayString().slice(0, 7);
+    const monthLabel = `${month.slice(0, 4)}年${parseInt(month.slice(5), 10)}月`;
+
+    const records = filterByCourseName(await firebaseService.getAttendanceByUser(userId, {
+      ...getMonthDateRange(month),
+      studentName: slots?.studentName || null,
+    }), slots?.courseName);
+
+    const scope = [slots?.studentName, slots?.courseName].filter(Boolean).join(' ');
+    const title = `📊 ${scope ? `${scope} ` : ''}${monthLabel}出缺席統計`;
+    if (records.length === 0) {
+      return {
+        success: true,
+        code: 'QUERY_ATTENDANCE_EMPTY',
+        message: `${title}\n\n尚無出缺席紀錄\n💡 記錄方式：「小明今天鋼琴課請假」「昨天英文課有上」`,
+        data: { month, recordCount: 0 },
+      };
+    }
+
+    const summary = summarizeAttendance(records);
+    const blocks = Object.keys(summary).sort().map((student) => {
+      const lines = Object.keys(summary[student]).sort()
+        .map((course) => `  ${course}：${formatAttendanceCounts(summary[student][course])}`);
+      return [`👦 ${student}`, ...lines].join('\n');
+    });
+
+    return {
+      success: true,
+      code: 'QUERY_ATTENDANCE_OK',
+      message: `${title}\n\n${blocks.join('\n\n')}`,
+      data: { month, recordCount: records.length, summary },
+    };
+  } catch (error) {
+    console.error('❌ 出缺席統計任務失敗:', error);
+    return {
+      success: false,
+      code: 'QUERY_FAILED',
+      message: '❌ 查詢出缺席統計失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_query_attendance_task;
@@ -1,58 +1,177 @@
 /**
- * 最小版：查詢最近一筆課程內容記錄
+ * 查詢課程內容記錄
+ * 「小明這個月數學課學了什麼」「上次鋼琴課老師說什麼」「有沒有提到分數」
+ * 依日期區間、關鍵字篩選並分頁；有照片時由 ResponseRenderer 渲染為 carousel
  */
 
 const firebaseService = require('../services/firebaseService');
+const { createPostbackQuickReply } = require('../utils/postbackUtils');
+const { filterByCourseName } = require('../utils/courseNameUtils');
+
+const PAGE_SIZE = 5;
+
+// 有科目/關鍵字篩選時每批讀取的筆數（這兩項無法由 Firestore 篩選）
+const SCAN_BATCH_SIZE = 50;
+
+// 文字版每筆內容的顯示長度
+const MAX_CONTENT_PREVIEW = 80;
+
+/**
+ * 記錄的照片網址（uploadImage 上傳的 photos 與外部 imageUrl）
+ * @param {object} record
+ * @returns {Array<string>}
+ */
+function getRecordPhotos(record) {
+  return [...(record.photos || []), record.imageUrl].filter(Boolean);
+}
+
+/**
+ * 依科目（模糊比對）與關鍵字過濾記錄；學生與日期已在 Firestore 查詢中篩選
+ * @param {Array<object>} records
+ * @param {object} filters - courseName / keyword
+ * @returns {Array<object>}
+ */
+function filterRecords(records, { courseName, keyword }) {
+  const kw = String(keyword || '').toLowerCase();
+  return filterByCourseName(records, courseName)
+    .filter((record) => !kw || String(record.content || '').toLowerCase().includes(kw));
+}
+
+/**
+ * 內容記錄查詢：學生、日期區間在 Firestore 篩選，依記錄日期、建立時間由新到舊排序
+ * @param {string} userId
+ * @param {object} filters - studentName / startDate / endDate
+ * @returns {object} Firestore Query
+ */
+function buildContentQuery(userId, { studentName, startDate, endDate }) {
+  let query = firebaseService.getCollection('course_contents').where('userId', '==', userId);
+  if (studentName) query = query.where('studentName', '==', studentName);
+  if (startDate) query = query.where('recordDate', '>=', startDate);
+  if (endDate) query = query.where('recordDate', '<=', endDate);
+  return query.orderBy('recordDate', 'desc').orderBy('createdAt', 'desc');
+}
+
+/**
+ * 從游標之後讀取符合科目/關鍵字的記錄，直到湊滿 count 筆或讀完
+ * @param {object} query - buildContentQuery 的結果
+ * @param {object} filters
+ * @param {number} count - 需要的筆數
+ * @param {object|null} cursor - 上一批最後一筆的 DocumentSnapshot
+ * @param {Array<object>} collected - 已符合的記錄
+ * @returns {Promise<Array<object>>}
+ */
+async function fetchRecords(query, filters, count, cursor = null, collected = []) {
+  const batchSize = filters.courseName || filters.keyword ? SCAN_BATCH_SIZE : count;
+  const snapshot = await (cursor ? query.startAfter(cursor) : query).limit(batchSize).get();
+  const records = collected.concat(filterRecords(
+    snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    filters,
+  ));
+  if (records.length >= count || snapshot.docs.length < batchSize) return records.slice(0, count);
+  return fetchRecords(query, filters, count, snapshot.docs[snapshot.docs.length - 1], records);
+}
+
+/**
+ * 單筆記錄的文字版
+ * @param {object} record
+ * @returns {string}
+ */
+function formatRecord(record) {
+  const content = String(record.content || '(無文字內容)');
+  const lines = [
+    `📅 ${record.recordDate}｜${record.studentName} ${record.courseName}`,
+    `💬 ${content.length > MAX_CONTENT_PREVIEW ? `${content.slice(0, MAX_CONTENT_PREVIEW - 1)}…` : content}`,
+  ];
+  const photos = getRecordPhotos(record);
+  if (photos.length > 0) lines.push(`📸 ${photos.length} 張照片：${photos[0]}`);
+  (record.media || []).forEach((item) => {
+    lines.push(`${item.type === 'video' ? '🎬 影片' : '🎧 錄音'}：${item.url}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * 下一頁按鈕（攜帶相同篩選條件與本頁最後一筆的 ID）；資料超過 postback 長度上限時略過
+ * @param {object} filters
+ * @param {number} page - 下一頁頁碼
+ * @param {string} afterId - 本頁最後一筆記錄 ID
+ * @returns {Array<object>|null}
+ */
+function buildNextPageQuickReply(filters, page, afterId) {
+  try {
+    return [createPostbackQuickReply('➡️ 下一頁', 'query_course_content', { ...filters, page, afterId }, '下一頁')];
+  } catch (error) {
+    console.warn('⚠️ 建立下一頁按鈕失敗:', error?.message || error);
+    return null;
+  }
+}
 
 async function handle_query_course_content_task(slots, userId) {
-  const { studentName } = slots;
-  const { courseName } = slots;
-  if (!studentName || !courseName) {
-    return {
-      success: false,
-      code: 'MISSING_FIELDS',
-      message: '❓ 請提供學生姓名與課程名稱，例如：「小明昨天數學課學了什麼？」',
-      expectingInput: true,
-      missingFields: [!studentName && '學生姓名', !courseName && '課程名稱'].filter(Boolean),
+  try {
+    console.log('📘 開始處理課程內容查詢任務:', slots);
+
+    const filters = {
+      studentName: slots?.studentName || null,
+      courseName: slots?.courseName || null,
+      startDate: slots?.startDate || slots?.courseDate || null,
+      endDate: slots?.endDate || slots?.courseDate || null,
+      keyword: slots?.keyword || null,
     };
-  }
 
-  // 查詢：先用必要條件 where，再在記憶體排序，避免複合索引阻塞
-  const baseQuery = firebaseService.getCollection('course_contents')
-    .where('userId', '==', userId)
-    .where('studentName', '==', studentName)
-    .where('courseName', '==', courseName);
-  const querySnap = await baseQuery.get();
-  if (querySnap.empty) {
+    // 下一頁從上一頁最後一筆之後讀取；該筆已刪除時從第一頁開始
+    const cursorDoc = slots?.afterId
+      ? await firebaseService.getCollection('course_contents').doc(slots.afterId).get()
+      : null;
+    const cursor = cursorDoc?.exists ? cursorDoc : null;
+    const page = cursor ? Math.max(parseInt(slots?.page, 10) || 1, 1) : 1;
+
+    // 多讀一筆判斷是否還有下一頁
+    const pageSize = slots?.latestOnly ? 1 : PAGE_SIZE;
+    const query = buildContentQuery(userId, filters);
+    const records = await fetchRecords(query, filters, pageSize + 1, cursor);
+
+    const scope = [filters.studentName, filters.courseName].filter(Boolean).join(' ');
+    if (records.length === 0) {
+      return {
+        success: false,
+        code: 'NOT_FOUND',
+        message: `❌ 找不到${scope ? ` ${scope} 的` : ''}${filters.keyword ? `提到「${filters.keyword}」的` : ''}內容記錄`,
+      };
+    }
+
+    const pageRecords = records.slice(0, pageSize)
+      .map((record) => ({ ...record, photos: getRecordPhotos(record) }));
+    const hasMore = records.length > pageSize;
+    const lastRecord = pageRecords[pageRecords.length - 1];
+
+    const title = slots?.latestOnly
+      ? `📘 ${scope ? `${scope} ` : ''}最近一次的內容記錄`
+      : `📘 ${scope ? `${scope} ` : ''}內容記錄${hasMore || page > 1 ? `（第 ${page} 頁）` : ''}`;
+    const keywordLine = filters.keyword ? `\n🔍 關鍵字：${filters.keyword}` : '';
+
+    return {
+      success: true,
+      code: 'QUERY_CONTENT_OK',
+      message: `${title}${keywordLine}\n\n${pageRecords.map(formatRecord).join('\n\n')}`,
+      data: {
+        recordId: pageRecords[0].id,
+        records: pageRecords,
+        page,
+        hasMore,
+        title,
+      },
+      quickReply: hasMore && !slots?.latestOnly
+        ? buildNextPageQuickReply(filters, page + 1, lastRecord.id)
+        : null,
+    };
+  } catch (error) {
+    console.error('❌ 課程內容查詢任務失敗:', error);
     return {
       success: false,
-      code: 'NOT_FOUND',
-      message: `❌ 找不到 ${studentName} 的 ${courseName} 內容記錄`,
+      code: 'QUERY_FAILED',
+      message: '❌ 查詢課程內容失敗，請稍後再試。',
     };
   }
-
-  // 轉為時間戳排序，缺失時回退 recordDate/updatedAt
-  const toTs = (doc) => {
-    const created = doc.createdAt ? Date.parse(doc.createdAt) : NaN;
-    const updated = doc.updatedAt ? Date.parse(doc.updatedAt) : NaN;
-    const record = doc.recordDate ? Date.parse(doc.recordDate) : NaN;
-    return [created, updated, record].find((v) => !Number.isNaN(v)) || 0;
-  };
-  const docs = querySnap.docs
-    .map((d) => ({ id: d.id, ...d.data() }))
-    .sort((a, b) => toTs(b) - toTs(a));
-  const latest = docs[0];
-
-  const data = latest;
-  const content = data.content || '(無文字內容)';
-  const date = data.recordDate || data.createdAt?.split('T')[0] || '';
-
-  return {
-    success: true,
-    code: 'QUERY_CONTENT_OK',
-    message: `📘 最近一次的內容記錄\n👨‍🎓 學生：${studentName}\n📚 課程：${courseName}\n📅 日期：${date}\n💬 內容：${content}`,
-    data: { recordId: latest.id },
-  };
 }
 
 module.exports = handle_query_course_content_task;
@@ -0,0 +1,57 @@
+/**
+ * 查詢老師/地點名錄任務處理器
+ * 「老師名單」「有哪些地點」列出家長登記的老師與上課地點
+ */
+
+const firebaseService = require('../services/firebaseService');
+const { formatEntryDetails } = require('./handle_add_directory_entry_task');
+
+const DIRECTORY_SECTIONS = [
+  { type: 'teacher', title: '👨‍🏫 老師', empty: '尚未登記老師，例如「新增老師 王教練 0912345678」' },
+  { type: 'location', title: '📍 上課地點', empty: '尚未登記地點，例如「新增地點 大安運動中心 台北市大安區辛亥路三段55號」' },
+];
+
+/**
+ * 處理查詢名錄
+ * @param {object} slots - directoryType（teacher / location，未指定時兩者皆列）
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_query_directory_task(slots, userId) {
+  try {
+    console.log('📇 開始處理查詢名錄任務:', slots);
+
+    const sections = DIRECTORY_SECTIONS
+      .filter((section) => !slots?.directoryType || section.type === slots.directoryType);
+    const entriesByType = await Promise.all(sections
+      .map((section) => firebaseService.getDirectoryEntries(userId, section.type)));
+
+    const blocks = sections.map((section, index) => {
+      const entries = [...entriesByType[index]]
+        .sort((a, b) => String(a.name).localeCompare(String(b.name), 'zh-Hant'));
+      if (entries.length === 0) return `${section.title}\n${section.empty}`;
+      const lines = entries.map((entry) => {
+        const details = formatEntryDetails(entry).map((line) => `   ${line}`);
+        return [`• ${entry.name}`, ...details].join('\n');
+      });
+      return [`${section.title}（${entries.length}）`, ...lines].join('\n');
+    });
+    const total = entriesByType.reduce((sum, entries) => sum + entries.length, 0);
+
+    return {
+      success: true,
+      code: total > 0 ? 'QUERY_DIRECTORY_OK' : 'QUERY_DIRECTORY_EMPTY',
+      message: blocks.join('\n\n'),
+      data: { total },
+    };
+  } catch (error) {
+    console.error('❌ 查詢名錄任務失敗:', error);
+    return {
+      success: false,
+      code: 'QUERY_FAILED',
+      message: '❌ 查詢老師/地點失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_query_directory_task;
@@ -0,0 +1,204 @@
+/**
+ * 查詢空檔任務處理器
+ * 彙整 Firebase 課程（含重複課展開）與 Google Calendar 事件，計算每日可排課的空檔
+ * 可查單一學生或全家，結果附上可直接新增課程的時段按鈕
+ */
+
+const familyScheduleService = require('../services/familyScheduleService');
+const { calculateDateRange } = require('./handle_query_schedule_task');
+const { collectCoursesInRange } = require('../services/courseQueryService');
+const { createPostbackQuickReply } = require('../utils/postbackUtils');
+const { addDaysToDateString } = require('../utils/recurrenceUtils');
+const {
+  DEFAULT_DURATION_MINUTES,
+  timeToMinutes,
+  getDurationMinutes,
+  formatDuration,
+} = require('../utils/durationUtils');
+const { formatDayTitle } = require('../nlu/ScheduleFlexRenderer');
+
+/**
+ * 時段範圍（與每日可排課時段取交集）
+ */
+const PART_OF_DAY_WINDOWS = {
+  morning: { label: '上午', start: '00:00', end: '12:00' },
+  afternoon: { label: '下午', start: '12:00', end: '18:00' },
+  evening: { label: '晚上', start: '18:00', end: '23:59' },
+};
+
+/**
+ * Quick Reply 時段按鈕上限（LINE 最多 13 個）
+ */
+const MAX_PICK_ITEMS = 12;
+
+/**
+ * 取得查詢的每日時段範圍
+ * @param {string|null} partOfDay
+ * @returns {{ dayStart: string, dayEnd: string, label: string }}
+ */
+function resolveDayWindow(partOfDay) {
+  const { DAY_START, DAY_END } = familyScheduleService.FREE_SLOT_CONFIG;
+  const part = PART_OF_DAY_WINDOWS[partOfDay];
+  if (!part) return { dayStart: DAY_START, dayEnd: DAY_END, label: '' };
+  return {
+    dayStart: part.start > DAY_START ? part.start : DAY_START,
+    dayEnd: part.end < DAY_END ? part.end : DAY_END,
+    label: part.label,
+  };
+}
+
+/**
+ * 列出日期範圍內今天（含）之後的每一天
+ * @param {{ startDate: string, endDate: string }} dateRange
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array<string>}
+ */
+function listUpcomingDates(dateRange, today) {
+  const dates = [];
+  let date = dateRange.startDate > today ? dateRange.startDate : today;
+  while (date <= dateRange.endDate) {
+    dates.push(date);
+    date = addDaysToDateString(date, 1);
+  }
+  return dates;
+}
+
+/**
+ * Firebase 課程轉為忙碌時段
+ * @param {Array<object>} courses
+ * @returns {Array<object>}
+ */
+function coursesToBusySlots(courses) {
+  return courses
+    .filter((course) => course.scheduleTime)
+    .map((course) => {
+      const startMinutes = timeToMinutes(course.scheduleTime);
+      return {
+        studentName: course.studentName,
+        courseDate: course.courseDate,
+        startMinutes,
+        endMinutes: startMinutes + getDurationMinutes(course),
+      };
+    })
+    .filter((slot) => slot.startMinutes !== null);
+}
+
+/**
+ * 處理查詢空檔
+ * @param {object} slots - studentName / timeReference / specificDate / partOfDay / durationMinutes
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_query_free_slots_task(slots, userId) {
+  try {
+    console.log('🎯 開始處理查詢空檔任務:', slots);
+
+    const {
+      studentName = null,
+      timeReference = null,
+      specificDate = null,
+      partOfDay = null,
+      durationMinutes = null,
+    } = slots || {};
+    const minMinutes = durationMinutes || DEFAULT_DURATION_MINUTES;
+    const now = familyScheduleService.getTaipeiNow();
+    const dateRange = calculateDateRange(timeReference, specificDate);
+    const dates = listUpcomingDates(dateRange, now.date);
+
+    if (dates.length === 0) {
+      return {
+        success: false,
+        code: 'VALIDATION_ERROR',
+        message: '❓ 只能查詢今天之後的空檔，例如「小明這週哪天下午有空」',
+      };
+    }
+    const queryRange = { startDate: dates[0], endDate: dates[dates.length - 1] };
+
+    // 1. 忙碌時段：Firebase 課程 + 各學生 Google Calendar 事件
+    const [courses, calendarBusy] = await Promise.all([
+      collectCoursesInRange(userId, studentName, queryRange),
+      Promise.all(dates.map((date) => familyScheduleService.getFamilyBusySlots(userId, date)
+        .catch((error) => {
+          console.warn('⚠️ 讀取日曆忙碌時段失敗，僅以課程資料計算:', error?.message || error);
+          return [];
+        }))),
+    ]);
+    const courseBusy = coursesToBusySlots(courses);
+
+    // 2. 逐日計算空檔
+    const { dayStart, dayEnd, label } = resolveDayWindow(partOfDay);
+    const days = dates.map((date, index) => {
+      const busy = [
+        ...courseBusy.filter((slot) => slot.courseDate === date),
+        ...calendarBusy[index],
+      ].filter((slot) => !studentName || slot.studentName === studentName);
+      const windows = familyScheduleService.findFreeWindows(busy, {
+        dayStart,
+        dayEnd,
+        minMinutes,
+        notBeforeMinutes: date === now.date ? now.minutes : 0,
+      });
+      return { date, windows };
+    });
+
+    // 3. 組合訊息
+    const scopeLabel = studentName || '全家';
+    const title = `🕐 ${scopeLabel}${specificDate ? '' : dateRange.description}${label}的空檔`
+      + `（至少${formatDuration(minMinutes)}）`;
+    const lines = [title];
+    days.forEach(({ date, windows }) => {
+      lines.push('', `📆 ${formatDayTitle(date)}`);
+      if (windows.length === 0) {
+        lines.push('• 已排滿');
+        return;
+      }
+      windows.forEach((w) => {
+        lines.push(`• ${w.startTime}-${w.endTime}（${formatDuration(w.minutes)}）`);
+      });
+    });
+
+    const picks = days
+      .flatMap(({ date, windows }) => windows.map((w) => ({ date, startTime: w.startTime })))
+      .slice(0, MAX_PICK_ITEMS);
+    if (picks.length > 0) {
+      lines.push('', '👉 點選下方時段即可直接新增課程');
+    }
+
+    // 4. 時段按鈕：帶入學生/日期/時間，交由新增課程流程補問課程名稱
+    const quickReply = picks.map(({ date, startTime }) => {
+      const dayLabel = formatDayTitle(date).replace(/\s*\(週(.)\)/, '($1)');
+      return createPostbackQuickReply(
+        `${dayLabel} ${startTime}`,
+        'add_course',
+        {
+          studentName,
+          courseDate: date,
+          scheduleTime: startTime,
+          durationMinutes,
+        },
+        `${dayLabel} ${startTime} 新增課程`,
+      );
+    });
+
+    return {
+      success: true,
+      code: picks.length > 0 ? 'QUERY_FREE_SLOTS_OK' : 'QUERY_FREE_SLOTS_EMPTY',
+      message: lines.join('\n'),
+      data: {
+        studentName,
+        dateRange: queryRange,
+        days,
+      },
+      quickReply: quickReply.length > 0 ? quickReply : null,
+    };
+  } catch (error) {
+    console.error('❌ 查詢空檔任務失敗:', error);
+    return {
+      success: false,
+      code: 'QUERY_FAILED',
+      message: '❌ 查詢空檔失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_query_free_slots_task;
@@ -0,0 +1,75 @@
+/**
+ * 查詢作業任務處理器
+ * 「小明還有哪些作業沒寫」依繳交日列出未完成的作業，逾期者標示天數
+ */
+
+const firebaseService = require('../services/firebaseService');
+const { formatHomework } = require('../services/homeworkService');
+
+/**
+ * 處理作業查詢
+ * @param {object} slots - studentName / courseName（皆可省略）
+ *   / homeworkStatus（completed 查已完成，預設未完成）
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_query_homework_task(slots, userId) {
+  try {
+    console.log('📝 開始處理作業查詢任務:', slots);
+
+    const status = slots?.homeworkStatus === 'completed' ? 'completed' : 'pending';
+    const statusLabel = status === 'completed' ? '已完成' : '未完成';
+    const normalize = (s) => String(s || '').replace(/課$/, '');
+    let homeworks = await firebaseService.getHomeworksByUser(userId, {
+      studentName: slots?.studentName || null,
+      status,
+    });
+    if (slots?.courseName) {
+      const q = normalize(slots.courseName);
+      homeworks = homeworks.filter((homework) => {
+        const name = normalize(homework.courseName);
+        return name.includes(q) || q.includes(name);
+      });
+    }
+
+    const scope = [slots?.studentName, slots?.courseName].filter(Boolean).join(' ');
+    if (homeworks.length === 0) {
+      return {
+        success: true,
+        code: 'QUERY_HOMEWORK_EMPTY',
+        message: `📝 ${scope ? `${scope} ` : ''}目前沒有${statusLabel}的作業`,
+        data: { homeworkCount: 0 },
+      };
+    }
+
+    const byStudent = {};
+    homeworks.forEach((homework) => {
+      byStudent[homework.studentName] = byStudent[homework.studentName] || [];
+      byStudent[homework.studentName].push(homework);
+    });
+    const blocks = Object.keys(byStudent).sort().map((student) => {
+      const lines = byStudent[student].map((homework) => [
+        `• ${formatHomework(homework)}`,
+        ...(homework.attachments || []).map((file) => `  📎 ${file.fileName}：${file.url}`),
+      ].join('\n'));
+      return [`👦 ${student}：${lines.length} 份`, ...lines].join('\n');
+    });
+    const hint = status === 'pending' ? '\n\n💡 寫完了可以說「小明數學作業寫完了」' : '';
+
+    return {
+      success: true,
+      code: 'QUERY_HOMEWORK_OK',
+      message: `📝 ${scope ? `${scope} ` : ''}${statusLabel}作業共 ${homeworks.length} 份\n\n${blocks.join('\n\n')}${hint}`,
+      data: { homeworkCount: homeworks.length, homeworks },
+    };
+  } catch (error) {
+    console.error('❌ 作業查詢任務失敗:', error);
+    return {
+      success: false,
+      code: 'QUERY_FAILED',
+      message: '❌ 查詢作業失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_query_homework_task;
@@ -0,0 +1,67 @@
+/**
+ * 查詢待補課任務處理器
+ * 「小明還有幾堂要補」列出請假後尚未安排補課的課堂
+ */
+
+const firebaseService = require('../services/firebaseService');
+const { formatMakeupCredit } = require('../services/makeupService');
+
+/**
+ * 處理待補課查詢
+ * @param {object} slots - studentName / courseName（皆可省略）
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_query_makeup_task(slots, userId) {
+  try {
+    console.log('🔁 開始處理待補課查詢任務:', slots);
+
+    const normalize = (s) => String(s || '').replace(/課$/, '');
+    let credits = await firebaseService.getMakeupCreditsByUser(userId, {
+      studentName: slots?.studentName || null,
+    });
+    if (slots?.courseName) {
+      const q = normalize(slots.courseName);
+      credits = credits.filter((credit) => {
+        const name = normalize(credit.courseName);
+        return name.includes(q) || q.includes(name);
+      });
+    }
+
+    const scope = [slots?.studentName, slots?.courseName].filter(Boolean).join(' ');
+    if (credits.length === 0) {
+      return {
+        success: true,
+        code: 'QUERY_MAKEUP_EMPTY',
+        message: `🔁 ${scope ? `${scope} ` : ''}目前沒有待補課`,
+        data: { creditCount: 0 },
+      };
+    }
+
+    const byStudent = {};
+    credits.forEach((credit) => {
+      byStudent[credit.studentName] = byStudent[credit.studentName] || [];
+      byStudent[credit.studentName].push(credit);
+    });
+    const blocks = Object.keys(byStudent).sort().map((student) => {
+      const lines = byStudent[student].map((credit) => `• ${formatMakeupCredit(credit)}`);
+      return [`👦 ${student}：${lines.length} 堂待補`, ...lines].join('\n');
+    });
+
+    return {
+      success: true,
+      code: 'QUERY_MAKEUP_OK',
+      message: `🔁 ${scope ? `${scope} ` : ''}待補課共 ${credits.length} 堂\n\n${blocks.join('\n\n')}\n\n💡 安排補課：「安排補課 週六10點」`,
+      data: { creditCount: credits.length, credits },
+    };
+  } catch (error) {
+    console.error('❌ 待補課查詢任務失敗:', error);
+    return {
+      success: false,
+      code: 'QUERY_FAILED',
+      message: '❌ 查詢待補課失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_query_makeup_task;
@@ -0,0 +1,51 @@
+/**
+ * 查詢通知設定任務處理器
+ * 「通知設定」一次列出勿擾時段、預設提醒、暫停通知的學生、推播方式與摘要訂閱
+ */
+
+const notificationPreferenceService = require('../services/notificationPreferenceService');
+const digestService = require('../services/digestService');
+const { formatNotificationPreferences } = require('../utils/notificationPreferenceUtils');
+const { formatDigestSettings } = require('../utils/digestUtils');
+
+/**
+ * 處理查詢通知設定
+ * @param {object} slots
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_query_notification_preferences_task(slots, userId) {
+  try {
+    console.log('🔔 開始處理查詢通知設定任務');
+
+    const [preferences, digestSettings] = await Promise.all([
+      notificationPreferenceService.getNotificationPreferences(userId),
+      digestService.getDigestSettings(userId),
+    ]);
+
+    const message = [
+      '🔔 目前的通知設定',
+      '',
+      formatNotificationPreferences(preferences),
+      formatDigestSettings(digestSettings || {}),
+      '',
+      '💡 可以說「晚上10點後不要通知我」「以後提醒都提前1小時」「暫停小明的提醒」「提醒合併成一則」「訂閱每日摘要」',
+    ].join('\n');
+
+    return {
+      success: true,
+      code: 'QUERY_NOTIFICATION_PREFERENCES_OK',
+      message,
+      data: { preferences, digestSettings },
+    };
+  } catch (error) {
+    console.error('❌ 查詢通知設定任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 查詢通知設定失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_query_notification_preferences_task;
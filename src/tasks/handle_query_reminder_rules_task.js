@@ -0,0 +1,73 @@
+/**
+ * 查詢固定提醒任務處理器
+ * 「有哪些固定提醒」列出每次課前都會提醒的課程（可依學生、課名篩選）
+ */
+
+const firebaseService = require('../services/firebaseService');
+const reminderRuleService = require('../services/reminderRuleService');
+const { formatRecurrence } = require('../utils/recurrenceUtils');
+const { getReminderTimings, formatReminderTiming } = require('../utils/reminderUtils');
+
+/**
+ * 一條固定提醒的顯示
+ * @param {object} rule
+ * @param {object|null} course - 綁定的重複課程系列
+ * @returns {string}
+ */
+function formatRule(rule, course) {
+  const schedule = course ? `（${formatRecurrence(course)} ${course.scheduleTime}）` : '';
+  const lines = [
+    `• ${rule.studentName} ${rule.courseName}${schedule}`,
+    `  ⏰ ${getReminderTimings(rule).map(formatReminderTiming).join('、')}`,
+  ];
+  if (rule.reminderNote) lines.push(`  📝 ${rule.reminderNote}`);
+  if (rule.createdByName) lines.push(`  👤 ${rule.createdByName} 設定`);
+  return lines.join('\n');
+}
+
+/**
+ * 處理固定提醒查詢
+ * @param {object} slots - studentName / courseName（皆可省略）
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_query_reminder_rules_task(slots, userId) {
+  try {
+    console.log('🔁 開始處理固定提醒查詢任務:', slots);
+
+    const rules = await reminderRuleService.findReminderRules(userId, {
+      studentName: slots?.studentName || null,
+      courseName: slots?.courseName || null,
+    });
+    const scope = [slots?.studentName, slots?.courseName].filter(Boolean).join(' ');
+
+    if (rules.length === 0) {
+      return {
+        success: true,
+        code: 'QUERY_REMINDER_RULES_EMPTY',
+        message: `🔁 ${scope ? `${scope} ` : ''}目前沒有固定提醒\n\n💡 試試：「每次鋼琴課前一小時提醒我」`,
+      };
+    }
+
+    const courses = await Promise.all(
+      rules.map((rule) => firebaseService.getCourseById(rule.courseId)),
+    );
+    const list = rules.map((rule, index) => formatRule(rule, courses[index])).join('\n\n');
+
+    return {
+      success: true,
+      code: 'QUERY_REMINDER_RULES_OK',
+      message: `🔁 ${scope ? `${scope} 的` : ''}固定提醒（共 ${rules.length} 個）\n\n${list}\n\n💡 說「取消每次鋼琴課的提醒」可刪除`,
+      data: { ruleIds: rules.map((rule) => rule.ruleId) },
+    };
+  } catch (error) {
+    console.error('❌ 固定提醒查詢任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 查詢固定提醒失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_query_reminder_rules_task;
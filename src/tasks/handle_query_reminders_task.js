@@ -0,0 +1,74 @@
+/**
+ * 查詢提醒任務處理器
+ * 「我設了哪些提醒」列出尚未發送的課程提醒，並提示固定提醒的數量
+ */
+
+const reminderService = require('../services/reminderService');
+const reminderRuleService = require('../services/reminderRuleService');
+const { formatReminderTiming, getReminderTimings } = require('../utils/reminderUtils');
+
+/**
+ * 一筆提醒的顯示
+ * @param {object} reminder
+ * @returns {string}
+ */
+function formatReminder(reminder) {
+  const timings = getReminderTimings(reminder).map(formatReminderTiming).join('、');
+  const lines = [
+    `• ${reminderService.formatReminderLabel(reminder)}${reminder.ruleId ? '（固定提醒）' : ''}`,
+    `  ⏰ 下次 ${reminderService.formatTriggerTime(reminder.triggerTime)}（${timings}）`,
+  ];
+  if (reminder.reminderNote) lines.push(`  📝 ${reminder.reminderNote}`);
+  return lines.join('\n');
+}
+
+/**
+ * 處理提醒查詢
+ * @param {object} slots - studentName / courseName / courseDate（皆可省略）
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_query_reminders_task(slots, userId) {
+  try {
+    console.log('⏰ 開始處理提醒查詢任務:', slots);
+
+    const filters = {
+      studentName: slots?.studentName || null,
+      courseName: slots?.courseName || null,
+    };
+    const courseDate = slots?.courseDate || null;
+    const [reminders, rules] = await Promise.all([
+      reminderService.findUpcomingReminders(userId, { ...filters, courseDate }),
+      reminderRuleService.findReminderRules(userId, filters),
+    ]);
+    const scope = [filters.studentName, filters.courseName].filter(Boolean).join(' ');
+    const ruleHint = rules.length > 0
+      ? `\n\n🔁 另有 ${rules.length} 個固定提醒，說「有哪些固定提醒」查看`
+      : '';
+
+    if (reminders.length === 0) {
+      return {
+        success: true,
+        code: 'QUERY_REMINDERS_EMPTY',
+        message: `⏰ ${scope ? `${scope} ` : ''}目前沒有待發送的提醒${ruleHint}\n\n💡 試試：「明天數學課前30分鐘提醒我」`,
+      };
+    }
+
+    const list = reminders.map(formatReminder).join('\n\n');
+    return {
+      success: true,
+      code: 'QUERY_REMINDERS_OK',
+      message: `⏰ ${scope ? `${scope} 的` : ''}提醒（共 ${reminders.length} 個）\n\n${list}${ruleHint}\n\n💡 說「把數學課提醒改成前一天晚上8點」可修改，「取消數學課的提醒」可刪除`,
+      data: { reminderIds: reminders.map((reminder) => reminder.reminderId) },
+    };
+  } catch (error) {
+    console.error('❌ 提醒查詢任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 查詢提醒失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_query_reminders_task;
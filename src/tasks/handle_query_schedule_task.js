@@ -4,6 +4,9 @@
  */
 
 const firebaseService = require('../services/firebaseService');
+const { collectCoursesInRange } = require('../services/courseQueryService');
+const { getEndTime } = require('../utils/durationUtils');
+const { getAttendanceKey, formatAttendanceStatus } = require('../utils/attendanceUtils');
 
 /**
  * 計算時間範圍
@@ -97,6 +100,11 @@ function calculateDateRange(timeReference, specificDate = null) {
         description: '上週',
       };
     }
+    case 'upcoming_month': {
+      // 依老師查詢未指定時間時：未來30天（含今日）
+      const end = addDaysStr(todayStr, 30);
+      return { startDate: todayStr, endDate: end, description: '未來30天' };
+    }
     default: {
       // 預設未來7天（含今日）
       const end = addDaysStr(todayStr, 7);
@@ -161,7 +169,10 @@ function formatCourseList(courses, description) {
 
   courses.forEach((course, index) => {
     const courseDate = formatDate(course.courseDate);
-    const courseTime = formatTime(course.scheduleTime);
+    const endTime = getEndTime(course);
+    const courseTime = endTime
+      ? `${formatTime(course.scheduleTime)}-${formatTime(endTime)}`
+      : formatTime(course.scheduleTime);
 
     // 如果是新的日期，顯示日期標題
     if (courseDate !== currentDate) {
@@ -176,6 +187,26 @@ function formatCourseList(courses, description) {
       message += ' 🔄';
     }
 
+    // 單次改期的重複課程實例，標示原定日期
+    if (course.isException && course.originalDate) {
+      message += `（單次調整，原訂 ${formatDate(course.originalDate)}）`;
+    }
+
+    // 補課：標示補的是哪一堂請假
+    if (course.makeupFor?.missedDate) {
+      message += `（補 ${formatDate(course.makeupFor.missedDate)} 請假）`;
+    }
+
+    // 上課地點、老師與出缺席（格式同 course_management.yaml 的 location_format / teacher_format）
+    const details = [
+      course.location ? `📍 ${course.location}` : null,
+      course.teacher ? `👨‍🏫 ${course.teacher}` : null,
+      course.attendanceStatus ? formatAttendanceStatus(course.attendanceStatus) : null,
+    ].filter(Boolean);
+    if (details.length > 0) {
+      message += `\n    ${details.join('  ')}`;
+    }
+
     // 如果有課程記錄，顯示摘要
     if (course.courseRecord?.notes) {
       const summary = course.courseRecord.notes.length > 20
@@ -195,88 +226,6 @@ function formatCourseList(courses, description) {
   return message.trim();
 }
 
-/**
- * 將重複課程在給定日期範圍內展開為單日實例
- * 規則：
- * - weekly: 依據 dayOfWeek 與 scheduleTime，每週生成一次
- * - daily: 每天生成一次
- * - monthly: 先簡化為每月同日，若跨區間則不展開（本案主要處理 weekly/daily）
- */
-function expandRecurringCourses(recurringCourses, dateRange) {
-  if (!recurringCourses || recurringCourses.length === 0) return [];
-
-  const start = new Date(`${dateRange.startDate}T00:00:00+08:00`);
-  const end = new Date(`${dateRange.endDate}T23:59:59+08:00`);
-
-  const results = [];
-  for (const c of recurringCourses) {
-    const recurrenceType = c.recurrenceType || 'weekly';
-    if (recurrenceType === 'daily') {
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-        // 修復：使用本地日期避免 UTC 時區轉換問題
-        const year = d.getFullYear();
-        const month = String(d.getMonth() + 1).padStart(2, '0');
-        const day = String(d.getDate()).padStart(2, '0');
-        const dateStr = `${year}-${month}-${day}`;
-        results.push({
-          ...c,
-          courseDate: dateStr,
-          isRecurring: true,
-          source: 'recurrence',
-        });
-      }
-    } else if (recurrenceType === 'weekly') {
-      // 支援數字或陣列格式的 dayOfWeek
-      let daysSet;
-      if (typeof c.dayOfWeek === 'number') {
-        daysSet = new Set([c.dayOfWeek]);
-      } else if (Array.isArray(c.dayOfWeek)) {
-        // 過濾有效的週幾值（0-6）
-        daysSet = new Set(c.dayOfWeek.filter((d) => typeof d === 'number' && d >= 0 && d <= 6));
-      } else {
-        continue; // 無效格式，跳過
-      }
-
-      if (daysSet.size === 0) continue; // 沒有有效的週幾值
-
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-        if (daysSet.has(d.getDay())) {
-          // 修復：使用本地日期避免 UTC 時區轉換問題
-          const year = d.getFullYear();
-          const month = String(d.getMonth() + 1).padStart(2, '0');
-          const day = String(d.getDate()).padStart(2, '0');
-          const dateStr = `${year}-${month}-${day}`;
-          results.push({
-            ...c,
-            courseDate: dateStr,
-            isRecurring: true,
-            source: 'recurrence',
-          });
-        }
-      }
-    } else if (recurrenceType === 'monthly') {
-      // 簡化處理：若基準日存在且在區間內，才加入一次
-      const base = c.courseDate ? new Date(`${c.courseDate}T00:00:00+08:00`) : null;
-      if (base && base >= start && base <= end) {
-        results.push({
-          ...c, courseDate: c.courseDate, isRecurring: true, source: 'recurrence',
-        });
-      }
-    }
-  }
-  return results;
-}
-
-function dedupeCourses(list) {
-  if (!list || list.length === 0) return [];
-  const map = new Map();
-  for (const c of list) {
-    const k = `${c.studentName}|${c.courseDate}|${c.scheduleTime || '00:00'}|${c.courseName}`;
-    if (!map.has(k)) map.set(k, c);
-  }
-  return Array.from(map.values());
-}
-
 /**
  * 查詢所有學生（如果沒有指定學生名稱）
  */
@@ -314,6 +263,37 @@ async function getAllStudentCourses(userId, dateRange) {
   }
 }
 
+/**
+ * 附上每堂課的出缺席狀態（課程 ID + 上課日期）
+ * 讀取失敗時不顯示狀態，不影響課表查詢
+ * @param {string} userId
+ * @param {Array<object>} courses
+ * @param {{ startDate: string, endDate: string }} dateRange
+ * @param {string|null} studentName
+ * @returns {Promise<Array<object>>}
+ */
+async function attachAttendance(userId, courses, dateRange, studentName) {
+  if (!courses || courses.length === 0) return courses;
+  try {
+    const records = await firebaseService.getAttendanceByUser(userId, {
+      startDate: dateRange.startDate,
+      endDate: dateRange.endDate,
+      studentName,
+    });
+    if (records.length === 0) return courses;
+    const statusByKey = new Map(records
+      .map((record) => [getAttendanceKey(record.courseId, record.courseDate), record.status]));
+    return courses.map((course) => {
+      const key = getAttendanceKey(course.courseId || course.id, course.courseDate);
+      const status = statusByKey.get(key);
+      return status ? { ...course, attendanceStatus: status } : course;
+    });
+  } catch (error) {
+    console.warn('⚠️ 讀取出缺席失敗，略過狀態顯示:', error?.message || error);
+    return courses;
+  }
+}
+
 /**
  * 主要處理函式
  */
@@ -323,78 +303,43 @@ async function handle_query_schedule_task(slots, userId, messageEvent = null) {
     console.log('📋 接收參數:', slots);
 
     // 1. 確定查詢的時間範圍
+    // 依老師查詢（「王老師的課是哪幾堂」）未指定時間時，改查未來30天
+    const defaultReference = slots.teacher ? 'upcoming_month' : 'this_week';
     const dateRange = calculateDateRange(
-      slots.timeReference || 'this_week', // 改這一個字就夠了
+      slots.timeReference || defaultReference,
       slots.specificDate,
     );
 
     console.log('📅 查詢時間範圍:', dateRange);
 
     // 2. 查詢課程
-    let courses = [];
+    let courses = await collectCoursesInRange(userId, slots.studentName, dateRange);
+
+    if (slots.studentName && slots.courseName) {
+      // 課名正規化（移除尾字「課」），雙向包含以提高容錯
+      const normalize = (s) => String(s || '').replace(/課$/, '');
+      const q = normalize(slots.courseName);
+      courses = courses.filter((course) => {
+        const name = normalize(course.courseName);
+        return name.includes(q) || q.includes(name);
+      });
+    }
 
-    if (slots.studentName) {
-      // 單一學生：單次課程 + 重複課展開
-      const singleAll = await firebaseService.getCoursesByStudent(
-        userId,
-        slots.studentName,
-        { startDate: dateRange.startDate, endDate: dateRange.endDate },
-      );
-      const single = singleAll.filter((course) => !course.cancelled);
-      let expanded = [];
-      try {
-        // 從所有課程中篩選重複課程並展開
-        const allCoursesRaw = await firebaseService.getCoursesByStudent(userId, slots.studentName);
-        const allCourses = allCoursesRaw.filter((course) => !course.cancelled);
-        const recurring = allCourses.filter((course) => course.isRecurring);
-        expanded = expandRecurringCourses(recurring, dateRange);
-      } catch (e) {
-        console.warn('⚠️ 重複課查詢或展開失敗，採用單次課程降級:', e?.message || e);
-      }
-      courses = dedupeCourses([...single, ...expanded]);
-
-      if (slots.courseName) {
-        // 課名正規化（移除尾字「課」），雙向包含以提高容錯
-        const normalize = (s) => String(s || '').replace(/課$/, '');
-        const q = normalize(slots.courseName);
-        courses = courses.filter((course) => {
-          const name = normalize(course.courseName);
-          return name.includes(q) || q.includes(name);
-        });
-      }
-    } else {
-      // 多學生：每位學生單次 + 重複展開彙總
-      const parent = await firebaseService.getOrCreateParent(userId);
-      const all = [];
-      if (parent.students && parent.students.length > 0) {
-        for (const s of parent.students) {
-          const singleAll = await firebaseService.getCoursesByStudent(
-            userId,
-            s.studentName,
-            { startDate: dateRange.startDate, endDate: dateRange.endDate },
-          );
-          const single = singleAll.filter((course) => !course.cancelled);
-          let expanded = [];
-          try {
-            // 從所有課程中篩選重複課程並展開
-            const allCoursesRaw = await firebaseService.getCoursesByStudent(userId, s.studentName);
-            const allCourses = allCoursesRaw.filter((course) => !course.cancelled);
-            const recurring = allCourses.filter((course) => course.isRecurring);
-            expanded = expandRecurringCourses(recurring, dateRange);
-          } catch (e) {
-            console.warn('⚠️ 重複課查詢或展開失敗（多學生），採用單次課程降級:', e?.message || e);
-          }
-          all.push(...single, ...expanded);
-        }
-      }
-      courses = dedupeCourses(all);
+    if (slots.teacher) {
+      // 名錄 ID 相符，或老師名稱雙向包含以提高容錯（與課名比對相同）
+      const q = slots.teacher;
+      courses = courses.filter((course) => (slots.teacherId && course.teacherId === slots.teacherId)
+        || (course.teacher && (course.teacher.includes(q) || q.includes(course.teacher))));
     }
 
+    courses = await attachAttendance(userId, courses, dateRange, slots.studentName || null);
+
     console.log(`📚 查詢到 ${courses.length} 筆課程`);
 
     // 3. 格式化結果
-    const studentInfo = slots.studentName ? slots.studentName : '所有學生';
-    const description = `${studentInfo}${dateRange.description}`;
+    const studentInfo = slots.studentName || (slots.teacher ? null : '所有學生');
+    const scopeInfo = [slots.teacher, studentInfo].filter(Boolean).join('・');
+    const description = `${scopeInfo}${dateRange.description}`;
     const message = formatCourseList(courses, description);
 
     // 4. 如果沒有課程，提供建議
@@ -443,3 +388,4 @@ async function handle_query_schedule_task(slots, userId, messageEvent = null) {
 }
 
 module.exports = handle_query_schedule_task;
+module.exports.calculateDateRange = calculateDateRange;
@@ -0,0 +1,74 @@
+/**
+ * 查詢學費任務處理器
+ * 「這個月學費花了多少」依學生、科目加總當月購買方案的金額，並列出目前方案餘額
+ */
+
+const firebaseService = require('../services/firebaseService');
+const { formatPackageBalance } = require('../services/packageService');
+const { filterByCourseName } = require('../utils/courseNameUtils');
+const { getTaipeiTodayString } = require('../utils/recurrenceUtils');
+
+/**
+ * 處理學費查詢
+ * @param {object} slots - studentName / courseName / month（YYYY-MM，未指定為本月）
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_query_tuition_task(slots, userId) {
+  try {
+    console.log('💰 開始處理學費查詢任務:', slots);
+
+    const month = slots?.month || getTaipeiTodayString().slice(0, 7);
+    const monthLabel = `${month.slice(0, 4)}年${parseInt(month.slice(5), 10)}月`;
+
+    const packages = filterByCourseName(await firebaseService.getPackagesByUser(userId, {
+      studentName: slots?.studentName || null,
+    }), slots?.courseName);
+
+    const purchased = packages.filter((pkg) => String(pkg.purchasedDate).startsWith(month));
+    const scope = [slots?.studentName, slots?.courseName].filter(Boolean).join(' ');
+    const title = `💰 ${scope ? `${scope} ` : ''}${monthLabel}學費`;
+
+    const spending = {};
+    purchased.forEach((pkg) => {
+      spending[pkg.studentName] = spending[pkg.studentName] || {};
+      spending[pkg.studentName][pkg.courseName] = (spending[pkg.studentName][pkg.courseName] || 0)
+        + (pkg.amount || 0);
+    });
+    const total = purchased.reduce((sum, pkg) => sum + (pkg.amount || 0), 0);
+
+    const sections = [];
+    if (purchased.length === 0) {
+      sections.push('本月沒有繳費紀錄');
+    } else {
+      Object.keys(spending).sort().forEach((student) => {
+        const lines = Object.keys(spending[student]).sort()
+          .map((course) => `  ${course}：${spending[student][course]} 元`);
+        sections.push([`👦 ${student}`, ...lines].join('\n'));
+      });
+      sections.push(`合計：${total} 元`);
+    }
+
+    const active = packages.filter((pkg) => pkg.status === 'active');
+    if (active.length > 0) {
+      const balances = active.map((pkg) => `• ${pkg.studentName} ${formatPackageBalance(pkg)}`);
+      sections.push(['📋 目前方案餘額', ...balances].join('\n'));
+    }
+
+    return {
+      success: true,
+      code: purchased.length > 0 ? 'QUERY_TUITION_OK' : 'QUERY_TUITION_EMPTY',
+      message: `${title}\n\n${sections.join('\n\n')}`,
+      data: { month, total, spending },
+    };
+  } catch (error) {
+    console.error('❌ 學費查詢任務失敗:', error);
+    return {
+      success: false,
+      code: 'QUERY_FAILED',
+      message: '❌ 查詢學費失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_query_tuition_task;
@@ -6,6 +6,8 @@
 const firebaseService = require('../services/firebaseService');
 const googleCalendarService = require('../services/googleCalendarService');
 const lineService = require('../services/lineService');
+const { occursOnDate } = require('../utils/recurrenceUtils');
+const { getActorFields } = require('../services/familyGroupService');
 
 /**
  * 驗證必要的 slots
@@ -85,13 +87,11 @@ async function findMatchingCourse(studentName, courseName, targetDate) {
         return { id: doc.id, ...courseData };
       }
 
-      // 對於重複課程，檢查日期是否在重複範圍內
-      if (courseData.recurring && courseData.dayOfWeek !== undefined) {
-        const targetDateObj = new Date(targetDate);
-        if (targetDateObj.getDay() === courseData.dayOfWeek) {
-          console.log('✅ 找到匹配的重複課程:', doc.id);
-          return { id: doc.id, ...courseData };
-        }
+      // 對於重複課程（含每週多天），檢查日期是否在重複範圍內
+      const isRecurring = courseData.isRecurring || courseData.recurring;
+      if (isRecurring && occursOnDate(courseData, targetDate)) {
+        console.log('✅ 找到匹配的重複課程:', doc.id);
+        return { id: doc.id, ...courseData };
       }
     }
 
@@ -181,6 +181,7 @@ async function handle_record_content_task(slots, userId = null) {
       recordDate: targetDate,
       createdAt: new Date().toISOString(),
       userId: userId || 'anonymous',
+      ...getActorFields(slots),
     };
 
     // 如果找到對應課程，添加課程關聯資訊
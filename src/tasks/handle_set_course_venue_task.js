@@ -0,0 +1,157 @@
+/**
+ * 設定上課地點任務處理器
+ * 家長分享 LINE 位置訊息：先存入地點名錄（含座標），再以按鈕選擇要套用的課程；
+ * 選定後更新該學生同名課程往後的每一堂（含重複課程）
+ */
+
+const firebaseService = require('../services/firebaseService');
+const { collectCoursesInRange } = require('../services/courseQueryService');
+const { createPostbackQuickReply } = require('../utils/postbackUtils');
+const { truncate } = require('../nlu/ScheduleFlexRenderer');
+const { getTaipeiTodayString, addDaysToDateString } = require('../utils/recurrenceUtils');
+
+// 列出多少天內有上課的課程供選擇
+const COURSE_OPTION_DAYS = 30;
+
+// Quick Reply 最多 13 個，保留餘裕
+const MAX_COURSE_OPTIONS = 10;
+
+/**
+ * 位置訊息的名稱：地標名稱優先，沒有時取地址前段
+ * @param {object} slots - name / address
+ * @returns {string}
+ */
+function getLocationName({ name, address }) {
+  return (name || '').trim() || truncate(String(address || '').trim(), 20) || '分享的位置';
+}
+
+/**
+ * 近期課程按鈕（同一學生同名課程只列一次）
+ * @param {string} userId
+ * @param {object} location - 名錄項目
+ * @returns {Promise<Array<object>>}
+ */
+async function buildCourseOptions(userId, location) {
+  const today = getTaipeiTodayString();
+  const courses = await collectCoursesInRange(userId, null, {
+    startDate: today,
+    endDate: addDaysToDateString(today, COURSE_OPTION_DAYS),
+  });
+
+  const seen = new Set();
+  return courses
+    .filter((course) => {
+      const key = `${course.studentName}|${course.courseName}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_COURSE_OPTIONS)
+    .map((course) => createPostbackQuickReply(
+      truncate(`📍 ${course.studentName} ${course.courseName}`, 20),
+      'set_course_venue',
+      { courseId: course.courseId || course.id, locationId: location.id },
+      `${course.studentName}${course.courseName}在${location.name}上課`,
+    ))
+    // 未設定簽章金鑰時沒有按鈕，改回覆「已存入名錄」
+    .filter(Boolean);
+}
+
+/**
+ * 更新同一學生同名課程往後的每一堂
+ * @param {string} userId
+ * @param {object} course - 選定的課程
+ * @param {object} location - 名錄項目
+ * @returns {Promise<number>} 更新筆數
+ */
+async function applyVenue(userId, course, location) {
+  const today = getTaipeiTodayString();
+  const courses = await firebaseService.getCoursesByStudent(userId, course.studentName);
+  const targets = courses.filter((item) => item.courseName === course.courseName
+    && !item.cancelled
+    && (item.isRecurring || item.courseDate >= today));
+
+  await Promise.all(targets.map((item) => firebaseService.updateDocument('courses', item.id, {
+    location: location.name,
+    locationId: location.id,
+  })));
+  return targets.length;
+}
+
+/**
+ * 處理設定上課地點
+ * @param {object} slots - 位置訊息：name / address / latitude / longitude；
+ *   按鈕：locationId / courseId
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_set_course_venue_task(slots, userId) {
+  try {
+    console.log('📍 開始處理設定上課地點任務:', slots);
+
+    // 位置訊息：存入名錄後請家長選課程
+    if (!slots?.locationId) {
+      const location = await firebaseService.saveDirectoryEntry(userId, 'location', {
+        name: getLocationName(slots || {}),
+        address: slots?.address || null,
+        latitude: slots?.latitude ?? null,
+        longitude: slots?.longitude ?? null,
+      });
+      const quickReply = await buildCourseOptions(userId, location);
+      const addressLine = location.address ? `\n🏠 ${location.address}` : '';
+
+      if (quickReply.length === 0) {
+        return {
+          success: true,
+          code: 'LOCATION_SAVED',
+          message: `📍 已將「${location.name}」存入地點名錄${addressLine}\n\n之後新增課程時說「在${location.name}上課」即可帶入`,
+          data: { locationId: location.id },
+        };
+      }
+
+      return {
+        success: true,
+        code: 'VENUE_COURSE_OPTIONS',
+        message: `📍 已將「${location.name}」存入地點名錄${addressLine}\n\n要設為哪堂課的上課地點？`,
+        data: { locationId: location.id },
+        quickReply,
+      };
+    }
+
+    const locations = await firebaseService.getDirectoryEntries(userId, 'location');
+    const location = locations.find((entry) => entry.id === slots.locationId);
+    const course = slots.courseId ? await firebaseService.getCourseById(slots.courseId) : null;
+    if (!location || !course || course.userId !== userId) {
+      return {
+        success: false,
+        code: 'NOT_FOUND',
+        message: '❌ 找不到這個地點或課程，請重新分享位置',
+      };
+    }
+
+    const updatedCount = await applyVenue(userId, course, location);
+    if (updatedCount === 0) {
+      return {
+        success: false,
+        code: 'NO_UPCOMING_COURSE',
+        message: `❓ ${course.studentName} ${course.courseName} 往後沒有安排課程，地點已保留在名錄中`,
+      };
+    }
+
+    return {
+      success: true,
+      code: 'SET_VENUE_OK',
+      message: `✅ 已將 ${course.studentName} ${course.courseName} 的上課地點設為「${location.name}」${location.address ? `\n🏠 ${location.address}` : ''}\n\n📚 共更新 ${updatedCount} 筆課程${location.address ? '，課前提醒會附上地址' : ''}`,
+      data: { courseId: course.id, locationId: location.id, updatedCount },
+    };
+  } catch (error) {
+    console.error('❌ 設定上課地點任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 設定上課地點失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_set_course_venue_task;
@@ -0,0 +1,99 @@
+/**
+ * 通知偏好設定任務處理器
+ * 「晚上10點後不要通知我」「以後提醒都提前1小時」「暫停小明的提醒」「提醒合併成一則」
+ */
+
+const notificationPreferenceService = require('../services/notificationPreferenceService');
+const {
+  QUIET_HOURS_DEFAULTS,
+  formatNotificationPreferences,
+} = require('../utils/notificationPreferenceUtils');
+
+/**
+ * 由語句設定算出要更新的欄位
+ * @param {object} slots
+ * @param {object|null} existing - 目前的偏好
+ * @returns {object}
+ */
+function getPreferenceUpdates(slots, existing) {
+  const updates = {};
+  if (slots.clearQuietHours) {
+    updates.quietHours = null;
+  } else if (slots.quietHours) {
+    // 只指定一端時，另一端沿用原時段或預設時段
+    const current = existing?.quietHours || QUIET_HOURS_DEFAULTS;
+    updates.quietHours = {
+      start: slots.quietStart || current.start,
+      end: slots.quietEnd || current.end,
+    };
+  }
+  if (slots.leadTime) updates.leadTime = slots.leadTime;
+  if (slots.muteAction && slots.studentName) {
+    const muted = new Set(existing?.mutedStudents || []);
+    if (slots.muteAction === 'mute') muted.add(slots.studentName);
+    else muted.delete(slots.studentName);
+    updates.mutedStudents = [...muted];
+  }
+  if (slots.deliveryMode) updates.deliveryMode = slots.deliveryMode;
+  return updates;
+}
+
+/**
+ * 處理通知偏好設定
+ * @param {object} slots - quietHours / quietStart / quietEnd / clearQuietHours / leadTime /
+ *   muteAction / studentName / deliveryMode
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_set_notification_preferences_task(slots, userId) {
+  try {
+    console.log('🔔 開始處理通知偏好設定任務:', slots);
+
+    if (slots?.muteAction && !slots.studentName) {
+      return {
+        success: false,
+        code: 'MISSING_STUDENT',
+        message: '❓ 請問要暫停哪位學生的通知？\n\n💡 例如：「暫停小明的提醒」',
+      };
+    }
+
+    const existing = await notificationPreferenceService.getNotificationPreferences(userId);
+    const updates = getPreferenceUpdates(slots || {}, existing);
+    if (Object.keys(updates).length === 0) {
+      return {
+        success: false,
+        code: 'NO_PREFERENCE_CHANGE',
+        message: '❓ 沒有看懂要調整哪一項通知設定\n\n💡 例如：「晚上10點後不要通知我」「以後提醒都提前1小時」「暫停小明的提醒」「提醒合併成一則」',
+      };
+    }
+
+    const preferences = await notificationPreferenceService.saveNotificationPreferences(
+      userId,
+      updates,
+      slots,
+    );
+
+    const hints = [];
+    if (updates.quietHours) {
+      hints.push(`💡 勿擾時段內到期的通知會延到 ${updates.quietHours.end} 再傳，到時已開始的課就不再提醒`);
+    }
+    if (updates.leadTime) hints.push('💡 之後設定提醒沒說時間時，會用這個預設時間');
+    hints.push('💡 說「通知設定」可隨時查看');
+
+    return {
+      success: true,
+      code: 'NOTIFICATION_PREFERENCES_UPDATED',
+      message: `✅ 通知設定已更新！\n\n${formatNotificationPreferences(preferences)}\n\n${hints.join('\n')}`,
+      data: { preferences },
+    };
+  } catch (error) {
+    console.error('❌ 通知偏好設定任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 更新通知設定失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_set_notification_preferences_task;
@@ -1,39 +1,31 @@
 /**
  * 設定提醒任務處理器
- * 處理「提醒我小明的數學課」「鋼琴課前30分鐘通知我」等語句
+ * 處理「提醒我小明的數學課」「鋼琴課前30分鐘通知我」等語句；
+ * 「每次鋼琴課前一小時提醒我」建立綁定重複課程系列的固定提醒
  */
 
 const { firebaseService } = require('../services');
 const { googleCalendarService } = require('../services');
+const { getActorFields } = require('../services/familyGroupService');
+const reminderRuleService = require('../services/reminderRuleService');
+const reminderService = require('../services/reminderService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
+const { formatRecurrence, formatSeriesEnd } = require('../utils/recurrenceUtils');
+const {
+  buildReminderSchedule,
+  getReminderTimings,
+  getSlotTimings,
+  formatReminderTiming,
+} = require('../utils/reminderUtils');
 
-/**
- * 計算提醒觸發時間
- * @param {string} courseDate - 課程日期 (YYYY-MM-DD)
- * @param {string} scheduleTime - 課程時間 (HH:mm)
- * @param {number} reminderTime - 提前分鐘數
- * @returns {Date} 觸發時間
- */
-function calculateTriggerTime(courseDate, scheduleTime, reminderTime = 30) {
-  try {
-    // 組合課程完整時間
-    const courseDateTime = new Date(`${courseDate}T${scheduleTime}:00+08:00`);
-
-    if (isNaN(courseDateTime.getTime())) {
-      throw new Error('無效的日期時間格式');
-    }
-
-    // 計算提醒時間（提前 reminderTime 分鐘）
-    const triggerTime = new Date(courseDateTime.getTime() - (reminderTime * 60 * 1000));
-
-    console.log(`📅 課程時間: ${courseDateTime.toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })}`);
-    console.log(`⏰ 提醒時間: ${triggerTime.toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })}`);
-
-    return triggerTime;
-  } catch (error) {
-    console.error('❌ 計算提醒時間失敗:', error);
-    throw error;
-  }
-}
+// 提醒時間顯示格式（台北時間）
+const TRIGGER_TIME_FORMAT = {
+  timeZone: 'Asia/Taipei',
+  month: 'numeric',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+};
 
 /**
  * 查找對應的課程
@@ -91,6 +83,51 @@ async function findTargetCourse(userId, studentName, courseName, specificDate =
   }
 }
 
+/**
+ * 建立或更新固定提醒（每一堂課前提醒，由提醒執行器展開）
+ * @param {Object} slots - reminderTime / reminderTriggers / reminderNote / actor
+ * @param {string} userId - LINE 用戶ID
+ * @param {Object} course - 重複課程系列
+ * @param {number} leadTime - 未指定時機時的課前分鐘數
+ * @returns {Promise<Object>} 處理結果
+ */
+async function setStandingReminder(slots, userId, course, leadTime) {
+  const reminderTime = slots.reminderTime || leadTime;
+  const { rule, updated, previous } = await reminderRuleService.upsertReminderRule(userId, course, {
+    ...slots,
+    reminderTime,
+  });
+  const timings = getReminderTimings(rule);
+  const nextTrigger = reminderRuleService.getNextTriggerTime(course, timings);
+
+  let message = updated ? '✅ 已更新固定提醒！\n' : '✅ 固定提醒設定完成！\n';
+  message += `📚 課程：${course.studentName} 的 ${course.courseName}（${formatRecurrence(course)} ${course.scheduleTime}）\n`;
+  message += `⏰ 每一堂都在${timings.map(formatReminderTiming).join('、')}提醒`;
+  if (nextTrigger) {
+    message += `\n📅 下一次提醒：${nextTrigger.toLocaleString('zh-TW', TRIGGER_TIME_FORMAT)}`;
+  }
+  if (course.seriesEnd) {
+    message += `\n🏁 課程${formatSeriesEnd(course.seriesEnd)}，結束後自動停止`;
+  }
+  if (slots.reminderNote) {
+    message += `\n📝 提醒內容：${slots.reminderNote}`;
+  }
+  message += `\n\n💡 請假或停課的那一堂不會提醒；說「取消每次${course.courseName}的提醒」可刪除`;
+
+  console.log(`✅ 固定提醒${updated ? '已更新' : '設定成功'}:`, rule.ruleId);
+
+  return {
+    success: true,
+    code: updated ? 'REMINDER_RULE_UPDATED' : 'REMINDER_RULE_SET',
+    message,
+    data: {
+      ruleId: rule.ruleId,
+      courseId: course.id,
+      previousRule: previous,
+    },
+  };
+}
+
 /**
  * 設定提醒任務處理器
  * @param {Object} slots - 提取的槽位資料
@@ -118,6 +155,20 @@ async function handle_set_reminder_task(slots, userId) {
       };
     }
 
+    // 未指定提醒時機時採用通知設定的預設提前時間
+    const leadTime = await notificationPreferenceService.getPreferredLeadTime(userId);
+
+    // 固定提醒：綁定重複課程系列；找不到系列時改設單次提醒
+    if (slots.standing) {
+      const series = await reminderRuleService.findRecurringSeries(
+        userId,
+        slots.studentName,
+        slots.courseName,
+      );
+      if (series) return await setStandingReminder(slots, userId, series, leadTime);
+      console.log('ℹ️ 找不到重複課程系列，改設單次提醒');
+    }
+
     // 2. 查找對應課程
     const course = await findTargetCourse(
       userId,
@@ -147,58 +198,54 @@ async function handle_set_reminder_task(slots, userId) {
       };
     }
 
-    // 4. 設定預設提醒時間（如果沒有指定）
-    const reminderTime = slots.reminderTime || 30; // 預設提前30分鐘
+    // 4. 提醒時機：指定時刻或多個時機（「前一天晚上9點和課前30分鐘」），否則課前 N 分鐘
+    const timings = getSlotTimings(slots, leadTime);
 
-    // 5. 計算觸發時間
-    const triggerTime = calculateTriggerTime(course.courseDate, course.scheduleTime, reminderTime);
+    // 5. 計算觸發時間，略過已過或晚於上課的時機
+    const schedule = buildReminderSchedule(course.courseDate, course.scheduleTime, timings, now);
 
-    // 檢查觸發時間是否已過
-    if (triggerTime < now) {
+    if (schedule.triggers.length === 0) {
       return {
         success: false,
         code: 'PAST_REMINDER_TIME',
-        message: `❌ 提醒時間已過，無法設定 ${reminderTime} 分鐘前的提醒`,
+        message: `❌ 提醒時間已過或晚於上課時間，無法設定${timings.map(formatReminderTiming).join('、')}的提醒`,
       };
     }
 
-    // 6. 建立提醒資料
+    // 6. 建立提醒資料（多個時機存在同一筆提醒，發送後依序排下一個）
     const reminderData = {
       courseId: course.id || course.courseId,
       userId,
       studentName: slots.studentName,
       courseName: slots.courseName,
-      reminderTime,
+      ...reminderService.getScheduleFields(course.courseDate, course.scheduleTime, schedule),
       reminderNote: slots.reminderNote || `${slots.studentName} 的 ${slots.courseName}即將開始`,
-      triggerTime,
       courseDate: course.courseDate,
       scheduleTime: course.scheduleTime,
+      location: course.location || null,
+      locationId: course.locationId || null,
+      teacher: course.teacher || null,
+      teacherId: course.teacherId || null,
+      ...getActorFields(slots),
     };
 
     // 7. 儲存提醒記錄到 Firebase
     const reminder = await firebaseService.createReminder(reminderData);
 
     // 8. 格式化回應訊息
-    const courseTimeStr = courseDateTime.toLocaleString('zh-TW', {
-      timeZone: 'Asia/Taipei',
-      month: 'numeric',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-
-    const triggerTimeStr = triggerTime.toLocaleString('zh-TW', {
-      timeZone: 'Asia/Taipei',
-      month: 'numeric',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
+    const courseTimeStr = courseDateTime.toLocaleString('zh-TW', TRIGGER_TIME_FORMAT);
+
+    const triggerTimeStrs = schedule.triggerTimes.map((triggerTime, index) => (
+      `${triggerTime.toLocaleString('zh-TW', TRIGGER_TIME_FORMAT)} (${formatReminderTiming(schedule.triggers[index])})`
+    ));
 
     let message = '✅ 提醒設定完成！\n';
     message += `📚 課程：${slots.studentName} 的 ${slots.courseName}\n`;
     message += `📅 上課時間：${courseTimeStr}\n`;
-    message += `⏰ 提醒時間：${triggerTimeStr} (提前 ${reminderTime} 分鐘)`;
+    message += `⏰ 提醒時間：${triggerTimeStrs.join('\n　　　　　')}`;
+    if (schedule.skipped.length > 0) {
+      message += `\n⚠️ ${schedule.skipped.map(formatReminderTiming).join('、')}已過或晚於上課，不會提醒`;
+    }
 
     if (slots.reminderNote) {
       message += `\n📝 提醒內容：${slots.reminderNote}`;
@@ -210,6 +257,10 @@ async function handle_set_reminder_task(slots, userId) {
       success: true,
       code: 'REMINDER_SET_OK',
       message,
+      data: {
+        reminderId: reminder.reminderId,
+        courseId: course.id || course.courseId,
+      },
     };
   } catch (error) {
     console.error('❌ 設定提醒失敗:', error);
@@ -0,0 +1,57 @@
+/**
+ * 稍後再提醒任務處理器
+ * 推播提醒上的「10分鐘後再提醒」按鈕（postback 帶 reminderId 與分鐘數）
+ */
+
+const firebaseService = require('../services/firebaseService');
+const reminderService = require('../services/reminderService');
+
+/**
+ * 處理稍後再提醒
+ * @param {object} slots - reminderId / minutes
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_snooze_reminder_task(slots, userId) {
+  try {
+    console.log('😴 開始處理稍後再提醒任務:', slots);
+
+    const reminder = slots?.reminderId
+      ? await firebaseService.getReminderById(slots.reminderId)
+      : null;
+    if (!reminder || reminder.userId !== userId) {
+      return {
+        success: false,
+        code: 'REMINDER_NOT_FOUND',
+        message: '❓ 找不到這個提醒',
+      };
+    }
+
+    const result = await reminderService.snoozeReminder(reminder, slots.minutes);
+    if (!result.success) {
+      return {
+        success: false,
+        code: result.code,
+        message: result.code === 'REMINDER_CLOSED'
+          ? '❓ 這個提醒已取消或過期，無法再提醒'
+          : '❌ 稍後再提醒的時間需介於 5 到 180 分鐘',
+      };
+    }
+
+    return {
+      success: true,
+      code: 'SNOOZE_REMINDER_OK',
+      message: `😴 好的，${slots.minutes} 分鐘後（${reminderService.formatTriggerTime(result.triggerTime)}）再提醒你`,
+      data: { reminderId: reminder.reminderId },
+    };
+  } catch (error) {
+    console.error('❌ 稍後再提醒任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 設定稍後再提醒失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_snooze_reminder_task;
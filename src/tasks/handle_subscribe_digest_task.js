@@ -0,0 +1,73 @@
+/**
+ * 訂閱摘要任務處理器
+ * 「訂閱每日摘要」「每週預覽改成週日晚上9點」「摘要不要附作業」訂閱或調整每日摘要 / 每週預覽
+ */
+
+const digestService = require('../services/digestService');
+const { formatDigestSettings } = require('../utils/digestUtils');
+
+/**
+ * 由語句設定算出要更新的欄位
+ * 未指定類型時：尚未訂閱則訂閱每日摘要；已訂閱則只調整時間與內容
+ * @param {object} slots
+ * @param {object|null} existing - 目前的設定
+ * @returns {object}
+ */
+function getSettingsUpdates(slots, existing) {
+  const updates = {};
+  let { digestType } = slots;
+  if (!digestType && !existing?.active) digestType = 'daily';
+  if (digestType === 'daily' || digestType === 'both') updates.daily = true;
+  if (digestType === 'weekly' || digestType === 'both') updates.weekly = true;
+
+  if (slots.digestTime) {
+    // 時間套用到指定的類型；未指定時套用到已訂閱的那一種（都有時為每日摘要）
+    let target = digestType === 'both' ? slots.digestTimeFor : digestType;
+    if (!target) target = existing?.daily || !existing?.weekly ? 'daily' : 'weekly';
+    updates[target === 'weekly' ? 'weeklyTime' : 'dailyTime'] = slots.digestTime;
+  }
+  ['includeHomework', 'includePackages'].forEach((field) => {
+    if (typeof slots[field] === 'boolean') updates[field] = slots[field];
+  });
+  return updates;
+}
+
+/**
+ * 處理摘要訂閱
+ * @param {object} slots - digestType / digestTime / digestTimeFor（時間套用的類型）
+ *   / includeHomework / includePackages
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_subscribe_digest_task(slots, userId) {
+  try {
+    console.log('📰 開始處理摘要訂閱任務:', slots);
+
+    const existing = await digestService.getDigestSettings(userId);
+    const settings = await digestService.saveDigestSettings(
+      userId,
+      getSettingsUpdates(slots || {}, existing),
+      slots,
+    );
+
+    const title = existing?.active ? '✅ 摘要設定已更新！' : '✅ 已訂閱摘要！';
+    const hints = ['💡 說「取消每日摘要」或「取消每週預覽」可停止'];
+    if (!settings.weekly) hints.unshift('💡 說「訂閱每週預覽」可在週日晚上收到下週課程');
+
+    return {
+      success: true,
+      code: 'SUBSCRIBE_DIGEST_OK',
+      message: `${title}\n\n${formatDigestSettings(settings)}\n\n${hints.join('\n')}`,
+      data: { settings },
+    };
+  } catch (error) {
+    console.error('❌ 摘要訂閱任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 訂閱摘要失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_subscribe_digest_task;
@@ -4,7 +4,7 @@
  */
 
 const { getConversationManager } = require('../conversation/ConversationManager');
-const { extractSlots } = require('../intent/extractSlots');
+const { extractSlots, parseDaysOfWeekMulti, parseDayOfWeek } = require('../intent/extractSlots');
 
 /**
  * 處理學生姓名補充
@@ -97,9 +97,18 @@ async function handleSupplementInput(userId, userInput, slotName, inputType) {
       case 'courseDate':
         supplementValue = userInput.trim();
         break;
-      case 'dayOfWeek':
-        supplementValue = userInput.trim();
+      case 'dayOfWeek': {
+        // 支援多天補充（如「二四」「週一三五」），無法解析時保留原文
+        const input = userInput.trim();
+        const days = parseDaysOfWeekMulti(/^[一二三四五六日天、，,和與及\s]+$/.test(input) ? `週${input}` : input);
+        if (days.length > 0) {
+          supplementValue = days;
+        } else {
+          const single = parseDayOfWeek(input);
+          supplementValue = single !== null ? single : input;
+        }
         break;
+      }
       default:
         supplementValue = userInput.trim();
     }
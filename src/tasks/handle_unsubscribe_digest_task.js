@@ -0,0 +1,60 @@
+/**
+ * 取消摘要任務處理器
+ * 「取消每日摘要」「取消每週預覽」停止其中一種；「不要再傳摘要了」兩種都停止
+ */
+
+const digestService = require('../services/digestService');
+const { formatDigestSettings } = require('../utils/digestUtils');
+
+const DIGEST_LABELS = {
+  daily: '每日摘要',
+  weekly: '每週預覽',
+};
+
+/**
+ * 處理取消摘要
+ * @param {object} slots - digestType（daily / weekly；未指定或 both 為全部）
+ * @param {string} userId - 用戶 ID
+ * @returns {Promise<object>} 處理結果
+ */
+async function handle_unsubscribe_digest_task(slots, userId) {
+  try {
+    console.log('🔕 開始處理取消摘要任務:', slots);
+
+    const existing = await digestService.getDigestSettings(userId);
+    const types = ['daily', 'weekly'].includes(slots?.digestType)
+      ? [slots.digestType]
+      : ['daily', 'weekly'];
+    const subscribed = types.filter((type) => existing?.[type]);
+
+    if (subscribed.length === 0) {
+      return {
+        success: false,
+        code: 'DIGEST_NOT_SUBSCRIBED',
+        message: `❓ 目前沒有訂閱${types.map((type) => DIGEST_LABELS[type]).join('或')}\n\n💡 說「訂閱每日摘要」可在每天早上收到今天的課`,
+      };
+    }
+
+    const updates = Object.fromEntries(subscribed.map((type) => [type, false]));
+    const settings = await digestService.saveDigestSettings(userId, updates, slots);
+
+    let message = `🔕 已取消${subscribed.map((type) => DIGEST_LABELS[type]).join('和')}`;
+    if (settings.active) message += `\n\n${formatDigestSettings(settings)}`;
+
+    return {
+      success: true,
+      code: 'UNSUBSCRIBE_DIGEST_OK',
+      message,
+      data: { settings },
+    };
+  } catch (error) {
+    console.error('❌ 取消摘要任務失敗:', error);
+    return {
+      success: false,
+      code: 'FIREBASE_ERROR',
+      message: '❌ 取消摘要失敗，請稍後再試。',
+    };
+  }
+}
+
+module.exports = handle_unsubscribe_digest_task;
@@ -12,6 +12,27 @@ const handle_set_reminder_task = require('./handle_set_reminder_task');
 const handle_cancel_course_task = require('./handle_cancel_course_task');
 const handle_unknown_task = require('./handle_unknown_task');
 const handle_modify_course_task = require('./handle_modify_course_task');
+const handle_query_free_slots_task = require('./handle_query_free_slots_task');
+const handle_add_directory_entry_task = require('./handle_add_directory_entry_task');
+const handle_query_directory_task = require('./handle_query_directory_task');
+const handle_mark_attendance_task = require('./handle_mark_attendance_task');
+const handle_query_attendance_task = require('./handle_query_attendance_task');
+const handle_query_makeup_task = require('./handle_query_makeup_task');
+const handle_add_package_task = require('./handle_add_package_task');
+const handle_query_tuition_task = require('./handle_query_tuition_task');
+const handle_query_homework_task = require('./handle_query_homework_task');
+const handle_complete_homework_task = require('./handle_complete_homework_task');
+const handle_set_course_venue_task = require('./handle_set_course_venue_task');
+const handle_query_reminder_rules_task = require('./handle_query_reminder_rules_task');
+const handle_delete_reminder_rule_task = require('./handle_delete_reminder_rule_task');
+const handle_query_reminders_task = require('./handle_query_reminders_task');
+const handle_modify_reminder_task = require('./handle_modify_reminder_task');
+const handle_delete_reminder_task = require('./handle_delete_reminder_task');
+const handle_snooze_reminder_task = require('./handle_snooze_reminder_task');
+const handle_subscribe_digest_task = require('./handle_subscribe_digest_task');
+const handle_unsubscribe_digest_task = require('./handle_unsubscribe_digest_task');
+const handle_set_notification_preferences_task = require('./handle_set_notification_preferences_task');
+const handle_query_notification_preferences_task = require('./handle_query_notification_preferences_task');
 
 // 操作性意圖處理器（多輪對話功能）
 const handle_confirm_action_task = require('./handle_confirm_action_task');
@@ -37,6 +58,7 @@ const taskHandlers = {
   add_course: handle_add_course_task,
   create_recurring_course: handle_add_course_task, // 重複課程使用相同處理器
   query_schedule: handle_query_schedule_task,
+  query_free_slots: handle_query_free_slots_task,
   cancel_course: handle_cancel_course_task,
   stop_recurring_course: handle_cancel_course_task, // 停止重複課程使用相同處理器
 
@@ -46,8 +68,39 @@ const taskHandlers = {
   add_homework: handle_add_homework_task,
   query_course_content: handle_query_course_content_task,
 
+  // 老師/地點名錄
+  add_teacher: handle_add_directory_entry_task,
+  add_location: handle_add_directory_entry_task, // 老師與地點使用相同處理器
+  query_directory: handle_query_directory_task,
+  set_course_venue: handle_set_course_venue_task, // LINE 位置訊息
+
+  // 出缺席
+  mark_attendance: handle_mark_attendance_task,
+  query_attendance: handle_query_attendance_task,
+  query_makeup: handle_query_makeup_task,
+
+  // 課程方案與學費
+  add_package: handle_add_package_task,
+  query_tuition: handle_query_tuition_task,
+  query_homework: handle_query_homework_task,
+  complete_homework: handle_complete_homework_task,
+
   // 提醒設定
   set_reminder: handle_set_reminder_task,
+  query_reminders: handle_query_reminders_task,
+  modify_reminder: handle_modify_reminder_task,
+  delete_reminder: handle_delete_reminder_task,
+  snooze_reminder: handle_snooze_reminder_task,
+  query_reminder_rules: handle_query_reminder_rules_task,
+  delete_reminder_rule: handle_delete_reminder_rule_task,
+
+  // 每日摘要 / 每週預覽
+  subscribe_digest: handle_subscribe_digest_task,
+  unsubscribe_digest: handle_unsubscribe_digest_task,
+
+  // 通知偏好（勿擾時段、預設提前時間、靜音學生、合併推播）
+  set_notification_preferences: handle_set_notification_preferences_task,
+  query_notification_preferences: handle_query_notification_preferences_task,
 
   // 操作性意圖（多輪對話功能）
   confirm_action: handle_confirm_action_task,
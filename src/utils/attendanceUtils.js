@@ -0,0 +1,79 @@
+/**
+ * 出缺席工具
+ * 每堂課（課程 ID + 上課日期）一筆出缺席狀態，提供狀態顯示與月統計彙整
+ */
+
+/**
+ * 出缺席狀態
+ */
+const ATTENDANCE_STATUS = {
+  attended: { label: '出席', emoji: '✅' },
+  absent: { label: '缺席', emoji: '❌' },
+  leave: { label: '請假', emoji: '🙋' },
+  teacher_cancelled: { label: '老師停課', emoji: '🚫' },
+};
+
+/**
+ * 老師端停課用語（「老師請假」「教練臨時取消」），屬出缺席而非刪除課程
+ */
+const TEACHER_CANCELLED_RE = /(老師|教練)(臨時)?(請假|取消|停課|沒來)|停課/;
+
+/**
+ * 出缺席紀錄的文件 ID（同一堂課重複記錄會覆寫）
+ * @param {string} courseId
+ * @param {string} courseDate - YYYY-MM-DD
+ * @returns {string}
+ */
+function getAttendanceKey(courseId, courseDate) {
+  return `${courseId}_${courseDate}`;
+}
+
+/**
+ * 狀態顯示，例：🙋 請假
+ * @param {string} status
+ * @returns {string}
+ */
+function formatAttendanceStatus(status) {
+  const info = ATTENDANCE_STATUS[status];
+  return info ? `${info.emoji} ${info.label}` : '';
+}
+
+/**
+ * 依學生、科目彙整各狀態次數
+ * @param {Array<object>} records - 出缺席紀錄（studentName / courseName / status）
+ * @returns {Object<string, Object<string, Object<string, number>>>}
+ *   { 小明: { 鋼琴課: { attended: 3, leave: 1 } } }
+ */
+function summarizeAttendance(records) {
+  const summary = {};
+  (records || []).forEach((record) => {
+    if (!ATTENDANCE_STATUS[record.status]) return;
+    const student = record.studentName || '未指定學生';
+    const course = record.courseName || '未命名課程';
+    summary[student] = summary[student] || {};
+    summary[student][course] = summary[student][course] || {};
+    summary[student][course][record.status] = (summary[student][course][record.status] || 0) + 1;
+  });
+  return summary;
+}
+
+/**
+ * 單一科目的次數顯示，例：✅ 出席 3・🙋 請假 1
+ * @param {Object<string, number>} counts
+ * @returns {string}
+ */
+function formatAttendanceCounts(counts) {
+  return Object.keys(ATTENDANCE_STATUS)
+    .filter((status) => counts[status] > 0)
+    .map((status) => `${formatAttendanceStatus(status)} ${counts[status]}`)
+    .join('・');
+}
+
+module.exports = {
+  ATTENDANCE_STATUS,
+  TEACHER_CANCELLED_RE,
+  getAttendanceKey,
+  formatAttendanceStatus,
+  summarizeAttendance,
+  formatAttendanceCounts,
+};
@@ -0,0 +1,42 @@
+/**
+ * 課程名稱比對工具
+ * 家長口語常省略或多加「課」字（「鋼琴」「鋼琴課」），比對前先正規化
+ */
+
+/**
+ * 課名正規化（移除尾字「課」）
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeCourseName(name) {
+  return String(name || '').replace(/課$/, '');
+}
+
+/**
+ * 課名是否相符：正規化後雙向包含（「鋼琴」符合「鋼琴課」「古典鋼琴課」）
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameCourse(a, b) {
+  const x = normalizeCourseName(a);
+  const y = normalizeCourseName(b);
+  return Boolean(x && y) && (x.includes(y) || y.includes(x));
+}
+
+/**
+ * 依課名篩選（未指定課名時不篩選）
+ * @param {Array<object>} items - 具 courseName 欄位的課程、紀錄
+ * @param {string|null} courseName
+ * @returns {Array<object>}
+ */
+function filterByCourseName(items, courseName) {
+  if (!courseName) return items;
+  return items.filter((item) => isSameCourse(item.courseName, courseName));
+}
+
+module.exports = {
+  normalizeCourseName,
+  isSameCourse,
+  filterByCourseName,
+};
@@ -0,0 +1,6 @@
+/**
+ * 每日摘要格式工具
+ * 實作位於 functions/shared/digestFormatUtils（Functions 部署只包含 functions/，無法引用 src）
+ */
+
+module.exports = require('../../functions/shared/digestFormatUtils');
@@ -0,0 +1,51 @@
+/**
+ * 每日摘要 / 每週預覽工具
+ * 訂閱語句判斷與設定顯示；何時該推播與摘要文字組成在 functions/shared/digestFormatUtils
+ * （由 Functions 排程 sendDigests 推播）
+ */
+
+const { DIGEST_DEFAULTS } = require('./digestFormatUtils');
+
+// 摘要用語（「訂閱每日摘要」「取消每週預覽」「每天早上傳今天的課給我」）；
+// 單獨的「預覽下週課表」是查詢課表
+const DIGEST_RE = /摘要|(?:每週|每周|週日|周日|訂閱).{0,4}預覽|(?:每天|每日|每週|每周).{0,6}(?:傳|發|推|送).{0,8}課/;
+
+// 取消訂閱（「摘要不要附作業」是調整內容，不是取消）
+const UNSUBSCRIBE_DIGEST_RE = /取消|停止|關掉|關閉|退訂|(?:不要|不用|不需要)再?(?:傳|發|推|送|訂閱?)/;
+
+/**
+ * 摘要語句的意圖
+ * @param {string} text
+ * @returns {string|null} subscribe_digest / unsubscribe_digest；非摘要語句為 null
+ */
+function classifyDigestIntent(text) {
+  const msg = String(text || '');
+  if (!DIGEST_RE.test(msg)) return null;
+  return UNSUBSCRIBE_DIGEST_RE.test(msg) ? 'unsubscribe_digest' : 'subscribe_digest';
+}
+
+/**
+ * 摘要設定的中文顯示（訂閱回覆使用）
+ * @param {object} settings
+ * @returns {string}
+ */
+function formatDigestSettings(settings) {
+  const {
+    dailyTime, weeklyTime, includeHomework, includePackages,
+  } = { ...DIGEST_DEFAULTS, ...settings };
+  const lines = [];
+  lines.push(`☀️ 每日摘要：${settings.daily ? `每天 ${dailyTime}` : '未訂閱'}`);
+  lines.push(`📅 每週預覽：${settings.weekly ? `週日 ${weeklyTime}` : '未訂閱'}`);
+  const extras = [
+    includeHomework && '作業繳交',
+    includePackages && '方案餘額',
+  ].filter(Boolean);
+  lines.push(`📎 附帶內容：${extras.length > 0 ? extras.join('、') : '只有課程'}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  DIGEST_DEFAULTS,
+  classifyDigestIntent,
+  formatDigestSettings,
+};
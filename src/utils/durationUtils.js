@@ -0,0 +1,6 @@
+/**
+ * 課程時長工具
+ * 實作位於 functions/shared/durationUtils（Functions 部署只包含 functions/，無法引用 src）
+ */
+
+module.exports = require('../../functions/shared/durationUtils');
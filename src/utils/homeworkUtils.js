@@ -0,0 +1,6 @@
+/**
+ * 作業顯示工具
+ * 實作位於 functions/shared/homeworkUtils（Functions 部署只包含 functions/，無法引用 src）
+ */
+
+module.exports = require('../../functions/shared/homeworkUtils');
@@ -0,0 +1,6 @@
+/**
+ * 通知推播決策工具
+ * 實作位於 functions/shared/notificationDeliveryUtils（Functions 部署只包含 functions/，無法引用 src）
+ */
+
+module.exports = require('../../functions/shared/notificationDeliveryUtils');
@@ -0,0 +1,119 @@
+/**
+ * 通知偏好工具
+ * 勿擾時段、預設提前時間、靜音學生與合併推播的語句判斷（不含資料讀取）；
+ * 提醒執行器的推播決策在 functions/shared/notificationDeliveryUtils，這裡一併匯出
+ */
+
+const { formatReminderTiming } = require('./reminderUtils');
+// 推播決策與 Functions 的提醒執行器共用
+const {
+  getQuietHoursEnd,
+  getDeliveryDecision,
+  formatMergedNotifications,
+} = require('./notificationDeliveryUtils');
+
+// 勿擾時段：「晚上10點後不要通知我」「早上7點前不要提醒」「晚上10點到早上7點不要吵我」「開啟勿擾」
+const QUIET_HOURS_RE = /勿擾|[點時:：](?:半|\d{1,2}分?)?\s*(?:以後|之後|後|以前|之前|前|到|至|~|-).{0,10}(?:不要|別|不用|不想)再?被?(?:通知|提醒|推播|吵|打擾|傳)/;
+
+// 取消勿擾：「取消勿擾」「關掉勿擾模式」
+const CLEAR_QUIET_HOURS_RE = /(?:取消|關掉|關閉|解除|不用|不要)勿擾/;
+
+// 預設提前時間：「以後提醒都提前1小時」「預設課前15分鐘提醒」（「每次鋼琴課前…」是固定提醒）
+const LEAD_TIME_RE = /(?:預設|一律|以後|之後|平常)的?(?:提醒|通知)?都?在?(?:提前|課前|上課前)/;
+
+// 靜音學生：「暫停小明的提醒」「小明的課先不要通知我」（「關掉每次鋼琴課的提醒」是刪除固定提醒）
+const MUTE_STUDENT_RE = /(?:暫停|靜音).{0,6}的(?:課程?)?(?:提醒|通知)|的(?:課程?|提醒|通知)都?先?(?:暫停|靜音|不要再?通知)/;
+const UNMUTE_STUDENT_RE = /取消靜音|解除靜音|(?:恢復|重新開啟|打開).{0,6}的?(?:課程?)?(?:提醒|通知)/;
+
+// 推播方式：同一時間到期的通知合併成一則，或一則一則推播
+const MERGED_DELIVERY_RE = /(?:提醒|通知).{0,4}(?:合併|整合|一起傳|一次傳)|(?:合併|整合)(?:成一則)?.{0,2}(?:提醒|通知)/;
+const INDIVIDUAL_DELIVERY_RE = /(?:提醒|通知).{0,4}(?:分開|個別|一則一則)|(?:分開|個別)(?:傳|發|推播)?.{0,2}(?:提醒|通知)/;
+
+// 查詢設定：「我的通知設定」「提醒設定是什麼」
+const PREFERENCE_QUERY_RE = /(?:通知|提醒|推播|勿擾)(?:設定|偏好)/;
+
+/**
+ * 預設偏好：沒有勿擾時段、課前 30 分鐘、不靜音、逐則推播
+ */
+const PREFERENCE_DEFAULTS = {
+  quietHours: null,
+  leadTime: 30,
+  mutedStudents: [],
+  deliveryMode: 'individual',
+};
+
+// 只指定開始或結束時的勿擾時段預設（「晚上10點後不要通知我」到早上 7 點）
+const QUIET_HOURS_DEFAULTS = { start: '22:00', end: '07:00' };
+
+const SETTING_RES = [
+  QUIET_HOURS_RE,
+  CLEAR_QUIET_HOURS_RE,
+  LEAD_TIME_RE,
+  MUTE_STUDENT_RE,
+  UNMUTE_STUDENT_RE,
+  MERGED_DELIVERY_RE,
+  INDIVIDUAL_DELIVERY_RE,
+];
+
+/**
+ * 通知偏好語句的意圖
+ * @param {string} text
+ * @returns {string|null} set_notification_preferences / query_notification_preferences；
+ *   非通知偏好語句為 null
+ */
+function classifyNotificationIntent(text) {
+  const msg = String(text || '');
+  if (SETTING_RES.some((re) => re.test(msg))) return 'set_notification_preferences';
+  if (PREFERENCE_QUERY_RE.test(msg)) return 'query_notification_preferences';
+  return null;
+}
+
+/**
+ * 語句中的偏好設定類型（extractSlots 使用）
+ * @param {string} text
+ * @returns {object} quietHours / clearQuietHours / leadTime / mute / unmute / deliveryMode 是否出現
+ */
+function detectPreferenceSettings(text) {
+  const msg = String(text || '');
+  const clearQuietHours = CLEAR_QUIET_HOURS_RE.test(msg);
+  let deliveryMode = null;
+  if (MERGED_DELIVERY_RE.test(msg)) deliveryMode = 'merged';
+  else if (INDIVIDUAL_DELIVERY_RE.test(msg)) deliveryMode = 'individual';
+  const unmute = UNMUTE_STUDENT_RE.test(msg);
+  return {
+    clearQuietHours,
+    quietHours: !clearQuietHours && QUIET_HOURS_RE.test(msg),
+    leadTime: LEAD_TIME_RE.test(msg),
+    mute: !unmute && MUTE_STUDENT_RE.test(msg),
+    unmute,
+    deliveryMode,
+  };
+}
+
+/**
+ * 通知偏好的中文顯示（設定回覆與查詢使用）
+ * @param {object|null} preferences
+ * @returns {string}
+ */
+function formatNotificationPreferences(preferences) {
+  const {
+    quietHours, leadTime, mutedStudents, deliveryMode,
+  } = { ...PREFERENCE_DEFAULTS, ...preferences };
+  const lines = [];
+  lines.push(`🌙 勿擾時段：${quietHours ? `${quietHours.start} ~ ${quietHours.end}` : '未設定'}`);
+  lines.push(`⏰ 預設提醒：${formatReminderTiming({ reminderTime: leadTime })}`);
+  lines.push(`🔇 暫停通知的學生：${mutedStudents.length > 0 ? mutedStudents.join('、') : '無'}`);
+  lines.push(`📬 推播方式：${deliveryMode === 'merged' ? '同時到期的通知合併成一則' : '逐則推播'}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  PREFERENCE_DEFAULTS,
+  QUIET_HOURS_DEFAULTS,
+  classifyNotificationIntent,
+  detectPreferenceSettings,
+  getQuietHoursEnd,
+  getDeliveryDecision,
+  formatMergedNotifications,
+  formatNotificationPreferences,
+};
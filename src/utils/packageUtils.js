@@ -0,0 +1,6 @@
+/**
+ * 課程方案共用設定
+ * 實作位於 functions/shared/packageUtils（Functions 部署只包含 functions/，無法引用 src）
+ */
+
+module.exports = require('../../functions/shared/packageUtils');
@@ -0,0 +1,6 @@
+/**
+ * Postback 簽章
+ * 實作位於 functions/shared/postbackSigning（Functions 部署只包含 functions/，無法引用 src）
+ */
+
+module.exports = require('../../functions/shared/postbackSigning');
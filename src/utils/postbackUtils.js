@@ -0,0 +1,264 @@
+/**
+ * Postback 資料工具
+ * 定義按鈕 postback 的型別化 schema，負責簽章、序列化與驗證
+ * 讓按鈕直接攜帶課程/提醒 ID，不再依賴「確認」文字經由對話上下文回推
+ */
+
+const crypto = require('crypto');
+// 簽章與 Functions 推播共用（postbackSigning）
+const {
+  SIGNATURE_KEY,
+  SNOOZE_OPTIONS,
+  getSigningSecret,
+  signPayload,
+  appendSignature,
+  getSnoozeQuickReply,
+} = require('./postbackSigning');
+
+/**
+ * LINE postback data 長度上限
+ */
+const MAX_POSTBACK_DATA_LENGTH = 300;
+
+/**
+ * Postback 動作 schema
+ * - intent: 對應 executeTask 的意圖
+ * - fields: 欄位型別（string / number / boolean / 列舉陣列）
+ * - required: 必填欄位
+ */
+const POSTBACK_SCHEMA = {
+  confirm_action: {
+    intent: 'confirm_action',
+    // scheduleTime：衝突時改用建議時段重新執行（HH:MM）
+    fields: { targetIntent: 'string', targetId: 'string', scheduleTime: 'string' },
+    required: [],
+  },
+  cancel_action: {
+    intent: 'cancel_action',
+    fields: { targetIntent: 'string', targetId: 'string' },
+    required: [],
+  },
+  cancel_course: {
+    intent: 'cancel_course',
+    // specificDate：重複課程指定要取消的那一堂（YYYY-MM-DD）
+    fields: { courseId: 'string', scope: ['single', 'future', 'all', 'recurring'], specificDate: 'string' },
+    required: ['courseId'],
+  },
+  add_course: {
+    intent: 'add_course',
+    // 空檔查詢的時段按鈕：帶入日期/時間，課程名稱交由新增流程補問
+    fields: {
+      studentName: 'string', courseDate: 'string', scheduleTime: 'string', durationMinutes: 'number',
+    },
+    required: ['courseDate', 'scheduleTime'],
+  },
+  query_course_content: {
+    intent: 'query_course_content',
+    // 內容記錄的「下一頁」：沿用原查詢的篩選條件，afterId 為上一頁最後一筆記錄
+    fields: {
+      studentName: 'string',
+      courseName: 'string',
+      startDate: 'string',
+      endDate: 'string',
+      keyword: 'string',
+      page: 'number',
+      afterId: 'string',
+    },
+    required: ['page'],
+  },
+  set_course_venue: {
+    intent: 'set_course_venue',
+    // 分享位置後選擇課程：地點已存入名錄，只帶 ID
+    fields: { courseId: 'string', locationId: 'string' },
+    required: ['courseId', 'locationId'],
+  },
+  snooze_reminder: {
+    intent: 'snooze_reminder',
+    // 推播提醒上的「10分鐘後再提醒」
+    fields: { reminderId: 'string', minutes: 'number' },
+    required: ['reminderId', 'minutes'],
+  },
+  modify_reminder: {
+    intent: 'modify_reminder',
+    // 符合多筆提醒時選擇要修改的那一筆：帶入新的提醒時機
+    fields: {
+      reminderId: 'string', reminderTime: 'number', reminderClock: 'string', reminderDayOffset: 'number',
+    },
+    required: ['reminderId'],
+  },
+  delete_reminder: {
+    intent: 'delete_reminder',
+    fields: { reminderId: 'string' },
+    required: ['reminderId'],
+  },
+  delete_reminder_rule: {
+    intent: 'delete_reminder_rule',
+    // 符合多條固定提醒時選擇要取消的規則
+    fields: { ruleId: 'string' },
+    required: ['ruleId'],
+  },
+};
+
+/**
+ * 依型別轉換單一欄位值
+ * @param {string} raw - 原始字串
+ * @param {string|Array<string>} type - 欄位型別
+ * @returns {{ ok: boolean, value?: any }}
+ */
+function coerceField(raw, type) {
+  if (Array.isArray(type)) {
+    return type.includes(raw) ? { ok: true, value: raw } : { ok: false };
+  }
+
+  switch (type) {
+    case 'number': {
+      const value = Number(raw);
+      return Number.isFinite(value) ? { ok: true, value } : { ok: false };
+    }
+    case 'boolean':
+      if (raw === 'true' || raw === 'false') return { ok: true, value: raw === 'true' };
+      return { ok: false };
+    case 'string':
+    default:
+      return raw ? { ok: true, value: raw } : { ok: false };
+  }
+}
+
+/**
+ * 建立已簽章的 postback data
+ * 未設定簽章金鑰時回傳 null，呼叫端不附該按鈕（提醒推播、確認訊息照常送出）
+ * @param {string} action - POSTBACK_SCHEMA 中的動作
+ * @param {object} params - 動作參數
+ * @returns {string|null} postback data（action=...&...&sig=...）
+ */
+function buildPostbackData(action, params = {}) {
+  const schema = POSTBACK_SCHEMA[action];
+  if (!schema) {
+    throw new Error(`未定義的 postback 動作: ${action}`);
+  }
+
+  const search = new URLSearchParams();
+  search.set('action', action);
+
+  Object.keys(schema.fields).forEach((field) => {
+    const value = params[field];
+    if (value === undefined || value === null || value === '') return;
+    search.set(field, String(value));
+  });
+
+  const missing = schema.required.filter((field) => !search.has(field));
+  if (missing.length > 0) {
+    throw new Error(`postback 動作 ${action} 缺少必要欄位: ${missing.join(', ')}`);
+  }
+
+  const data = appendSignature(search.toString());
+  if (!data) return null;
+
+  if (data.length > MAX_POSTBACK_DATA_LENGTH) {
+    throw new Error(`postback data 超過 ${MAX_POSTBACK_DATA_LENGTH} 字元限制`);
+  }
+
+  return data;
+}
+
+/**
+ * 解析並驗證 postback data
+ * @param {string} data - LINE 回傳的 postback data
+ * @returns {{ valid: boolean, action?: string, intent?: string, slots?: object, error?: string }}
+ */
+function parsePostbackData(data) {
+  if (!data || typeof data !== 'string') {
+    return { valid: false, error: 'EMPTY_DATA' };
+  }
+
+  const sigIndex = data.lastIndexOf(`&${SIGNATURE_KEY}=`);
+  if (sigIndex === -1) {
+    return { valid: false, error: 'MISSING_SIGNATURE' };
+  }
+
+  // 未設定金鑰時拒絕所有 postback，不以空金鑰驗證
+  const secret = getSigningSecret();
+  if (!secret) {
+    return { valid: false, error: 'MISSING_SECRET' };
+  }
+
+  const payload = data.slice(0, sigIndex);
+  const signature = data.slice(sigIndex + SIGNATURE_KEY.length + 2);
+  const expected = signPayload(payload, secret);
+
+  if (signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { valid: false, error: 'INVALID_SIGNATURE' };
+  }
+
+  const params = new URLSearchParams(payload);
+  const action = params.get('action');
+  const schema = POSTBACK_SCHEMA[action];
+  if (!schema) {
+    return { valid: false, action, error: 'UNKNOWN_ACTION' };
+  }
+
+  const slots = {};
+  for (const [field, type] of Object.entries(schema.fields)) {
+    if (params.has(field)) {
+      const coerced = coerceField(params.get(field), type);
+      if (!coerced.ok) {
+        return { valid: false, action, error: `INVALID_FIELD:${field}` };
+      }
+      slots[field] = coerced.value;
+    }
+  }
+
+  const missing = schema.required.filter((field) => slots[field] === undefined);
+  if (missing.length > 0) {
+    return { valid: false, action, error: `MISSING_FIELD:${missing.join(',')}` };
+  }
+
+  return {
+    valid: true,
+    action,
+    intent: schema.intent,
+    slots,
+  };
+}
+
+/**
+ * 建立 postback 型別的 Quick Reply 項目
+ * @param {string} label - 按鈕標籤
+ * @param {string} action - postback 動作
+ * @param {object} params - 動作參數
+ * @param {string} displayText - 點擊後顯示在聊天室的文字（預設為標籤）
+ * @returns {{ label: string, data: string, displayText: string }|null}
+ *   未設定簽章金鑰時為 null（lineService 送出前略過）
+ */
+function createPostbackQuickReply(label, action, params = {}, displayText = null) {
+  const data = buildPostbackData(action, params);
+  if (!data) return null;
+  return {
+    label,
+    data,
+    displayText: displayText || label,
+  };
+}
+
+/**
+ * 檢查任務結果是否對應按鈕攜帶的資料 ID
+ * @param {object} result - 原操作的任務結果
+ * @param {string} targetId - 按鈕攜帶的課程/記錄/提醒/固定提醒 ID
+ * @returns {boolean}
+ */
+function resultMatchesTarget(result, targetId) {
+  const data = (result && result.data) || {};
+  return [data.courseId, data.recordId, data.reminderId, data.ruleId].includes(targetId);
+}
+
+module.exports = {
+  POSTBACK_SCHEMA,
+  MAX_POSTBACK_DATA_LENGTH,
+  buildPostbackData,
+  parsePostbackData,
+  createPostbackQuickReply,
+  resultMatchesTarget,
+  SNOOZE_OPTIONS,
+  getSnoozeQuickReply,
+};
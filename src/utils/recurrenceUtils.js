@@ -0,0 +1,6 @@
+/**
+ * 重複課程工具
+ * 實作位於 functions/shared/recurrenceUtils（Functions 部署只包含 functions/，無法引用 src）
+ */
+
+module.exports = require('../../functions/shared/recurrenceUtils');
@@ -0,0 +1,6 @@
+/**
+ * 提醒排程工具
+ * 實作位於 functions/shared/reminderScheduleUtils（Functions 部署只包含 functions/，無法引用 src）
+ */
+
+module.exports = require('../../functions/shared/reminderScheduleUtils');
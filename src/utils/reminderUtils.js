@@ -0,0 +1,85 @@
+/**
+ * 提醒語句工具
+ * 含「提醒」的語句一律走提醒流程（安全覆寫），這裡再細分為設定、查詢、修改或刪除
+ * 觸發時間的換算與排序在 functions/shared/reminderScheduleUtils（與 Functions 共用），這裡一併匯出
+ */
+
+const {
+  getReminderTriggerTime,
+  buildReminderSchedule,
+  findNextTrigger,
+  getReminderTimings,
+} = require('./reminderScheduleUtils');
+
+/**
+ * 固定提醒用語（「每次鋼琴課前一小時提醒我」），綁定整個重複課程系列
+ */
+const STANDING_REMINDER_RE = /每次|每堂|每一堂|每週|每周|固定/;
+
+// 刪除提醒（「取消明天的提醒」「不要再提醒」，不含「不要忘記」）；
+// 動作詞在「提醒」之後時需在句尾，避免「提醒我取消游泳課」
+const DELETE_REMINDER_RE = /(?:取消|刪除|刪掉|停止|關掉|不用|不要再).*提醒|提醒.*(?:取消|刪除|刪掉|關掉)掉?了?$/;
+
+// 查詢提醒（「我設了哪些提醒」「小明的提醒有哪些」），避免「提醒我查詢成績」
+const QUERY_REMINDER_RE = /(?:哪些|清單|列表|查詢|查看|有什麼).*提醒|提醒.*(?:哪些|清單|列表|有什麼)/;
+
+// 修改提醒：改動詞需在「提醒」之後（「數學課提醒改成前一天晚上8點」），
+// 或明確修改提醒（「修改明天的提醒」）；避免「提醒我把作業改完」
+const MODIFY_REMINDER_RE = /提醒.*(?:改成|改到|改為|換成)|(?:修改|調整|更改).*提醒/;
+
+/**
+ * 含「提醒」語句的意圖
+ * @param {string} text
+ * @returns {string} set_reminder / query_reminders / modify_reminder / delete_reminder /
+ *   query_reminder_rules / delete_reminder_rule
+ */
+function classifyReminderIntent(text) {
+  const msg = String(text || '');
+  const standing = STANDING_REMINDER_RE.test(msg);
+  if (DELETE_REMINDER_RE.test(msg)) return standing ? 'delete_reminder_rule' : 'delete_reminder';
+  if (QUERY_REMINDER_RE.test(msg)) return standing ? 'query_reminder_rules' : 'query_reminders';
+  if (MODIFY_REMINDER_RE.test(msg)) return 'modify_reminder';
+  return 'set_reminder';
+}
+
+/**
+ * 語句解析出的提醒時機：reminderTriggers（指定時刻或多個時機），否則課前 N 分鐘
+ * @param {object} slots - reminderTriggers / reminderTime
+ * @param {number} leadTime - 未指定時機時的課前分鐘數（家長的預設提前時間）
+ * @returns {Array<object>}
+ */
+function getSlotTimings(slots = {}, leadTime = 30) {
+  if (Array.isArray(slots.reminderTriggers) && slots.reminderTriggers.length > 0) {
+    return slots.reminderTriggers;
+  }
+  return [{ reminderTime: slots.reminderTime || leadTime }];
+}
+
+/**
+ * 提醒時機的中文顯示
+ * @param {object} timing - 同 getReminderTriggerTime
+ * @returns {string} 例：「課前 30 分鐘」「前一天 20:00」
+ */
+function formatReminderTiming(timing = {}) {
+  if (timing.reminderClock) {
+    const dayLabels = { 0: '當天', '-1': '前一天', '-2': '前兩天' };
+    const offset = timing.reminderDayOffset || 0;
+    return `${dayLabels[offset] || `${-offset} 天前`} ${timing.reminderClock}`;
+  }
+  const minutes = timing.reminderTime ?? 30;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `課前 ${rest} 分鐘`;
+  return rest === 0 ? `課前 ${hours} 小時` : `課前 ${hours} 小時 ${rest} 分鐘`;
+}
+
+module.exports = {
+  STANDING_REMINDER_RE,
+  classifyReminderIntent,
+  getReminderTriggerTime,
+  buildReminderSchedule,
+  findNextTrigger,
+  getReminderTimings,
+  getSlotTimings,
+  formatReminderTiming,
+};
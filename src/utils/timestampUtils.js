@@ -0,0 +1,18 @@
+/**
+ * Firestore 時間欄位工具
+ * addDocument 以 serverTimestamp 寫入 createdAt / updatedAt（Timestamp），舊資料可能為 ISO 字串
+ */
+
+/**
+ * Firestore Timestamp 或 ISO 字串轉毫秒（排序用，無法解析時為 0）
+ * @param {object|string} value
+ * @returns {number}
+ */
+function toMillis(value) {
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  return Date.parse(value) || 0;
+}
+
+module.exports = {
+  toMillis,
+};
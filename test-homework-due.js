@@ -0,0 +1,97 @@
+/**
+ * 作業繳交日驗證測試
+ * 「5/20前交」未寫年份時的年份判斷、繳交日顯示（今天/明天/逾期）
+ * 以固定的今天（2026-10-19）執行
+ */
+
+// 固定「現在」為台北時間 2026-10-19 12:00
+const RealDate = Date;
+const FIXED_NOW = new RealDate('2026-10-19T04:00:00Z').getTime();
+global.Date = class extends RealDate {
+  constructor(...args) {
+    if (args.length === 0) super(FIXED_NOW);
+    else super(...args);
+  }
+
+  static now() {
+    return FIXED_NOW;
+  }
+};
+
+const { formatDueDate } = require('./src/utils/homeworkUtils');
+const { extractSlots } = require('./src/intent/extractSlots');
+
+const TODAY = '2026-10-19';
+
+const testCases = [
+  {
+    name: '「5/20前交」今年已過 → 明年',
+    input: '小明數學作業是學習單 5/20前交',
+    expected: '2027-05-20',
+  },
+  {
+    name: '「10/23交」今年未過 → 今年',
+    input: '小明數學作業 10/23交',
+    expected: '2026-10-23',
+  },
+  {
+    name: '當天到期仍算今年',
+    input: '小明數學作業 10/19前交',
+    expected: '2026-10-19',
+  },
+  {
+    name: '「12月1日前要交」',
+    input: '小明英文作業 12月1日前要交',
+    expected: '2026-12-01',
+  },
+  {
+    name: '顯示：今天要交',
+    actual: () => formatDueDate('2026-10-19', TODAY),
+    expected: '10/19 今天要交',
+  },
+  {
+    name: '顯示：明天要交',
+    actual: () => formatDueDate('2026-10-20', TODAY),
+    expected: '10/20 明天要交',
+  },
+  {
+    name: '顯示：跨年的逾期天數',
+    actual: () => formatDueDate('2026-12-30', '2027-01-02'),
+    expected: '12/30 已逾期 3 天',
+  },
+];
+
+async function runHomeworkDueTests() {
+  console.log('🧪 作業繳交日驗證測試\n');
+
+  let passedTests = 0;
+  for (const testCase of testCases) {
+    const actual = testCase.input
+      ? (await extractSlots(testCase.input, 'add_homework')).dueDate
+      : testCase.actual();
+    const passed = actual === testCase.expected;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ ${testCase.name}`);
+    } else {
+      console.log(`❌ ${testCase.name}: 期望 ${testCase.expected}, 實際 ${actual}`);
+    }
+  }
+
+  console.log(`\n📊 通過: ${passedTests}/${testCases.length}`);
+  return passedTests === testCases.length;
+}
+
+// 執行測試
+if (require.main === module) {
+  runHomeworkDueTests()
+    .then((passed) => {
+      if (!passed) process.exitCode = 1;
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { runHomeworkDueTests };
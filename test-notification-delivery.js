@@ -0,0 +1,108 @@
+/**
+ * 通知推播決策驗證測試（functions/shared/notificationDeliveryUtils）
+ * 跨午夜的勿擾時段、靜音學生、勿擾結束已開課、合併推播
+ */
+
+const { getQuietHoursEnd, getDeliveryDecision } = require('./src/utils/notificationDeliveryUtils');
+
+// 台北時間轉 Date
+const taipei = (dateTime) => new Date(`${dateTime}:00+08:00`);
+const overnight = { start: '22:00', end: '07:00' };
+const lesson = {
+  studentName: '小明', courseName: '鋼琴課', courseDate: '2026-10-20', scheduleTime: '16:00',
+};
+
+const testCases = [
+  {
+    name: '跨午夜勿擾：23:00 延到隔天 07:00',
+    actual: () => getQuietHoursEnd(overnight, taipei('2026-10-19T23:00')),
+    expected: taipei('2026-10-20T07:00'),
+  },
+  {
+    name: '跨午夜勿擾：凌晨 01:00 延到當天 07:00',
+    actual: () => getQuietHoursEnd(overnight, taipei('2026-10-20T01:00')),
+    expected: taipei('2026-10-20T07:00'),
+  },
+  {
+    name: '勿擾結束時刻本身不在勿擾時段內',
+    actual: () => getQuietHoursEnd(overnight, taipei('2026-10-20T07:00')),
+    expected: null,
+  },
+  {
+    name: '同日勿擾 12:00~14:00：13:00 延到 14:00，15:00 不延',
+    actual: () => [
+      getQuietHoursEnd({ start: '12:00', end: '14:00' }, taipei('2026-10-20T13:00')),
+      getQuietHoursEnd({ start: '12:00', end: '14:00' }, taipei('2026-10-20T15:00')),
+    ],
+    expected: [taipei('2026-10-20T14:00'), null],
+  },
+  {
+    name: '起訖相同視為未設定',
+    actual: () => getQuietHoursEnd({ start: '22:00', end: '22:00' }, taipei('2026-10-19T22:30')),
+    expected: null,
+  },
+  {
+    name: '沒有通知偏好照常推播',
+    actual: () => getDeliveryDecision(lesson, null, taipei('2026-10-19T23:00')),
+    expected: { action: 'send' },
+  },
+  {
+    name: '靜音的學生略過',
+    actual: () => getDeliveryDecision(lesson, { mutedStudents: ['小明'] }, taipei('2026-10-19T20:00')),
+    expected: { action: 'skip', reason: 'student_muted' },
+  },
+  {
+    name: '勿擾時段內延到勿擾結束',
+    actual: () => getDeliveryDecision(lesson, { quietHours: overnight }, taipei('2026-10-19T23:00')),
+    expected: { action: 'defer', until: taipei('2026-10-20T07:00') },
+  },
+  {
+    name: '勿擾結束時已開課則略過',
+    actual: () => getDeliveryDecision(
+      { ...lesson, courseDate: '2026-10-20', scheduleTime: '06:30' },
+      { quietHours: overnight },
+      taipei('2026-10-20T06:00'),
+    ),
+    expected: { action: 'skip', reason: 'quiet_hours' },
+  },
+  {
+    name: '作業通知沒有上課時間，勿擾時段內一律延後',
+    actual: () => getDeliveryDecision(
+      { ...lesson, reminderType: 'homework_due', scheduleTime: '06:30' },
+      { quietHours: overnight },
+      taipei('2026-10-20T06:00'),
+    ),
+    expected: { action: 'defer', until: taipei('2026-10-20T07:00') },
+  },
+  {
+    name: '合併推播模式',
+    actual: () => getDeliveryDecision(lesson, { deliveryMode: 'merged' }, taipei('2026-10-19T20:00')),
+    expected: { action: 'merge' },
+  },
+];
+
+function runNotificationDeliveryTests() {
+  console.log('🧪 通知推播決策驗證測試\n');
+
+  let passedTests = 0;
+  for (const testCase of testCases) {
+    const actual = testCase.actual();
+    const passed = JSON.stringify(actual) === JSON.stringify(testCase.expected);
+    if (passed) {
+      passedTests++;
+      console.log(`✅ ${testCase.name}`);
+    } else {
+      console.log(`❌ ${testCase.name}: 期望 ${JSON.stringify(testCase.expected)}, 實際 ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log(`\n📊 通過: ${passedTests}/${testCases.length}`);
+  return passedTests === testCases.length;
+}
+
+// 執行測試
+if (require.main === module) {
+  if (!runNotificationDeliveryTests()) process.exitCode = 1;
+}
+
+module.exports = { runNotificationDeliveryTests };
@@ -0,0 +1,114 @@
+/**
+ * 課程方案扣堂驗證測試（src/services/packageService）
+ * 出席扣堂、剩 2 堂續約提醒、用完繳費提醒、改為請假退堂
+ * Firebase 以記憶體資料取代，不連線
+ */
+
+const firebaseService = require('./src/services/firebaseService');
+
+const packages = {};
+const notices = [];
+firebaseService.getPackagesByUser = async (userId, { studentName } = {}) => Object.values(packages)
+  .filter((pkg) => pkg.userId === userId && (!studentName || pkg.studentName === studentName))
+  .map((pkg) => ({ ...pkg }));
+firebaseService.updatePackage = async (packageId, updates) => {
+  Object.assign(packages[packageId], updates);
+};
+firebaseService.createReminder = async (reminder) => {
+  notices.push(reminder.reminderType);
+  return reminder;
+};
+
+const {
+  LOW_BALANCE_THRESHOLD,
+  PACKAGE_REMINDER_TYPES,
+  recordPackageUsage,
+} = require('./src/services/packageService');
+
+const attend = (date, status = 'attended') => recordPackageUsage('U1', `c1_${date}`, {
+  studentName: '小明', courseName: '鋼琴', status,
+});
+
+const testCases = [
+  {
+    name: '出席扣一堂（課名「鋼琴」對應「鋼琴課」方案）',
+    run: async () => (await attend('2026-10-01')).remainingLessons,
+    expected: 3,
+  },
+  {
+    name: '同一堂重複記出席不再扣堂',
+    run: async () => attend('2026-10-01'),
+    expected: null,
+  },
+  {
+    name: `剩 ${LOW_BALANCE_THRESHOLD} 堂時建立一次續約提醒`,
+    run: async () => {
+      await attend('2026-10-08');
+      return notices;
+    },
+    expected: [PACKAGE_REMINDER_TYPES.LOW_BALANCE],
+  },
+  {
+    name: '改為請假退回先前扣的那一堂',
+    run: async () => (await attend('2026-10-08', 'leave')).remainingLessons,
+    expected: 3,
+  },
+  {
+    name: '再次降到門檻不重複提醒，用完時建立繳費提醒',
+    run: async () => {
+      await attend('2026-10-15');
+      await attend('2026-10-22');
+      await attend('2026-10-29');
+      return [packages.p1.remainingLessons, packages.p1.status, notices];
+    },
+    expected: [0, 'depleted', [PACKAGE_REMINDER_TYPES.LOW_BALANCE, PACKAGE_REMINDER_TYPES.PAYMENT_DUE]],
+  },
+  {
+    name: '沒有餘額的方案不再扣堂',
+    run: async () => attend('2026-11-05'),
+    expected: null,
+  },
+];
+
+async function runPackageUsageTests() {
+  console.log('🧪 課程方案扣堂驗證測試\n');
+
+  packages.p1 = {
+    packageId: 'p1',
+    userId: 'U1',
+    studentName: '小明',
+    courseName: '鋼琴課',
+    totalLessons: 4,
+    remainingLessons: 4,
+    status: 'active',
+  };
+
+  let passedTests = 0;
+  for (const testCase of testCases) {
+    const actual = await testCase.run();
+    const passed = JSON.stringify(actual) === JSON.stringify(testCase.expected);
+    if (passed) {
+      passedTests++;
+      console.log(`✅ ${testCase.name}`);
+    } else {
+      console.log(`❌ ${testCase.name}: 期望 ${JSON.stringify(testCase.expected)}, 實際 ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log(`\n📊 通過: ${passedTests}/${testCases.length}`);
+  return passedTests === testCases.length;
+}
+
+// 執行測試
+if (require.main === module) {
+  runPackageUsageTests()
+    .then((passed) => {
+      if (!passed) process.exitCode = 1;
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { runPackageUsageTests };
@@ -0,0 +1,119 @@
+/**
+ * 重複課程規則驗證測試（functions/shared/recurrenceUtils）
+ * 每週多天、每月第 N 個 / 最後一個星期幾、月份起訖日
+ */
+
+const {
+  getNthWeekdayOfMonth,
+  getNthWeekdayDatesInMonth,
+  matchesNthWeekday,
+  occursOnDate,
+  getFirstWeeklyOccurrences,
+  getMonthDateRange,
+} = require('./src/utils/recurrenceUtils');
+
+const testCases = [
+  {
+    name: '第一個週六：2026/8 月 1 日就是週六',
+    actual: () => getNthWeekdayOfMonth(2026, 8, 6, 1),
+    expected: '2026-08-01',
+  },
+  {
+    name: '最後一個週五：2026/10',
+    actual: () => getNthWeekdayOfMonth(2026, 10, 5, -1),
+    expected: '2026-10-30',
+  },
+  {
+    name: '該月沒有第五個週一時回傳 null',
+    actual: () => getNthWeekdayOfMonth(2026, 2, 1, 5),
+    expected: null,
+  },
+  {
+    name: '每月第一個和第三個週六',
+    actual: () => getNthWeekdayDatesInMonth(2026, 10, [1, 3], 6),
+    expected: ['2026-10-03', '2026-10-17'],
+  },
+  {
+    name: '最後一個週五同時是第五個週五',
+    actual: () => [matchesNthWeekday('2026-01-30', -1, 5), matchesNthWeekday('2026-01-23', -1, 5)],
+    expected: [true, false],
+  },
+  {
+    name: '每週二四：週二、週四上課，週三不上',
+    actual: () => {
+      const course = {
+        isRecurring: true, recurrenceType: 'weekly', dayOfWeek: [2, 4], courseDate: '2026-10-20',
+      };
+      return ['2026-10-20', '2026-10-21', '2026-10-22'].map((date) => occursOnDate(course, date));
+    },
+    expected: [true, false, true],
+  },
+  {
+    name: '首堂之前的日期不算上課',
+    actual: () => occursOnDate({
+      isRecurring: true, recurrenceType: 'weekly', dayOfWeek: [2], courseDate: '2026-10-20',
+    }, '2026-10-13'),
+    expected: false,
+  },
+  {
+    name: '每月第三個週六（nthWeek）',
+    actual: () => {
+      const course = {
+        isRecurring: true, recurrenceType: 'monthly', nthWeek: [3], dayOfWeek: [6], courseDate: '2026-10-17',
+      };
+      return ['2026-10-17', '2026-10-24', '2026-11-21'].map((date) => occursOnDate(course, date));
+    },
+    expected: [true, false, true],
+  },
+  {
+    name: '每週多天的衝突檢查：各星期的首個實例',
+    actual: () => getFirstWeeklyOccurrences('2026-10-19', [2, 4]),
+    expected: ['2026-10-20', '2026-10-22'],
+  },
+  {
+    name: '月份起訖：30 天的月份',
+    actual: () => getMonthDateRange('2026-04'),
+    expected: { startDate: '2026-04-01', endDate: '2026-04-30' },
+  },
+  {
+    name: '月份起訖：平年 2 月',
+    actual: () => getMonthDateRange('2026-02'),
+    expected: { startDate: '2026-02-01', endDate: '2026-02-28' },
+  },
+  {
+    name: '月份起訖：閏年 2 月',
+    actual: () => getMonthDateRange('2028-02'),
+    expected: { startDate: '2028-02-01', endDate: '2028-02-29' },
+  },
+  {
+    name: '月份起訖：12 月不跨到隔年',
+    actual: () => getMonthDateRange('2026-12'),
+    expected: { startDate: '2026-12-01', endDate: '2026-12-31' },
+  },
+];
+
+function runRecurrenceUtilsTests() {
+  console.log('🧪 重複課程規則驗證測試\n');
+
+  let passedTests = 0;
+  for (const testCase of testCases) {
+    const actual = testCase.actual();
+    const passed = JSON.stringify(actual) === JSON.stringify(testCase.expected);
+    if (passed) {
+      passedTests++;
+      console.log(`✅ ${testCase.name}`);
+    } else {
+      console.log(`❌ ${testCase.name}: 期望 ${JSON.stringify(testCase.expected)}, 實際 ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log(`\n📊 通過: ${passedTests}/${testCases.length}`);
+  return passedTests === testCases.length;
+}
+
+// 執行測試
+if (require.main === module) {
+  if (!runRecurrenceUtilsTests()) process.exitCode = 1;
+}
+
+module.exports = { runRecurrenceUtilsTests };
@@ -0,0 +1,101 @@
+/**
+ * 多時機提醒排程驗證測試（functions/shared/reminderScheduleUtils）
+ * 「前一天晚上8點和課前30分鐘」的觸發時間、排序、略過已過時機與下一個時機
+ */
+
+const {
+  getReminderTriggerTime,
+  buildReminderSchedule,
+  findNextTrigger,
+  getScheduleFields,
+  getReminderTimings,
+} = require('./src/utils/reminderScheduleUtils');
+
+// 台北時間轉 Date
+const taipei = (dateTime) => new Date(`${dateTime}:00+08:00`);
+const dayBefore = { reminderClock: '20:00', reminderDayOffset: -1 };
+const halfHour = { reminderTime: 30 };
+
+const testCases = [
+  {
+    name: '前一天晚上8點',
+    actual: () => getReminderTriggerTime('2026-10-21', '16:00', dayBefore),
+    expected: taipei('2026-10-20T20:00'),
+  },
+  {
+    name: '課前30分鐘',
+    actual: () => getReminderTriggerTime('2026-10-21', '16:00', halfHour),
+    expected: taipei('2026-10-21T15:30'),
+  },
+  {
+    name: '多時機依時間排序（輸入順序相反）',
+    actual: () => buildReminderSchedule('2026-10-21', '16:00', [halfHour, dayBefore], taipei('2026-10-19T12:00')).triggerTimes,
+    expected: [taipei('2026-10-20T20:00'), taipei('2026-10-21T15:30')],
+  },
+  {
+    name: '已過的時機略過，只留下課前30分鐘',
+    actual: () => {
+      const schedule = buildReminderSchedule('2026-10-21', '16:00', [dayBefore, halfHour], taipei('2026-10-20T21:00'));
+      return [schedule.triggers, schedule.skipped];
+    },
+    expected: [[halfHour], [dayBefore]],
+  },
+  {
+    name: '晚於上課時間的時機略過',
+    actual: () => buildReminderSchedule('2026-10-21', '16:00', [{ reminderClock: '18:00', reminderDayOffset: 0 }], taipei('2026-10-19T12:00')).triggers,
+    expected: [],
+  },
+  {
+    name: '寫入欄位：triggerTime 為第一個時機，reminderTime 換算為課前分鐘數',
+    actual: () => {
+      const fields = getScheduleFields('2026-10-21', '16:00', {
+        triggers: [dayBefore, halfHour],
+        triggerTimes: [taipei('2026-10-20T20:00'), taipei('2026-10-21T15:30')],
+      });
+      return [fields.triggerTime, fields.reminderTime];
+    },
+    expected: [taipei('2026-10-20T20:00'), 1200],
+  },
+  {
+    name: '發送第一個時機後，下一個為課前30分鐘；最後一個之後沒有下一個',
+    actual: () => {
+      const reminder = { triggerTimes: [taipei('2026-10-20T20:00'), taipei('2026-10-21T15:30')] };
+      return [
+        findNextTrigger(reminder, taipei('2026-10-20T20:00')),
+        findNextTrigger(reminder, taipei('2026-10-21T15:30')),
+      ];
+    },
+    expected: [taipei('2026-10-21T15:30'), null],
+  },
+  {
+    name: '舊資料只有 reminderTime 時視為單一時機',
+    actual: () => getReminderTimings({ reminderTime: 15 }),
+    expected: [{ reminderTime: 15 }],
+  },
+];
+
+function runReminderScheduleTests() {
+  console.log('🧪 多時機提醒排程驗證測試\n');
+
+  let passedTests = 0;
+  for (const testCase of testCases) {
+    const actual = testCase.actual();
+    const passed = JSON.stringify(actual) === JSON.stringify(testCase.expected);
+    if (passed) {
+      passedTests++;
+      console.log(`✅ ${testCase.name}`);
+    } else {
+      console.log(`❌ ${testCase.name}: 期望 ${JSON.stringify(testCase.expected)}, 實際 ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log(`\n📊 通過: ${passedTests}/${testCases.length}`);
+  return passedTests === testCases.length;
+}
+
+// 執行測試
+if (require.main === module) {
+  if (!runReminderScheduleTests()) process.exitCode = 1;
+}
+
+module.exports = { runReminderScheduleTests };
@@ -0,0 +1,121 @@
+/**
+ * 重複課程結束條件驗證測試
+ * 「共N堂」換算最後一堂日期、「上到某日」未寫年份時的年份判斷
+ * 以固定的今天（2026-10-19，週一）執行，需開啟 ENABLE_RECURRING_COURSES
+ */
+
+process.env.ENABLE_RECURRING_COURSES = 'true';
+
+// 固定「現在」為台北時間 2026-10-19 12:00
+const RealDate = Date;
+const FIXED_NOW = new RealDate('2026-10-19T04:00:00Z').getTime();
+global.Date = class extends RealDate {
+  constructor(...args) {
+    if (args.length === 0) super(FIXED_NOW);
+    else super(...args);
+  }
+
+  static now() {
+    return FIXED_NOW;
+  }
+};
+
+const { getLastOccurrenceByCount, isWithinSeries } = require('./src/utils/recurrenceUtils');
+const { extractSlots } = require('./src/intent/extractSlots');
+
+const weeklyTueThu = {
+  isRecurring: true, recurrenceType: 'weekly', dayOfWeek: [2, 4], courseDate: '2026-10-20',
+};
+
+const testCases = [
+  {
+    name: '每週二四共10堂：最後一堂為第五週的週四',
+    actual: () => getLastOccurrenceByCount(weeklyTueThu, 10),
+    expected: '2026-11-19',
+  },
+  {
+    name: '每月最後一個週五共3堂',
+    actual: () => getLastOccurrenceByCount({
+      isRecurring: true, recurrenceType: 'monthly', nthWeek: [-1], dayOfWeek: [5], courseDate: '2026-10-30',
+    }, 3),
+    expected: '2026-12-25',
+  },
+  {
+    name: '堂數無效時回傳 null',
+    actual: () => getLastOccurrenceByCount(weeklyTueThu, 0),
+    expected: null,
+  },
+  {
+    name: '上到某日：當天仍在系列內，隔天不在',
+    actual: () => {
+      const course = { ...weeklyTueThu, seriesEnd: { until: '2026-11-19' } };
+      return [isWithinSeries(course, '2026-11-19'), isWithinSeries(course, '2026-11-24')];
+    },
+    expected: [true, false],
+  },
+  {
+    name: '「上到5月底」今年5月已過 → 明年5月底',
+    input: '小明每週三下午3點鋼琴課上到5月底',
+    slot: 'seriesUntil',
+    expected: '2027-05-31',
+  },
+  {
+    name: '「到10月5日」今年已過 → 明年',
+    input: '小明每週三下午3點鋼琴課到10月5日',
+    slot: 'seriesUntil',
+    expected: '2027-10-05',
+  },
+  {
+    name: '「到10月31日」今年未過 → 今年',
+    input: '小明每週三下午3點鋼琴課到10月31日',
+    slot: 'seriesUntil',
+    expected: '2026-10-31',
+  },
+  {
+    name: '寫明年份時不調整',
+    input: '小明每週三下午3點鋼琴課到2026年10月5日',
+    slot: 'seriesUntil',
+    expected: '2026-10-05',
+  },
+  {
+    name: '「共10堂」',
+    input: '小明每週二四下午4點鋼琴課 共10堂',
+    slot: 'seriesCount',
+    expected: 10,
+  },
+];
+
+async function runSeriesEndTests() {
+  console.log('🧪 重複課程結束條件驗證測試\n');
+
+  let passedTests = 0;
+  for (const testCase of testCases) {
+    const actual = testCase.input
+      ? (await extractSlots(testCase.input, 'add_course'))[testCase.slot]
+      : testCase.actual();
+    const passed = JSON.stringify(actual) === JSON.stringify(testCase.expected);
+    if (passed) {
+      passedTests++;
+      console.log(`✅ ${testCase.name}`);
+    } else {
+      console.log(`❌ ${testCase.name}: 期望 ${JSON.stringify(testCase.expected)}, 實際 ${JSON.stringify(actual)}`);
+    }
+  }
+
+  console.log(`\n📊 通過: ${passedTests}/${testCases.length}`);
+  return passedTests === testCases.length;
+}
+
+// 執行測試
+if (require.main === module) {
+  runSeriesEndTests()
+    .then((passed) => {
+      if (!passed) process.exitCode = 1;
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { runSeriesEndTests };